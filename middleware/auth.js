@@ -3,6 +3,9 @@
 
 import { supabase } from '../server.js';
 
+// Roles a profile may have; guardians are linked to students through guardian_students
+const USER_ROLES = ['admin', 'teacher', 'student', 'guardian'];
+
 // Admin middleware: Verifies if the user is an active admin
 const requireAdmin = async (req, res, next) => {
   try {
@@ -26,7 +29,7 @@ const requireAdmin = async (req, res, next) => {
     // Check if user is admin
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
-      .select('role, status')
+      .select('role, status, timezone')
       .eq('id', user.id)
       .single();
 
@@ -46,7 +49,8 @@ const requireAdmin = async (req, res, next) => {
     }
 
     console.log('✅ Admin access granted');
-    req.user = user;
+    // Profile role overrides the auth user's 'authenticated' role so shared policies see an admin
+    req.user = { ...user, role: profile.role, timezone: profile.timezone };
     next();
   } catch (error) {
     console.error('❌ Admin middleware error:', error);
@@ -77,7 +81,7 @@ const requireAuth = async (req, res, next) => {
 
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
-      .select('id, name, email, role, status')
+      .select('id, name, email, role, status, timezone')
       .eq('id', user.id)
       .single();
 
@@ -91,6 +95,11 @@ const requireAuth = async (req, res, next) => {
       return res.status(403).json({ error: 'Account is not active' });
     }
 
+    if (!USER_ROLES.includes(profile.role)) {
+      console.log('❌ Unknown profile role:', profile.role);
+      return res.status(403).json({ error: 'Account role is not recognised' });
+    }
+
     req.user = {
       id: user.id,
       email: user.email,
@@ -106,6 +115,14 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+// Guardian middleware: Verifies if the user is a guardian (parent paying for one or more students)
+const requireGuardian = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'guardian') {
+    return res.status(403).json({ error: 'Access denied: guardian only' });
+  }
+  next();
+};
+
 // Teacher middleware: Verifies if the user is a teacher
 const requireTeacher = async (req, res, next) => {
   if (!req.user || req.user.role !== 'teacher') {
@@ -325,9 +342,11 @@ const requireStudentClassAccess = async (req, res, next) => {
 };
 
 export { 
+  USER_ROLES,
   requireAdmin, 
   requireAuth, 
   requireTeacher, 
+  requireGuardian,
   requireStudent, 
   requireEnrolledStudent, 
   requireStudentClassAccess 
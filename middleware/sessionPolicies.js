@@ -0,0 +1,112 @@
+// middleware/sessionPolicies.js
+// Authorization policies for live video sessions (routes/agora.js, routes/session-events.js).
+// The acting user always comes from req.user (set by requireAuth), never from the request body.
+
+import { supabase } from '../server.js';
+
+const ACTING_USER_FIELDS = ['user_id', 'teacher_id', 'student_id'];
+
+// Compatibility mode for mobile clients that still send user_id / teacher_id / student_id:
+// the field is accepted only when it matches the bearer token, any mismatch is rejected
+const enforceActingUser = (req, res, next) => {
+  for (const field of ACTING_USER_FIELDS) {
+    const value = req.body?.[field];
+    if (value !== undefined && value !== null && value !== '' && value !== req.user.id) {
+      console.warn('❌ Acting user mismatch:', { field, value, tokenUser: req.user.id, path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: `${field} does not match the authenticated user`,
+        code: 'USER_MISMATCH'
+      });
+    }
+  }
+  next();
+};
+
+// Admin middleware for debug/monitoring routes that sit behind requireAuth
+const requireAdminRole = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin privileges required' });
+  }
+  next();
+};
+
+const isAdmin = (user) => user?.role === 'admin';
+
+// The class teacher, or the substitute covering the class (classes / video_sessions.substitute_teacher_id).
+// The class teacher stays the owner; the substitute gets the same host rights.
+const isSessionTeacher = (userId, session) =>
+  !!userId && !!session && (session.teacher_id === userId || session.substitute_teacher_id === userId);
+
+// Class teacher, substitute or admin: may start, end and record a session
+const isSessionHost = (user, session) => {
+  if (!user || !session) return false;
+  return isAdmin(user) || isSessionTeacher(user.id, session);
+};
+
+// Student enrolled in the class, either through students_classes or by being assigned to its teacher
+const isEnrolledStudent = async (user, classId, teacherId) => {
+  if (!user || user.role !== 'student') return false;
+
+  if (classId) {
+    const { data: enrollment } = await supabase
+      .from('students_classes')
+      .select('student_id')
+      .eq('class_id', classId)
+      .eq('student_id', user.id)
+      .maybeSingle();
+
+    if (enrollment) return true;
+  }
+
+  if (!teacherId) return false;
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('teacher_id')
+    .eq('id', user.id)
+    .single();
+
+  return !!profile?.teacher_id && profile.teacher_id === teacherId;
+};
+
+// Host, or a user currently joined to the session (memory first, then session_participants)
+const isSessionParticipant = async (user, session) => {
+  if (isSessionHost(user, session)) return true;
+  if ((session.participants || []).includes(user.id)) return true;
+
+  const sessionId = session.db_session_id || session.id;
+  if (!sessionId) return false;
+
+  const { data: participant } = await supabase
+    .from('session_participants')
+    .select('student_id')
+    .eq('session_id', sessionId)
+    .eq('student_id', user.id)
+    .eq('status', 'joined')
+    .maybeSingle();
+
+  return !!participant;
+};
+
+// Anyone entitled to see the session: host, participant or enrolled student
+const canAccessSession = async (user, session) => {
+  if (await isSessionParticipant(user, session)) return true;
+  return isEnrolledStudent(user, session.class_id, session.teacher_id);
+};
+
+const denySessionAccess = (res, message = 'Not authorized for this session') => {
+  return res.status(403).json({ success: false, error: message, code: 'FORBIDDEN' });
+};
+
+export {
+  enforceActingUser,
+  requireAdminRole,
+  isAdmin,
+  isSessionTeacher,
+  isSessionHost,
+  isEnrolledStudent,
+  isSessionParticipant,
+  canAccessSession,
+  denySessionAccess
+};
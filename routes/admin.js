@@ -5,18 +5,105 @@
 import express from 'express';
 import { supabase, clearCache, getCache, setCache } from '../server.js';
 import { requireAdmin } from '../middleware/auth.js';
-import { generateSecurePassword, sanitizeInput } from '../utils/helpers.js';
+import { sanitizeInput } from '../utils/helpers.js';
+import { AgoraConfigError } from '../utils/agoraTokens.js';
+import {
+  LedgerError,
+  INVOICE_STATUSES,
+  periodOf,
+  isValidPeriod,
+  listFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  listInvoices,
+  createInvoice,
+  listPayments,
+  recordPayment,
+  confirmPayment,
+  rejectPayment,
+  getStudentFeeSummaries,
+  computeFeeStatistics
+} from '../utils/feeLedger.js';
+import { runBillingJob, getOverdueReport, getBillingJobStatus } from '../utils/billingJob.js';
+import { buildInvoiceDocument, buildReceiptDocument, sendFeeDocument } from '../utils/feeDocuments.js';
+import { joinVideoSession, loadLiveSession, removeFromVideoSession, readmitToVideoSession } from './agora.js';
+import { AssignmentError, migrateLegacyAssignments } from '../utils/assignments.js';
+import { AttendanceError, getAttendanceOverview, getClassAttendance, overrideAttendance } from '../utils/attendance.js';
+import {
+  SeriesError,
+  legacyRecurrence,
+  listSeriesOccurrences,
+  mergeClassListing,
+  getSeries,
+  listSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  setOccurrenceException,
+  clearOccurrenceException
+} from '../utils/classSeries.js';
+import {
+  getDefaultTimezone,
+  normalizeTimezone,
+  parseInTimezone,
+  getViewerTimezone,
+  localizeClass
+} from '../utils/timezones.js';
+import {
+  AvailabilityError,
+  getAvailability,
+  setAvailability,
+  addTimeOff,
+  removeTimeOff,
+  checkTeacherSchedule,
+  seriesSlots,
+  findFreeSlots,
+  checkTeacherCapacity
+} from '../utils/availability.js';
+import { SubstitutionError, assignSubstitute, clearSubstitute, listSubstitutions } from '../utils/substitutions.js';
+import { runClassReminders, getClassReminderStatus } from '../utils/classReminders.js';
+import { InviteError, issueInvite, resendInvite, revokeInvites, getInviteStatus } from '../utils/invites.js';
+import {
+  MailError,
+  EMAIL_TEMPLATES,
+  queueEmail,
+  processEmailQueue,
+  getMailStatus,
+  listEmails,
+  getEmail,
+  retryEmail
+} from '../utils/mailer.js';
 
 const router = express.Router();
 
 // Apply admin authentication middleware to all routes
 router.use(requireAdmin);
 
-// Placeholder for sendAdminWelcomeEmail function (to be implemented based on email provider)
-async function sendAdminWelcomeEmail(email, name) {
-  // This is a placeholder for sending a custom welcome email
-  // In a real implementation, this would use an email service like Resend
-  console.log(`📧 Placeholder: Sending welcome email to ${email} for ${name}`);
+// Welcome email for a newly registered admin, who chose their own password. Never throws.
+async function sendAdminWelcomeEmail({ id, email, name }, createdBy) {
+  try {
+    return await queueEmail({
+      to: email,
+      userId: id,
+      template: 'welcome',
+      data: { name, email, role: 'admin' },
+      createdBy
+    });
+  } catch (emailError) {
+    console.error(`⚠️ Failed to queue welcome email for ${email}:`, emailError.message);
+    return { to_email: email, template: 'welcome', status: 'failed', last_error: emailError.message };
+  }
+}
+
+// Email a new account its invite link to set a password. Never throws: the account exists either
+// way, and the invite can be sent again from POST /users/:userId/invite.
+async function sendAccountInvite(profile, createdBy) {
+  try {
+    return await issueInvite(profile, { createdBy });
+  } catch (inviteError) {
+    console.error(`⚠️ Failed to invite ${profile.email}:`, inviteError.message);
+    return { invite: null, email: null, error: inviteError.message };
+  }
 }
 
 // Admin registration endpoint with error handling
@@ -160,12 +247,8 @@ router.post('/register', async (req, res) => {
     console.log('✅ Profile handled:', profileData);
 
     if (sendConfirmationEmail) {
-      try {
-        await sendAdminWelcomeEmail(email, name);
-        console.log('📧 Custom admin welcome email sent');
-      } catch (emailError) {
-        console.error('⚠️ Failed to send welcome email:', emailError);
-      }
+      const welcomeEmail = await sendAdminWelcomeEmail({ id: authData.user.id, email, name }, req.user?.id);
+      console.log(`📧 Admin welcome email ${welcomeEmail.status}`);
     }
 
     console.log('🎉 Admin created successfully');
@@ -336,6 +419,11 @@ router.post('/teachers', async (req, res) => {
     const sanitizedEmail = sanitizeInput(email).toLowerCase();
     const sanitizedSubject = sanitizeInput(subject);
 
+    const timezone = req.body.timezone ? normalizeTimezone(req.body.timezone) : getDefaultTimezone();
+    if (!timezone) {
+      return res.status(400).json({ success: false, error: 'timezone must be an IANA timezone such as Africa/Cairo' });
+    }
+
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(sanitizedEmail)) {
       return res.status(400).json({ success: false, error: 'Invalid email format' });
@@ -358,12 +446,9 @@ router.post('/teachers', async (req, res) => {
       return res.status(400).json({ success: false, error: `User with email ${sanitizedEmail} already exists in profiles` });
     }
 
-    const password = generateSecurePassword(12);
-
-    // Create auth user
+    // Created without a password; the teacher sets one from the invite link
     const { data: authData, error: authError } = await supabase.auth.admin.createUser({
       email: sanitizedEmail,
-      password,
       email_confirm: true,
       user_metadata: {
         name: sanitizedName,
@@ -387,6 +472,7 @@ router.post('/teachers', async (req, res) => {
       name: sanitizedName,
       role: 'teacher',
       subject: sanitizedSubject,
+      timezone,
       status: 'active',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -412,9 +498,14 @@ router.post('/teachers', async (req, res) => {
       user_agent: userAgent
     }).then(() => console.log('Action logged')).catch(err => console.warn('Failed to log action:', err));
 
+    const onboarding = await sendAccountInvite(
+      { id: createdUserId, email: sanitizedEmail, name: sanitizedName, role: 'teacher' },
+      req.user.id
+    );
+
     return res.status(201).json({
       success: true,
-      message: 'Teacher created successfully',
+      message: `Teacher created successfully. An invite to set a password was emailed to ${sanitizedEmail}.`,
       teacher: {
         id: createdUserId,
         email: sanitizedEmail,
@@ -422,11 +513,8 @@ router.post('/teachers', async (req, res) => {
         subject: sanitizedSubject,
         status: 'active'
       },
-      credentials: {
-        email: sanitizedEmail,
-        password,
-        login_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/teacher-login`
-      }
+      invite: onboarding.invite,
+      invite_email: onboarding.email
     });
 
   } catch (error) {
@@ -439,7 +527,19 @@ router.post('/teachers', async (req, res) => {
 });
 
 
-// Get teacher credentials for resending invite
+// ==================== ACCOUNT INVITES ====================
+// Accounts are created without a password: the user sets one from an emailed single-use link,
+// posted to /api/auth/accept-invite. Plaintext passwords never leave this server.
+
+const handleInviteError = (res, error, context) => {
+  if (error instanceof InviteError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// Sign-in details and invite state for a teacher; there is no password to return
 router.get('/teachers/:teacherId/credentials', async (req, res) => {
   try {
     const { teacherId } = req.params;
@@ -456,22 +556,22 @@ router.get('/teachers/:teacherId/credentials', async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
 
-    //  reset the password or generate a new one
-    // For now, we'll return a placeholder (you might want to store initial passwords)
+    const { state, invite } = await getInviteStatus(teacherId);
+
     res.json({
       email: teacher.email,
-      password: '[Password was set during creation]', // You might want to store this during teacher creation
       login_url: `${process.env.FRONTEND_URL || 'https://madinaquran.vercel.app'}/teacher-login`,
-      teacherName: teacher.name
+      teacherName: teacher.name,
+      invite_state: state,
+      invite
     });
 
   } catch (error) {
-    console.error('❌ Error fetching teacher credentials:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleInviteError(res, error, 'fetching teacher credentials');
   }
 });
 
-// Reset teacher password
+// Reset teacher password: emails a link to choose a new one; the current password keeps working until then
 router.post('/teachers/:teacherId/reset-password', async (req, res) => {
   try {
     const { teacherId } = req.params;
@@ -492,55 +592,68 @@ router.post('/teachers/:teacherId/reset-password', async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
 
-    // Generate new password
-    const newPassword = generateSecurePassword(12);
+    const reset = await issueInvite(teacher, { purpose: 'password_reset', createdBy: req.user.id });
 
-    // Update auth user password
-    const { error: updateError } = await supabase.auth.admin.updateUserById(teacherId, {
-      password: newPassword
+    await logClassAction(req.user.id, 'reset_teacher_password', 'profile', teacherId, {
+      teacher_email: teacher.email,
+      invite_id: reset.invite.id
     });
 
-    if (updateError) {
-      console.error('❌ Password update error:', updateError);
-      return res.status(400).json({ error: 'Failed to update password' });
-    }
-
-    // Log admin action
-    try {
-      await supabase
-        .from('admin_actions')
-        .insert([
-          {
-            admin_id: req.user.id,
-            action_type: 'reset_teacher_password',
-            target_type: 'profile',
-            target_id: teacherId,
-            details: { teacher_email: teacher.email },
-            performed_at: new Date().toISOString()
-          }
-        ]);
-    } catch (logError) {
-      console.warn('⚠️ Failed to log password reset action:', logError);
-    }
-
     res.json({
       success: true,
-      message: 'Teacher password reset successfully',
+      message: `A password reset link was emailed to ${teacher.email}.`,
       teacher: {
         id: teacher.id,
         email: teacher.email,
         name: teacher.name
       },
-      credentials: {
-        email: teacher.email,
-        password: newPassword,
-        login_url: `${process.env.APP_URL || 'https://madinaquran.vercel.app/'}/teacher-login`
-      }
+      invite: reset.invite,
+      reset_email: reset.email
     });
 
   } catch (error) {
-    console.error('❌ Error resetting teacher password:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleInviteError(res, error, 'resetting teacher password');
+  }
+});
+
+// Latest invite of any user: state none | pending | accepted | expired | revoked
+router.get('/users/:userId/invite', async (req, res) => {
+  try {
+    res.json(await getInviteStatus(req.params.userId));
+  } catch (error) {
+    handleInviteError(res, error, 'fetching invite');
+  }
+});
+
+// Send a fresh link, revoking the open one. { purpose } picks invite or password_reset; by default
+// users who never accepted an invite get a new invite, others a password reset link.
+router.post('/users/:userId/invite', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await resendInvite(userId, { purpose: req.body?.purpose, createdBy: req.user.id });
+
+    await logClassAction(req.user.id, 'resend_invite', 'profile', userId, {
+      email: result.invite.email,
+      purpose: result.invite.purpose
+    });
+
+    res.status(201).json({ message: `A new link was emailed to ${result.invite.email}`, ...result });
+  } catch (error) {
+    handleInviteError(res, error, 'resending invite');
+  }
+});
+
+// Revoke the user's open links; the account itself is untouched
+router.delete('/users/:userId/invite', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const revoked = await revokeInvites(userId);
+
+    await logClassAction(req.user.id, 'revoke_invite', 'profile', userId, { revoked });
+
+    res.json({ message: revoked > 0 ? 'Invite revoked' : 'No open invite to revoke', revoked });
+  } catch (error) {
+    handleInviteError(res, error, 'revoking invite');
   }
 });
 
@@ -621,6 +734,20 @@ router.delete('/teachers/:id', async (req, res) => {
   }
 });
 
+// Teacher capacity check for student assignment ({ force: true } to go over the limit).
+// Sends the 409 itself and returns null when the teacher is full, otherwise returns warnings.
+const checkCapacityOrReply = async (res, teacherId, options) => {
+  try {
+    return await checkTeacherCapacity(teacherId, options);
+  } catch (error) {
+    if (error instanceof AvailabilityError) {
+      res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+      return null;
+    }
+    throw error;
+  }
+};
+
 // Create student with teacher assignment
 router.post('/students', async (req, res) => {
   try {
@@ -630,6 +757,11 @@ router.post('/students', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: name, email, course, teacher_id' });
     }
 
+    const timezone = req.body.timezone ? normalizeTimezone(req.body.timezone) : getDefaultTimezone();
+    if (!timezone) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/London' });
+    }
+
     // Check if student already exists
     const { data: existingStudent, error: checkError } = await supabase
       .from('profiles')
@@ -663,13 +795,12 @@ router.post('/students', async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
 
-    // Generate random password
-    const password = generateSecurePassword();
+    const warnings = await checkCapacityOrReply(res, teacher_id, { force: !!req.body.force });
+    if (!warnings) return;
 
-    // Create auth user
+    // Created without a password; the student sets one from the invite link
     const { data: authData, error: authError } = await supabase.auth.admin.createUser({
       email,
-      password,
       email_confirm: true,
       user_metadata: { name, role: 'student' }
     });
@@ -690,6 +821,7 @@ router.post('/students', async (req, res) => {
           role: 'student',
           course,
           teacher_id,
+          timezone,
           status: 'active',
           created_at: new Date().toISOString()
         }
@@ -738,6 +870,8 @@ router.post('/students', async (req, res) => {
     // Clear cache
     clearCache('students');
 
+    const onboarding = await sendAccountInvite({ id: authData.user.id, email, name, role: 'student' }, req.user.id);
+
     res.status(201).json({
       message: 'Student created successfully and assigned to teacher',
       student: {
@@ -748,7 +882,10 @@ router.post('/students', async (req, res) => {
         teacher_id,
         teacher_name: teacher.name,
         status: 'active'
-      }
+      },
+      invite: onboarding.invite,
+      invite_email: onboarding.email,
+      warnings
     });
   } catch (error) {
     console.error('❌ Error creating student:', error);
@@ -792,6 +929,9 @@ router.post('/students/:studentId/assign', async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
 
+    const warnings = await checkCapacityOrReply(res, teacher_id, { force: !!req.body.force, studentId });
+    if (!warnings) return;
+
     // Update student's teacher assignment
     const { data, error: updateError } = await supabase
       .from('profiles')
@@ -851,7 +991,8 @@ router.post('/students/:studentId/assign', async (req, res) => {
     res.json({ 
       message: 'Student assigned successfully',
       student: data[0],
-      teacher: teacher.name
+      teacher: teacher.name,
+      warnings
     });
   } catch (error) {
     console.error('❌ Error assigning student:', error);
@@ -903,6 +1044,9 @@ router.patch('/students/:id/reassign', async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
 
+    const warnings = await checkCapacityOrReply(res, teacher_id, { force: !!req.body.force, studentId });
+    if (!warnings) return;
+
     // Update student's teacher assignment
     const { data, error: updateError } = await supabase
       .from('profiles')
@@ -962,7 +1106,8 @@ router.patch('/students/:id/reassign', async (req, res) => {
     res.json({ 
       message: 'Student reassigned successfully',
       student: data[0],
-      new_teacher: teacher.name
+      new_teacher: teacher.name,
+      warnings
     });
   } catch (error) {
     console.error('❌ Error reassigning student:', error);
@@ -1159,75 +1304,6 @@ router.get('/students', async (req, res) => {
   }
 });
 
-// In routes/admin.js - Add this endpoint
-router.post('/teachers/:teacherId/reset-password', async (req, res) => {
-  try {
-    const { teacherId } = req.params;
-    
-    if (!teacherId) {
-      return res.status(400).json({ error: 'Teacher ID is required' });
-    }
-
-    // Verify teacher exists
-    const { data: teacher, error: teacherError } = await supabase
-      .from('profiles')
-      .select('id, email, name, role')
-      .eq('id', teacherId)
-      .eq('role', 'teacher')
-      .single();
-
-    if (teacherError || !teacher) {
-      return res.status(404).json({ error: 'Teacher not found' });
-    }
-
-    // Generate new secure password
-    const newPassword = generateSecurePassword(12);
-
-    // Update auth user password
-    const { error: updateError } = await supabase.auth.admin.updateUserById(teacherId, {
-      password: newPassword
-    });
-
-    if (updateError) {
-      console.error('❌ Password update error:', updateError);
-      return res.status(400).json({ error: 'Failed to update password' });
-    }
-
-    // Log admin action
-    try {
-      await supabase
-        .from('admin_actions')
-        .insert([
-          {
-            admin_id: req.user.id,
-            action_type: 'reset_teacher_password',
-            target_type: 'profile',
-            target_id: teacherId,
-            details: { teacher_email: teacher.email },
-            performed_at: new Date().toISOString()
-          }
-        ]);
-    } catch (logError) {
-      console.warn('⚠️ Failed to log password reset action:', logError);
-    }
-
-    res.json({
-      success: true,
-      message: 'Teacher password reset successfully',
-      credentials: {
-        email: teacher.email,
-        password: newPassword,
-        login_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/teacher-login`,
-        teacherName: teacher.name
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error resetting teacher password:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // Get students by teacher ID
 router.get('/students/teacher/:teacherId', async (req, res) => {
   try {
@@ -1277,230 +1353,821 @@ router.get('/students/teacher/:teacherId', async (req, res) => {
   }
 });
 
-// Get current admin profile
-router.get('/profile', async (req, res) => {
+// Guardian (family account) management: a guardian profile can be linked to several students
+// through guardian_students (guardian_id, student_id, relationship, created_by, created_at)
+const linkGuardianToStudents = async (guardianId, studentIds, relationship, adminId) => {
+  const { data: students, error } = await supabase
+    .from('profiles')
+    .select('id')
+    .in('id', studentIds)
+    .eq('role', 'student');
+
+  if (error) throw error;
+
+  const found = (students || []).map(s => s.id);
+  const missing = studentIds.filter(id => !found.includes(id));
+  if (found.length === 0) return { linked: [], missing };
+
+  const { error: linkError } = await supabase
+    .from('guardian_students')
+    .upsert(found.map(studentId => ({
+      guardian_id: guardianId,
+      student_id: studentId,
+      relationship: relationship || null,
+      created_by: adminId,
+      created_at: new Date().toISOString()
+    })), { onConflict: 'guardian_id,student_id' });
+
+  if (linkError) throw linkError;
+  return { linked: found, missing };
+};
+
+// Create a guardian account, optionally linked to students
+router.post('/guardians', async (req, res) => {
+  let createdUserId = null;
+
   try {
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('id, name, email, role, status, created_at, updated_at')
-      .eq('id', req.user.id)
-      .single();
+    const { name, email, phone, relationship, student_ids = [] } = req.body;
 
-    if (error) {
-      console.error('❌ Profile fetch error:', error);
-      return res.status(400).json({ error: 'Error fetching profile' });
+    if (!name || !email) {
+      return res.status(400).json({ error: 'Missing required fields: name, email' });
     }
 
-    res.json(profile);
-  } catch (error) {
-    console.error('❌ Error fetching admin profile:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    if (!Array.isArray(student_ids)) {
+      return res.status(400).json({ error: 'student_ids must be an array' });
+    }
 
-// Schedule classes
-router.post('/classes', async (req, res) => {
-  try {
-    const { 
-      title, 
-      teacher_id, 
-      scheduled_date, 
-      duration, 
-      max_students, 
-      description, 
-      recurring, 
-      recurrence_type, 
-      recurrence_days, 
-      recurrence_interval 
-    } = req.body;
-    
-    // Validate input
-    if (!title || !teacher_id || !scheduled_date) {
-      return res.status(400).json({ error: 'Title, teacher ID, and scheduled date are required' });
+    const timezone = req.body.timezone ? normalizeTimezone(req.body.timezone) : getDefaultTimezone();
+    if (!timezone) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Australia/Sydney' });
     }
 
-    // Check if teacher exists
-    const { data: teacher, error: teacherError } = await supabase
-      .from('profiles')
-      .select('id, role')
-      .eq('id', teacher_id)
-      .eq('role', 'teacher')
-      .single();
+    const sanitizedName = sanitizeInput(name);
+    const sanitizedEmail = sanitizeInput(email).toLowerCase();
 
-    if (teacherError || !teacher) {
-      return res.status(400).json({ error: 'Invalid teacher ID or teacher not found' });
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sanitizedEmail)) {
+      return res.status(400).json({ error: 'Invalid email format' });
     }
 
-    // Handle recurring classes
-    let classesToCreate = [];
-    const baseClassData = {
-      title,
-      teacher_id,
-      duration: duration || 60,
-      max_students: max_students || 20,
-      description: description || '',
-      status: 'scheduled',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    const { data: existingProfile } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('email', sanitizedEmail)
+      .maybeSingle();
 
-    if (recurring && recurrence_type && recurrence_type !== 'none') {
-      const startDate = new Date(scheduled_date);
-      const totalDays = recurrence_days || 30;
-      const interval = recurrence_interval || 1;
-      
-      let currentDate = new Date(startDate);
-      let occurrenceCount = 0;
-      const maxOccurrences = 50; // Safety limit
-
-      while (occurrenceCount < maxOccurrences) {
-        classesToCreate.push({
-          ...baseClassData,
-          scheduled_date: currentDate.toISOString(),
-          recurrence_type,
-          recurrence_sequence: occurrenceCount,
-          is_recurring: true
-        });
-
-        occurrenceCount++;
-        
-        // Calculate next date based on recurrence type
-        const nextDate = new Date(currentDate);
-        switch (recurrence_type) {
-          case 'daily':
-            nextDate.setDate(currentDate.getDate() + interval);
-            break;
-          case 'weekly':
-            nextDate.setDate(currentDate.getDate() + (7 * interval));
-            break;
-          case 'monthly':
-            nextDate.setMonth(currentDate.getMonth() + interval);
-            break;
-          default:
-            break;
-        }
+    if (existingProfile) {
+      return res.status(400).json({ error: `User with email ${sanitizedEmail} already exists` });
+    }
 
-        // Stop if we've exceeded the recurrence days
-        const daysDiff = Math.floor((nextDate - startDate) / (1000 * 60 * 60 * 24));
-        if (daysDiff >= totalDays) break;
+    // Created without a password; the guardian sets one from the invite link
+    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+      email: sanitizedEmail,
+      email_confirm: true,
+      user_metadata: { name: sanitizedName, role: 'guardian', created_by: req.user.id }
+    });
 
-        currentDate = nextDate;
-      }
-    } else {
-      // Single class
-      classesToCreate.push({
-        ...baseClassData,
-        scheduled_date: new Date(scheduled_date).toISOString(),
-        is_recurring: false
-      });
+    if (authError) {
+      console.error('❌ Auth create error:', authError);
+      return res.status(400).json({ error: authError.message });
     }
 
-    // Insert classes into database
-    const { data: createdClasses, error: insertError } = await supabase
-      .from('classes')
-      .insert(classesToCreate)
-      .select(`
-        *,
-        teacher:teacher_id (id, name, email)
-      `);
+    createdUserId = authData.user.id;
 
-    if (insertError) {
-      console.error('❌ Error creating classes:', insertError);
-      return res.status(400).json({ error: insertError.message });
+    const { error: profileError } = await supabase
+      .from('profiles')
+      .insert([
+        {
+          id: createdUserId,
+          email: sanitizedEmail,
+          name: sanitizedName,
+          phone: phone || null,
+          role: 'guardian',
+          timezone,
+          status: 'active',
+          created_at: new Date().toISOString()
+        }
+      ]);
+
+    if (profileError) {
+      await supabase.auth.admin.deleteUser(createdUserId);
+      console.error('❌ Profile create error:', profileError);
+      return res.status(400).json({ error: profileError.message });
     }
 
+    const links = student_ids.length > 0
+      ? await linkGuardianToStudents(createdUserId, student_ids, relationship, req.user.id)
+      : { linked: [], missing: [] };
+
     // Log admin action
     try {
       await supabase
         .from('admin_actions')
-        .insert(
-          createdClasses.map(cls => ({
+        .insert([
+          {
             admin_id: req.user.id,
-            action_type: 'create_class',
-            target_type: 'class',
-            target_id: cls.id,
-            details: { 
-              title: cls.title, 
-              teacher_id, 
-              scheduled_date: cls.scheduled_date,
-              is_recurring: cls.is_recurring,
-              recurrence_type: cls.recurrence_type
-            },
+            action_type: 'create_guardian',
+            target_type: 'profile',
+            target_id: createdUserId,
+            details: { email: sanitizedEmail, name: sanitizedName, student_ids: links.linked },
             performed_at: new Date().toISOString()
-          }))
-        );
+          }
+        ]);
     } catch (logError) {
       console.warn('⚠️ Failed to log admin action:', logError);
     }
 
-    // Clear cache
-    clearCache('classes');
+    clearCache('guardians');
+
+    const onboarding = await sendAccountInvite(
+      { id: createdUserId, email: sanitizedEmail, name: sanitizedName, role: 'guardian' },
+      req.user.id
+    );
 
     res.status(201).json({
-      message: classesToCreate.length > 1 
-        ? `Scheduled ${classesToCreate.length} recurring classes` 
-        : 'Class scheduled successfully',
-      classes: createdClasses,
-      total_occurrences: classesToCreate.length
+      message: `Guardian created successfully. An invite to set a password was emailed to ${sanitizedEmail}.`,
+      guardian: {
+        id: createdUserId,
+        email: sanitizedEmail,
+        name: sanitizedName,
+        status: 'active',
+        student_ids: links.linked
+      },
+      missing_students: links.missing,
+      invite: onboarding.invite,
+      invite_email: onboarding.email
     });
-
   } catch (error) {
-    console.error('❌ Error scheduling class:', error);
+    console.error('❌ Error creating guardian:', error);
+    if (createdUserId) {
+      await supabase.auth.admin.deleteUser(createdUserId).catch(deleteErr => console.error('Cleanup failed:', deleteErr));
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
-});// Get all classes with filtering
-router.get('/classes', async (req, res) => {
-  try {
-    const { teacher_id, status, start_date, end_date, page = 1, limit = 50 } = req.query;
-    
-    let query = supabase
-      .from('classes')
-      .select(`
-        *,
-        teacher:teacher_id (id, name, email),
-        video_sessions (id, meeting_id, status, started_at),
-        students_classes (student_id)
-      `, { count: 'exact' });
-
-    // Apply filters
-    if (teacher_id) query = query.eq('teacher_id', teacher_id);
-    if (status) query = query.eq('status', status);
-    if (start_date) query = query.gte('scheduled_date', start_date);
-    if (end_date) query = query.lte('scheduled_date', end_date);
+});
 
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
-    
-    query = query.order('scheduled_date', { ascending: true })
-                 .range(from, to);
+// Get all guardians with their linked students
+router.get('/guardians', async (req, res) => {
+  try {
+    const cached = getCache('guardians');
+    if (cached) {
+      return res.json(cached);
+    }
 
-    const { data: classes, error, count } = await query;
+    const { data: guardians, error } = await supabase
+      .from('profiles')
+      .select('id, name, email, phone, status, created_at')
+      .eq('role', 'guardian')
+      .order('name');
 
     if (error) {
-      console.error('Error fetching classes:', error);
+      console.error('❌ Error fetching guardians:', error);
       return res.status(400).json({ error: error.message });
     }
 
-    res.json({
-      classes,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count
-      }
-    });
+    const guardianIds = (guardians || []).map(g => g.id);
+    const { data: links } = guardianIds.length > 0
+      ? await supabase
+        .from('guardian_students')
+        .select('guardian_id, student_id, relationship, student:student_id (id, name, email, course, status)')
+        .in('guardian_id', guardianIds)
+      : { data: [] };
+
+    const result = (guardians || []).map(guardian => ({
+      ...guardian,
+      students: (links || [])
+        .filter(link => link.guardian_id === guardian.id)
+        .map(link => ({ ...link.student, relationship: link.relationship }))
+    }));
+
+    setCache('guardians', result);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error fetching guardians:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Link a guardian to a student
+router.post('/guardians/:guardianId/students', async (req, res) => {
+  try {
+    const { guardianId } = req.params;
+    const { student_id, relationship } = req.body;
+
+    if (!student_id) {
+      return res.status(400).json({ error: 'Missing required field: student_id' });
+    }
+
+    const { data: guardian } = await supabase
+      .from('profiles')
+      .select('id, name')
+      .eq('id', guardianId)
+      .eq('role', 'guardian')
+      .maybeSingle();
+
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    const { linked } = await linkGuardianToStudents(guardianId, [student_id], relationship, req.user.id);
+
+    if (linked.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    // Log admin action
+    try {
+      await supabase
+        .from('admin_actions')
+        .insert([
+          {
+            admin_id: req.user.id,
+            action_type: 'link_guardian',
+            target_type: 'profile',
+            target_id: guardianId,
+            details: { student_id, relationship: relationship || null },
+            performed_at: new Date().toISOString()
+          }
+        ]);
+    } catch (logError) {
+      console.warn('⚠️ Failed to log admin action:', logError);
+    }
+
+    clearCache('guardians');
+
+    res.status(201).json({ message: 'Student linked to guardian', guardian_id: guardianId, student_id });
+  } catch (error) {
+    console.error('❌ Error linking guardian:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlink a guardian from a student
+router.delete('/guardians/:guardianId/students/:studentId', async (req, res) => {
+  try {
+    const { guardianId, studentId } = req.params;
+
+    const { data, error } = await supabase
+      .from('guardian_students')
+      .delete()
+      .eq('guardian_id', guardianId)
+      .eq('student_id', studentId)
+      .select('guardian_id');
+
+    if (error) {
+      console.error('❌ Error unlinking guardian:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Guardian link not found' });
+    }
+
+    // Log admin action
+    try {
+      await supabase
+        .from('admin_actions')
+        .insert([
+          {
+            admin_id: req.user.id,
+            action_type: 'unlink_guardian',
+            target_type: 'profile',
+            target_id: guardianId,
+            details: { student_id: studentId },
+            performed_at: new Date().toISOString()
+          }
+        ]);
+    } catch (logError) {
+      console.warn('⚠️ Failed to log admin action:', logError);
+    }
+
+    clearCache('guardians');
+
+    res.json({ message: 'Student unlinked from guardian' });
+  } catch (error) {
+    console.error('❌ Error unlinking guardian:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get current admin profile
+router.get('/profile', async (req, res) => {
+  try {
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('id, name, email, role, status, created_at, updated_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) {
+      console.error('❌ Profile fetch error:', error);
+      return res.status(400).json({ error: 'Error fetching profile' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('❌ Error fetching admin profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Classes and class series. A recurring schedule is stored once as a class series (utils/classSeries.js)
+// and expanded into occurrences when classes are listed.
+
+const handleSeriesError = (res, error, context) => {
+  if (error instanceof SeriesError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof SubstitutionError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  // Double bookings (SCHEDULE_CONFLICT) list what they clash with in details
+  if (error instanceof AvailabilityError) {
+    return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// Series schedules are vetted against the teacher's bookings and availability before they are saved
+const seriesScheduleCheck = (force) => (teacherId, starts, duration, exclude) =>
+  checkTeacherSchedule(teacherId, seriesSlots(starts, duration), { force, exclude });
+
+const logClassAction = async (adminId, actionType, targetType, targetId, details) => {
+  try {
+    await supabase
+      .from('admin_actions')
+      .insert([
+        {
+          admin_id: adminId,
+          action_type: actionType,
+          target_type: targetType,
+          target_id: targetId,
+          details,
+          performed_at: new Date().toISOString()
+        }
+      ]);
+  } catch (logError) {
+    console.warn('⚠️ Failed to log admin action:', logError);
+  }
+};
+
+// Schedule a class. Recurring classes become a series:
+// { recurrence: { frequency, interval, weekdays, until, count } }, or the older
+// { recurring, recurrence_type, recurrence_interval, recurrence_days } fields.
+// Double bookings are refused (409 SCHEDULE_CONFLICT) unless { force: true }; times outside the
+// teacher's availability come back as warnings.
+router.post('/classes', async (req, res) => {
+  try {
+    const {
+      title,
+      teacher_id,
+      scheduled_date,
+      duration,
+      max_students,
+      description,
+      recurrence,
+      force = false
+    } = req.body || {};
+
+    // Validate input
+    if (!title || !teacher_id || !scheduled_date) {
+      return res.status(400).json({ error: 'Title, teacher ID, and scheduled date are required' });
+    }
+
+    // Check if teacher exists
+    const { data: teacher, error: teacherError } = await supabase
+      .from('profiles')
+      .select('id, role, timezone')
+      .eq('id', teacher_id)
+      .eq('role', 'teacher')
+      .single();
+
+    if (teacherError || !teacher) {
+      return res.status(400).json({ error: 'Invalid teacher ID or teacher not found' });
+    }
+
+    // Times without an offset are read in the class timezone, which defaults to the teacher's
+    const timezone = req.body.timezone
+      ? normalizeTimezone(req.body.timezone)
+      : (normalizeTimezone(teacher.timezone) || getDefaultTimezone());
+    if (!timezone) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Africa/Cairo' });
+    }
+
+    const startDate = parseInTimezone(scheduled_date, timezone);
+    if (!startDate) {
+      return res.status(400).json({ error: 'scheduled_date must be a valid date' });
+    }
+
+    const seriesRecurrence = recurrence || legacyRecurrence(req.body, startDate);
+
+    if (seriesRecurrence) {
+      const { series, warnings } = await createSeries(req.user.id, {
+        title,
+        teacher_id,
+        scheduled_date: startDate.toISOString(),
+        timezone,
+        duration,
+        max_students,
+        description,
+        recurrence: seriesRecurrence
+      }, { checkSlots: seriesScheduleCheck(force) });
+
+      await logClassAction(req.user.id, 'create_class_series', 'class_series', series.id, {
+        title: series.title,
+        teacher_id,
+        starts_at: series.starts_at,
+        timezone,
+        frequency: series.frequency,
+        interval: series.interval,
+        weekdays: series.weekdays,
+        until: series.until,
+        count: series.count
+      });
+
+      clearCache('classes');
+
+      const { classes } = mergeClassListing([], await listSeriesOccurrences({ seriesIds: [series.id] }), {
+        limit: 1000,
+        timezone: getViewerTimezone(req)
+      });
+      return res.status(201).json({
+        message: 'Recurring class scheduled successfully',
+        series,
+        // Upcoming occurrences only; open-ended series continue past this list
+        classes,
+        total_occurrences: series.count || series.until ? classes.length : null,
+        warnings
+      });
+    }
+
+    const warnings = await checkTeacherSchedule(teacher_id, [{ start: startDate, duration: duration || 60 }], { force });
+
+    const { data: createdClasses, error: insertError } = await supabase
+      .from('classes')
+      .insert([{
+        title,
+        teacher_id,
+        duration: duration || 60,
+        max_students: max_students || 20,
+        description: description || '',
+        status: 'scheduled',
+        scheduled_date: startDate.toISOString(),
+        is_recurring: false,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select(`
+        *,
+        teacher:teacher_id (id, name, email)
+      `);
+
+    if (insertError) {
+      console.error('❌ Error creating classes:', insertError);
+      return res.status(400).json({ error: insertError.message });
+    }
+
+    await logClassAction(req.user.id, 'create_class', 'class', createdClasses[0].id, {
+      title,
+      teacher_id,
+      scheduled_date: createdClasses[0].scheduled_date,
+      timezone,
+      is_recurring: false
+    });
+
+    // Clear cache
+    clearCache('classes');
+
+    res.status(201).json({
+      message: 'Class scheduled successfully',
+      classes: createdClasses.map(cls => localizeClass(cls, getViewerTimezone(req))),
+      total_occurrences: 1,
+      warnings
+    });
+
+  } catch (error) {
+    handleSeriesError(res, error, 'scheduling class');
+  }
+});
+
+// Get all classes with filtering; series occurrences are expanded up to end_date
+// (or the default horizon) and merged with single classes
+router.get('/classes', async (req, res) => {
+  try {
+    const { teacher_id, status, start_date, end_date, page = 1, limit = 50 } = req.query;
+    
+    let query = supabase
+      .from('classes')
+      .select(`
+        *,
+        teacher:teacher_id (id, name, email),
+        video_sessions (id, meeting_id, status, started_at),
+        students_classes (student_id)
+      `)
+      .is('series_id', null);
+
+    // Apply filters
+    if (teacher_id) query = query.eq('teacher_id', teacher_id);
+    if (status) query = query.eq('status', status);
+    if (start_date) query = query.gte('scheduled_date', start_date);
+    if (end_date) query = query.lte('scheduled_date', end_date);
+
+    const { data: classes, error } = await query.order('scheduled_date', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching classes:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const occurrences = await listSeriesOccurrences({
+      teacherId: teacher_id,
+      from: start_date,
+      to: end_date,
+      status
+    });
+
+    res.json(mergeClassListing(classes || [], occurrences, { page, limit, timezone: getViewerTimezone(req) }));
+  } catch (error) {
+    handleSeriesError(res, error, 'fetching classes');
+  }
+});
+
+router.get('/class-series', async (req, res) => {
+  try {
+    res.json({ series: await listSeries({ teacherId: req.query.teacher_id }) });
+  } catch (error) {
+    handleSeriesError(res, error, 'fetching class series');
+  }
+});
+
+// A series with its occurrences in a range (?start_date, ?end_date)
+router.get('/class-series/:id', async (req, res) => {
+  try {
+    const series = await getSeries(req.params.id);
+    const occurrences = await listSeriesOccurrences({
+      seriesIds: [series.id],
+      from: req.query.start_date,
+      to: req.query.end_date
+    });
+    res.json({ series, occurrences });
+  } catch (error) {
+    handleSeriesError(res, error, 'fetching class series');
+  }
+});
+
+// Edit a series: { title, description, duration, max_students, teacher_id, scheduled_date, timezone, recurrence }.
+// With { from: <occurrence start> } only that class and the following ones change ("this and following").
+// New times are checked for double bookings like POST /classes ({ force: true } to book anyway).
+router.put('/class-series/:id', async (req, res) => {
+  try {
+    const { from, force = false, ...changes } = req.body || {};
+    const result = await updateSeries(req.params.id, req.user.id, changes, {
+      from,
+      checkSlots: seriesScheduleCheck(force)
+    });
+
+    await logClassAction(req.user.id, 'update_class_series', 'class_series', req.params.id, {
+      ...changes,
+      from: from || null,
+      new_series_id: result.previous ? result.series.id : null
+    });
+    clearCache('classes');
+
+    res.json({
+      message: result.previous ? 'Class series split and updated successfully' : 'Class series updated successfully',
+      ...result
+    });
+  } catch (error) {
+    handleSeriesError(res, error, 'updating class series');
+  }
+});
+
+// Delete a series, or end it before ?from=<occurrence start>. Classes that were held are kept.
+router.delete('/class-series/:id', async (req, res) => {
+  try {
+    const result = await deleteSeries(req.params.id, { from: req.query.from });
+
+    await logClassAction(req.user.id, 'delete_class_series', 'class_series', req.params.id, {
+      from: req.query.from || null,
+      ...result
+    });
+    clearCache('classes');
+
+    res.json({
+      message: result.deleted ? 'Class series deleted successfully' : 'Class series ended successfully',
+      ...result
+    });
+  } catch (error) {
+    handleSeriesError(res, error, 'deleting class series');
+  }
+});
+
+// Change one occurrence (start as ISO date or milliseconds):
+// { cancelled, scheduled_date, duration, substitute_teacher_id, note, force }
+router.put('/class-series/:id/occurrences/:occurrence', async (req, res) => {
+  try {
+    const { occurrence, warnings } = await setOccurrenceException(
+      req.params.id,
+      req.params.occurrence,
+      req.user.id,
+      req.body || {},
+      { checkSlots: seriesScheduleCheck(!!req.body?.force) }
+    );
+
+    await logClassAction(req.user.id, 'update_class_occurrence', 'class_series', req.params.id, {
+      occurrence_start: occurrence.occurrence_start,
+      ...occurrence.exception
+    });
+    clearCache('classes');
+
+    res.json({ message: 'Class updated successfully', occurrence, warnings });
+  } catch (error) {
+    handleSeriesError(res, error, 'updating class occurrence');
+  }
+});
+
+// Undo changes to one occurrence
+router.delete('/class-series/:id/occurrences/:occurrence', async (req, res) => {
+  try {
+    await clearOccurrenceException(req.params.id, req.params.occurrence);
+
+    await logClassAction(req.user.id, 'reset_class_occurrence', 'class_series', req.params.id, {
+      occurrence: req.params.occurrence
+    });
+    clearCache('classes');
+
+    res.json({ message: 'Class reset to the series schedule' });
+  } catch (error) {
+    handleSeriesError(res, error, 'resetting class occurrence');
+  }
+});
+
+// Substitute teachers, for one class ({ class_id }, occurrence ids included) or for every scheduled
+// class of a teacher in a date range ({ teacher_id, from, to }). The class teacher keeps ownership.
+
+// ?teacher_id, ?substitute_teacher_id, ?from, ?to (default: the next 30 days)
+router.get('/substitutions', async (req, res) => {
+  try {
+    const classes = await listSubstitutions({
+      teacherId: req.query.teacher_id,
+      substituteId: req.query.substitute_teacher_id,
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ classes: classes.map(cls => localizeClass(cls, getViewerTimezone(req))) });
+  } catch (error) {
+    handleSeriesError(res, error, 'fetching substitutions');
+  }
+});
+
+// { substitute_teacher_id, class_id | teacher_id + from + to, note, force }
+router.post('/substitutions', async (req, res) => {
+  try {
+    const { class_id, teacher_id, from, to, substitute_teacher_id, note, force } = req.body || {};
+
+    const result = await assignSubstitute(req.user.id, { class_id, teacher_id, from, to }, {
+      substitute_teacher_id,
+      note,
+      force: !!force
+    });
+
+    await logClassAction(req.user.id, 'assign_substitute', class_id ? 'class' : 'profile', class_id || teacher_id, {
+      teacher_id: result.teacher_id,
+      substitute_teacher_id: result.substitute.id,
+      range: result.range,
+      class_ids: result.classes.map(c => c.id),
+      forced: !!force && result.warnings.some(w => w.type === 'double_booking'),
+      students_notified: result.notified
+    });
+    clearCache('classes');
+
+    console.log('✅ Substitute assigned:', {
+      substitute: result.substitute.id,
+      teacher: result.teacher_id,
+      classes: result.classes.length
+    });
+
+    res.json({
+      message: `Substitute assigned to ${result.classes.length} class(es)`,
+      ...result,
+      classes: result.classes.map(cls => localizeClass(cls, getViewerTimezone(req)))
+    });
+  } catch (error) {
+    handleSeriesError(res, error, 'assigning substitute');
+  }
+});
+
+// ?class_id or ?teacher_id&from&to; ?substitute_teacher_id only removes that substitute
+router.delete('/substitutions', async (req, res) => {
+  try {
+    const { class_id, teacher_id, from, to, substitute_teacher_id } = req.query;
+
+    const result = await clearSubstitute(req.user.id, { class_id, teacher_id, from, to, substitute_teacher_id });
+
+    await logClassAction(req.user.id, 'remove_substitute', class_id ? 'class' : 'profile', class_id || teacher_id, {
+      teacher_id: result.teacher_id,
+      range: result.range,
+      classes: result.classes.map(c => ({ id: c.id, substitute_teacher_id: c.previous_substitute_id })),
+      students_notified: result.notified
+    });
+    clearCache('classes');
+
+    res.json({
+      message: `Substitute removed from ${result.classes.length} class(es)`,
+      ...result
+    });
+  } catch (error) {
+    handleSeriesError(res, error, 'removing substitute');
+  }
+});
+
+// Class reminders: state of the scheduler and a manual run
+router.get('/class-reminders/job', (req, res) => {
+  res.json(getClassReminderStatus());
+});
+
+// Send the reminders that are due now instead of waiting for the scheduler
+router.post('/class-reminders/run', async (req, res) => {
+  try {
+    const result = await runClassReminders();
+    if (result.skipped) {
+      return res.status(409).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error running class reminders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Teacher availability: weekly windows in the teacher's timezone, time off and student capacity
+
+router.get('/teachers/:teacherId/availability', async (req, res) => {
+  try {
+    res.json(await getAvailability(req.params.teacherId));
+  } catch (error) {
+    handleSeriesError(res, error, 'fetching teacher availability');
+  }
+});
+
+// Replace the weekly windows and/or capacity:
+// { windows: [{ weekday: 'MO', start_time: '09:00', end_time: '13:00' }], student_capacity }
+router.put('/teachers/:teacherId/availability', async (req, res) => {
+  try {
+    const availability = await setAvailability(req.params.teacherId, req.body || {});
+
+    await logClassAction(req.user.id, 'update_teacher_availability', 'profile', req.params.teacherId, {
+      windows: availability.windows.length,
+      student_capacity: availability.student_capacity
+    });
+
+    res.json({ message: 'Availability updated successfully', availability });
+  } catch (error) {
+    handleSeriesError(res, error, 'updating teacher availability');
+  }
+});
+
+// { starts_at, ends_at, reason }; lists the booked classes that fall in it
+router.post('/teachers/:teacherId/time-off', async (req, res) => {
+  try {
+    const result = await addTimeOff(req.params.teacherId, req.user.id, req.body || {});
+
+    await logClassAction(req.user.id, 'add_teacher_time_off', 'profile', req.params.teacherId, {
+      starts_at: result.time_off.starts_at,
+      ends_at: result.time_off.ends_at,
+      affected_classes: result.affected_classes.length
+    });
+
+    res.status(201).json({ message: 'Time off added successfully', ...result });
+  } catch (error) {
+    handleSeriesError(res, error, 'adding teacher time off');
+  }
+});
+
+router.delete('/teachers/:teacherId/time-off/:timeOffId', async (req, res) => {
+  try {
+    await removeTimeOff(req.params.teacherId, req.params.timeOffId);
+    res.json({ message: 'Time off removed successfully' });
+  } catch (error) {
+    handleSeriesError(res, error, 'removing teacher time off');
+  }
+});
+
+// Free time inside the teacher's availability (?from, ?to, ?duration in minutes)
+router.get('/teachers/:teacherId/free-slots', async (req, res) => {
+  try {
+    res.json(await findFreeSlots(req.params.teacherId, req.query));
   } catch (error) {
-    console.error('Error fetching classes:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleSeriesError(res, error, 'finding free slots');
   }
 });
 
-// Update class
+// Update class. Changes to the time, duration or teacher are checked for double bookings
+// ({ force: true } to save anyway); the response carries any warnings.
 router.put('/classes/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { force = false, timezone: requestedTimezone, ...updates } = req.body || {};
 
     // Validate updates
     if (updates.teacher_id) {
@@ -1516,6 +2183,56 @@ router.put('/classes/:id', async (req, res) => {
       }
     }
 
+    let warnings = [];
+    if (updates.scheduled_date || updates.duration || updates.teacher_id) {
+      const { data: current } = await supabase
+        .from('classes')
+        .select('id, teacher_id, scheduled_date, duration, status')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (!current) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      // Times without an offset are read in the given timezone, else the teacher's, as on create
+      if (updates.scheduled_date) {
+        const { data: teacher } = await supabase
+          .from('profiles')
+          .select('timezone')
+          .eq('id', updates.teacher_id || current.teacher_id)
+          .maybeSingle();
+
+        const timezone = requestedTimezone
+          ? normalizeTimezone(requestedTimezone)
+          : (normalizeTimezone(teacher?.timezone) || getDefaultTimezone());
+        if (!timezone) {
+          return res.status(400).json({ error: 'timezone must be an IANA timezone such as Africa/Cairo' });
+        }
+
+        const startDate = parseInTimezone(updates.scheduled_date, timezone);
+        if (!startDate) {
+          return res.status(400).json({ error: 'scheduled_date must be a valid date' });
+        }
+        updates.scheduled_date = startDate.toISOString();
+      }
+
+      if ((updates.status || current.status) !== 'cancelled') {
+        try {
+          warnings = await checkTeacherSchedule(
+            updates.teacher_id || current.teacher_id,
+            [{ start: updates.scheduled_date || current.scheduled_date, duration: updates.duration || current.duration || 60 }],
+            { force, exclude: { classIds: [id] } }
+          );
+        } catch (checkError) {
+          if (checkError instanceof AvailabilityError) {
+            return res.status(checkError.status).json({ error: checkError.message, code: checkError.code, details: checkError.details });
+          }
+          throw checkError;
+        }
+      }
+    }
+
     const { data: classData, error } = await supabase
       .from('classes')
       .update({
@@ -1555,7 +2272,7 @@ router.put('/classes/:id', async (req, res) => {
     // Clear cache
     clearCache('classes');
 
-    res.json(classData);
+    res.json({ ...classData, warnings });
   } catch (error) {
     console.error('Error updating class:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -1616,12 +2333,45 @@ router.delete('/classes/:id', async (req, res) => {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
-// Add these fee management routes to admin.js
+// Fee management routes, backed by the ledger in utils/feeLedger.js (fee_plans, invoices, payments)
+
+// Ledger errors carry their own status; anything else is a 500
+const handleLedgerError = (res, error, context) => {
+  if (error instanceof LedgerError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error in ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+const logPaymentAction = async (adminId, actionType, paymentId, details) => {
+  try {
+    await supabase
+      .from('admin_actions')
+      .insert([
+        {
+          admin_id: adminId,
+          action_type: actionType,
+          target_type: 'payment',
+          target_id: paymentId,
+          details,
+          performed_at: new Date().toISOString()
+        }
+      ]);
+  } catch (logError) {
+    console.warn(`⚠️ Failed to log ${actionType}:`, logError);
+  }
+};
 
-// Get students with fee information
+// Get students with fee information for the current (or ?period=YYYY-MM) billing period
 router.get('/fees/students', async (req, res) => {
   try {
     console.log('💰 Fetching students with fee information...');
+    const period = req.query.period || periodOf();
+
+    if (!isValidPeriod(period)) {
+      return res.status(400).json({ error: 'Period must be formatted as YYYY-MM' });
+    }
     
     const { data: students, error } = await supabase
       .from('profiles')
@@ -1642,102 +2392,271 @@ router.get('/fees/students', async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
-    // Add mock fee data (replace with actual fee logic when implemented)
-    const studentsWithFees = students.map(student => ({
-      ...student,
-      fee_status: 'paid', // Mock data
-      amount_paid: 100, // Mock data
-      payment_date: new Date().toISOString(), // Mock data
-      payment_method: 'bank_transfer' // Mock data
-    }));
+    const studentsWithFees = await getStudentFeeSummaries(students || [], period);
 
     res.json(studentsWithFees);
   } catch (error) {
-    console.error('❌ Error in fees/students:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleLedgerError(res, error, 'fees/students');
   }
 });
 
-// Get fee statistics
+// Get fee statistics computed from invoices and payments
 router.get('/fees/statistics', async (req, res) => {
   try {
     console.log('📊 Fetching fee statistics...');
-    
-    // Get all students
-    const { data: students, error } = await supabase
-      .from('profiles')
-      .select('id, status')
-      .eq('role', 'student');
+    const period = req.query.period || periodOf();
 
-    if (error) {
-      console.error('❌ Error fetching students for statistics:', error);
-      return res.status(400).json({ error: error.message });
+    if (!isValidPeriod(period)) {
+      return res.status(400).json({ error: 'Period must be formatted as YYYY-MM' });
     }
 
-    // Mock statistics (replace with actual fee calculations)
-    const totalStudents = students.length;
-    const activeStudents = students.filter(s => s.status === 'active').length;
-    
-    const statistics = {
-      total_students: totalStudents,
-      active_students: activeStudents,
-      total_revenue: totalStudents * 100, // Mock data
-      paid_students: Math.floor(activeStudents * 0.8), // Mock data - 80% paid
-      pending_payments: Math.floor(activeStudents * 0.2), // Mock data - 20% pending
-      overdue_payments: Math.floor(activeStudents * 0.05), // Mock data - 5% overdue
-      monthly_revenue: 5000, // Mock data
-      average_fee: 100 // Mock data
-    };
-
-    res.json(statistics);
-  } catch (error) {
-    console.error('❌ Error in fees/statistics:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    const [statistics, overdueReport] = await Promise.all([
+      computeFeeStatistics(period),
+      getOverdueReport()
+    ]);
+
+    res.json({
+      ...statistics,
+      overdue_students: overdueReport.total_students,
+      overdue_amount: overdueReport.total_overdue_amount,
+      overdue_report: overdueReport.students.slice(0, 10)
+    });
+  } catch (error) {
+    handleLedgerError(res, error, 'fees/statistics');
   }
 });
 
-// Confirm payment
-router.post('/fees/confirm-payment', async (req, res) => {
+// Full overdue report, grouped by student
+router.get('/fees/overdue', async (req, res) => {
   try {
-    const { paymentId, paymentMethod } = req.body;
-    
-    if (!paymentId) {
-      return res.status(400).json({ error: 'Payment ID is required' });
+    const report = await getOverdueReport();
+    res.json(report);
+  } catch (error) {
+    handleLedgerError(res, error, 'fees/overdue');
+  }
+});
+
+// Billing job configuration and last run
+router.get('/fees/billing-job', (req, res) => {
+  res.json(getBillingJobStatus());
+});
+
+// Run the billing job now: generates the period's invoices and flags overdue ones
+router.post('/fees/run-billing', async (req, res) => {
+  try {
+    const { period, generate = true, mark_overdue = true } = req.body || {};
+
+    if (period && !isValidPeriod(period)) {
+      return res.status(400).json({ error: 'Period must be formatted as YYYY-MM' });
+    }
+
+    console.log('🧾 Admin triggered billing job:', { admin: req.user.id, period });
+    const result = await runBillingJob({
+      period,
+      generate: generate !== false,
+      markOverdue: mark_overdue !== false,
+      force: true
+    });
+
+    if (result.skipped) {
+      return res.status(409).json({ error: result.reason });
     }
 
-    // Mock payment confirmation (replace with actual payment processing)
-    console.log(`✅ Payment ${paymentId} confirmed via ${paymentMethod}`);
-    
-    // Log admin action
     try {
       await supabase
         .from('admin_actions')
         .insert([
           {
             admin_id: req.user.id,
-            action_type: 'confirm_payment',
-            target_type: 'payment',
-            target_id: paymentId,
-            details: { paymentMethod },
+            action_type: 'run_billing',
+            target_type: 'invoice',
+            target_id: null,
+            details: {
+              period: result.period,
+              generated: result.invoices?.generated ?? 0,
+              overdue_marked: result.overdue_marked
+            },
             performed_at: new Date().toISOString()
           }
         ]);
     } catch (logError) {
-      console.warn('⚠️ Failed to log payment confirmation:', logError);
+      console.warn('⚠️ Failed to log billing run:', logError);
+    }
+
+    res.json(result);
+  } catch (error) {
+    handleLedgerError(res, error, 'running billing job');
+  }
+});
+
+// Fee plans (one active plan per course)
+router.get('/fees/plans', async (req, res) => {
+  try {
+    const plans = await listFeePlans({ activeOnly: req.query.active === 'true' });
+    res.json(plans);
+  } catch (error) {
+    handleLedgerError(res, error, 'fees/plans');
+  }
+});
+
+router.post('/fees/plans', async (req, res) => {
+  try {
+    const { course, name, amount, currency } = req.body;
+
+    const plan = await createFeePlan({
+      course: sanitizeInput(course),
+      name: name ? sanitizeInput(name) : undefined,
+      amount,
+      currency
+    });
+
+    console.log('✅ Fee plan created:', { course: plan.course, amount: plan.amount });
+    res.status(201).json(plan);
+  } catch (error) {
+    handleLedgerError(res, error, 'creating fee plan');
+  }
+});
+
+router.put('/fees/plans/:id', async (req, res) => {
+  try {
+    const plan = await updateFeePlan(req.params.id, req.body || {});
+    res.json(plan);
+  } catch (error) {
+    handleLedgerError(res, error, 'updating fee plan');
+  }
+});
+
+// Invoices, filterable by student_id, status and period
+router.get('/fees/invoices', async (req, res) => {
+  try {
+    const { student_id, status, period } = req.query;
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${INVOICE_STATUSES.join(', ')}` });
+    }
+
+    const invoices = await listInvoices({ studentId: student_id, status, period });
+    res.json(invoices);
+  } catch (error) {
+    handleLedgerError(res, error, 'fees/invoices');
+  }
+});
+
+// Download an invoice (?format=pdf|html)
+router.get('/fees/invoices/:id/document', async (req, res) => {
+  try {
+    const document = await buildInvoiceDocument(req.params.id);
+    await sendFeeDocument(res, document, req.query.format);
+  } catch (error) {
+    handleLedgerError(res, error, 'invoice document');
+  }
+});
+
+// Issue an invoice by hand (amount defaults to the student's course fee plan)
+router.post('/fees/invoices', async (req, res) => {
+  try {
+    const { student_id, period, amount, due_date, notes } = req.body;
+
+    const invoice = await createInvoice({
+      studentId: student_id,
+      period,
+      amount,
+      dueDate: due_date,
+      notes: notes ? sanitizeInput(notes) : null
+    });
+
+    console.log('🧾 Invoice created:', { student_id, period: invoice.period, amount: invoice.amount });
+    res.status(201).json(invoice);
+  } catch (error) {
+    handleLedgerError(res, error, 'creating invoice');
+  }
+});
+
+// Payments, filterable by status and student_id
+router.get('/fees/payments', async (req, res) => {
+  try {
+    const { student_id, status, invoice_id } = req.query;
+    const payments = await listPayments({ studentId: student_id, status, invoiceId: invoice_id });
+    res.json(payments);
+  } catch (error) {
+    handleLedgerError(res, error, 'fees/payments');
+  }
+});
+
+// Download the receipt of a confirmed payment (?format=pdf|html)
+router.get('/fees/payments/:id/receipt', async (req, res) => {
+  try {
+    const document = await buildReceiptDocument(req.params.id);
+    await sendFeeDocument(res, document, req.query.format);
+  } catch (error) {
+    handleLedgerError(res, error, 'payment receipt');
+  }
+});
+
+// Record a payment against an invoice; confirm: true when the money was received directly
+router.post('/fees/payments', async (req, res) => {
+  try {
+    const { invoice_id, amount, method, reference, notes, payment_date, confirm = false } = req.body;
+
+    const result = await recordPayment({
+      invoiceId: invoice_id,
+      amount,
+      method,
+      reference: reference ? sanitizeInput(reference) : null,
+      notes: notes ? sanitizeInput(notes) : null,
+      paymentDate: payment_date,
+      recordedBy: req.user.id,
+      confirm: confirm === true
+    });
+
+    await logPaymentAction(req.user.id, 'record_payment', result.payment.id, {
+      invoice_id,
+      amount: result.payment.amount,
+      method,
+      reference: result.payment.reference,
+      status: result.payment.status
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleLedgerError(res, error, 'recording payment');
+  }
+});
+
+// Confirm payment (pending -> confirmed), updates the invoice balance
+router.post('/fees/confirm-payment', async (req, res) => {
+  try {
+    const { paymentId, paymentMethod } = req.body;
+    
+    if (!paymentId) {
+      return res.status(400).json({ error: 'Payment ID is required' });
     }
 
+    const result = await confirmPayment(paymentId, req.user.id, { method: paymentMethod });
+    console.log(`✅ Payment ${paymentId} confirmed via ${result.payment.method}`);
+    
+    await logPaymentAction(req.user.id, 'confirm_payment', paymentId, {
+      paymentMethod: result.payment.method,
+      amount: result.payment.amount,
+      invoice_id: result.payment.invoice_id,
+      invoice_status: result.invoice?.status
+    });
+
     res.json({ 
       message: 'Payment confirmed successfully',
       paymentId,
-      confirmedAt: new Date().toISOString()
+      confirmedAt: result.payment.confirmed_at,
+      receiptNumber: result.payment.receipt_number,
+      receiptUrl: `/api/admin/fees/payments/${paymentId}/receipt`,
+      payment: result.payment,
+      invoice: result.invoice
     });
   } catch (error) {
-    console.error('❌ Error confirming payment:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleLedgerError(res, error, 'confirming payment');
   }
 });
 
-// Reject payment
+// Reject payment (pending or confirmed -> rejected) with a reason
 router.post('/fees/reject-payment', async (req, res) => {
   try {
     const { paymentId, reason } = req.body;
@@ -1746,39 +2665,180 @@ router.post('/fees/reject-payment', async (req, res) => {
       return res.status(400).json({ error: 'Payment ID and reason are required' });
     }
 
-    // Mock payment rejection
-    console.log(`❌ Payment ${paymentId} rejected: ${reason}`);
+    const result = await rejectPayment(paymentId, req.user.id, sanitizeInput(reason));
+    console.log(`❌ Payment ${paymentId} rejected: ${result.payment.rejection_reason}`);
     
-    // Log admin action
-    try {
-      await supabase
-        .from('admin_actions')
-        .insert([
-          {
-            admin_id: req.user.id,
-            action_type: 'reject_payment',
-            target_type: 'payment',
-            target_id: paymentId,
-            details: { reason },
-            performed_at: new Date().toISOString()
-          }
-        ]);
-    } catch (logError) {
-      console.warn('⚠️ Failed to log payment rejection:', logError);
-    }
+    await logPaymentAction(req.user.id, 'reject_payment', paymentId, {
+      reason: result.payment.rejection_reason,
+      previous_status: result.previous_status,
+      invoice_id: result.payment.invoice_id,
+      invoice_status: result.invoice?.status
+    });
 
     res.json({ 
       message: 'Payment rejected successfully',
       paymentId,
-      reason,
-      rejectedAt: new Date().toISOString()
+      reason: result.payment.rejection_reason,
+      rejectedAt: result.payment.rejected_at,
+      payment: result.payment,
+      invoice: result.invoice
     });
   } catch (error) {
-    console.error('❌ Error rejecting payment:', error);
+    handleLedgerError(res, error, 'rejecting payment');
+  }
+});
+
+// Fold legacy per-student assignment copies into one assignment each ({ dry_run } to only count them)
+router.post('/maintenance/migrate-assignments', async (req, res) => {
+  try {
+    const dryRun = req.body?.dry_run === true;
+
+    console.log('📚 Admin triggered assignment migration:', { admin: req.user.id, dryRun });
+    const result = await migrateLegacyAssignments({ dryRun });
+
+    if (!dryRun) {
+      try {
+        await supabase
+          .from('admin_actions')
+          .insert([
+            {
+              admin_id: req.user.id,
+              action_type: 'migrate_assignments',
+              target_type: 'assignment',
+              target_id: null,
+              details: result,
+              performed_at: new Date().toISOString()
+            }
+          ]);
+      } catch (logError) {
+        console.warn('⚠️ Failed to log assignment migration:', logError);
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error migrating assignments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attendance rates per teacher from live session participation (?teacher_id, ?from, ?to)
+router.get('/attendance', async (req, res) => {
+  try {
+    res.json(await getAttendanceOverview({
+      teacherId: req.query.teacher_id,
+      from: req.query.from,
+      to: req.query.to
+    }));
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error fetching attendance overview:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attendance of one class, and overrides: { status, note }
+router.get('/classes/:id/attendance', async (req, res) => {
+  try {
+    res.json(await getClassAttendance(req.params.id, req.user));
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error fetching class attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/classes/:id/attendance/:studentId', async (req, res) => {
+  try {
+    const record = await overrideAttendance(req.params.id, req.params.studentId, req.user, req.body || {});
+    res.json({ message: 'Attendance updated successfully', record });
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error overriding attendance:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+const handleMailError = (res, error, context) => {
+  if (error instanceof MailError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// Email delivery log: ?status, ?template, ?to, ?user_id, ?page, ?limit
+router.get('/emails', async (req, res) => {
+  try {
+    const { status, template, to, user_id: userId, page, limit } = req.query;
+    res.json({
+      ...(await listEmails({ status, template, to, userId, page, limit })),
+      templates: EMAIL_TEMPLATES,
+      queue: getMailStatus()
+    });
+  } catch (error) {
+    handleMailError(res, error, 'fetching emails');
+  }
+});
+
+// One email with every delivery attempt
+router.get('/emails/:id', async (req, res) => {
+  try {
+    res.json(await getEmail(req.params.id));
+  } catch (error) {
+    handleMailError(res, error, 'fetching email');
+  }
+});
+
+// Send a failed email again
+router.post('/emails/:id/retry', async (req, res) => {
+  try {
+    const email = await retryEmail(req.params.id);
+    await logClassAction(req.user.id, 'retry_email', 'email', req.params.id, { to: email.to_email, status: email.status });
+    res.json({ message: `Email ${email.status === 'sent' ? 'sent' : 'requeued'}`, email });
+  } catch (error) {
+    handleMailError(res, error, 'retrying email');
+  }
+});
+
+// Work through due retries now instead of waiting for the scheduler
+router.post('/emails/process', async (req, res) => {
+  try {
+    res.json(await processEmailQueue());
+  } catch (error) {
+    handleMailError(res, error, 'processing email queue');
+  }
+});
+
+// { to, message }: sends the test template, to the calling admin by default
+router.post('/test-email', async (req, res) => {
+  try {
+    const recipient = req.body?.to || process.env.TEST_EMAIL || req.user.email;
+    const email = await queueEmail({
+      to: recipient,
+      template: 'test',
+      data: { message: req.body?.message },
+      createdBy: req.user.id
+    });
+
+    if (email.status !== 'sent') {
+      return res.status(502).json({ error: `Test email failed: ${email.last_error || email.status}`, email });
+    }
+    res.json({ success: true, message: 'Test email sent successfully', email });
+  } catch (error) {
+    handleMailError(res, error, 'sending test email');
+  }
+});
+
 // Get live video sessions
 router.get('/video-sessions', async (req, res) => {
   try {
@@ -1834,35 +2894,25 @@ router.get('/video-sessions', async (req, res) => {
   }
 });
 
-// Join video call as admin
+// Join video call as admin. Defaults to invisible observer mode (subscriber token, reserved UID)
+// so the admin is not counted as a participant; pass observer: false to join as a publisher.
 router.post('/join-video-call', async (req, res) => {
   try {
-    const { meetingId } = req.body;
+    const { meetingId, observer = true } = req.body;
 
     if (!meetingId) {
       return res.status(400).json({ error: 'Meeting ID is required' });
     }
 
-    // Check if meeting exists
-    const { data: meeting, error: meetingError } = await supabase
-      .from('video_sessions')
-      .select('id, meeting_id, class_id, teacher_id, status, channel_name')
-      .eq('meeting_id', meetingId)
-      .maybeSingle();
-
-    if (meetingError) {
-      console.error('❌ Error fetching meeting:', meetingError);
-      return res.status(400).json({ error: 'Error fetching meeting' });
-    }
+    const result = await joinVideoSession(req.user, meetingId, { observer: observer !== false });
 
-    if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
     }
 
-    // Generate token (placeholder for actual video provider integration)
-    const adminToken = `admin-${meetingId}-${Date.now()}`;
+    const { session, credentials } = result;
 
-    // Log admin action
+    // Log admin action (never the token itself)
     try {
       await supabase
         .from('admin_actions')
@@ -1871,8 +2921,8 @@ router.post('/join-video-call', async (req, res) => {
             admin_id: req.user.id,
             action_type: 'join_video_call',
             target_type: 'video_session',
-            target_id: meeting.id,
-            details: { meetingId, adminToken },
+            target_id: session.id,
+            details: { meetingId: session.meeting_id, uid: credentials.uid, observer: credentials.observer },
             performed_at: new Date().toISOString()
           }
         ]);
@@ -1884,21 +2934,33 @@ router.post('/join-video-call', async (req, res) => {
     clearCache('liveSessions');
 
     res.json({
-      meetingId,
-      adminToken,
-      channelName: meeting.channel_name,
-      message: 'Admin joined video call successfully'
+      meetingId: session.meeting_id,
+      adminToken: credentials.token,
+      token: credentials.token,
+      uid: credentials.uid,
+      appId: credentials.appId,
+      channelName: session.channel_name,
+      role: credentials.role,
+      observer: credentials.observer,
+      expiresAt: credentials.expiresAt,
+      message: credentials.observer
+        ? 'Admin joined video call as an observer'
+        : 'Admin joined video call successfully'
     });
   } catch (error) {
+    if (error instanceof AgoraConfigError) {
+      return res.status(500).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Error joining video call:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Remove participant from video call
+// Remove participant from video call. Either way the participant gets no new token for this meeting
+// until they are readmitted or the session ends; ban: false records it as a removal rather than a ban.
 router.post('/remove-from-video-call', async (req, res) => {
   try {
-    const { meetingId, participantId } = req.body;
+    const { meetingId, participantId, reason = null, ban = true } = req.body;
 
     if (!meetingId || !participantId) {
       return res.status(400).json({ error: 'Meeting ID and Participant ID are required' });
@@ -1936,6 +2998,21 @@ router.post('/remove-from-video-call', async (req, res) => {
       return res.status(404).json({ error: 'Participant not found' });
     }
 
+    const session = await loadLiveSession(meetingId);
+    if (!session) {
+      return res.status(400).json({ error: 'Meeting is not active' });
+    }
+
+    if (participantId === session.teacher_id) {
+      return res.status(400).json({ error: 'The session teacher cannot be removed from their own call' });
+    }
+
+    const removal = await removeFromVideoSession(session, participantId, {
+      action: ban === false ? 'removed' : 'banned',
+      removedBy: req.user.id,
+      reason
+    });
+
     // Log admin action
     try {
       await supabase
@@ -1946,7 +3023,7 @@ router.post('/remove-from-video-call', async (req, res) => {
             action_type: 'remove_from_video_call',
             target_type: 'video_session',
             target_id: meeting.id,
-            details: { meetingId, participantId, participantName: participant.name },
+            details: { meetingId, participantId, participantName: participant.name, action: removal?.action, reason },
             performed_at: new Date().toISOString()
           }
         ]);
@@ -1960,6 +3037,7 @@ router.post('/remove-from-video-call', async (req, res) => {
     res.json({
       meetingId,
       removedParticipant: participantId,
+      action: removal?.action,
       message: 'Participant removed from video call successfully'
     });
   } catch (error) {
@@ -1968,4 +3046,38 @@ router.post('/remove-from-video-call', async (req, res) => {
   }
 });
 
+// Lift a removal or ban so the participant can join the video call again
+router.post('/readmit-to-video-call', async (req, res) => {
+  try {
+    const { meetingId, participantId } = req.body || {};
+
+    if (!meetingId || !participantId) {
+      return res.status(400).json({ error: 'Meeting ID and Participant ID are required' });
+    }
+
+    const session = await loadLiveSession(meetingId);
+    if (!session) {
+      return res.status(400).json({ error: 'Meeting is not active' });
+    }
+
+    const readmitted = await readmitToVideoSession(session, participantId, { readmittedBy: req.user.id });
+    if (!readmitted) {
+      return res.status(404).json({ error: 'Participant is not removed from this meeting' });
+    }
+
+    await logClassAction(req.user.id, 'readmit_to_video_call', 'video_session', session.id, { meetingId, participantId });
+
+    clearCache('liveSessions');
+
+    res.json({
+      meetingId,
+      readmittedParticipant: participantId,
+      message: 'Participant can join the video call again'
+    });
+  } catch (error) {
+    console.error('❌ Error readmitting participant:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -1,43 +1,103 @@
 import express from 'express';
-import pkg from 'agora-access-token';
-const { RtcTokenBuilder, RtcRole } = pkg;
 import { supabase } from '../server.js';
 import { strictLimiter, standardLimiter, veryStrictLimiter } from '../middleware/rateLimiter.js';
 import { cacheMiddleware , clearCache} from '../middleware/cache.js';
+import { createSessionStore } from '../utils/sessionStore.js';
+import { sessionEvents } from '../utils/sessionEvents.js';
+import { recordClassAttendance, recordParticipantJoin, recordParticipantLeave } from '../utils/attendance.js';
+import { resolveClassId } from '../utils/classSeries.js';
+import { notifyClassStudents } from '../utils/notifications.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  AgoraConfigError,
+  DEFAULT_TOKEN_TTL,
+  isAgoraConfigured,
+  hashUserIdToNumber,
+  generateObserverUid,
+  isObserverUid,
+  buildRtcToken,
+  issueSessionToken,
+  SCREEN_SHARE_UID_OFFSET,
+  OBSERVER_UID_MIN,
+  OBSERVER_UID_MAX
+} from '../utils/agoraTokens.js';
+import {
+  enforceActingUser,
+  requireAdminRole,
+  isAdmin,
+  isSessionTeacher,
+  isSessionHost,
+  isEnrolledStudent,
+  isSessionParticipant,
+  canAccessSession,
+  denySessionAccess
+} from '../middleware/sessionPolicies.js';
 const router = express.Router();
 
-const hashUserIdToNumber = (uuid) => {
-  if (!uuid) return Math.floor(Math.random() * 1000000);
-  // Simple hashing algorithm to turn string UUID into a 32-bit integer
-  let hash = 0;
-  for (let i = 0; i < uuid.length; i++) {
-    const char = uuid.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash);
-};
-
 // ==================== ENHANCED SESSION MANAGER ====================
 class SessionManager {
-  constructor() {
+  constructor(store = null) {
     this.sessions = new Map();
+    this.sessionStore = store;
     this.cleanupInterval = setInterval(() => this.cleanup(), 300000); // 5 minutes
   }
+
+  // Created on first use so SESSION_STORE from .env (loaded after imports in server.js) is honoured
+  get store() {
+    if (!this.sessionStore) this.sessionStore = createSessionStore();
+    return this.sessionStore;
+  }
+
+  // Write-through to the configured store; failures are logged but never block the request
+  persist(action, ...args) {
+    return this.store[action](...args).catch(error => {
+      console.error(`❌ Session store (${this.store.name}) ${action} failed:`, error.message);
+    });
+  }
+
+  // Load active sessions from the store on startup so live classes survive a restart
+  async rehydrate() {
+    try {
+      const stored = await this.store.loadActive();
+      stored.forEach(session => {
+        this.sessions.set(session.meeting_id, {
+          ...session,
+          participants: session.participants || [],
+          agora_uids: session.agora_uids || {},
+          observers: session.observers || {},
+          removed: session.removed || {},
+          created: session.created || Date.now(),
+          lastActivity: Date.now()
+        });
+      });
+      console.log(`♻️ Rehydrated ${stored.length} active session(s) from ${this.store.name} store`);
+      return stored.length;
+    } catch (error) {
+      console.error('❌ Session rehydration failed:', error.message);
+      return 0;
+    }
+  }
   
   createSession(meetingId, sessionData) {
     console.log('💾 Creating session:', meetingId);
+    // Re-creating a live session (teacher rejoin, DB hydration) must not lift kicks and bans
+    const existing = this.sessions.get(meetingId);
     const session = {
       ...sessionData,
+      meeting_id: meetingId,
+      status: sessionData.status || 'active',
       lastActivity: Date.now(),
       created: Date.now(),
       participants: sessionData.participants || [],
       agora_uids: sessionData.agora_uids || {},
+      observers: sessionData.observers || {},
+      removed: sessionData.removed || (existing?.status === 'active' ? existing.removed : null) || {},
       teacher_joined: sessionData.teacher_joined || false,
       teacher_agora_uid: sessionData.teacher_agora_uid || null
     };
     
     this.sessions.set(meetingId, session);
+    this.persist('saveSession', meetingId, session);
     
     console.log('✅ Session created:', {
       meetingId,
@@ -60,7 +120,7 @@ class SessionManager {
   
   getSessionByTeacher(teacherId) {
     for (const [meetingId, session] of this.sessions.entries()) {
-      if (session.teacher_id === teacherId && session.status === 'active') {
+      if (isSessionTeacher(teacherId, session) && session.status === 'active') {
         return { meetingId, session };
       }
     }
@@ -73,6 +133,7 @@ class SessionManager {
     if (session) {
       session.status = 'ended';
       session.ended_at = new Date().toISOString();
+      this.persist('saveSession', meetingId, session);
       console.log('✅ Session ended in memory:', meetingId);
     } else {
       console.warn('⚠️ Session not found in memory for ending:', meetingId);
@@ -91,6 +152,7 @@ class SessionManager {
         session.teacher_joined = true;
         session.teacher_agora_uid = agoraUid;
       }
+      this.persist('saveParticipant', session, userId);
       
       console.log('➕ Added participant:', { meetingId, userId, agoraUid, isTeacher });
       return true;
@@ -104,10 +166,11 @@ class SessionManager {
       session.participants = session.participants.filter(id => id !== userId);
       delete session.agora_uids[userId];
       
-      if (userId === session.teacher_id) {
+      if (isSessionTeacher(userId, session)) {
         session.teacher_joined = false;
         delete session.teacher_agora_uid;
       }
+      this.persist('removeParticipant', session, userId);
       
       console.log('➖ Removed participant:', { meetingId, userId });
       return true;
@@ -115,6 +178,64 @@ class SessionManager {
     return false;
   }
   
+  // Observers hold a subscriber token but are never listed or counted as participants
+  addObserver(meetingId, userId, agoraUid) {
+    const session = this.sessions.get(meetingId);
+    if (session) {
+      session.observers = session.observers || {};
+      session.observers[userId] = agoraUid;
+      console.log('👁️ Added observer:', { meetingId, userId, agoraUid });
+      return true;
+    }
+    return false;
+  }
+
+  removeObserver(meetingId, userId) {
+    const session = this.sessions.get(meetingId);
+    if (session?.observers?.[userId] !== undefined) {
+      delete session.observers[userId];
+      console.log('👁️ Removed observer:', { meetingId, userId });
+      return true;
+    }
+    return false;
+  }
+
+  // Kick list: removed and banned users get no new token for this meeting until the host readmits them
+  // or the session ends; 'removed' only tells the client it may be readmitted
+  kickParticipant(meetingId, userId, { action = 'removed', removed_by = null, reason = null } = {}) {
+    const session = this.sessions.get(meetingId);
+    if (!session) return false;
+
+    session.participants = session.participants.filter(id => id !== userId);
+    delete session.agora_uids[userId];
+    session.removed = session.removed || {};
+    session.removed[userId] = {
+      action,
+      removed_by,
+      reason,
+      removed_at: new Date().toISOString()
+    };
+    this.persist('saveRemoval', session, userId);
+
+    console.log('🚫 Kicked participant:', { meetingId, userId, action });
+    return true;
+  }
+
+  getRemoval(meetingId, userId) {
+    return this.sessions.get(meetingId)?.removed?.[userId] || null;
+  }
+
+  // Only the class teacher or an admin takes someone off the kick list (readmitToVideoSession)
+  readmitParticipant(meetingId, userId) {
+    const session = this.sessions.get(meetingId);
+    if (session?.removed?.[userId]) {
+      delete session.removed[userId];
+      this.persist('saveSession', meetingId, session);
+      return true;
+    }
+    return false;
+  }
+
   getParticipantCount(meetingId) {
     const session = this.sessions.get(meetingId);
     return session ? session.participants.length : 0;
@@ -146,6 +267,7 @@ class SessionManager {
       if (now - session.created > oneHour || session.status === 'ended') {
         console.log('🧹 Cleaning up old session:', meetingId);
         this.sessions.delete(meetingId);
+        this.persist('deleteSession', meetingId);
       }
     }
   }
@@ -168,6 +290,7 @@ restoreParticipants(meetingId, participants, agora_uids = {}) {
   
   // Merge Agora UIDs
   session.agora_uids = { ...session.agora_uids, ...agora_uids };
+  participants.forEach(participantId => this.persist('saveParticipant', session, participantId));
   
   console.log('🔄 Restored participants for session:', {
     meetingId,
@@ -194,6 +317,31 @@ getSessionParticipants(meetingId) {
 
 const sessionManager = new SessionManager();
 
+// ==================== HEALTH (PUBLIC) ====================
+router.get('/health', (req, res) => {
+  const appId = process.env.AGORA_APP_ID;
+  const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+
+  const hasAppId = !!(appId && appId !== '""' && appId !== "''");
+  const hasCertificate = !!(appCertificate && appCertificate !== '""' && appCertificate !== "''");
+
+  const activeSessions = sessionManager.getActiveSessions();
+
+  res.json({
+    status: hasAppId && hasCertificate ? 'healthy' : 'unhealthy',
+    videoEnabled: hasAppId && hasCertificate,
+    appIdConfigured: hasAppId,
+    appCertificateConfigured: hasCertificate,
+    activeSessions: activeSessions.length,
+    totalSessions: sessionManager.sessions.size,
+    sessionStore: sessionManager.store.name,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Every other agora route acts on behalf of the bearer token's user
+router.use(requireAuth, enforceActingUser);
+
 // ==================== UTILITY FUNCTIONS ====================
  function generateShortChannelName(classId, userId) {
         const shortClassId = classId.substring(0, 8);
@@ -227,13 +375,189 @@ function generateUniqueAgoraUid() {
   return uid;
 }
 
+// Find the live session that owns an Agora channel (memory first, then database)
+async function findSessionByChannel(channelName) {
+  const memorySession = sessionManager.getActiveSessions().find(s => s.channel_name === channelName);
+  if (memorySession) return memorySession;
+
+  const { data: dbSession } = await supabase
+    .from('video_sessions')
+    .select('id, meeting_id, class_id, teacher_id, substitute_teacher_id, status, channel_name')
+    .eq('channel_name', channelName)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  return dbSession;
+}
+
+// Find a live session by meeting ID, hydrating memory from the database when needed
+async function loadLiveSession(meetingId) {
+  const cleanMeetingId = meetingId.toString().replace(/["']/g, '').trim();
+  const session = sessionManager.getSession(cleanMeetingId);
+  if (session?.status === 'active') return session;
+
+  const { data: dbSession } = await supabase
+    .from('video_sessions')
+    .select('*, classes(title, teacher_id, id)')
+    .eq('meeting_id', cleanMeetingId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (!dbSession) return null;
+
+  return sessionManager.createSession(dbSession.meeting_id, {
+    id: dbSession.id,
+    class_id: dbSession.class_id,
+    teacher_id: dbSession.teacher_id,
+    substitute_teacher_id: dbSession.substitute_teacher_id || null,
+    channel_name: dbSession.channel_name,
+    class_title: dbSession.classes?.title
+  });
+}
+
+// Kick list entry for a user, from memory or session_participants when the session is not loaded
+async function findRemoval(session, userId) {
+  if (sessionManager.sessions.has(session.meeting_id)) {
+    return sessionManager.getRemoval(session.meeting_id, userId);
+  }
+
+  const sessionId = session.db_session_id || session.id;
+  if (!sessionId) return null;
+
+  const { data: row } = await supabase
+    .from('session_participants')
+    .select('status, left_at')
+    .eq('session_id', sessionId)
+    .eq('student_id', userId)
+    .in('status', ['removed', 'banned'])
+    .maybeSingle();
+
+  return row ? { action: row.status, removed_at: row.left_at } : null;
+}
+
+// Token routes only issue tokens for channels the caller is entitled to; sends the error response itself
+async function authorizeChannel(req, res, channelName) {
+  if (!channelName) {
+    res.status(400).json({ success: false, error: 'channelName is required' });
+    return null;
+  }
+
+  const session = await findSessionByChannel(channelName);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'No active session for this channel' });
+    return null;
+  }
+
+  if (!(await canAccessSession(req.user, session))) {
+    denySessionAccess(res, 'Not authorized for this channel');
+    return null;
+  }
+
+  // Removed and banned participants cannot refresh their way back into the channel
+  const removal = await findRemoval(session, req.user.id);
+  if (removal) {
+    res.status(403).json({
+      success: false,
+      error: 'You were removed from this session',
+      code: 'PARTICIPANT_REMOVED',
+      action: removal.action
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Tokens are only minted for the caller's own UIDs: the one derived from their user id, its
+// screen-share UID and, for admins, their observer UID. A missing uid means the caller's own.
+// Returns the numeric UID, or null after sending the error response.
+function authorizeUid(req, res, uid) {
+  const ownUid = hashUserIdToNumber(req.user.id);
+  if (uid === undefined || uid === null || uid === '') return ownUid;
+
+  const numericUid = /^\d+$/.test(String(uid)) ? Number(uid) : hashUserIdToNumber(uid);
+  const allowedUids = [ownUid, ownUid + SCREEN_SHARE_UID_OFFSET];
+  if (isAdmin(req.user)) {
+    allowedUids.push(generateObserverUid(req.user.id));
+  }
+
+  if (!allowedUids.includes(numericUid)) {
+    denySessionAccess(res, isObserverUid(numericUid)
+      ? 'Observer UIDs are reserved for admins'
+      : 'Tokens can only be issued for your own UID');
+    return null;
+  }
+  return numericUid;
+}
+
+// Route guard: resolves the session from :meetingId, meeting_id or session_id and applies a policy.
+// Runs before cacheMiddleware so cached responses are never served to unauthorized users.
+// Unknown sessions fall through so each handler keeps its own not-found response.
+const requireSessionAccess = (policy, message) => async (req, res, next) => {
+  try {
+    const meetingId = req.params.meetingId || req.body?.meeting_id;
+    const sessionId = req.body?.session_id;
+
+    let session = meetingId ? sessionManager.getSession(meetingId) : null;
+    if (!session && (meetingId || sessionId)) {
+      let query = supabase
+        .from('video_sessions')
+        .select('id, meeting_id, class_id, teacher_id, substitute_teacher_id, status');
+      query = meetingId ? query.eq('meeting_id', meetingId) : query.eq('id', sessionId);
+      const { data: dbSession } = await query.maybeSingle();
+      session = dbSession;
+    }
+
+    if (!session) return next();
+
+    if (!(await policy(req.user, session))) {
+      return denySessionAccess(res, message);
+    }
+
+    req.videoSession = session;
+    next();
+  } catch (error) {
+    console.error('❌ Session authorization error:', error);
+    res.status(500).json({ success: false, error: 'Session authorization failed' });
+  }
+};
+
+// Route guard for class-level lookups: class teacher, admin or enrolled student
+const requireClassAccess = async (req, res, next) => {
+  try {
+    const classId = req.params.classId || req.body?.class_id;
+    if (!classId) return next();
+
+    const { data: classData } = await supabase
+      .from('classes')
+      .select('id, teacher_id, substitute_teacher_id')
+      .eq('id', classId)
+      .maybeSingle();
+
+    if (!classData) return next();
+
+    if (!isSessionHost(req.user, classData) && !(await isEnrolledStudent(req.user, classId, classData.teacher_id))) {
+      return denySessionAccess(res, 'Not authorized for this class');
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Class authorization error:', error);
+    res.status(500).json({ success: false, error: 'Class authorization failed' });
+  }
+};
+
 // ============================================
 // /start-session route
 // ============================================
 
 router.post('/start-session', veryStrictLimiter, async (req, res) => {
   try {
-    const { class_id, user_id, requested_meeting_id, requested_channel_name } = req.body;
+    const { requested_meeting_id, requested_channel_name } = req.body;
+    const user_id = req.user.id;
+
+    // Occurrences of a recurring class get their classes row here
+    const class_id = await resolveClassId(req.body.class_id);
     
     console.log('🎯 TEACHER STARTING SESSION:', {
       class_id,
@@ -241,11 +565,33 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // ========== VERIFY AGORA CONFIGURATION ==========
-    const appId = process.env.AGORA_APP_ID;
-    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+    if (!class_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Class ID is required'
+      });
+    }
+
+    // ========== VERIFY CLASS TEACHER, SUBSTITUTE OR ADMIN ==========
+    const { data: classData } = await supabase
+      .from('classes')
+      .select('id, title, teacher_id, substitute_teacher_id')
+      .eq('id', class_id)
+      .maybeSingle();
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
 
-    if (!appId || !appCertificate) {
+    if (!isSessionHost(req.user, classData)) {
+      return denySessionAccess(res, 'Only the class teacher, their substitute or an admin can start this session');
+    }
+
+    // ========== VERIFY AGORA CONFIGURATION ==========
+    if (!isAgoraConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'Agora video service not configured',
@@ -310,10 +656,12 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
         uid: agoraUid
       });
 
-      // Update timestamp only
+      // Update timestamp, and pick up a substitute assigned while the session was running
+      sessionData = { ...existingSession, substitute_teacher_id: classData.substitute_teacher_id || null };
       await supabase
         .from('video_sessions')
         .update({
+          substitute_teacher_id: sessionData.substitute_teacher_id,
           last_activity: new Date().toISOString(),
           expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
         })
@@ -321,11 +669,12 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
       
     } else {
       // ✅ CREATE NEW SESSION - Generate channel name ONCE
+      // The class teacher owns the session even when a substitute or an admin starts it
       meetingId = requested_meeting_id || 
-                  `class_${class_id.replace(/-/g, '_')}_teacher_${user_id.substring(0, 8)}`;
+                  `class_${class_id.replace(/-/g, '_')}_teacher_${classData.teacher_id.substring(0, 8)}`;
       
       // Generate channel name ONCE and save to database
-      channelName = requested_channel_name || generateShortChannelName(class_id, user_id);
+      channelName = requested_channel_name || generateShortChannelName(class_id, classData.teacher_id);
       
       agoraUid = generateUniqueAgoraUid();
       while (agoraUid === 0 || agoraUid === 1) {
@@ -354,7 +703,8 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
         .from('video_sessions')
         .insert({
           class_id: class_id,
-          teacher_id: user_id,
+          teacher_id: classData.teacher_id,
+          substitute_teacher_id: classData.substitute_teacher_id || null,
           meeting_id: meetingId,
           channel_name: channelName, 
           access_code: accessCode,
@@ -377,6 +727,14 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
         meetingId: sessionData.meeting_id,
         channel: sessionData.channel_name  // ← Verify saved correctly
       });
+
+      // Students hear about the new session without holding up the teacher's join
+      notifyClassStudents(classData, {
+        type: 'session_started',
+        title: 'Class Started',
+        message: `"${classData.title || 'Your class'}" has started. Join now.`,
+        data: { class_id, meeting_id: meetingId }
+      });
     }
 
     // ========== CRITICAL VERIFICATION ==========
@@ -404,10 +762,6 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
     }
 
     // ========== GENERATE AGORA TOKEN ==========
-    const expirationTime = 3600;
-    const currentTime = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTime + expirationTime;
-
     console.log('🔑 Generating token for:', {
       channel: channelName,  
       uid: agoraUid,
@@ -415,15 +769,9 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
     });
 
     let token;
+    let appId;
     try {
-      token = RtcTokenBuilder.buildTokenWithUid(
-        appId,
-        appCertificate,
-        channelName,    
-        agoraUid,
-        RtcRole.PUBLISHER,
-        privilegeExpiredTs
-      );
+      ({ token, appId } = buildRtcToken({ channelName, uid: agoraUid }));
 
       if (!token || token.length < 100) {
         throw new Error('Invalid token generated');
@@ -466,6 +814,7 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
       meeting_id: sessionData.meeting_id,
       class_id: sessionData.class_id,
       teacher_id: sessionData.teacher_id,
+      substitute_teacher_id: sessionData.substitute_teacher_id || null,
       status: 'active',
       started_at: sessionData.started_at,
       channel_name: channelName,
@@ -521,6 +870,8 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
         meetingId: sessionData.meeting_id,
         class_id: sessionData.class_id,
         teacher_id: sessionData.teacher_id,
+        substitute_teacher_id: sessionData.substitute_teacher_id || null,
+        host_id: user_id,
         status: 'active',
         channel: channelName,        
         channel_name: channelName,   
@@ -605,70 +956,149 @@ router.post('/start-session', veryStrictLimiter, async (req, res) => {
 
 
 // ==================== JOIN SESSION (PRODUCTION READY) ====================
+// Shared join path for /join-session, /api/admin/join-video-call and /api/student/video-sessions/join.
+// Returns { session, credentials, isTeacher } or { status, error, code } when the user may not join.
+const joinVideoSession = async (user, meetingId, { observer = false, screenShare = false } = {}) => {
+  // 1. Validate & Find Session
+  const session = await loadLiveSession(meetingId);
+  if (!session) return { status: 404, error: 'Session not found', code: 'SESSION_NOT_FOUND' };
+
+  // Observers are admins only; everyone else must be the class teacher, an admin or an enrolled student
+  const isTeacher = isSessionTeacher(user.id, session);
+  if (observer && !isAdmin(user)) {
+    return { status: 403, error: 'Only admins can observe a session', code: 'FORBIDDEN' };
+  }
+  if (!observer && !isSessionHost(user, session) && !(await isEnrolledStudent(user, session.class_id, session.teacher_id))) {
+    return { status: 403, error: 'Only students enrolled in this class can join', code: 'FORBIDDEN' };
+  }
+
+  // Removed and banned users stay out until the host readmits them or the session ends
+  const removal = await findRemoval(session, user.id);
+  if (removal) {
+    return {
+      status: 403,
+      error: removal.action === 'banned' ? 'You have been banned from this session' : 'You were removed from this session',
+      code: 'PARTICIPANT_REMOVED'
+    };
+  }
+
+  // 2. Generate UID & Token
+  const credentials = issueSessionToken({ session, userId: user.id, observer, screenShare });
+
+  // 3. Record the join; observers and screen shares never show up as participants
+  if (observer) {
+    sessionManager.addObserver(session.meeting_id, user.id, credentials.uid);
+  } else if (!screenShare) {
+    sessionManager.addParticipant(session.meeting_id, user.id, credentials.uid, isTeacher);
+
+    await supabase.from('session_participants').upsert({
+      session_id: session.id,
+      student_id: user.id,
+      class_id: session.class_id,
+      role: isTeacher ? 'teacher' : 'student',
+      status: 'joined',
+      is_teacher: isTeacher,
+      agora_uid: credentials.uid
+    }, { onConflict: 'session_id,student_id' });
+    await recordParticipantJoin(session.id, user.id);
+
+    clearCache(`participants:${session.meeting_id}`);
+    sessionEvents.publish(session.meeting_id, isTeacher ? 'teacher-joined' : 'participant-joined', {
+      user_id: user.id,
+      agora_uid: credentials.uid,
+      role: isTeacher ? 'teacher' : 'student',
+      participant_count: sessionManager.getParticipantCount(session.meeting_id)
+    });
+  }
+
+  return { session, credentials, isTeacher };
+};
+
+// Shared removal path for /moderate-participant and /api/admin/remove-from-video-call.
+// action is 'removed' (kicked, the host may readmit them) or 'banned'; either way no new token is
+// issued for this meeting until readmitToVideoSession or the session ends.
+const removeFromVideoSession = async (session, userId, { action = 'removed', removedBy = null, reason = null } = {}) => {
+  sessionManager.kickParticipant(session.meeting_id, userId, {
+    action,
+    removed_by: removedBy,
+    reason
+  });
+
+  await supabase
+    .from('session_participants')
+    .update({ status: action, left_at: new Date().toISOString() })
+    .eq('session_id', session.id)
+    .eq('student_id', userId);
+  await recordParticipantLeave(session.id, userId);
+
+  clearCache(`participants:${session.meeting_id}`);
+
+  // The removed user's client listens for its own user_id and leaves the channel
+  sessionEvents.publish(session.meeting_id, 'participant-removed', {
+    user_id: userId,
+    action,
+    reason,
+    removed_by: removedBy,
+    participant_count: sessionManager.getParticipantCount(session.meeting_id)
+  });
+
+  return sessionManager.getRemoval(session.meeting_id, userId);
+};
+
+// Shared readmit path for /moderate-participant (action 'readmit') and /api/admin/readmit-to-video-call.
+// Returns false when the user was not on the kick list.
+const readmitToVideoSession = async (session, userId, { readmittedBy = null } = {}) => {
+  const removal = await findRemoval(session, userId);
+  if (!removal) return false;
+
+  sessionManager.readmitParticipant(session.meeting_id, userId);
+
+  await supabase
+    .from('session_participants')
+    .update({ status: 'left' })
+    .eq('session_id', session.id)
+    .eq('student_id', userId)
+    .in('status', ['removed', 'banned']);
+
+  clearCache(`participants:${session.meeting_id}`);
+
+  sessionEvents.publish(session.meeting_id, 'participant-readmitted', {
+    user_id: userId,
+    readmitted_by: readmittedBy
+  });
+
+  return true;
+};
+
 router.post('/join-session', strictLimiter, async (req, res) => {
   try {
-    const { meeting_id, user_id, user_type = 'student', is_screen_share = false } = req.body;
-    
-    // 1. Validate & Find Session
-    const cleanMeetingId = meeting_id.toString().replace(/["']/g, '').trim();
-    let session = sessionManager.getSession(cleanMeetingId);
-    
-    if (!session) {
-      const { data: dbSession } = await supabase
-        .from('video_sessions')
-        .select('*, classes(title, teacher_id, id)')
-        .eq('meeting_id', cleanMeetingId)
-        .eq('status', 'active')
-        .single();
-      
-      if (dbSession) {
-        session = sessionManager.createSession(dbSession.meeting_id, {
-          id: dbSession.id,
-          class_id: dbSession.class_id,
-          teacher_id: dbSession.teacher_id,
-          channel_name: dbSession.channel_name,
-          class_title: dbSession.classes?.title
-        });
-      }
-    }
+    const { meeting_id, is_screen_share = false, observer = false } = req.body;
 
-    if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
-
-    // 2. Generate UID & Token (Using the Hash Fix)
-    const isTeacher = (user_type === 'teacher' || user_id === session.teacher_id);
-    const numericId = hashUserIdToNumber(user_id);
-    const agoraUid = is_screen_share ? (numericId + 10000) : numericId;
+    if (!meeting_id) {
+      return res.status(400).json({ success: false, error: 'Meeting ID is required' });
+    }
 
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      process.env.AGORA_APP_ID,
-      process.env.AGORA_APP_CERTIFICATE,
-      session.channel_name,
-      agoraUid,
-      RtcRole.PUBLISHER,
-      Math.floor(Date.now() / 1000) + 3600
-    );
+    const result = await joinVideoSession(req.user, meeting_id, {
+      observer: !!observer,
+      screenShare: !!is_screen_share
+    });
 
-    // 3. Update DB (Using SCHEMA columns: student_id and class_id)
-    if (!is_screen_share) {
-      sessionManager.addParticipant(session.meeting_id, user_id, agoraUid, isTeacher);
-      
-      await supabase.from('session_participants').upsert({
-        session_id: session.id,
-        student_id: user_id, 
-        class_id: session.class_id, 
-        role: isTeacher ? 'teacher' : 'student',
-        status: 'joined',
-        is_teacher: isTeacher
-      }, { onConflict: 'session_id,student_id' });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error, code: result.code });
     }
 
-    // 4. Send Double-Style Response (Fixes "Missing Fields" error)
+    const { session, credentials } = result;
+
+    // Send Double-Style Response (Fixes "Missing Fields" error)
     return res.json({
       success: true,
-      token,
-      uid: agoraUid,
-      appId: process.env.AGORA_APP_ID,      
-      app_id: process.env.AGORA_APP_ID,    
+      token: credentials.token,
+      uid: credentials.uid,
+      appId: credentials.appId,
+      app_id: credentials.appId,
+      role: credentials.role,
+      observer: credentials.observer,
+      expiresAt: credentials.expiresAt,
       meetingId: session.meeting_id,
       meeting_id: session.meeting_id,
       channel: session.channel_name,
@@ -677,37 +1107,36 @@ router.post('/join-session', strictLimiter, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AgoraConfigError) {
+      return res.status(500).json({ success: false, error: error.message, code: error.code });
+    }
     console.error('❌ Join Error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
-});// ==================== GENERATE FRESH TOKEN ====================
+});
+
+// ==================== GENERATE FRESH TOKEN ====================
 router.post('/generate-fresh-token', async (req, res) => {
   try {
-    const { channelName, uid, role = 'publisher' } = req.body;
-    
-    const appId = process.env.AGORA_APP_ID;
-    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+    const { channelName, uid: requestedUid, role = 'publisher' } = req.body || {};
+
+    if (!(await authorizeChannel(req, res, channelName))) return;
+    const uid = authorizeUid(req, res, requestedUid);
+    if (uid === null) return;
     
-    if (!appId || !appCertificate) {
+    if (!isAgoraConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'Agora credentials not configured'
       });
     }
     
-    // Generate token with fresh expiration
-    const expirationTime = 3600; // 1 hour
-    const currentTime = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTime + expirationTime;
-    
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      appId,
-      appCertificate,
+    // Generate token with fresh expiration; observers stay subscribers
+    const { token, appId, expiresAt } = buildRtcToken({
       channelName,
       uid,
-      role === 'publisher' ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER,
-      privilegeExpiredTs
-    );
+      role: isObserverUid(uid) ? 'subscriber' : role
+    });
     
     res.json({
       success: true,
@@ -715,7 +1144,7 @@ router.post('/generate-fresh-token', async (req, res) => {
       appId,
       channelName,
       uid,
-      expiresAt: privilegeExpiredTs * 1000
+      expiresAt
     });
     
   } catch (error) {
@@ -730,21 +1159,21 @@ router.post('/generate-fresh-token', async (req, res) => {
 // ==================== SYNC EXISTING PARTICIPANTS ====================
 router.post('/sync-participants', strictLimiter, async (req, res) => {
   try {
-    const { meeting_id, teacher_id } = req.body;
+    const { meeting_id } = req.body;
     
-    console.log('🔄 SYNC PARTICIPANTS REQUEST:', { meeting_id, teacher_id });
+    console.log('🔄 SYNC PARTICIPANTS REQUEST:', { meeting_id, user: req.user.id });
     
-    if (!meeting_id || !teacher_id) {
+    if (!meeting_id) {
       return res.status(400).json({
         success: false,
-        error: 'Meeting ID and Teacher ID are required'
+        error: 'Meeting ID is required'
       });
     }
     
     // 1. Get session from database
     const { data: session } = await supabase
       .from('video_sessions')
-      .select('id, teacher_id')
+      .select('id, teacher_id, substitute_teacher_id')
       .eq('meeting_id', meeting_id)
       .eq('status', 'active')
       .single();
@@ -756,13 +1185,14 @@ router.post('/sync-participants', strictLimiter, async (req, res) => {
       });
     }
     
-    // 2. Verify teacher
-    if (session.teacher_id !== teacher_id) {
+    // 2. Verify teacher (or admin)
+    if (!isSessionHost(req.user, session)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to sync participants'
       });
     }
+    const teacher_id = session.teacher_id;
     
     // 3. Get all current participants
     const { data: participants } = await supabase
@@ -770,7 +1200,7 @@ router.post('/sync-participants', strictLimiter, async (req, res) => {
       .select('user_id, role, agora_uid, joined_at')
       .eq('session_id', session.id)
       .eq('status', 'joined')
-      .neq('user_id', teacher_id); // Exclude teacher
+      .neq('user_id', req.user.id); // Exclude the host
     
     // 4. Update session manager
     if (participants && participants.length > 0) {
@@ -882,16 +1312,47 @@ const joinChannel = async (sessionData) => {
   }
 };
 // ==================== END SESSION ====================
+// Mark the session and its class finished, drop it from memory and the store, and record attendance
+async function finishVideoSession(meetingId, classId, endedBy) {
+  await supabase
+    .from('video_sessions')
+    .update({
+      status: 'ended',
+      ended_at: new Date().toISOString()
+    })
+    .eq('meeting_id', meetingId);
+
+  await supabase
+    .from('classes')
+    .update({ status: 'finished' })
+    .eq('id', classId);
+
+  // ========== CLEAR CACHE ==========
+  clearCache(`class-sessions:${classId}`);
+  clearCache(`participants:${meetingId}`);
+  console.log('🧹 Cleared cache for ended session:', {
+    classSessions: `class-sessions:${classId}`,
+    participants: `participants:${meetingId}`
+  });
+
+  if (sessionManager.sessions.has(meetingId)) {
+    sessionManager.endSession(meetingId);
+  }
+  sessionEvents.publish(meetingId, 'session-ended', { ended_by: endedBy });
+  await recordClassAttendance(classId);
+}
+
 router.post('/end-session', async (req, res) => {
   try {
-    const { meeting_id, user_id } = req.body;
+    const { meeting_id } = req.body;
+    const user_id = req.user.id;
 
     console.log('🛑 END-SESSION REQUEST:', { meeting_id, user_id });
 
-    if (!meeting_id || !user_id) {
+    if (!meeting_id) {
       return res.status(400).json({
         success: false,
-        error: 'Meeting ID and User ID are required'
+        error: 'Meeting ID is required'
       });
     }
 
@@ -912,35 +1373,14 @@ router.post('/end-session', async (req, res) => {
         });
       }
 
-      if (dbSession.teacher_id !== user_id) {
+      if (!isSessionHost(req.user, dbSession)) {
         return res.status(403).json({
           success: false,
-          error: 'Only the teacher can end this session'
+          error: 'Only the class teacher or an admin can end this session'
         });
       }
 
-      // Update database
-      await supabase
-        .from('video_sessions')
-        .update({
-          status: 'ended',
-          ended_at: new Date().toISOString()
-        })
-        .eq('meeting_id', meeting_id);
-
-      // Update class status
-      await supabase
-        .from('classes')
-        .update({ status: 'finished' })
-        .eq('id', dbSession.class_id);
-
-      // ========== CLEAR CACHE ==========
-      clearCache(`class-sessions:${dbSession.class_id}`);
-      clearCache(`participants:${meeting_id}`);
-      console.log('🧹 Cleared cache for ended session:', {
-        classSessions: `class-sessions:${dbSession.class_id}`,
-        participants: `participants:${meeting_id}`
-      });
+      await finishVideoSession(meeting_id, dbSession.class_id, user_id);
 
       return res.json({
         success: true,
@@ -949,38 +1389,14 @@ router.post('/end-session', async (req, res) => {
     }
 
     // Check authorization
-    if (session.teacher_id !== user_id) {
+    if (!isSessionHost(req.user, session)) {
       return res.status(403).json({
         success: false,
-        error: 'Only the teacher can end this session'
+        error: 'Only the class teacher or an admin can end this session'
       });
     }
 
-    // Update database
-    await supabase
-      .from('video_sessions')
-      .update({
-        status: 'ended',
-        ended_at: new Date().toISOString()
-      })
-      .eq('meeting_id', meeting_id);
-
-    // Update class status
-    await supabase
-      .from('classes')
-      .update({ status: 'finished' })
-      .eq('id', session.class_id);
-
-    // ========== CLEAR CACHE ==========
-    clearCache(`class-sessions:${session.class_id}`);
-    clearCache(`participants:${meeting_id}`);
-    console.log('🧹 Cleared cache for ended session:', {
-      classSessions: `class-sessions:${session.class_id}`,
-      participants: `participants:${meeting_id}`
-    });
-
-    // End session in memory
-    sessionManager.endSession(meeting_id);
+    await finishVideoSession(meeting_id, session.class_id, user_id);
 
     console.log('✅ SESSION ENDED:', meeting_id);
 
@@ -999,65 +1415,142 @@ router.post('/end-session', async (req, res) => {
   }
 });
 
+// ==================== MODERATE PARTICIPANT ====================
+// Class teacher (or admin) can remove, ask to mute, or ban a participant, and readmit a removed or banned one
+const MODERATION_ACTIONS = ['remove', 'mute', 'ban', 'readmit'];
+
+router.post('/moderate-participant',
+  strictLimiter,
+  requireSessionAccess(isSessionHost, 'Only the session host can moderate participants'),
+  async (req, res) => {
+    try {
+      const { meeting_id, participant_id, action, reason = null, media = 'audio' } = req.body;
+
+      if (!meeting_id || !participant_id || !MODERATION_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `meeting_id, participant_id and action (${MODERATION_ACTIONS.join(', ')}) are required`
+        });
+      }
+
+      const session = await loadLiveSession(meeting_id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      }
+
+      if (isSessionTeacher(participant_id, session) || participant_id === req.user.id) {
+        return res.status(400).json({ success: false, error: 'The session host cannot be moderated' });
+      }
+
+      if (action === 'mute') {
+        sessionEvents.publish(session.meeting_id, 'mute-requested', {
+          user_id: participant_id,
+          media,
+          reason,
+          requested_by: req.user.id
+        });
+
+        return res.json({ success: true, action, participant_id, media });
+      }
+
+      if (action === 'readmit') {
+        const readmitted = await readmitToVideoSession(session, participant_id, { readmittedBy: req.user.id });
+        if (!readmitted) {
+          return res.status(404).json({ success: false, error: 'Participant is not removed from this session' });
+        }
+
+        console.log('✅ Participant readmitted:', { meeting_id: session.meeting_id, participant_id, by: req.user.id });
+        return res.json({ success: true, action, participant_id });
+      }
+
+      const removal = await removeFromVideoSession(session, participant_id, {
+        action: action === 'ban' ? 'banned' : 'removed',
+        removedBy: req.user.id,
+        reason
+      });
+
+      console.log('🚫 Participant moderated:', { meeting_id: session.meeting_id, participant_id, action, by: req.user.id });
+
+      res.json({
+        success: true,
+        action,
+        participant_id,
+        removal,
+        participant_count: sessionManager.getParticipantCount(session.meeting_id)
+      });
+
+    } catch (error) {
+      console.error('❌ Error moderating participant:', error);
+      res.status(500).json({ success: false, error: 'Failed to moderate participant' });
+    }
+  }
+);
+
 // ==================== LEAVE SESSION ====================
 router.post('/leave-session', async (req, res) => {
   try {
-    const { meeting_id, user_id } = req.body;
+    const { meeting_id } = req.body;
+    const user_id = req.user.id;
 
     console.log('🚪 LEAVE-SESSION REQUEST:', { meeting_id, user_id });
 
-    if (!meeting_id || !user_id) {
+    if (!meeting_id) {
       return res.status(400).json({
         success: false,
-        error: 'Meeting ID and User ID are required'
+        error: 'Meeting ID is required'
       });
     }
 
-    const session = sessionManager.getSession(meeting_id);
-    const isTeacher = session && session.teacher_id === user_id;
+    const session = await loadLiveSession(meeting_id);
+    const isTeacher = isSessionTeacher(user_id, session);
+    // Only the class teacher ends the class by leaving; a substitute or admin just leaves
+    const endsSession = !!session && session.teacher_id === user_id;
 
     // Remove from memory
     if (session) {
-      sessionManager.removeParticipant(meeting_id, user_id);
+      sessionManager.removeParticipant(session.meeting_id, user_id);
     }
 
-    // Update database status
-    if (isTeacher) {
-      // If teacher leaves, end the session
-      await supabase
-        .from('video_sessions')
+    // Update participant status to left; removed and banned rows keep their status
+    const sessionId = session?.db_session_id || session?.id;
+    if (sessionId) {
+      const { error } = await supabase
+        .from('session_participants')
         .update({
-          status: 'ended',
-          ended_at: new Date().toISOString()
+          status: 'left',
+          left_at: new Date().toISOString()
         })
-        .eq('meeting_id', meeting_id);
-    } else {
-      // Update participant status to left
-      try {
-        await supabase
-          .from('session_participants')
-          .update({
-            status: 'left',
-            left_at: new Date().toISOString()
-          })
-          .eq('session_id', session?.db_session_id)
-          .eq('user_id', user_id);
-      } catch (error) {
+        .eq('session_id', sessionId)
+        .eq('student_id', user_id)
+        .eq('status', 'joined');
+
+      if (error) {
         console.warn('⚠️ Could not update participant status:', error.message);
       }
+      await recordParticipantLeave(sessionId, user_id);
     }
 
     console.log('✅ USER LEFT SESSION:', {
       meeting_id,
       user_id,
-      isTeacher
+      isTeacher,
+      endsSession
+    });
+
+    sessionEvents.publish(meeting_id, 'participant-left', {
+      user_id,
+      role: isTeacher ? 'teacher' : 'student',
+      participant_count: sessionManager.getParticipantCount(meeting_id)
     });
+    if (endsSession) {
+      await finishVideoSession(session.meeting_id, session.class_id, user_id);
+    }
 
     res.json({
       success: true,
       message: 'Successfully left video session',
       isTeacher: isTeacher,
-      sessionEnded: isTeacher
+      sessionEnded: endsSession
     });
 
   } catch (error) {
@@ -1085,6 +1578,10 @@ router.get('/session-status/:meetingId', async (req, res) => {
       });
     }
 
+    if (!(await canAccessSession(req.user, session))) {
+      return denySessionAccess(res);
+    }
+
     const teacherJoined = sessionManager.isTeacherPresent(meetingId);
     const studentCount = sessionManager.getParticipantCount(meetingId) - (teacherJoined ? 1 : 0);
 
@@ -1146,14 +1643,10 @@ router.get('/session-status/:meetingId',
     
     // Generate student token
     const appId = process.env.AGORA_APP_ID;
-    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
-    const uid = Math.floor(Math.random() * 100000); // Random student UID
-    const role = RtcRole.SUBSCRIBER;
-    const expireTime = 3600;
-
-    const token = appId && appCertificate ? 
-      RtcTokenBuilder.buildTokenWithUid(appId, appCertificate, session.channel_name, uid, role, expireTime) : 
-      'demo_token';
+    const uid = hashUserIdToNumber(req.user.id);
+    const token = isAgoraConfigured()
+      ? buildRtcToken({ channelName: session.channel_name, uid, role: 'subscriber' }).token
+      : 'demo_token';
 
     res.json({
   success: true,
@@ -1183,6 +1676,7 @@ router.get('/session-status/:meetingId',
 
 router.get('/session-by-class/:classId', 
   strictLimiter,  
+  requireClassAccess,
   cacheMiddleware(10, (req) => `session-by-class:${req.params.classId}`),  
   async (req, res) => {
   try {
@@ -1264,6 +1758,7 @@ router.get('/session-by-class/:classId',
 
 router.get('/find-session/:classId',
   strictLimiter,
+  requireClassAccess,
   cacheMiddleware(10, (req) => `find-session:${req.params.classId}`),
   async (req, res) => {
   try {
@@ -1308,12 +1803,13 @@ router.get('/find-session/:classId',
   }
 });
 
-// ==================== VALIDATE STUDENT JOIN (NO VALIDATION) ====================
+// ==================== VALIDATE STUDENT JOIN ====================
 router.post('/validate-student-join', async (req, res) => {
   try {
-    const { class_id, student_id, meeting_id } = req.body;
+    const { class_id, meeting_id } = req.body;
+    const student_id = req.user.id;
 
-    console.log('🔐 Validating student join (NO VALIDATION):', { class_id, student_id, meeting_id });
+    console.log('🔐 Validating student join:', { class_id, student_id, meeting_id });
 
     // Find session
     let session = null;
@@ -1334,6 +1830,7 @@ router.post('/validate-student-join', async (req, res) => {
           meeting_id: dbSession.meeting_id,
           class_id: dbSession.class_id,
           teacher_id: dbSession.teacher_id,
+          substitute_teacher_id: dbSession.substitute_teacher_id || null,
           status: dbSession.status,
           channel_name: dbSession.channel_name
         };
@@ -1349,6 +1846,18 @@ router.post('/validate-student-join', async (req, res) => {
       });
     }
 
+    const canJoin = isSessionHost(req.user, session) ||
+      await isEnrolledStudent(req.user, session.class_id, session.teacher_id);
+
+    if (!canJoin) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not enrolled in this class',
+        code: 'NOT_ENROLLED',
+        canJoin: false
+      });
+    }
+
     const teacherPresent = sessionManager.isTeacherPresent(session.meeting_id);
 
     res.json({
@@ -1360,7 +1869,7 @@ router.post('/validate-student-join', async (req, res) => {
       validation: {
         session_active: true,
         teacher_present: teacherPresent,
-        message: 'Anyone can join with the meeting link'
+        message: 'Enrolled student verified'
       }
     });
 
@@ -1375,7 +1884,7 @@ router.post('/validate-student-join', async (req, res) => {
 });
 
 // ==================== PARTICIPANTS MANAGEMENT ====================
-router.post('/session-participants', async (req, res) => {
+router.post('/session-participants', requireSessionAccess(canAccessSession), async (req, res) => {
   try {
     const { meeting_id } = req.body;
     
@@ -1391,7 +1900,7 @@ router.post('/session-participants', async (req, res) => {
     // Get session info first to identify teacher
     const { data: session } = await supabase
       .from('video_sessions')
-      .select('id, teacher_id, class_id')
+      .select('id, teacher_id, substitute_teacher_id, class_id')
       .eq('meeting_id', meeting_id)
       .single();
     
@@ -1427,7 +1936,7 @@ router.post('/session-participants', async (req, res) => {
     
     // Format participants with correct role detection
     const formattedParticipants = (participants || []).map(p => {
-      const isTeacher = p.user_id === session.teacher_id;
+      const isTeacher = isSessionTeacher(p.user_id, session);
       const name = p.profiles?.name || (isTeacher ? 'Teacher' : 'Student');
       
       return {
@@ -1473,7 +1982,7 @@ router.post('/session-participants', async (req, res) => {
   }
 });
 
-router.post('/get-participant-profiles', async (req, res) => {
+router.post('/get-participant-profiles', requireSessionAccess(canAccessSession), async (req, res) => {
   try {
     const { meeting_id, agora_uids } = req.body;
     
@@ -1488,11 +1997,14 @@ router.post('/get-participant-profiles', async (req, res) => {
         error: 'meeting_id and agora_uids array required'
       });
     }
+
+    // Observers are invisible: never resolve their UIDs to a profile
+    const participantUids = agora_uids.filter(uid => !isObserverUid(uid));
     
     // Get session first
     const { data: session } = await supabase
       .from('video_sessions')
-      .select('id, teacher_id')
+      .select('id, teacher_id, substitute_teacher_id')
       .eq('meeting_id', meeting_id)
       .single();
     
@@ -1516,7 +2028,7 @@ router.post('/get-participant-profiles', async (req, res) => {
         )
       `)
       .eq('session_id', session.id)
-      .in('agora_uid', agora_uids)
+      .in('agora_uid', participantUids)
       .eq('status', 'joined');
     
     if (error) {
@@ -1528,16 +2040,19 @@ router.post('/get-participant-profiles', async (req, res) => {
     }
     
     // Format profiles with proper role detection
-    const profiles = (participants || []).map(p => ({
-      user_id: p.user_id,
-      agora_uid: p.agora_uid,
-      name: p.profiles?.name || (p.user_id === session.teacher_id ? 'Teacher' : 'Student'),
-      display_name: p.profiles?.name || (p.user_id === session.teacher_id ? 'Teacher' : 'Student'),
-      email: p.profiles?.email,
-      role: p.user_id === session.teacher_id ? 'teacher' : 'student',
-      is_teacher: p.user_id === session.teacher_id,
-      joined_at: p.joined_at
-    }));
+    const profiles = (participants || []).map(p => {
+      const isTeacher = isSessionTeacher(p.user_id, session);
+      return {
+        user_id: p.user_id,
+        agora_uid: p.agora_uid,
+        name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
+        display_name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
+        email: p.profiles?.email,
+        role: isTeacher ? 'teacher' : 'student',
+        is_teacher: isTeacher,
+        joined_at: p.joined_at
+      };
+    });
     
     console.log('✅ Found profiles:', {
       count: profiles.length,
@@ -1560,21 +2075,72 @@ router.post('/get-participant-profiles', async (req, res) => {
   }
 });
 
+// Media state a participant may report about themselves; body keys are snake_case or camelCase
+const PARTICIPANT_STATE_FIELDS = {
+  audio_enabled: 'audioEnabled',
+  video_enabled: 'videoEnabled',
+  screen_sharing: 'screenSharing',
+  connection_quality: 'connectionQuality'
+};
+
 router.post('/update-participant', async (req, res) => {
   try {
-    const { session_id, user_id, ...updates } = req.body;
-    
+    const { session_id } = req.body || {};
+    const user_id = req.user.id;
+
+    if (!session_id) {
+      return res.status(400).json({ success: false, error: 'session_id is required' });
+    }
+
+    // Participants may only update their own media state, never their status, identity or role
+    const updates = {};
+    for (const [column, camelKey] of Object.entries(PARTICIPANT_STATE_FIELDS)) {
+      const value = req.body[column] ?? req.body[camelKey];
+      if (value === undefined) continue;
+
+      const valid = column === 'connection_quality'
+        ? ['string', 'number'].includes(typeof value)
+        : typeof value === 'boolean';
+      if (!valid) {
+        return res.status(400).json({ success: false, error: `Invalid value for ${column}` });
+      }
+      updates[column] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update; allowed fields: ${Object.keys(PARTICIPANT_STATE_FIELDS).join(', ')}`
+      });
+    }
+
+    const { data: session } = await supabase
+      .from('video_sessions')
+      .select('id, meeting_id, class_id, teacher_id, substitute_teacher_id, status')
+      .eq('id', session_id)
+      .maybeSingle();
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    if (!(await canAccessSession(req.user, session))) {
+      return denySessionAccess(res, 'Not authorized for this session');
+    }
+
     console.log('🔄 Updating participant:', { session_id, user_id, updates });
-    
-    // Update in database
-    const { error } = await supabase
+
+    // Removed, banned and departed rows are left alone
+    const { data: updated, error } = await supabase
       .from('session_participants')
       .update({
         ...updates,
         updated_at: new Date().toISOString()
       })
       .eq('session_id', session_id)
-      .eq('user_id', user_id);
+      .eq('student_id', user_id)
+      .eq('status', 'joined')
+      .select('id');
 
     if (error) {
       console.warn('⚠️ Database update failed:', error);
@@ -1584,6 +2150,10 @@ router.post('/update-participant', async (req, res) => {
       });
     }
 
+    if (!updated || updated.length === 0) {
+      return res.status(404).json({ success: false, error: 'You are not in this session' });
+    }
+
     res.json({
       success: true,
       message: 'Participant updated'
@@ -1601,7 +2171,8 @@ router.post('/update-participant', async (req, res) => {
 // ==================== CHAT MESSAGES ====================
 router.post('/session-messages',
   strictLimiter,
-  cacheMiddleware(5, (req) => `messages:${req.body.sessionId}`),
+  requireSessionAccess(isSessionParticipant, 'Only session participants can read the chat'),
+  cacheMiddleware(5, (req) => `messages:${req.body.session_id || req.body.meeting_id}`),
   async (req, res) => {
   try {
     const { session_id, meeting_id, limit = 100 } = req.body;
@@ -1707,16 +2278,18 @@ router.post('/session-messages',
   }
 });
 
-router.post('/send-message', async (req, res) => {
+router.post('/send-message',
+  requireSessionAccess(isSessionParticipant, 'Only session participants can chat'),
+  async (req, res) => {
   try {
     const { 
       session_id, 
       meeting_id, 
-      user_id, 
       message_text, 
-      message_type = 'text',
-      user_role = 'student' 
+      message_type = 'text'
     } = req.body;
+    const user_id = req.user.id;
+    const user_role = req.user.role;
     
     console.log('📤 SENDING REAL MESSAGE:', {
       session_id,
@@ -1728,10 +2301,10 @@ router.post('/send-message', async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
-    if (!message_text || (!session_id && !meeting_id) || !user_id) {
+    if (!message_text || (!session_id && !meeting_id)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: session_id/meeting_id, user_id, message_text'
+        error: 'Missing required fields: session_id/meeting_id, message_text'
       });
     }
     
@@ -1745,6 +2318,7 @@ router.post('/send-message', async (req, res) => {
     }
     
     let actualSessionId = session_id;
+    let actualMeetingId = meeting_id;
     
     // If using meeting_id, get the session ID
     if (!actualSessionId && meeting_id) {
@@ -1763,6 +2337,17 @@ router.post('/send-message', async (req, res) => {
       
       actualSessionId = videoSession.id;
     }
+
+    // If using session_id, look up the meeting ID for the event channel
+    if (!actualMeetingId) {
+      const { data: videoSession } = await supabase
+        .from('video_sessions')
+        .select('meeting_id')
+        .eq('id', actualSessionId)
+        .maybeSingle();
+
+      actualMeetingId = videoSession?.meeting_id;
+    }
     
     // Insert message into database
     const { data: newMessage, error: insertError } = await supabase
@@ -1821,6 +2406,8 @@ router.post('/send-message', async (req, res) => {
       user_name: formattedMessage.senderName,
       message_type: formattedMessage.message_type
     });
+
+    sessionEvents.publish(actualMeetingId, 'message-sent', formattedMessage);
     
     res.json({
       success: true,
@@ -1838,30 +2425,33 @@ router.post('/send-message', async (req, res) => {
 });
 
 // ==================== RECORDING ENDPOINTS ====================
-router.post('/start-recording', async (req, res) => {
+router.post('/start-recording',
+  requireSessionAccess(isSessionHost, 'Only the class teacher or an admin can record'),
+  async (req, res) => {
   try {
-    const { session_id, user_id } = req.body;
+    const { session_id } = req.body;
+    const user_id = req.user.id;
     
     console.log('⏺️ STARTING RECORDING FOR:', { session_id, user_id });
     
-    if (!session_id || !user_id) {
+    if (!session_id) {
       return res.status(400).json({
         success: false,
-        error: 'Session ID and User ID are required'
+        error: 'Session ID is required'
       });
     }
     
     // Check if user is teacher
     const { data: session } = await supabase
       .from('video_sessions')
-      .select('teacher_id')
+      .select('teacher_id, substitute_teacher_id, meeting_id')
       .eq('id', session_id)
       .single();
     
-    if (!session || session.teacher_id !== user_id) {
+    if (!session || !isSessionHost(req.user, session)) {
       return res.status(403).json({
         success: false,
-        error: 'Only teacher can start recording'
+        error: 'Only the class teacher or an admin can start recording'
       });
     }
     
@@ -1886,6 +2476,13 @@ router.post('/start-recording', async (req, res) => {
     }
     
     console.log('✅ Recording started:', session_id);
+
+    sessionEvents.publish(session.meeting_id, 'recording-state', {
+      state: 'recording',
+      recording_id: recording.id,
+      started_by: user_id,
+      start_time: recording.start_time
+    });
     
     res.json({
       success: true,
@@ -1903,25 +2500,27 @@ router.post('/start-recording', async (req, res) => {
   }
 });
 
-router.post('/stop-recording', async (req, res) => {
+router.post('/stop-recording',
+  requireSessionAccess(isSessionHost, 'Only the class teacher or an admin can record'),
+  async (req, res) => {
   try {
-    const { session_id, user_id } = req.body;
+    const { session_id } = req.body;
+    const user_id = req.user.id;
     
     console.log('⏹️ STOPPING RECORDING FOR:', { session_id, user_id });
     
-    if (!session_id || !user_id) {
+    if (!session_id) {
       return res.status(400).json({
         success: false,
-        error: 'Session ID and User ID are required'
+        error: 'Session ID is required'
       });
     }
     
-    // Get active recording
+    // Get active recording (the host guard already ran, so any host may stop it)
     const { data: activeRecording } = await supabase
       .from('session_recordings')
       .select('*')
       .eq('session_id', session_id)
-      .eq('started_by', user_id)
       .is('end_time', null)
       .eq('status', 'recording')
       .single();
@@ -1960,6 +2559,19 @@ router.post('/stop-recording', async (req, res) => {
       session_id,
       duration_minutes: durationMinutes
     });
+
+    const { data: recordedSession } = await supabase
+      .from('video_sessions')
+      .select('meeting_id')
+      .eq('id', session_id)
+      .maybeSingle();
+
+    sessionEvents.publish(recordedSession?.meeting_id, 'recording-state', {
+      state: 'stopped',
+      recording_id: activeRecording.id,
+      end_time: endTime.toISOString(),
+      duration_minutes: durationMinutes
+    });
     
     res.json({
       success: true,
@@ -1979,7 +2591,7 @@ router.post('/stop-recording', async (req, res) => {
 });
 
 // ==================== DEBUG & UTILITY ENDPOINTS ====================
-router.get('/active-sessions', async (req, res) => {
+router.get('/active-sessions', requireAdminRole, async (req, res) => {
   try {
     const memorySessions = sessionManager.getActiveSessions();
     const { data: dbSessions } = await supabase
@@ -2008,7 +2620,7 @@ router.get('/active-sessions', async (req, res) => {
   }
 });
 
-router.get('/debug-sessions', (req, res) => {
+router.get('/debug-sessions', requireAdminRole, (req, res) => {
   const sessions = Array.from(sessionManager.sessions.entries()).map(([id, session]) => ({
     meeting_id: id,
     ...session,
@@ -2022,55 +2634,21 @@ router.get('/debug-sessions', (req, res) => {
   });
 });
 
-router.get('/health', (req, res) => {
-  const appId = process.env.AGORA_APP_ID;
-  const appCertificate = process.env.AGORA_APP_CERTIFICATE;
-
-  const hasAppId = !!(appId && appId !== '""' && appId !== "''");
-  const hasCertificate = !!(appCertificate && appCertificate !== '""' && appCertificate !== "''");
-
-  const activeSessions = sessionManager.getActiveSessions();
-
-  res.json({
-    status: hasAppId && hasCertificate ? 'healthy' : 'unhealthy',
-    videoEnabled: hasAppId && hasCertificate,
-    appIdConfigured: hasAppId,
-    appCertificateConfigured: hasCertificate,
-    activeSessions: activeSessions.length,
-    totalSessions: sessionManager.sessions.size,
-    timestamp: new Date().toISOString()
-  });
-});
-
 
 router.post('/generate-token', standardLimiter, async (req, res) => {
   try {
-    const { channelName, uid, role } = req.body;
-
-    if (!channelName) {
-      return res.status(400).json({ error: 'channelName is required' });
-    }
+    const { channelName, uid, role } = req.body || {};
 
-    let finalUid;
-    if (typeof uid === 'number') {
-      finalUid = uid;
-    } else {
-      finalUid = hashUserIdToNumber(uid);
-    }
-    // ---------------------
+    if (!(await authorizeChannel(req, res, channelName))) return;
 
-    const privilegeLowTimeInSeconds = 3600; 
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTimestamp + privilegeLowTimeInSeconds;
+    const finalUid = authorizeUid(req, res, uid);
+    if (finalUid === null) return;
 
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      process.env.AGORA_APP_ID,
-      process.env.AGORA_APP_CERTIFICATE,
+    const { token } = buildRtcToken({
       channelName,
-      finalUid, // Use the processed UID
-      role === 'publisher' ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER,
-      privilegeExpiredTs
-    );
+      uid: finalUid, // Use the processed UID
+      role: role === 'publisher' && !isObserverUid(finalUid) ? 'publisher' : 'subscriber'
+    });
 
     return res.json({ 
       token, 
@@ -2084,7 +2662,9 @@ router.post('/generate-token', standardLimiter, async (req, res) => {
 });
 
 // ==================== SESSION RECOVERY ====================
-router.get('/session-recovery/:meetingId', async (req, res) => {
+router.get('/session-recovery/:meetingId',
+  requireSessionAccess(isSessionHost, 'Only the class teacher or an admin can recover this session'),
+  async (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -2128,6 +2708,7 @@ router.get('/session-recovery/:meetingId', async (req, res) => {
         id: dbSession.id,
         class_id: dbSession.class_id,
         teacher_id: dbSession.teacher_id,
+        substitute_teacher_id: dbSession.substitute_teacher_id || null,
         status: 'active',
         started_at: dbSession.started_at,
         channel_name: dbSession.channel_name,
@@ -2157,30 +2738,26 @@ router.get('/session-recovery/:meetingId', async (req, res) => {
 // ==================== GENERATE TOKEN ONLY ====================
 router.post('/generate-token-only', async (req, res) => {
   try {
-    const { channelName, uid, role = 'publisher' } = req.body;
+    const { channelName, uid: requestedUid, role = 'publisher' } = req.body || {};
 
-    const appId = process.env.AGORA_APP_ID;
-    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+    if (!(await authorizeChannel(req, res, channelName))) return;
+    const uid = authorizeUid(req, res, requestedUid);
+    if (uid === null) return;
 
-    if (!appId || !appCertificate) {
+    if (!isAgoraConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'Agora credentials not configured'
       });
     }
 
-    const expirationTime = 3600;
-    const currentTime = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTime + expirationTime;
-
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      appId,
-      appCertificate,
+    const expirationTime = DEFAULT_TOKEN_TTL;
+    const { token, appId } = buildRtcToken({
       channelName,
       uid,
-      role === 'publisher' ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER,
-      privilegeExpiredTs
-    );
+      role: isObserverUid(uid) ? 'subscriber' : role,
+      expiresIn: expirationTime
+    });
 
     res.json({
       success: true,
@@ -2203,10 +2780,12 @@ router.post('/generate-token-only', async (req, res) => {
 // ==================== FIND SESSIONS BY CLASS ====================
 router.post('/find-class-sessions',
   strictLimiter,
+  requireClassAccess,
   cacheMiddleware(15, (req) => `class-sessions:${req.body.class_id}`),
   async (req, res) => {
   try {
-    const { class_id, student_id } = req.body;
+    const { class_id } = req.body;
+    const student_id = req.user.id;
 
     console.log('🔍 FINDING SESSIONS FOR CLASS:', { class_id, student_id });
 
@@ -2325,6 +2904,7 @@ router.post('/find-class-sessions',
 });
 router.get('/participants/:meetingId', 
   strictLimiter, 
+  requireSessionAccess(canAccessSession),
   cacheMiddleware(10, (req) => `participants:${req.params.meetingId}`),
   async (req, res) => {
     const { meetingId } = req.params;
@@ -2364,7 +2944,7 @@ router.get('/participants/:meetingId',
         if (dbError) console.error('❌ DB Error, falling back to memory:', dbError.message);
         
         const memoryParticipants = (session.participants || []).map(uid => {
-          const isTeacher = uid === session.teacher_id;
+          const isTeacher = isSessionTeacher(uid, session);
           return {
             user_id: uid,
             agora_uid: session.agora_uids[uid],
@@ -2379,26 +2959,29 @@ router.get('/participants/:meetingId',
           success: true,
           source: 'memory_fallback',
           participants: memoryParticipants,
-          count: memoryParticipants.length
+          count: memoryParticipants.length,
+          observer_uid_range: [OBSERVER_UID_MIN, OBSERVER_UID_MAX]
         });
       }
 
-      // 4. Format the DB results for the Frontend
-      const formattedParticipants = dbParticipants.map(p => {
-        // Teacher detection: check flag OR check if user_id matches session teacher
-        const isTeacher = p.is_teacher || p.student_id === session.teacher_id;
+      // 4. Format the DB results for the Frontend (observers are never listed)
+      const formattedParticipants = dbParticipants
+        .filter(p => !isObserverUid(p.agora_uid))
+        .map(p => {
+          // Teacher detection: check flag OR check if user_id matches session teacher
+          const isTeacher = p.is_teacher || isSessionTeacher(p.student_id, session);
         
-        return {
-          user_id: p.student_id,
-          agora_uid: p.agora_uid || session.agora_uids[p.student_id],
-          name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
-          display_name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
-          role: isTeacher ? 'teacher' : 'student',
-          is_teacher: isTeacher,
-          avatar_url: p.profiles?.avatar_url,
-          joined_at: p.joined_at
-        };
-      });
+          return {
+            user_id: p.student_id,
+            agora_uid: p.agora_uid || session.agora_uids[p.student_id],
+            name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
+            display_name: p.profiles?.name || (isTeacher ? 'Teacher' : 'Student'),
+            role: isTeacher ? 'teacher' : 'student',
+            is_teacher: isTeacher,
+            avatar_url: p.profiles?.avatar_url,
+            joined_at: p.joined_at
+          };
+        });
 
       console.log(`✅ API: Returning ${formattedParticipants.length} participants`);
 
@@ -2407,7 +2990,8 @@ router.get('/participants/:meetingId',
         source: 'database',
         participants: formattedParticipants,
         count: formattedParticipants.length,
-        teacher_id: session.teacher_id
+        teacher_id: session.teacher_id,
+        observer_uid_range: [OBSERVER_UID_MIN, OBSERVER_UID_MAX]
       });
 
     } catch (error) {
@@ -2419,4 +3003,5 @@ router.get('/participants/:meetingId',
       });
     }
 });
+export { sessionManager, joinVideoSession, loadLiveSession, removeFromVideoSession, readmitToVideoSession };
 export default router;
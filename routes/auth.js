@@ -0,0 +1,44 @@
+// routes/auth.js
+// Unauthenticated account routes: checking an invite link and setting a password from it.
+// Tokens travel in the request body, never in the URL, so they stay out of access logs.
+
+import express from 'express';
+import { strictLimiter } from '../middleware/rateLimiter.js';
+import { InviteError, MIN_PASSWORD_LENGTH, verifyInvite, acceptInvite } from '../utils/invites.js';
+
+const router = express.Router();
+
+router.use(strictLimiter);
+
+const handleInviteError = (res, error, context) => {
+  if (error instanceof InviteError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// { token } -> who the link is for, before showing the set-password form
+router.post('/verify-invite', async (req, res) => {
+  try {
+    res.json({ ...(await verifyInvite(req.body?.token)), min_password_length: MIN_PASSWORD_LENGTH });
+  } catch (error) {
+    handleInviteError(res, error, 'verifying invite');
+  }
+});
+
+// { token, password }
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const result = await acceptInvite(req.body?.token, req.body?.password);
+    console.log(`✅ Invite accepted by ${result.email} (${result.purpose})`);
+    res.json({
+      message: result.purpose === 'password_reset' ? 'Password changed, you can sign in now' : 'Account ready, you can sign in now',
+      ...result
+    });
+  } catch (error) {
+    handleInviteError(res, error, 'accepting invite');
+  }
+});
+
+export default router;
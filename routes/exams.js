@@ -0,0 +1,262 @@
+// routes/exams.js
+// Exam authoring and grading for teachers and admins: question banks, exams, class schedules,
+// attempts and the manual grading queue. Students take exams through /api/student/exams.
+// All routes are protected by requireAuth and require the teacher or admin role.
+
+import express from 'express';
+import { supabase } from '../server.js';
+import { requireAuth } from '../middleware/auth.js';
+import { RubricError } from '../utils/rubrics.js';
+import { getPlaybackUrl } from '../utils/recitations.js';
+import {
+  ExamError,
+  QUESTION_TYPES,
+  listBanks,
+  createBank,
+  updateBank,
+  getBankWithQuestions,
+  addBankQuestions,
+  updateBankQuestion,
+  archiveBankQuestion,
+  listExams,
+  getExamDetail,
+  createExam,
+  updateExam,
+  deleteExam,
+  setExamQuestions,
+  scheduleExam,
+  deleteSchedule,
+  listExamAttempts,
+  getAttemptForGrading,
+  listPendingGrading,
+  gradeAnswer
+} from '../utils/exams.js';
+
+const router = express.Router();
+
+const requireExamAuthor = (req, res, next) => {
+  if (!req.user || !['teacher', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Access denied: teachers and admins only' });
+  }
+  next();
+};
+
+router.use(requireAuth, requireExamAuthor);
+
+const handleExamError = (res, error, context) => {
+  if (error instanceof ExamError || error instanceof RubricError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// Playback links for the recitation answers of an attempt
+const withRecitationAudio = async (req, questions) => {
+  const ids = questions.map(q => q.response?.recitation_id).filter(Boolean);
+  if (ids.length === 0) return questions;
+
+  const { data: recitations } = await supabase.from('recitation_uploads').select('*').in('id', ids);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  return Promise.all(questions.map(async question => {
+    const recitation = (recitations || []).find(r => r.id === question.response?.recitation_id);
+    return recitation
+      ? { ...question, audio: await getPlaybackUrl(recitation, baseUrl) }
+      : question;
+  }));
+};
+
+// ==================== QUESTION BANKS ====================
+
+router.get('/question-types', (req, res) => {
+  res.json({ types: QUESTION_TYPES });
+});
+
+router.get('/banks', async (req, res) => {
+  try {
+    res.json({ banks: await listBanks(req.user) });
+  } catch (error) {
+    handleExamError(res, error, 'fetching question banks');
+  }
+});
+
+router.post('/banks', async (req, res) => {
+  try {
+    const bank = await createBank(req.user, req.body || {});
+    console.log(`✅ Question bank created: ${bank.title}`);
+    res.status(201).json({ message: 'Question bank created successfully', bank });
+  } catch (error) {
+    handleExamError(res, error, 'creating question bank');
+  }
+});
+
+// A bank with its questions, answer keys included (?include_archived=true)
+router.get('/banks/:id', async (req, res) => {
+  try {
+    res.json(await getBankWithQuestions(req.params.id, req.user, {
+      includeArchived: req.query.include_archived === 'true'
+    }));
+  } catch (error) {
+    handleExamError(res, error, 'fetching question bank');
+  }
+});
+
+router.put('/banks/:id', async (req, res) => {
+  try {
+    res.json({ message: 'Question bank updated successfully', bank: await updateBank(req.params.id, req.user, req.body || {}) });
+  } catch (error) {
+    handleExamError(res, error, 'updating question bank');
+  }
+});
+
+// Add one question, or several with { questions: [...] }
+router.post('/banks/:id/questions', async (req, res) => {
+  try {
+    const questions = await addBankQuestions(req.params.id, req.user, req.body?.questions ?? req.body);
+    res.status(201).json({ message: `${questions.length} question(s) added`, questions });
+  } catch (error) {
+    handleExamError(res, error, 'adding questions');
+  }
+});
+
+router.put('/questions/:questionId', async (req, res) => {
+  try {
+    res.json({ message: 'Question updated successfully', question: await updateBankQuestion(req.params.questionId, req.user, req.body || {}) });
+  } catch (error) {
+    handleExamError(res, error, 'updating question');
+  }
+});
+
+// Questions are archived rather than deleted, exams and attempts may still refer to them
+router.delete('/questions/:questionId', async (req, res) => {
+  try {
+    await archiveBankQuestion(req.params.questionId, req.user);
+    res.json({ message: 'Question archived successfully' });
+  } catch (error) {
+    handleExamError(res, error, 'archiving question');
+  }
+});
+
+// ==================== GRADING ====================
+
+// Recitations and free-text answers waiting for a teacher
+router.get('/grading/pending', async (req, res) => {
+  try {
+    const pending = await listPendingGrading(req.user);
+    res.json({ pending, count: pending.length });
+  } catch (error) {
+    handleExamError(res, error, 'fetching grading queue');
+  }
+});
+
+router.get('/attempts/:attemptId', async (req, res) => {
+  try {
+    const detail = await getAttemptForGrading(req.params.attemptId, req.user);
+    res.json({ ...detail, questions: await withRecitationAudio(req, detail.questions) });
+  } catch (error) {
+    handleExamError(res, error, 'fetching exam attempt');
+  }
+});
+
+// Grade one answer: { points, feedback } or, with the exam's rubric, { criteria: [{ key, points, comment }], feedback }
+router.put('/attempts/:attemptId/answers/:questionId/grade', async (req, res) => {
+  try {
+    const result = await gradeAnswer(req.params.attemptId, req.params.questionId, req.user, req.body || {});
+    res.json({ message: 'Answer graded successfully', ...result });
+  } catch (error) {
+    handleExamError(res, error, 'grading exam answer');
+  }
+});
+
+// ==================== EXAMS ====================
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ exams: await listExams(req.user, { status: req.query.status }) });
+  } catch (error) {
+    handleExamError(res, error, 'fetching exams');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const exam = await createExam(req.user, req.body || {});
+
+    // Questions can be attached in the same request
+    if (Array.isArray(req.body?.questions) && req.body.questions.length > 0) {
+      await setExamQuestions(exam.id, req.user, req.body.questions);
+    }
+
+    console.log(`✅ Exam created: ${exam.title}`);
+    res.status(201).json({ message: 'Exam created successfully', exam: await getExamDetail(exam.id, req.user) });
+  } catch (error) {
+    handleExamError(res, error, 'creating exam');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getExamDetail(req.params.id, req.user));
+  } catch (error) {
+    handleExamError(res, error, 'fetching exam');
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    await updateExam(req.params.id, req.user, req.body || {});
+    res.json({ message: 'Exam updated successfully', exam: await getExamDetail(req.params.id, req.user) });
+  } catch (error) {
+    handleExamError(res, error, 'updating exam');
+  }
+});
+
+// Deletes an exam nobody has taken; otherwise archives it so the results are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const { archived } = await deleteExam(req.params.id, req.user);
+    res.json({ message: archived ? 'Exam has attempts and was archived' : 'Exam deleted successfully', archived });
+  } catch (error) {
+    handleExamError(res, error, 'deleting exam');
+  }
+});
+
+// Replace the question list: { questions: [questionId | { question_id, points }] }
+router.put('/:id/questions', async (req, res) => {
+  try {
+    const questions = await setExamQuestions(req.params.id, req.user, req.body?.questions);
+    res.json({ message: 'Exam questions updated successfully', questions });
+  } catch (error) {
+    handleExamError(res, error, 'updating exam questions');
+  }
+});
+
+// Open the exam to a class: { class_id, opens_at, closes_at }
+router.post('/:id/schedules', async (req, res) => {
+  try {
+    const schedule = await scheduleExam(req.params.id, req.user, req.body || {});
+    res.status(201).json({ message: 'Exam scheduled successfully', schedule });
+  } catch (error) {
+    handleExamError(res, error, 'scheduling exam');
+  }
+});
+
+router.delete('/:id/schedules/:scheduleId', async (req, res) => {
+  try {
+    await deleteSchedule(req.params.id, req.params.scheduleId, req.user);
+    res.json({ message: 'Exam schedule removed successfully' });
+  } catch (error) {
+    handleExamError(res, error, 'removing exam schedule');
+  }
+});
+
+router.get('/:id/attempts', async (req, res) => {
+  try {
+    res.json({ attempts: await listExamAttempts(req.params.id, req.user) });
+  } catch (error) {
+    handleExamError(res, error, 'fetching exam attempts');
+  }
+});
+
+export default router;
@@ -0,0 +1,330 @@
+// routes/guardian.js
+// Guardian (parent) routes: read access to each linked child's classes, assignments, grades,
+// attendance and invoices, plus a consolidated family bill.
+// All routes are protected by requireAuth and requireGuardian middleware; children are linked
+// by admins through the guardian_students table (guardian_id, student_id, relationship).
+
+import express from 'express';
+import { supabase } from '../server.js';
+import { requireAuth, requireGuardian } from '../middleware/auth.js';
+import { LedgerError, listInvoices, listPayments, toAmount, totalsByCurrency } from '../utils/feeLedger.js';
+import { buildInvoiceDocument, sendFeeDocument } from '../utils/feeDocuments.js';
+import { listStudentAssignments } from '../utils/assignments.js';
+import { getStudentAttendance } from '../utils/attendance.js';
+import { SeriesError, listSeriesOccurrences, mergeClassListing } from '../utils/classSeries.js';
+import { getViewerTimezone } from '../utils/timezones.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all guardian routes
+router.use(requireAuth, requireGuardian);
+
+// Student ids linked to a guardian
+const getChildIds = async (guardianId) => {
+  const { data, error } = await supabase
+    .from('guardian_students')
+    .select('student_id')
+    .eq('guardian_id', guardianId);
+
+  if (error) throw error;
+  return (data || []).map(link => link.student_id);
+};
+
+// Only the guardian's own children are reachable; sets req.child to the student's profile
+const requireLinkedChild = async (req, res, next) => {
+  try {
+    const { studentId } = req.params;
+
+    const { data: link } = await supabase
+      .from('guardian_students')
+      .select('student_id, relationship')
+      .eq('guardian_id', req.user.id)
+      .eq('student_id', studentId)
+      .maybeSingle();
+
+    if (!link) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    const { data: child } = await supabase
+      .from('profiles')
+      .select('id, name, email, course, status, teacher_id')
+      .eq('id', studentId)
+      .eq('role', 'student')
+      .maybeSingle();
+
+    if (!child) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    req.child = { ...child, relationship: link.relationship };
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying guardian link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get linked children
+router.get('/children', async (req, res) => {
+  try {
+    const { data: links, error } = await supabase
+      .from('guardian_students')
+      .select('student_id, relationship, created_at')
+      .eq('guardian_id', req.user.id);
+
+    if (error) {
+      console.error('❌ Error fetching guardian links:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!links || links.length === 0) {
+      return res.json([]);
+    }
+
+    const { data: students, error: studentsError } = await supabase
+      .from('profiles')
+      .select(`
+        id,
+        name,
+        email,
+        course,
+        status,
+        teacher:teacher_id (name, email)
+      `)
+      .in('id', links.map(link => link.student_id))
+      .eq('role', 'student');
+
+    if (studentsError) {
+      console.error('❌ Error fetching children:', studentsError);
+      return res.status(400).json({ error: studentsError.message });
+    }
+
+    res.json((students || []).map(student => ({
+      ...student,
+      relationship: links.find(link => link.student_id === student.id)?.relationship || null
+    })));
+  } catch (error) {
+    console.error('❌ Error fetching children:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a child's classes (their teacher's schedule, as shown to the student)
+router.get('/children/:studentId/classes', requireLinkedChild, async (req, res) => {
+  try {
+    const { status, start_date, end_date } = req.query;
+
+    if (!req.child.teacher_id) {
+      return res.json([]);
+    }
+
+    let query = supabase
+      .from('classes')
+      .select(`
+        id,
+        title,
+        scheduled_date,
+        duration,
+        description,
+        status,
+        teacher:teacher_id (name)
+      `)
+      .eq('teacher_id', req.child.teacher_id)
+      .is('series_id', null);
+
+    if (status) query = query.eq('status', status);
+    if (start_date) query = query.gte('scheduled_date', start_date);
+    if (end_date) query = query.lte('scheduled_date', end_date);
+
+    const { data, error } = await query.order('scheduled_date', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching child classes:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const occurrences = await listSeriesOccurrences({
+      teacherId: req.child.teacher_id,
+      from: start_date,
+      to: end_date,
+      status,
+      substitutions: false
+    });
+
+    // Times in the guardian's timezone alongside UTC
+    const { classes } = mergeClassListing(data || [], occurrences, {
+      limit: data.length + occurrences.length,
+      timezone: getViewerTimezone(req)
+    });
+    res.json(classes);
+  } catch (error) {
+    if (error instanceof SeriesError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error fetching child classes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a child's assignments with submission state
+router.get('/children/:studentId/assignments', requireLinkedChild, async (req, res) => {
+  try {
+    const items = await listStudentAssignments(req.child.id);
+
+    res.json(items.map(({ assignment, class: classData, submission, state }) => ({
+      ...assignment,
+      class: classData,
+      submissions: submission ? [submission] : [],
+      state,
+      is_late: state === 'missing'
+    })));
+  } catch (error) {
+    console.error('❌ Error fetching child assignments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a child's graded work and average
+router.get('/children/:studentId/grades', requireLinkedChild, async (req, res) => {
+  try {
+    const items = await listStudentAssignments(req.child.id);
+
+    const grades = items
+      .filter(({ assignment, submission }) => submission?.status === 'graded' || assignment.status === 'graded')
+      .map(({ assignment, class: classData, submission }) => {
+        // Legacy per-student rows kept the grade on the assignment itself
+        const graded = submission?.status === 'graded' ? submission : assignment;
+        return {
+          assignment_id: assignment.id,
+          title: assignment.title,
+          class_title: classData?.title || null,
+          score: graded.score,
+          max_score: assignment.max_score,
+          percentage: assignment.max_score ? Math.round((graded.score / assignment.max_score) * 100) : null,
+          rubric: graded.rubric_scores || null,
+          feedback: graded.feedback,
+          graded_at: graded.graded_at
+        };
+      })
+      .sort((a, b) => new Date(b.graded_at) - new Date(a.graded_at));
+
+    const scored = grades.filter(g => g.percentage !== null);
+
+    res.json({
+      grades,
+      average_percentage: scored.length
+        ? Math.round(scored.reduce((sum, g) => sum + g.percentage, 0) / scored.length)
+        : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching child grades:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a child's attendance from live session participation (?from, ?to as ISO dates)
+router.get('/children/:studentId/attendance', requireLinkedChild, async (req, res) => {
+  try {
+    const { summary, records } = await getStudentAttendance(req.child.id, { from: req.query.from, to: req.query.to });
+
+    res.json({
+      summary,
+      records: records.map(record => ({
+        class_id: record.class_id,
+        class_title: record.class?.title || null,
+        scheduled_date: record.class?.scheduled_date || null,
+        status: record.status,
+        joined_at: record.joined_at,
+        left_at: record.left_at,
+        minutes_attended: record.minutes_attended,
+        note: record.note
+      })),
+      sessions_attended: summary.classes - summary.absent - summary.excused,
+      sessions_held: summary.classes,
+      attendance_rate: summary.attendance_rate
+    });
+  } catch (error) {
+    console.error('❌ Error fetching child attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a child's invoices
+router.get('/children/:studentId/invoices', requireLinkedChild, async (req, res) => {
+  try {
+    const invoices = await listInvoices({ studentId: req.child.id });
+    res.json(invoices);
+  } catch (error) {
+    console.error('❌ Error fetching child invoices:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download one of a child's invoices (?format=pdf|html)
+router.get('/children/:studentId/invoices/:invoiceId/document', requireLinkedChild, async (req, res) => {
+  try {
+    const document = await buildInvoiceDocument(req.params.invoiceId);
+
+    if (document.student_id !== req.child.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    await sendFeeDocument(res, document, req.query.format);
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Error generating invoice document:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Consolidated family bill: open invoices of every child and the total outstanding
+router.get('/family-bill', async (req, res) => {
+  try {
+    const childIds = await getChildIds(req.user.id);
+
+    if (childIds.length === 0) {
+      return res.json({ children: [], open_invoices: [], total_outstanding: {}, recent_payments: [] });
+    }
+
+    const [{ data: children }, invoices, payments] = await Promise.all([
+      supabase.from('profiles').select('id, name, course').in('id', childIds),
+      listInvoices({ studentIds: childIds }),
+      listPayments({ studentIds: childIds })
+    ]);
+
+    const balanceOf = invoice => Math.max(0, Number(invoice.amount || 0) - Number(invoice.amount_paid || 0));
+    const openInvoices = invoices.filter(i => i.status !== 'void' && i.status !== 'paid' && balanceOf(i) > 0);
+
+    const perChild = (children || []).map(child => {
+      const childInvoices = openInvoices.filter(i => i.student_id === child.id);
+      return {
+        student_id: child.id,
+        name: child.name,
+        course: child.course,
+        open_invoices: childInvoices.length,
+        overdue_invoices: childInvoices.filter(i => i.status === 'overdue').length,
+        outstanding: totalsByCurrency(childInvoices, balanceOf)
+      };
+    });
+
+    // Outstanding amounts are keyed by currency code; children may be billed in different currencies
+    res.json({
+      children: perChild,
+      open_invoices: openInvoices.map(invoice => ({
+        ...invoice,
+        student_name: (children || []).find(c => c.id === invoice.student_id)?.name || null,
+        balance: toAmount(balanceOf(invoice))
+      })),
+      total_outstanding: totalsByCurrency(openInvoices, balanceOf),
+      recent_payments: payments.slice(0, 10)
+    });
+  } catch (error) {
+    console.error('❌ Error building family bill:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
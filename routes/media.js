@@ -0,0 +1,47 @@
+// routes/media.js
+// Playback of recitation audio stored on local disk (AUDIO_STORAGE=local).
+// No auth header: the signed, expiring token in the URL is the authorization, so the link
+// works directly in an <audio> element. Supabase Storage serves its own signed URLs.
+
+import express from 'express';
+import path from 'path';
+import { getAudioStorage, verifyPlaybackToken } from '../utils/audioStorage.js';
+import { CONTAINERS } from '../utils/audioProbe.js';
+
+const router = express.Router();
+
+router.get('/recitations/:token', (req, res) => {
+  const storage = getAudioStorage();
+  if (storage.name !== 'local') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const key = verifyPlaybackToken(req.params.token);
+  if (!key) {
+    return res.status(403).json({ error: 'Playback link is invalid or has expired' });
+  }
+
+  let filePath;
+  try {
+    filePath = storage.resolve(key);
+  } catch {
+    return res.status(403).json({ error: 'Playback link is invalid or has expired' });
+  }
+
+  const extension = path.extname(filePath).slice(1);
+  const container = Object.values(CONTAINERS).find(c => c.extension === extension);
+
+  // sendFile handles Range requests so players can seek
+  res.sendFile(filePath, {
+    headers: {
+      'Content-Type': container?.mimeType || 'application/octet-stream',
+      'Cache-Control': 'private, max-age=300'
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({ error: 'Recording not found' });
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,95 @@
+// routes/notifications.js
+// Notification center for every role: list, unread count, mark read and per-type preferences.
+// All routes are protected by requireAuth and only ever touch the caller's own notifications.
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  NotificationError,
+  NOTIFICATION_TYPES,
+  getPreferences,
+  setPreferences,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+} from '../utils/notifications.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const handleNotificationError = (res, error, context) => {
+  if (error instanceof NotificationError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+// ?unread=true, ?type, ?page, ?limit
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type, page, limit } = req.query;
+    res.json(await listNotifications(req.user.id, { unread: unread === 'true', type, page, limit }));
+  } catch (error) {
+    handleNotificationError(res, error, 'fetching notifications');
+  }
+});
+
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json(await getUnreadCount(req.user.id));
+  } catch (error) {
+    handleNotificationError(res, error, 'counting notifications');
+  }
+});
+
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({ types: NOTIFICATION_TYPES, preferences: await getPreferences(req.user.id) });
+  } catch (error) {
+    handleNotificationError(res, error, 'fetching notification preferences');
+  }
+});
+
+// { [type]: { in_app, email } }, e.g. { "session_started": { "in_app": false } }
+router.put('/preferences', async (req, res) => {
+  try {
+    const preferences = await setPreferences(req.user.id, req.body?.preferences || req.body);
+    res.json({ message: 'Notification preferences updated', preferences });
+  } catch (error) {
+    handleNotificationError(res, error, 'updating notification preferences');
+  }
+});
+
+// { ids: [...] }; ids that are not the caller's or already read are skipped
+router.post('/read', async (req, res) => {
+  try {
+    const updated = await markRead(req.user.id, req.body?.ids);
+    res.json({ updated, unread_count: await getUnreadCount(req.user.id) });
+  } catch (error) {
+    handleNotificationError(res, error, 'marking notifications read');
+  }
+});
+
+// ?type (or { type }) limits it to one type
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id, { type: req.query.type || req.body?.type });
+    res.json({ updated, unread_count: await getUnreadCount(req.user.id) });
+  } catch (error) {
+    handleNotificationError(res, error, 'marking all notifications read');
+  }
+});
+
+router.post('/:id/read', async (req, res) => {
+  try {
+    const updated = await markRead(req.user.id, req.params.id);
+    res.json({ updated, unread_count: await getUnreadCount(req.user.id) });
+  } catch (error) {
+    handleNotificationError(res, error, 'marking notification read');
+  }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+// routes/session-events.js
+// Server-Sent Events push channel for live video sessions.
+// Replaces polling of /participants, /session-messages and /session-status with
+// participant, chat, recording and session-ended events published by routes/agora.js.
+
+import crypto from 'crypto';
+import express from 'express';
+import { supabase } from '../server.js';
+import { requireAuth } from '../middleware/auth.js';
+import { sessionManager } from './agora.js';
+import { sessionEvents } from '../utils/sessionEvents.js';
+import { canAccessSession } from '../middleware/sessionPolicies.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25000; // keeps proxies (Render, Vercel) from closing idle streams
+const TICKET_TTL = 30000;
+
+// EventSource cannot send headers, and a bearer token in the URL would end up in the access logs.
+// Clients POST /:meetingId/ticket with their token and open the stream with ?ticket=, which is
+// single-use, short-lived and bound to one meeting.
+const streamTickets = new Map();
+
+const issueStreamTicket = (user, meetingId) => {
+  const now = Date.now();
+  for (const [ticket, entry] of streamTickets) {
+    if (entry.expiresAt <= now) streamTickets.delete(ticket);
+  }
+
+  const ticket = crypto.randomBytes(24).toString('base64url');
+  streamTickets.set(ticket, { user, meetingId, expiresAt: now + TICKET_TTL });
+  return { ticket, expires_at: new Date(now + TICKET_TTL).toISOString() };
+};
+
+// Streams authenticate with ?ticket=, or with the Authorization header for clients that can send one
+const authenticateStream = (req, res, next) => {
+  const { ticket } = req.query;
+  if (!ticket) return requireAuth(req, res, next);
+
+  const entry = streamTickets.get(ticket);
+  streamTickets.delete(ticket);
+
+  if (!entry || entry.expiresAt <= Date.now() || entry.meetingId !== req.params.meetingId) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired stream ticket' });
+  }
+
+  req.user = entry.user;
+  next();
+};
+
+// Find the session in memory first, then fall back to the database
+const findSession = async (meetingId) => {
+  const memorySession = sessionManager.getSession(meetingId);
+  if (memorySession) return memorySession;
+
+  const { data: dbSession } = await supabase
+    .from('video_sessions')
+    .select('id, meeting_id, class_id, teacher_id, substitute_teacher_id, status, channel_name')
+    .eq('meeting_id', meetingId)
+    .maybeSingle();
+
+  return dbSession;
+};
+
+const writeEvent = (res, event) => {
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+  res.flush?.(); // push through the compression middleware immediately
+};
+
+// Sends the error response itself and returns null when the user may not follow the session
+const authorizeSubscriber = async (req, res, meetingId) => {
+  const session = await findSession(meetingId);
+
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return null;
+  }
+
+  // Admins, the session teacher, current participants and enrolled students may subscribe
+  if (!(await canAccessSession(req.user, session))) {
+    res.status(403).json({ success: false, error: 'Not authorized to follow this session' });
+    return null;
+  }
+
+  if (sessionManager.getRemoval(meetingId, req.user.id)) {
+    res.status(403).json({ success: false, error: 'You were removed from this session', code: 'PARTICIPANT_REMOVED' });
+    return null;
+  }
+
+  return session;
+};
+
+// ==================== STREAM TICKETS ====================
+router.post('/:meetingId/ticket', requireAuth, async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    if (!(await authorizeSubscriber(req, res, meetingId))) return;
+
+    res.status(201).json({ success: true, ...issueStreamTicket(req.user, meetingId) });
+  } catch (error) {
+    console.error('❌ Error issuing stream ticket:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue stream ticket' });
+  }
+});
+
+// ==================== SUBSCRIBE TO SESSION EVENTS ====================
+router.get('/:meetingId', authenticateStream, async (req, res) => {
+  const { meetingId } = req.params;
+
+  try {
+    const session = await authorizeSubscriber(req, res, meetingId);
+    if (!session) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    console.log('📡 SSE subscriber connected:', { meetingId, user: req.user.id });
+
+    // Initial snapshot so the client does not need a separate REST call
+    const participantsInfo = sessionManager.getSessionParticipants(meetingId);
+    writeEvent(res, {
+      type: 'connected',
+      meeting_id: meetingId,
+      data: {
+        status: session.status,
+        teacher_id: session.teacher_id,
+        teacher_joined: sessionManager.isTeacherPresent(meetingId),
+        participants: participantsInfo.participants || [],
+        participant_count: sessionManager.getParticipantCount(meetingId)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    // Replay anything missed since the client's last event
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id, 10);
+    if (!Number.isNaN(lastEventId)) {
+      sessionEvents.replay(meetingId, lastEventId).forEach(event => writeEvent(res, event));
+    }
+
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    // A removed or banned user's stream ends with their own participant-removed event
+    unsubscribe = sessionEvents.subscribe(meetingId, event => {
+      writeEvent(res, event);
+      if (event.type === 'participant-removed' && event.data?.user_id === req.user.id) {
+        console.log('🚫 Closing SSE stream of removed participant:', { meetingId, user: req.user.id });
+        close();
+      }
+    });
+    heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      res.flush?.();
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      close();
+      console.log('📴 SSE subscriber disconnected:', { meetingId, user: req.user.id });
+    });
+
+  } catch (error) {
+    console.error('❌ Error opening session event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to subscribe to session events' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+export default router;
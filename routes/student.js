@@ -2,10 +2,58 @@
 // All routes are protected by requireAuth middleware.
 
 import express from 'express';
+import multer from 'multer';
 import { supabase, clearCache, getCache, setCache } from '../server.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireStudent } from '../middleware/auth.js';
 import { sanitizeInput } from '../utils/helpers.js';
+import { AgoraConfigError } from '../utils/agoraTokens.js';
+import { joinVideoSession } from './agora.js';
+import { LedgerError, listPayments, listInvoices, getPayment, totalsByCurrency } from '../utils/feeLedger.js';
+import { buildReceiptDocument, sendFeeDocument } from '../utils/feeDocuments.js';
+import { getHifzProgress, listHifzRecords } from '../utils/hifzTracker.js';
+import { SURAHS } from '../utils/quranMeta.js';
+import {
+  RecitationError,
+  CHUNK_SIZE,
+  getMaxUploadBytes,
+  storeRecitation,
+  getRecitation,
+  getPlaybackUrl,
+  getAttachableRecitation,
+  attachRecitation,
+  discardRecitation,
+  createUploadSession,
+  getUploadStatus,
+  appendUploadChunk,
+  completeUpload
+} from '../utils/recitations.js';
+import { listAnnotations, getTajweedSummary } from '../utils/tajweedAnnotations.js';
+import { summarizeRubricScores } from '../utils/rubrics.js';
+import {
+  AssignmentError,
+  policyOf,
+  attemptsRemaining,
+  prepareAttempt,
+  saveAttempt,
+  getSubmissionHistory,
+  getStudentAssignment,
+  listStudentAssignments
+} from '../utils/assignments.js';
+import {
+  ExamError,
+  listStudentExams,
+  listStudentAttempts,
+  startAttempt,
+  getOwnAttempt,
+  describeAttemptForStudent,
+  saveAnswers,
+  saveRecitationAnswer,
+  submitAttempt
+} from '../utils/exams.js';
+import { getStudentAttendance } from '../utils/attendance.js';
+import { SeriesError, listSeriesOccurrences, mergeClassListing } from '../utils/classSeries.js';
+import { normalizeTimezone, getViewerTimezone } from '../utils/timezones.js';
 
 const router = express.Router();
 
@@ -17,6 +65,39 @@ const asyncHandler = fn => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Multipart recitation upload (field "audio"), kept in memory until it has been validated
+const uploadAudio = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxUploadBytes(), files: 1 }
+  }).single('audio');
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  });
+};
+
+const handleRecitationError = (res, error) => {
+  if (error instanceof RecitationError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  throw error;
+};
+
+const recitationSummary = (recitation) => ({
+  id: recitation.id,
+  assignment_id: recitation.assignment_id,
+  container: recitation.container,
+  mime_type: recitation.mime_type,
+  size_bytes: recitation.size_bytes,
+  duration_seconds: recitation.duration_seconds,
+  created_at: recitation.created_at
+});
+
 // Database table discovery and fallback system
 const discoverTables = async () => {
   try {
@@ -56,6 +137,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
       role,
       course,
       status,
+      timezone,
       created_at,
       updated_at,
       teacher_id,
@@ -63,7 +145,8 @@ router.get('/profile', asyncHandler(async (req, res) => {
         id,
         name,
         email,
-        subject
+        subject,
+        timezone
       )
     `)
     .eq('id', req.user.id)
@@ -97,15 +180,21 @@ router.get('/profile', asyncHandler(async (req, res) => {
 
 // Update student profile
 router.put('/profile', asyncHandler(async (req, res) => {
-  const { name, course } = req.body;
+  const { name, course, timezone } = req.body;
 
-  if (!name && !course) {
-    return res.status(400).json({ error: 'At least one field (name or course) is required' });
+  if (!name && !course && !timezone) {
+    return res.status(400).json({ error: 'At least one field (name, course or timezone) is required' });
   }
 
   const updates = {};
   if (name) updates.name = sanitizeInput(name);
   if (course) updates.course = sanitizeInput(course);
+  if (timezone) {
+    updates.timezone = normalizeTimezone(timezone);
+    if (!updates.timezone) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/London' });
+    }
+  }
   updates.updated_at = new Date().toISOString();
 
   const { data, error } = await supabase
@@ -153,7 +242,8 @@ router.get('/classes', asyncHandler(async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         total: 0
-      }
+      },
+      timezone: getViewerTimezone(req)
     });
   }
 
@@ -172,39 +262,43 @@ router.get('/classes', asyncHandler(async (req, res) => {
         name,
         email
       )
-    `, { count: 'exact' })
-    .eq('teacher_id', profile.teacher_id);
+    `)
+    .eq('teacher_id', profile.teacher_id)
+    .is('series_id', null);
 
   // Apply filters
   if (status) query = query.eq('status', status);
   if (start_date) query = query.gte('scheduled_date', start_date);
   if (end_date) query = query.lte('scheduled_date', end_date);
 
-  // Pagination
-  const from = (page - 1) * limit;
-  const to = from + limit - 1;
-
-  query = query.order('scheduled_date', { ascending: true })
-               .range(from, to);
-
-  const { data, error, count } = await query;
+  const { data, error } = await query.order('scheduled_date', { ascending: true });
 
   if (error) {
     console.error('❌ Error fetching teacher classes:', error);
     return res.status(400).json({ error: error.message });
   }
 
-  res.json({
-    classes: data || [],
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total: count || 0
+  // Recurring classes of the teacher, expanded up to end_date (or the default horizon)
+  let occurrences;
+  try {
+    occurrences = await listSeriesOccurrences({
+      teacherId: profile.teacher_id,
+      from: start_date,
+      to: end_date,
+      status,
+      substitutions: false
+    });
+  } catch (seriesError) {
+    if (seriesError instanceof SeriesError) {
+      return res.status(seriesError.status).json({ error: seriesError.message, code: seriesError.code });
     }
-  });
+    throw seriesError;
+  }
+
+  res.json(mergeClassListing(data || [], occurrences, { page, limit, timezone: getViewerTimezone(req) }));
 }));
 
-// Join video session
+// Join video session (same join path as /api/agora/join-session)
 router.post('/video-sessions/join', asyncHandler(async (req, res) => {
   const { meeting_id } = req.body;
 
@@ -212,45 +306,32 @@ router.post('/video-sessions/join', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Meeting ID is required' });
   }
 
-  // Verify student is enrolled in the class associated with the video session
-  const { data: session, error: sessionError } = await supabase
-    .from('video_sessions')
-    .select(`
-      id,
-      meeting_id,
-      class_id,
-      status,
-      channel_name,
-      classes (
-        id,
-        teacher_id,
-        students_classes (
-          student_id
-        )
-      )
-    `)
-    .eq('meeting_id', meeting_id)
-    .eq('status', 'active')
-    .single();
-
-  if (sessionError || !session) {
-    console.error('❌ Error fetching video session:', sessionError);
-    return res.status(400).json({ error: 'Video session not found or not active' });
+  // Verifies enrollment, issues a real Agora token and registers the participant
+  let result;
+  try {
+    result = await joinVideoSession(req.user, meeting_id);
+  } catch (error) {
+    if (error instanceof AgoraConfigError) {
+      return res.status(500).json({ error: error.message, code: error.code });
+    }
+    throw error;
   }
 
-  // Check if student is enrolled in the class
-  const isEnrolled = session.classes?.students_classes?.some(sc => sc.student_id === req.user.id);
-  if (!isEnrolled) {
-    return res.status(403).json({ error: 'Not authorized to join this session' });
+  if (result.error) {
+    const message = result.status === 404 ? 'Video session not found or not active' : 'Not authorized to join this session';
+    return res.status(result.status === 404 ? 400 : result.status).json({ error: message, code: result.code });
   }
 
-  // In a real implementation, this would generate a token for your video provider
-  const studentToken = `student-${meeting_id}-${req.user.id}-${Date.now()}`;
+  const { session, credentials } = result;
 
   res.json({
-    meeting_id,
-    student_token: studentToken,
+    meeting_id: session.meeting_id,
+    student_token: credentials.token,
+    token: credentials.token,
+    uid: credentials.uid,
+    app_id: credentials.appId,
     channel_name: session.channel_name,
+    expires_at: credentials.expiresAt,
     message: 'Joined video session successfully'
   });
 }));
@@ -367,7 +448,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
 
     if (profileError || !profile) {
       console.log('No profile found, returning 0 stats');
-      return res.json({ total_classes: 0, hours_learned: 0, assignments: 0, avg_score: 0 });
+      return res.json({ total_classes: 0, hours_learned: 0, assignments: 0, avg_score: 0, attendance_rate: null, criteria_breakdown: [] });
     }
 
     const teacherId = profile.teacher_id;
@@ -413,28 +494,12 @@ router.get('/stats', asyncHandler(async (req, res) => {
     console.log('Teacher classes error:', teacherClassesError);
 
     console.log('=== END STATS DEBUG ===');
-    // Calculate hours learned (simplified)
-    const { data: classesData } = await supabase
-      .from('students_classes')
-      .select(`
-        classes (
-          duration
-        )
-      `)
-      .eq('student_id', req.user.id);
+    // Hours learned: time actually spent in live classes
+    const { summary: attendance } = await getStudentAttendance(req.user.id);
+    const hoursLearned = attendance.minutes_attended / 60;
 
-    let hoursLearned = 0;
-    if (classesData) {
-      classesData.forEach(item => {
-        hoursLearned += (item.classes?.duration || 0) / 60;
-      });
-    }
-
-    // Get assignments count
-    const { count: assignmentsCount } = await supabase
-      .from('assignments')
-      .select('*', { count: 'exact', head: true })
-      .eq('student_id', req.user.id);
+    // Assignments targeted at the student, with their own submission
+    const assignmentItems = await listStudentAssignments(req.user.id);
 
     // Calculate average score from assignment_submissions
     let avgScore = 0;
@@ -452,15 +517,25 @@ router.get('/stats', asyncHandler(async (req, res) => {
     res.json({
       total_classes: totalClasses,
       hours_learned: hoursLearned.toFixed(1),
-      assignments: assignmentsCount || 0,
-      avg_score: avgScore
+      assignments: assignmentItems.length,
+      avg_score: avgScore,
+      attendance_rate: attendance.attendance_rate,
+      // Average per rubric criterion over rubric-graded work
+      criteria_breakdown: summarizeRubricScores(
+        assignmentItems.map(({ submission, assignment }) => submission?.rubric_scores || assignment.rubric_scores)
+      )
     });
 
   } catch (error) {
     console.error('❌ Error in stats endpoint:', error);
-    res.json({ total_classes: 0, hours_learned: 0, assignments: 0, avg_score: 0 });
+    res.json({ total_classes: 0, hours_learned: 0, assignments: 0, avg_score: 0, attendance_rate: null, criteria_breakdown: [] });
   }
 }));
+// Attendance per class from live session participation (?from, ?to as ISO dates)
+router.get('/attendance', requireStudent, asyncHandler(async (req, res) => {
+  res.json(await getStudentAttendance(req.user.id, { from: req.query.from, to: req.query.to }));
+}));
+
 // Check if student has teacher
 router.get('/teacher-check', asyncHandler(async (req, res) => {
   const { data: profile, error } = await supabase
@@ -477,159 +552,92 @@ router.get('/teacher-check', asyncHandler(async (req, res) => {
   res.json({ hasTeacher: !!profile?.teacher_id });
 }));
 
-// Get assignments 
+// Get assignments with the student's own submission state
 router.get('/assignments', asyncHandler(async (req, res) => {
-  try {
-    // First get the student's teacher_id
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('teacher_id')
-      .eq('id', req.user.id)
-      .single();
-
-    if (profileError || !profile) {
-      console.error('❌ Error fetching student profile:', profileError);
-      return res.status(400).json({ error: 'Student profile not found' });
-    }
-
-    const teacherId = profile.teacher_id;
-
-    // Query assignments with only the columns that actually exist
-    let { data, error } = await supabase
-      .from('assignments')
-      .select(`
-        id,
-        title,
-        description,
-        due_date,
-        max_score,
-        class_id,
-        teacher_id,
-        student_id,
-        file_url,
-        grade,
-        feedback,
-        submitted_at,
-        created_at,
-        updated_at,
-        classes (
-          id,
-          title,
-          teacher_id
-        ),
-        assignment_submissions (
-          id,
-          status,
-          score,
-          feedback,
-          submitted_at,
-          graded_at
-        )
-      `)
-      .eq('student_id', req.user.id)
-      .eq('teacher_id', teacherId)
-      .order('due_date', { ascending: true });
-
-    if (error) {
-      console.error('❌ Error fetching assignments:', error);
-      throw error;
-    }
+  // Only the current teacher's homework is shown
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('teacher_id')
+    .eq('id', req.user.id)
+    .single();
 
-    // Transform the data to match expected frontend format
-    const assignments = (data || []).map(assignment => {
-      // Determine status based on submission and grading
-      let status = 'assigned';
-      if (assignment.submitted_at) {
-        status = 'submitted';
-      }
-      if (assignment.grade) {
-        status = 'graded';
-      }
-      
-      // Check if assignment is late
-      if (assignment.due_date && new Date(assignment.due_date) < new Date() && !assignment.submitted_at) {
-        status = 'late';
-      }
+  if (profileError || !profile) {
+    console.error('❌ Error fetching student profile:', profileError);
+    return res.status(400).json({ error: 'Student profile not found' });
+  }
 
-      return {
-        id: assignment.id,
-        title: assignment.title,
-        description: assignment.description,
-        due_date: assignment.due_date,
-        max_score: assignment.max_score,
-        class_id: assignment.class_id,
-        teacher_id: assignment.teacher_id,
-        file_url: assignment.file_url,
-        grade: assignment.grade,
-        feedback: assignment.feedback,
-        submitted_at: assignment.submitted_at,
-        created_at: assignment.created_at,
-        updated_at: assignment.updated_at,
-        status: status, // Derived status since it doesn't exist in DB
-        submissions: assignment.assignment_submissions || [],
-        class: assignment.classes
-      };
-    });
+  const items = await listStudentAssignments(req.user.id, { teacherId: profile.teacher_id });
 
-    res.json(assignments);
+  res.json(items.map(({ assignment, class: classData, submission, state }) => {
+    const score = submission?.score ?? assignment.score ?? null;
 
-  } catch (error) {
-    console.error('❌ Error in assignments endpoint:', error);
-    
-    // Fallback: try simple query without joins
-    try {
-      const { data: simpleData, error: simpleError } = await supabase
-        .from('assignments')
-        .select('*')
-        .eq('student_id', req.user.id)
-        .order('due_date', { ascending: true });
-
-      if (simpleError) {
-        throw simpleError;
-      }
+    return {
+      id: assignment.id,
+      title: assignment.title,
+      description: assignment.description,
+      due_date: assignment.due_date,
+      max_score: assignment.max_score,
+      class_id: assignment.class_id,
+      teacher_id: assignment.teacher_id,
+      file_url: assignment.file_url,
+      score,
+      percentage: score !== null && assignment.max_score
+        ? Math.round((score / assignment.max_score) * 1000) / 10
+        : null,
+      // Per-criterion breakdown when the work was graded with a rubric
+      rubric: submission?.rubric_scores || assignment.rubric_scores || null,
+      feedback: submission?.feedback ?? assignment.feedback ?? null,
+      submitted_at: submission?.submitted_at || assignment.submitted_at || null,
+      graded_at: submission?.graded_at || assignment.graded_at || null,
+      created_at: assignment.created_at,
+      updated_at: assignment.updated_at,
+      // assigned | submitted | graded | redo_requested, or late when nothing was handed in by the due date
+      status: state === 'missing' ? 'late' : state,
+      redo_reason: submission?.redo_reason || null,
+      policy: policyOf(assignment),
+      attempt_count: submission ? submission.attempt_count ?? 1 : 0,
+      attempts_remaining: attemptsRemaining(assignment, submission),
+      submissions: submission ? [submission] : [],
+      class: classData
+    };
+  }));
+}));
 
-      // Add derived status and basic structure
-      const simpleAssignments = (simpleData || []).map(assignment => {
-        let status = 'assigned';
-        if (assignment.submitted_at) {
-          status = 'submitted';
-        }
-        if (assignment.grade) {
-          status = 'graded';
-        }
-        if (assignment.due_date && new Date(assignment.due_date) < new Date() && !assignment.submitted_at) {
-          status = 'late';
-        }
-
-        return {
-          ...assignment,
-          status: status,
-          submissions: [],
-          class: null
-        };
-      });
+// Every attempt the student handed in for an assignment, with playback links for the recordings
+router.get('/assignments/:id/attempts', requireStudent, asyncHandler(async (req, res) => {
+  const assignment = await getStudentAssignment(req.params.id, req.user.id);
+  if (!assignment) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
 
-      res.json(simpleAssignments);
+  const { submission, attempts } = await getSubmissionHistory(assignment.id, req.user.id);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
 
-    } catch (fallbackError) {
-      console.error('❌ Fallback assignments query also failed:', fallbackError);
-      res.json([]); // Return empty array instead of failing
-    }
-  }
+  res.json({
+    assignment_id: assignment.id,
+    policy: policyOf(assignment),
+    status: submission?.status || null,
+    redo_reason: submission?.redo_reason || null,
+    attempts_remaining: attemptsRemaining(assignment, submission),
+    attempts: await Promise.all(attempts.map(async attempt => {
+      const recitation = attempt.recitation_id ? await getRecitation(attempt.recitation_id) : null;
+      return { ...attempt, audio: recitation ? await getPlaybackUrl(recitation, baseUrl) : null };
+    }))
+  });
 }));
 //submit assignment
-router.post('/submit-assignment', requireStudent, async (req, res) => {
+router.post('/submit-assignment', requireStudent, uploadAudio, async (req, res) => {
   console.log('🎯 [BACKEND] Assignment submission started');
   
   try {
-     const { assignment_id, submission_text, audio_url } = req.body;
+    const { assignment_id, submission_text, recitation_id, audio_url } = req.body;
     const studentId = req.studentProfile.id;
 
     console.log('📝 [BACKEND] Submission data:', {
       assignment_id,
       student_id: studentId,
       has_text: !!submission_text,
-     has_audio: !!audio_url
+      has_audio: !!(req.file || recitation_id)
     });
 
     // Step 1: Enhanced validation
@@ -637,24 +645,17 @@ router.post('/submit-assignment', requireStudent, async (req, res) => {
       return res.status(400).json({ error: 'Assignment ID is required' });
     }
 
-    // Step 2: Check assignment exists
-    console.log('🔍 [BACKEND] Validating assignment...');
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('assignments')
-      .select('id, title, due_date, status, description')
-      .eq('id', assignment_id)
-      .single();
-
-    if (assignmentError) {
-      console.error('❌ [BACKEND] Assignment query error:', assignmentError);
-      if (assignmentError.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Assignment not found' });
-      }
-      return res.status(500).json({ 
-        error: 'Assignment query failed: ' + assignmentError.message 
+    // Audio must go through the upload pipeline; client-hosted links are not accepted
+    if (audio_url && !req.file && !recitation_id) {
+      return res.status(400).json({
+        error: 'audio_url is no longer accepted. Upload the recording as "audio" or send the recitation_id of a completed upload.'
       });
     }
 
+    // Step 2: Check the assignment exists and is assigned to this student
+    console.log('🔍 [BACKEND] Validating assignment...');
+    const assignment = await getStudentAssignment(assignment_id, studentId);
+
     if (!assignment) {
       return res.status(404).json({ error: 'Assignment not found' });
     }
@@ -674,61 +675,78 @@ router.post('/submit-assignment', requireStudent, async (req, res) => {
       });
     }
 
-    // Step 4: Check due date (optional)
-    if (assignment.due_date && new Date(assignment.due_date) < new Date()) {
-      console.log('⚠️ [BACKEND] Assignment due date has passed, but allowing submission');
-      // You can choose to block or allow late submissions
+    // Step 4: Check the late / attempts policy before storing anything
+    let prepared;
+    try {
+      prepared = await prepareAttempt(assignment, studentId);
+    } catch (policyError) {
+      if (policyError instanceof AssignmentError) {
+        return res.status(policyError.status).json({ error: policyError.message, code: policyError.code });
+      }
+      throw policyError;
+    }
+
+    if (prepared.isLate) {
+      console.log('⚠️ [BACKEND] Late submission accepted by assignment policy');
     }
 
     console.log('✅ [BACKEND] Assignment validation passed');
 
-    // Step 5: Handle audio processing (if provided)
-   console.log('🎵 [BACKEND] Using provided audio URL:', audio_url);
+    // Step 5: Store or look up the recitation audio (if provided)
+    let recitation = null;
+    try {
+      if (req.file) {
+        recitation = await storeRecitation({
+          studentId,
+          assignmentId: assignment_id,
+          buffer: req.file.buffer,
+          originalName: req.file.originalname
+        });
+      } else if (recitation_id) {
+        recitation = await getAttachableRecitation(recitation_id, studentId, assignment_id);
+      }
+    } catch (audioError) {
+      if (audioError instanceof RecitationError) {
+        return res.status(audioError.status).json({ error: audioError.message, code: audioError.code });
+      }
+      throw audioError;
+    }
 
-    // Step 6: Prepare submission data
-    const submissionData = {
-      assignment_id,
-      student_id: studentId,
-      submission_text: submission_text?.trim() || null,
-      audio_url: audio_url,  // Store the URL directly
-      submitted_at: new Date().toISOString(),
-      status: 'submitted',
-      updated_at: new Date().toISOString()
-    };
+    if (recitation) {
+      console.log('🎵 [BACKEND] Recitation audio:', recitation.id, `${recitation.duration_seconds}s`);
+    }
 
+    console.log(`💾 [BACKEND] Saving attempt ${prepared.attemptNumber}...`);
 
-    console.log('💾 [BACKEND] Saving submission...');
+    // Step 6: Save the attempt; earlier attempts stay in the history
+    let saved;
+    try {
+      saved = await saveAttempt(assignment, studentId, prepared, {
+        submissionText: submission_text?.trim() || null,
+        recitationId: recitation?.id || null
+      });
+    } catch (saveError) {
+      console.error('❌ [BACKEND] Database save error:', saveError);
 
-    // Step 7: Save to database
-    const { data: submission, error: submissionError } = await supabase
-      .from('assignment_submissions')
-      .insert([submissionData])
-      .select(`
-        *,
-        assignments (
-          title,
-          due_date
-        )
-      `)
-      .single();
+      // Don't keep a freshly uploaded file that isn't attached to anything
+      if (req.file && recitation) {
+        await discardRecitation(recitation).catch(err => console.warn('⚠️ Failed to discard recitation:', err.message));
+      }
 
-    if (submissionError) {
-      console.error('❌ [BACKEND] Database save error:', submissionError);
-      
-      if (submissionError.code === '23505') {
-        return res.status(400).json({ 
-          error: 'You have already submitted this assignment' 
-        });
+      if (saveError instanceof AssignmentError) {
+        return res.status(saveError.status).json({ error: saveError.message, code: saveError.code });
       }
-      
-      return res.status(500).json({ 
-        error: 'Failed to save submission: ' + submissionError.message 
-      });
+      throw saveError;
     }
 
+    const { submission, attempt } = saved;
     console.log('✅ [BACKEND] Assignment submitted successfully');
 
-    // Step 8: Update student progress
+    if (recitation) {
+      await attachRecitation(recitation.id, submission.id);
+    }
+
+    // Step 7: Update student progress
     try {
       await updateStudentProgress(studentId);
       console.log('📊 [BACKEND] Student progress updated');
@@ -741,9 +759,13 @@ router.post('/submit-assignment', requireStudent, async (req, res) => {
       message: 'Assignment submitted successfully',
       submission: {
         id: submission.id,
-        assignment_title: submission.assignments?.title,
+        assignment_title: assignment.title,
         submitted_at: submission.submitted_at,
-        status: submission.status
+        status: submission.status,
+        attempt_number: attempt.attempt_number,
+        is_late: attempt.is_late,
+        attempts_remaining: attemptsRemaining(assignment, submission),
+        recitation: recitation ? recitationSummary(recitation) : null
       }
     });
 
@@ -757,83 +779,250 @@ router.post('/submit-assignment', requireStudent, async (req, res) => {
     });
   }
 });
-// Get student exams
-router.get('/exams', async (req, res) => {
+// Upload a recitation recording in one multipart request (field "audio", plus assignment_id)
+router.post('/recitations', requireStudent, uploadAudio, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Audio file is required (multipart field "audio")' });
+  }
+
   try {
-    const studentId = req.user.id;
-    
-    // Get exams for the student's classes
-    const { data: exams, error } = await supabase
-      .from('exams')
-      .select(`
-        id,
-        title,
-        description,
-        subject,
-        date,
-        duration,
-        max_score,
-        status,
-        class:class_id (
-          title,
-          teacher:teacher_id (
-            name
-          )
-        )
-      `)
-      .eq('class_id.students_classes.student_id', studentId) // Exams for student's classes
-      .order('date', { ascending: true });
+    const recitation = await storeRecitation({
+      studentId: req.user.id,
+      assignmentId: req.body.assignment_id,
+      buffer: req.file.buffer,
+      originalName: req.file.originalname
+    });
+    res.status(201).json({ recitation: recitationSummary(recitation) });
+  } catch (error) {
+    handleRecitationError(res, error);
+  }
+}));
 
-    if (error) {
-      console.error('Error fetching exams:', error);
-      return res.status(400).json({ error: error.message });
+// Start a resumable upload: { assignment_id, size, filename }
+router.post('/recitations/uploads', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const { assignment_id, size, filename } = req.body;
+    const upload = await createUploadSession({
+      studentId: req.user.id,
+      assignmentId: assignment_id,
+      size,
+      filename: sanitizeInput(filename) || null
+    });
+    res.status(201).json(upload);
+  } catch (error) {
+    handleRecitationError(res, error);
+  }
+}));
+
+// Current offset of a resumable upload, to resume after a dropped connection
+router.get('/recitations/uploads/:uploadId', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    res.json(await getUploadStatus(req.params.uploadId, req.user.id));
+  } catch (error) {
+    handleRecitationError(res, error);
+  }
+}));
+
+// Append a chunk (raw body) at the offset given by the Upload-Offset header or ?offset
+router.put(
+  '/recitations/uploads/:uploadId',
+  requireStudent,
+  express.raw({ type: () => true, limit: CHUNK_SIZE }),
+  asyncHandler(async (req, res) => {
+    try {
+      const offset = req.get('Upload-Offset') ?? req.query.offset;
+      res.json(await appendUploadChunk(req.params.uploadId, req.user.id, offset, req.body));
+    } catch (error) {
+      handleRecitationError(res, error);
     }
+  })
+);
 
-    res.json(exams || []);
+// Finish a resumable upload; the returned recitation id is then sent to /submit-assignment
+router.post('/recitations/uploads/:uploadId/complete', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const recitation = await completeUpload(req.params.uploadId, req.user.id);
+    res.status(201).json({ recitation: recitationSummary(recitation) });
   } catch (error) {
-    console.error('Error fetching exams:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRecitationError(res, error);
   }
-});
+}));
+
+// A graded recitation with its audio and the teacher's time-stamped tajweed annotations
+router.get('/submissions/:submissionId/feedback', requireStudent, asyncHandler(async (req, res) => {
+  const { data: submission } = await supabase
+    .from('assignment_submissions')
+    .select('id, assignment_id, recitation_id, audio_url, status, score, feedback, submitted_at, graded_at')
+    .eq('id', req.params.submissionId)
+    .eq('student_id', req.user.id)
+    .maybeSingle();
+
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+
+  const recitation = submission.recitation_id ? await getRecitation(submission.recitation_id) : null;
+  const audio = recitation
+    ? await getPlaybackUrl(recitation, `${req.protocol}://${req.get('host')}`)
+    : (submission.audio_url ? { url: submission.audio_url, legacy: true, expires_at: null } : null);
+
+  res.json({
+    submission,
+    audio,
+    annotations: await listAnnotations(submission.id)
+  });
+}));
+
+// Recurring tajweed mistakes across the student's annotated recitations (?since=ISO date)
+router.get('/tajweed-summary', requireStudent, asyncHandler(async (req, res) => {
+  res.json(await getTajweedSummary(req.user.id, { since: req.query.since }));
+}));
+
+const handleExamError = (res, error) => {
+  if (error instanceof ExamError || error instanceof RecitationError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  throw error;
+};
+
+// Exams scheduled to the student's classes, with the window state and the student's attempts
+router.get('/exams', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    res.json(await listStudentExams(req.user.id));
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+router.get('/exams/:id/attempts', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const attempts = await listStudentAttempts(req.params.id, req.user.id);
+    res.json({ attempts: await Promise.all(attempts.map(describeAttemptForStudent)) });
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+// Start a timed attempt, or get back the one already running
+router.post('/exams/:id/attempts', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const { attempt, resumed } = await startAttempt(req.params.id, req.user.id);
+    res.status(resumed ? 200 : 201).json({ resumed, attempt: await describeAttemptForStudent(attempt) });
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+router.get('/exams/:id/attempts/:attemptId', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const attempt = await getOwnAttempt(req.params.id, req.params.attemptId, req.user.id);
+    res.json({ attempt: await describeAttemptForStudent(attempt) });
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+// Save answers while the attempt is open: { answers: [{ question_id, answer }] }
+router.put('/exams/:id/attempts/:attemptId/answers', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const attempt = await saveAnswers(req.params.id, req.params.attemptId, req.user.id, req.body?.answers);
+    res.json({ message: 'Answers saved', attempt });
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+// Answer a recitation question with a recording (multipart field "audio")
+router.post(
+  '/exams/:id/attempts/:attemptId/answers/:questionId/recitation',
+  requireStudent,
+  uploadAudio,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Audio file is required (multipart field "audio")' });
+    }
 
-// Get payments
-router.get('/payments', asyncHandler(async (req, res) => {
-  const tableNames = ['payments', 'fee_payments', 'student_payments', 'transactions'];
-  
-  for (const tableName of tableNames) {
     try {
-      const { data, error } = await supabase
-        .from(tableName)
-        .select('*')
-        .eq('student_id', req.user.id)
-        .order('payment_date', { ascending: false });
-
-      if (!error) {
-        console.log(`✅ Found payments in table: ${tableName}`);
-        return res.json(data || []);
-      }
-      
-      // If table doesn't exist, try next one
-      if (error.code === 'PGRST205') {
-        continue;
-      }
-      
-      // For other errors, throw immediately
-      throw error;
+      const recitation = await saveRecitationAnswer(req.params.id, req.params.attemptId, req.user.id, req.params.questionId, {
+        buffer: req.file.buffer,
+        originalName: req.file.originalname
+      });
+      res.status(201).json({ message: 'Recitation saved', recitation: recitationSummary(recitation) });
     } catch (error) {
-      // If it's not a "table not found" error, re-throw
-      if (error.code !== 'PGRST205') {
-        console.error(`❌ Error querying ${tableName}:`, error);
-        throw error;
-      }
+      handleExamError(res, error);
+    }
+  })
+);
+
+// Hand in the attempt; objective questions are marked straight away
+router.post('/exams/:id/attempts/:attemptId/submit', requireStudent, asyncHandler(async (req, res) => {
+  try {
+    const attempt = await submitAttempt(req.params.id, req.params.attemptId, req.user.id);
+    res.json({
+      message: attempt.status === 'graded' ? 'Exam submitted and graded' : 'Exam submitted, some answers are waiting for your teacher',
+      attempt
+    });
+  } catch (error) {
+    handleExamError(res, error);
+  }
+}));
+
+// Get payments from the fee ledger, newest first (?status=pending|confirmed|rejected)
+router.get('/payments', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const payments = await listPayments({ studentId: req.user.id, status });
+  res.json(payments);
+}));
+
+// Download the receipt of one of the student's confirmed payments (?format=pdf|html)
+router.get('/payments/:id/receipt', asyncHandler(async (req, res) => {
+  const payment = await getPayment(req.params.id);
+
+  if (!payment || payment.student_id !== req.user.id) {
+    return res.status(404).json({ error: 'Payment not found' });
+  }
+
+  try {
+    const document = await buildReceiptDocument(payment.id);
+    await sendFeeDocument(res, document, req.query.format);
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
     }
+    throw error;
   }
-  
-  // If no tables found, return empty array
-  console.warn('No payments table found, returning empty array');
-  res.json([]);
 }));
 
+// Get invoices from the fee ledger with the outstanding balance
+router.get('/invoices', asyncHandler(async (req, res) => {
+  const invoices = await listInvoices({ studentId: req.user.id });
+  const outstanding = totalsByCurrency(
+    invoices.filter(i => i.status !== 'void'),
+    i => Math.max(0, Number(i.amount || 0) - Number(i.amount_paid || 0))
+  );
+
+  // Keyed by currency code
+  res.json({
+    invoices,
+    outstanding_balance: outstanding
+  });
+}));
+
+// Hifz (memorization) progress recorded by the teacher, with the revision queue
+router.get('/hifz/progress', requireStudent, asyncHandler(async (req, res) => {
+  res.json(await getHifzProgress(req.user.id));
+}));
+
+// Hifz records (?surah, ?type, ?limit)
+router.get('/hifz/records', requireStudent, asyncHandler(async (req, res) => {
+  res.json(await listHifzRecords(req.user.id, req.query));
+}));
+
+// Surah metadata (number, name, ayah count)
+router.get('/hifz/surahs', (req, res) => {
+  res.json(SURAHS);
+});
+
 // Add /contact-admin route
 router.post('/contact-admin', asyncHandler(async (req, res) => {
   const { message } = req.body;
@@ -849,6 +1038,9 @@ router.post('/contact-admin', asyncHandler(async (req, res) => {
 
 // Error handling middleware for student routes
 router.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
   console.error('❌ Student route error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -6,6 +6,52 @@ import express from 'express';
 import { supabase, clearCache, getCache, setCache } from '../server.js';
 import { requireAuth, requireTeacher } from '../middleware/auth.js';
 import { sanitizeInput } from '../utils/helpers.js';
+import { isAgoraConfigured } from '../utils/agoraTokens.js';
+import { joinVideoSession } from './agora.js';
+import { isSessionTeacher } from '../middleware/sessionPolicies.js';
+import { notifyUsers, notifyClassStudents } from '../utils/notifications.js';
+import { SeriesError, listSeriesOccurrences, mergeClassListing, resolveClassId } from '../utils/classSeries.js';
+import { normalizeTimezone, getViewerTimezone } from '../utils/timezones.js';
+import { AvailabilityError, getAvailability, setAvailability, addTimeOff, removeTimeOff, findFreeSlots } from '../utils/availability.js';
+import { HifzError, recordHifzEntries, listHifzRecords, deleteHifzRecord, getHifzProgress } from '../utils/hifzTracker.js';
+import { SURAHS } from '../utils/quranMeta.js';
+import { getRecitation, getPlaybackUrl, discardRecitation } from '../utils/recitations.js';
+import {
+  AnnotationError,
+  TAJWEED_RULES,
+  SEVERITIES,
+  createAnnotations,
+  listAnnotations,
+  updateAnnotation,
+  deleteAnnotation,
+  getTajweedSummary
+} from '../utils/tajweedAnnotations.js';
+import {
+  RubricError,
+  RUBRIC_TEMPLATES,
+  listRubrics,
+  createRubric,
+  updateRubric
+} from '../utils/rubrics.js';
+import {
+  AssignmentError,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  listTeacherAssignments,
+  getAssignmentRoster,
+  gradeSubmission,
+  requestRedo,
+  getStudentHistory
+} from '../utils/assignments.js';
+import {
+  AttendanceError,
+  recordClassAttendance,
+  overrideAttendance,
+  clearAttendanceOverride,
+  getClassAttendance,
+  getTeacherAttendanceReport
+} from '../utils/attendance.js';
 
 const router = express.Router();
 
@@ -19,7 +65,7 @@ router.get('/profile', async (req, res) => {
 
     const { data: profile, error } = await supabase
       .from('profiles')
-      .select('id, name, email, role, subject, status, created_at, updated_at')
+      .select('id, name, email, role, subject, status, timezone, created_at, updated_at')
       .eq('id', req.user.id)
       .single();
 
@@ -42,15 +88,21 @@ router.get('/profile', async (req, res) => {
 // Update teacher profile
 router.put('/profile', async (req, res) => {
   try {
-    const { name, subject } = req.body;
+    const { name, subject, timezone } = req.body;
 
-    if (!name && !subject) {
-      return res.status(400).json({ error: 'At least one field (name or subject) is required' });
+    if (!name && !subject && !timezone) {
+      return res.status(400).json({ error: 'At least one field (name, subject or timezone) is required' });
     }
 
     const updates = {};
     if (name) updates.name = sanitizeInput(name);
     if (subject) updates.subject = sanitizeInput(subject);
+    if (timezone) {
+      updates.timezone = normalizeTimezone(timezone);
+      if (!updates.timezone) {
+        return res.status(400).json({ error: 'timezone must be an IANA timezone such as Asia/Karachi' });
+      }
+    }
     updates.updated_at = new Date().toISOString();
 
     const { data, error } = await supabase
@@ -76,49 +128,52 @@ router.put('/profile', async (req, res) => {
   }
 });
 
-// Get teacher's classes
+// Get teacher's classes, with recurring series expanded into occurrences
+// (including the ones this teacher covers as a substitute)
 router.get('/classes', async (req, res) => {
   try {
     const { status, start_date, end_date, page = 1, limit = 50 } = req.query;
 
     console.log('📚 Fetching classes for teacher:', req.user.id);
 
-    let query = supabase
-      .from('classes')
-      .select(`
-        id,
-        title,
-        scheduled_date,
-        duration,
-        max_students,
-        description,
-        status,
-        created_at,
-        updated_at,
-        students_classes (
-          student_id,
-          profiles!students_classes_student_id_fkey (
-            id,
-            name,
-            email
+    // Own classes and the ones covered for another teacher
+    const fetchClasses = (column) => {
+      let query = supabase
+        .from('classes')
+        .select(`
+          id,
+          title,
+          scheduled_date,
+          duration,
+          max_students,
+          description,
+          status,
+          teacher_id,
+          substitute_teacher_id,
+          created_at,
+          updated_at,
+          students_classes (
+            student_id,
+            profiles!students_classes_student_id_fkey (
+              id,
+              name,
+              email
+            )
           )
-        )
-      `)
-      .eq('teacher_id', req.user.id);
-
-    // Apply filters
-    if (status) query = query.eq('status', status);
-    if (start_date) query = query.gte('scheduled_date', start_date);
-    if (end_date) query = query.lte('scheduled_date', end_date);
+        `)
+        .eq(column, req.user.id)
+        .is('series_id', null);
 
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
+      // Apply filters
+      if (status) query = query.eq('status', status);
+      if (start_date) query = query.gte('scheduled_date', start_date);
+      if (end_date) query = query.lte('scheduled_date', end_date);
 
-    query = query.order('scheduled_date', { ascending: true })
-                 .range(from, to);
+      return query.order('scheduled_date', { ascending: true });
+    };
 
-    const { data: classes, error, count } = await query;
+    const [own, covered] = await Promise.all([fetchClasses('teacher_id'), fetchClasses('substitute_teacher_id')]);
+    const error = own.error || covered.error;
 
     if (error) {
       console.error('❌ Error fetching classes:', error);
@@ -126,24 +181,28 @@ router.get('/classes', async (req, res) => {
     }
 
     // Transform data to include student information
-    const transformedClasses = classes.map(cls => ({
+    const transformedClasses = [...(own.data || []), ...(covered.data || [])].map(cls => ({
       ...cls,
-      students: cls.students_classes.map(sc => ({
+      is_substitute: cls.substitute_teacher_id === req.user.id,
+      students: (cls.students_classes || []).map(sc => ({
         id: sc.profiles.id,
         name: sc.profiles.name,
         email: sc.profiles.email
       }))
     }));
 
-    res.json({
-      classes: transformedClasses,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count
-      }
+    const occurrences = await listSeriesOccurrences({
+      teacherId: req.user.id,
+      from: start_date,
+      to: end_date,
+      status
     });
+
+    res.json(mergeClassListing(transformedClasses, occurrences, { page, limit, timezone: getViewerTimezone(req) }));
   } catch (error) {
+    if (error instanceof SeriesError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Error fetching teacher classes:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -192,21 +251,14 @@ router.post('/notify-ended', async (req, res) => {
       .select('student_id')
       .eq('class_id', class_id);
 
-    // Send notifications to each student
-    if (students && students.length > 0) {
-      for (const student of students) {
-        await supabase
-          .from('notifications')
-          .insert({
-            user_id: student.student_id,
-            title: 'Class Ended',
-            message: `Class "${session_info.class_title}" has ended.`,
-            type: 'info'
-          });
-      }
-    }
+    const notified = await notifyUsers((students || []).map(s => s.student_id), {
+      type: 'session_ended',
+      title: 'Class Ended',
+      message: `Class "${session_info.class_title}" has ended.`,
+      data: { class_id }
+    });
 
-    res.json({ success: true, notified: students?.length || 0 });
+    res.json({ success: true, notified });
   } catch (error) {
     console.error('Notify ended error:', error);
     res.status(500).json({ error: 'Failed to notify students' });
@@ -241,302 +293,357 @@ router.delete('/:classId', async (req, res) => {
     res.status(500).json({ error: 'Failed to delete class' });
   }
 });
-//asignments endpoint
+// Rubrics: reusable weighted criteria that assignments are graded against
+const handleRubricError = (res, error, context) => {
+  if (error instanceof RubricError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// Get the teacher's rubrics (?include_archived=true to list archived ones too)
+router.get('/rubrics', async (req, res) => {
+  try {
+    const rubrics = await listRubrics(req.user.id, { includeArchived: req.query.include_archived === 'true' });
+    res.json(rubrics);
+  } catch (error) {
+    handleRubricError(res, error, 'fetching rubrics');
+  }
+});
+
+// Ready-made rubrics a teacher can start from
+router.get('/rubrics/templates', (req, res) => {
+  res.json(RUBRIC_TEMPLATES);
+});
+
+// Create a rubric: { name, description, criteria: [{ name, key, description, weight, max_points }] }
+router.post('/rubrics', async (req, res) => {
+  try {
+    const rubric = await createRubric(req.user.id, req.body);
+    res.status(201).json({ message: 'Rubric created', rubric });
+  } catch (error) {
+    handleRubricError(res, error, 'creating rubric');
+  }
+});
+
+// Edit a rubric; grades already given keep the breakdown they were scored with
+router.put('/rubrics/:id', async (req, res) => {
+  try {
+    const rubric = await updateRubric(req.params.id, req.user.id, req.body);
+    res.json({ message: 'Rubric updated', rubric });
+  } catch (error) {
+    handleRubricError(res, error, 'updating rubric');
+  }
+});
+
+// Archive a rubric: it can no longer be attached, assignments already using it still grade with it
+router.delete('/rubrics/:id', async (req, res) => {
+  try {
+    await updateRubric(req.params.id, req.user.id, { archived: true });
+    res.json({ message: 'Rubric archived' });
+  } catch (error) {
+    handleRubricError(res, error, 'archiving rubric');
+  }
+});
+
+// Assignments: one record per homework, targeted at all students, a class or a list of students
+const handleAssignmentError = (res, error, context) => {
+  if (error instanceof AssignmentError || error instanceof RubricError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// Create an assignment: { title, description, due_date, max_score, rubric_id,
+//   audience: all_students|class|students, class_id, student_ids }
 router.post('/assignments', async (req, res) => {
   try {
-    const { 
-      title, 
-      description, 
-      due_date, 
-      max_score, 
-      class_id, 
-      student_ids, 
-      for_all_students 
-    } = req.body;
-
-    if (!title || !due_date) {
-      return res.status(400).json({ error: 'Title and due date are required' });
-    }
+    const assignment = await createAssignment(req.user.id, req.body);
 
-    let targetStudentIds = [];
+    res.status(201).json({
+      message: `Assignment created for ${assignment.student_ids.length} students`,
+      assignment
+    });
+  } catch (error) {
+    handleAssignmentError(res, error, 'creating assignment');
+  }
+});
 
-    if (for_all_students || student_ids === 'all') {
-      // For "all students" mode - get ALL students assigned to this teacher
-      const { data: teacherStudents, error: studentsError } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('teacher_id', req.user.id)
-        .eq('role', 'student')
-        .eq('status', 'active');
+// Get teacher's assignments with submitted / graded / missing counts (?student_id, ?class_id, ?page, ?limit)
+router.get('/assignments', async (req, res) => {
+  try {
+    console.log('📝 Fetching assignments for teacher:', req.user.id);
+    res.json(await listTeacherAssignments(req.user.id, req.query));
+  } catch (error) {
+    handleAssignmentError(res, error, 'fetching teacher assignments');
+  }
+});
 
-      if (studentsError) {
-        console.error('Error fetching teacher students:', studentsError);
-        return res.status(400).json({ error: 'Error fetching students assigned to teacher' });
-      }
-      
-      targetStudentIds = teacherStudents ? teacherStudents.map(student => student.id) : [];
-      
-      // If class_id is provided, verify it belongs to teacher (for categorization only)
-      if (class_id) {
-        const { data: classData, error: classError } = await supabase
-          .from('classes')
-          .select('id')
-          .eq('id', class_id)
-          .eq('teacher_id', req.user.id)
-          .single();
-
-        if (classError || !classData) {
-          return res.status(400).json({ error: 'Class not found or not authorized' });
-        }
-      }
-      
-    } else if (Array.isArray(student_ids) && student_ids.length > 0) {
-      // For specific students mode - verify students belong to this teacher
-      const { data: validStudents, error: studentsError } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('teacher_id', req.user.id)
-        .eq('role', 'student')
-        .in('id', student_ids);
-
-      if (studentsError) {
-        console.error('Error verifying students:', studentsError);
-        return res.status(400).json({ error: 'Error verifying students' });
-      }
-      
-      targetStudentIds = validStudents ? validStudents.map(student => student.id) : [];
-      
-      // If class_id is provided, verify it belongs to teacher (for categorization only)
-      if (class_id) {
-        const { data: classData, error: classError } = await supabase
-          .from('classes')
-          .select('id')
-          .eq('id', class_id)
-          .eq('teacher_id', req.user.id)
-          .single();
-
-        if (classError || !classData) {
-          return res.status(400).json({ error: 'Class not found or not authorized' });
-        }
-      }
-    }
+// Edit an assignment for all its students; audience, class_id or student_ids retarget it
+router.put('/assignments/:id', async (req, res) => {
+  try {
+    const assignment = await updateAssignment(req.params.id, req.user.id, req.body);
+    res.json({ message: 'Assignment updated', assignment });
+  } catch (error) {
+    handleAssignmentError(res, error, 'updating assignment');
+  }
+});
 
-    if (targetStudentIds.length === 0) {
-      console.log('No valid students found for assignment creation');
-      console.log('Teacher ID:', req.user.id);
-      console.log('Request data:', req.body);
-      
-      // Check if teacher has any students assigned
-      const { data: teacherStudents, error: checkError } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('teacher_id', req.user.id)
-        .eq('role', 'student')
-        .eq('status', 'active');
-      
-      if (checkError) {
-        console.error('Error checking teacher students:', checkError);
+// Delete an assignment with every student's submission and recording
+router.delete('/assignments/:id', async (req, res) => {
+  try {
+    const { submissions, recitationIds } = await deleteAssignment(req.params.id, req.user.id);
+
+    for (const recitationId of recitationIds) {
+      const recitation = await getRecitation(recitationId);
+      if (recitation) {
+        await discardRecitation(recitation).catch(err => console.warn('⚠️ Failed to discard recitation:', err.message));
       }
-      
-      const hasStudents = teacherStudents && teacherStudents.length > 0;
-      
-      return res.status(400).json({ 
-        error: hasStudents 
-          ? 'No valid students selected for assignment' 
-          : 'No students are assigned to you yet. Please contact administration to assign students to your account.'
-      });
     }
 
-    // Create assignments for each student
-    const assignmentsToCreate = targetStudentIds.map(student_id => ({
-      title,
-      description,
-      due_date,
-      max_score: max_score || 100,
-      class_id: class_id || null, // Optional class categorization
-      teacher_id: req.user.id,
-      student_id,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }));
-
-    const { data, error } = await supabase
-      .from('assignments')
-      .insert(assignmentsToCreate)
-      .select();
+    res.json({ message: 'Assignment deleted', submissions_removed: submissions });
+  } catch (error) {
+    handleAssignmentError(res, error, 'deleting assignment');
+  }
+});
 
-    if (error) {
-      console.error('❌ Error creating assignments:', error);
-      return res.status(400).json({ error: error.message });
-    }
+// Grade one student's work: { student_id, score, feedback }
+// or, for rubric assignments, { student_id, criteria: [{ key, points, comment }], feedback }.
+// Grades the latest attempt unless { attempt: <number> } picks an earlier one; late attempts get the late penalty
+router.put('/assignments/:id/grade', async (req, res) => {
+  try {
+    const submission = await gradeSubmission(req.params.id, req.user.id, req.body);
 
-    res.status(201).json({
-      message: `Assignment created for ${targetStudentIds.length} students`,
-      assignments: data
+    res.json({
+      message: 'Assignment graded successfully',
+      submission
     });
+  } catch (error) {
+    handleAssignmentError(res, error, 'grading assignment');
+  }
+});
 
+// Ask a student to redo their work: { student_id, reason }
+router.post('/assignments/:id/redo', async (req, res) => {
+  try {
+    const submission = await requestRedo(req.params.id, req.user.id, req.body);
+    res.json({ message: 'Redo requested', submission });
   } catch (error) {
-    console.error('❌ Error creating assignment:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleAssignmentError(res, error, 'requesting redo');
   }
 });
-// Get teacher's assigned assignments
-router.get('/assignments', async (req, res) => {
+
+// One of the teacher's own students, or null
+const getOwnStudent = async (teacherId, studentId) => {
+  const { data } = await supabase
+    .from('profiles')
+    .select('id, name')
+    .eq('id', studentId)
+    .eq('role', 'student')
+    .eq('teacher_id', teacherId)
+    .maybeSingle();
+  return data;
+};
+
+// Recitation playback: submissions carry a recitation_id; teachers get short-lived signed URLs
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const withPlayback = async (req, submission, recitations) => {
+  const recitation = recitations.find(r => r.id === submission.recitation_id);
+  if (recitation) {
+    return { ...submission, recitation: { id: recitation.id, ...(await getPlaybackUrl(recitation, requestBaseUrl(req))) } };
+  }
+  // Submissions made before the upload pipeline only have the client-provided link
+  return { ...submission, recitation: null, legacy_audio_url: submission.audio_url || null };
+};
+
+// Per-student state of an assignment, with playback URLs for the recitations
+router.get('/assignments/:id/submissions', async (req, res) => {
   try {
-    const { student_id, class_id, page = 1, limit = 50 } = req.query;
-    
-    console.log('📝 Fetching assignments for teacher:', req.user.id);
+    const { assignment, students } = await getAssignmentRoster(req.params.id, req.user.id);
 
-    let query = supabase
-      .from('assignments')
-      .select(`
-        id,
-        title,
-        description,
-        due_date,
-        max_score,
-        created_at,
-        updated_at,
-        class_id,
-        student_id,
-        classes (
-          id,
-          title
-        ),
-        profiles:student_id (
-          id,
-          name,
-          email
-        )
-      `)
-      .eq('teacher_id', req.user.id);
+    const recitationIds = students.map(s => s.submission?.recitation_id).filter(Boolean);
+    const { data: recitations } = recitationIds.length > 0
+      ? await supabase.from('recitation_uploads').select('*').in('id', recitationIds)
+      : { data: [] };
 
-    // Apply filters
-    if (student_id) query = query.eq('student_id', student_id);
-    if (class_id) query = query.eq('class_id', class_id);
+    const roster = await Promise.all(students.map(async ({ student, state, submission }) => ({
+      student,
+      state,
+      submission: submission ? await withPlayback(req, submission, recitations || []) : null
+    })));
 
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
+    res.json({
+      assignment,
+      // Every targeted student with assigned / submitted / graded / missing state
+      students: roster,
+      submissions: roster.filter(r => r.submission).map(r => ({ ...r.submission, student: r.student }))
+    });
+  } catch (error) {
+    handleAssignmentError(res, error, 'fetching assignment submissions');
+  }
+});
 
-    query = query.order('created_at', { ascending: false })
-                 .range(from, to);
+// Full attempt history of one student, with playback URLs for each recording
+router.get('/assignments/:id/students/:studentId/attempts', async (req, res) => {
+  try {
+    const { assignment, submission, attempts } = await getStudentHistory(req.params.id, req.user.id, req.params.studentId);
 
-    const { data: assignments, error, count } = await query;
+    const recitationIds = attempts.map(a => a.recitation_id).filter(Boolean);
+    const { data: recitations } = recitationIds.length > 0
+      ? await supabase.from('recitation_uploads').select('*').in('id', recitationIds)
+      : { data: [] };
 
-    if (error) {
-      console.error('❌ Error fetching assignments:', error);
-      return res.status(400).json({ error: error.message });
+    res.json({
+      assignment,
+      submission,
+      attempts: await Promise.all(attempts.map(a => withPlayback(req, a, recitations || [])))
+    });
+  } catch (error) {
+    handleAssignmentError(res, error, 'fetching attempt history');
+  }
+});
+
+// A submission to one of the teacher's own assignments
+const getOwnSubmission = async (teacherId, submissionId) => {
+  const { data } = await supabase
+    .from('assignment_submissions')
+    .select('id, student_id, assignment_id, recitation_id, audio_url, current_attempt_id, assignments!inner (teacher_id)')
+    .eq('id', submissionId)
+    .eq('assignments.teacher_id', teacherId)
+    .maybeSingle();
+  return data;
+};
+
+// Get a fresh playback URL for one submission's recitation
+router.get('/submissions/:submissionId/audio', async (req, res) => {
+  try {
+    const submission = await getOwnSubmission(req.user.id, req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found or not authorized' });
     }
 
-    // Get submission counts for each assignment
-    const assignmentIds = assignments.map(a => a.id);
-    let submissionCounts = {};
-    
-    if (assignmentIds.length > 0) {
-      const { data: submissions, error: submissionError } = await supabase
-        .from('assignment_submissions') // Adjust table name if different
-        .select('assignment_id, student_id, submitted_at, score')
-        .in('assignment_id', assignmentIds);
-      
-      if (!submissionError && submissions) {
-        // Count submissions per assignment
-        submissionCounts = submissions.reduce((acc, submission) => {
-          if (!acc[submission.assignment_id]) {
-            acc[submission.assignment_id] = {
-              total: 0,
-              submitted: 0,
-              graded: 0
-            };
-          }
-          acc[submission.assignment_id].total++;
-          if (submission.submitted_at) acc[submission.assignment_id].submitted++;
-          if (submission.score !== null) acc[submission.assignment_id].graded++;
-          return acc;
-        }, {});
+    const recitation = submission.recitation_id ? await getRecitation(submission.recitation_id) : null;
+
+    if (!recitation) {
+      if (submission.audio_url) {
+        return res.json({ url: submission.audio_url, legacy: true, expires_at: null });
       }
+      return res.status(404).json({ error: 'This submission has no recitation audio' });
     }
 
-    // Transform data to include class, student, and submission information
-    const transformedAssignments = assignments.map(assignment => {
-      const submissions = submissionCounts[assignment.id] || { total: 0, submitted: 0, graded: 0 };
-      
-      return {
-        id: assignment.id,
-        title: assignment.title,
-        description: assignment.description,
-        due_date: assignment.due_date,
-        max_score: assignment.max_score,
-        created_at: assignment.created_at,
-        updated_at: assignment.updated_at,
-        class: assignment.classes ? {
-          id: assignment.classes.id,
-          title: assignment.classes.title
-        } : null,
-        student: assignment.profiles ? {
-          id: assignment.profiles.id,
-          name: assignment.profiles.name,
-          email: assignment.profiles.email
-        } : null,
-        // Add submission counts
-        student_count: 1, // Each assignment is for 1 student in current structure
-        submission_count: submissions.submitted,
-        graded_count: submissions.graded,
-        pending_count: submissions.total - submissions.graded
-      };
-    });
-
-    res.json(transformedAssignments || []);
+    res.json(await getPlaybackUrl(recitation, requestBaseUrl(req)));
   } catch (error) {
-    console.error('❌ Error fetching teacher assignments:', error);
+    console.error('❌ Error creating playback URL:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Tajweed annotations: time-stamped corrections on a submission's recitation
+const handleAnnotationError = (res, error, context) => {
+  if (error instanceof AnnotationError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+const recordingDuration = async (submission) => {
+  if (!submission.recitation_id) return null;
+  return (await getRecitation(submission.recitation_id))?.duration_seconds || null;
+};
+
+// Tajweed rule categories and severities for the annotation editor
+router.get('/tajweed/rules', (req, res) => {
+  res.json({
+    rules: Object.entries(TAJWEED_RULES).map(([rule, label]) => ({ rule, label })),
+    severities: SEVERITIES
+  });
+});
 
-// Grade an assignment submission
-router.put('/assignments/:id/grade', async (req, res) => {
+// Annotate a submission: { annotations: [{ start_seconds, end_seconds, surah, ayah, rule, severity, comment }] }
+router.post('/submissions/:submissionId/annotations', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { score, feedback } = req.body;
+    const submission = await getOwnSubmission(req.user.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found or not authorized' });
+    }
 
-    // Verify assignment belongs to teacher and exists
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('assignments')
-      .select('id, teacher_id')
-      .eq('id', id)
-      .eq('teacher_id', req.user.id)
-      .single();
+    const { annotations, ...annotation } = req.body;
+    const created = await createAnnotations(
+      submission,
+      req.user.id,
+      Array.isArray(annotations) ? annotations : [annotation],
+      await recordingDuration(submission)
+    );
+
+    res.status(201).json({ message: 'Annotations saved', annotations: created });
+  } catch (error) {
+    handleAnnotationError(res, error, 'saving annotations');
+  }
+});
 
-    if (assignmentError || !assignment) {
-      return res.status(404).json({ error: 'Assignment not found or not authorized' });
+// List a submission's annotations in playback order
+router.get('/submissions/:submissionId/annotations', async (req, res) => {
+  try {
+    const submission = await getOwnSubmission(req.user.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found or not authorized' });
     }
 
-    const { data, error } = await supabase
-      .from('assignments')
-      .update({
-        score: parseInt(score),
-        feedback,
-        status: 'graded',
-        graded_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    res.json(await listAnnotations(submission.id));
+  } catch (error) {
+    handleAnnotationError(res, error, 'fetching annotations');
+  }
+});
 
-    if (error) {
-      console.error('❌ Error grading assignment:', error);
-      return res.status(400).json({ error: error.message });
+// Edit an annotation (own annotations only)
+router.put('/annotations/:id', async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from('submission_annotations')
+      .select('submission_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    const submission = existing && await getOwnSubmission(req.user.id, existing.submission_id);
+
+    const annotation = await updateAnnotation(
+      req.params.id,
+      req.user.id,
+      req.body,
+      submission ? await recordingDuration(submission) : null
+    );
+
+    res.json({ message: 'Annotation updated', annotation });
+  } catch (error) {
+    handleAnnotationError(res, error, 'updating annotation');
+  }
+});
+
+// Delete an annotation (own annotations only)
+router.delete('/annotations/:id', async (req, res) => {
+  try {
+    await deleteAnnotation(req.params.id, req.user.id);
+    res.json({ message: 'Annotation deleted' });
+  } catch (error) {
+    handleAnnotationError(res, error, 'deleting annotation');
+  }
+});
+
+// Recurring tajweed mistakes of one of the teacher's students (?since=ISO date)
+router.get('/students/:studentId/tajweed-summary', async (req, res) => {
+  try {
+    const student = await getOwnStudent(req.user.id, req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found or not assigned to you' });
     }
 
-    res.json({
-      message: 'Assignment graded successfully',
-      assignment: data
-    });
+    res.json({ student, ...(await getTajweedSummary(student.id, { since: req.query.since })) });
   } catch (error) {
-    console.error('❌ Error grading assignment:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleAnnotationError(res, error, 'building tajweed summary');
   }
 });
 
@@ -544,21 +651,23 @@ router.put('/assignments/:id/grade', async (req, res) => {
 // Start video session
 router.post('/video-sessions', async (req, res) => {
   try {
-    const { class_id, meeting_id, agenda } = req.body;
+    const { meeting_id, agenda } = req.body;
 
-    if (!class_id || !meeting_id) {
+    if (!req.body.class_id || !meeting_id) {
       return res.status(400).json({ error: 'Class ID and meeting ID are required' });
     }
 
-    // Verify class belongs to teacher
+    // Occurrences of a recurring class get their classes row here
+    const class_id = await resolveClassId(req.body.class_id);
+
+    // Verify the teacher teaches the class or covers it as a substitute
     const { data: classData, error: classError } = await supabase
       .from('classes')
-      .select('id, title')
+      .select('id, title, teacher_id, substitute_teacher_id')
       .eq('id', class_id)
-      .eq('teacher_id', req.user.id)
       .single();
 
-    if (classError || !classData) {
+    if (classError || !classData || !isSessionTeacher(req.user.id, classData)) {
       console.error('❌ Error fetching class:', classError);
       return res.status(400).json({ error: 'Class not found or not authorized' });
     }
@@ -569,7 +678,8 @@ router.post('/video-sessions', async (req, res) => {
       .insert([
         {
           class_id,
-          teacher_id: req.user.id,
+          teacher_id: classData.teacher_id,
+          substitute_teacher_id: classData.substitute_teacher_id || null,
           meeting_id,
           agenda,
           status: 'active',
@@ -582,6 +692,7 @@ router.post('/video-sessions', async (req, res) => {
         meeting_id,
         class_id,
         teacher_id,
+        substitute_teacher_id,
         status,
         started_at,
         channel_name,
@@ -600,9 +711,27 @@ router.post('/video-sessions', async (req, res) => {
     // Clear cache for live sessions
     clearCache('liveSessions');
 
+    notifyClassStudents(classData, {
+      type: 'session_started',
+      title: 'Class Started',
+      message: `"${classData.title}" has started. Join now.`,
+      data: { class_id, meeting_id: data.meeting_id }
+    });
+
+    // Join the teacher as host through the shared join path so the response carries a real token
+    let credentials = null;
+    if (isAgoraConfigured()) {
+      const joined = await joinVideoSession(req.user, data.meeting_id);
+      credentials = joined.credentials || null;
+    }
+
     res.status(201).json({
       ...data,
-      title: data.classes?.title
+      title: data.classes?.title,
+      token: credentials?.token || null,
+      uid: credentials?.uid || null,
+      app_id: credentials?.appId || null,
+      expires_at: credentials?.expiresAt || null
     });
   } catch (error) {
     console.error('❌ Error starting video session:', error);
@@ -615,15 +744,14 @@ router.post('/video-sessions/:id/end', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify session belongs to teacher
+    // Verify the session is the teacher's, or one they host as a substitute
     const { data: session, error: sessionError } = await supabase
       .from('video_sessions')
-      .select('id, teacher_id')
+      .select('id, teacher_id, substitute_teacher_id')
       .eq('id', id)
-      .eq('teacher_id', req.user.id)
       .single();
 
-    if (sessionError || !session) {
+    if (sessionError || !session || !isSessionTeacher(req.user.id, session)) {
       console.error('❌ Error fetching video session:', sessionError);
       return res.status(400).json({ error: 'Video session not found or not authorized' });
     }
@@ -646,6 +774,8 @@ router.post('/video-sessions/:id/end', async (req, res) => {
     // Clear cache
     clearCache('liveSessions');
 
+    await recordClassAttendance(data.class_id);
+
     res.json({
       message: 'Video session ended successfully',
       session: data
@@ -704,4 +834,185 @@ router.get('/video-sessions', async (req, res) => {
   }
 });
 
+// Attendance derived from video session participation
+const handleAttendanceError = (res, error, context) => {
+  if (error instanceof AttendanceError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// Attendance rates per student and per class (?from, ?to as ISO dates)
+router.get('/attendance', async (req, res) => {
+  try {
+    res.json(await getTeacherAttendanceReport(req.user.id, { from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    handleAttendanceError(res, error, 'fetching attendance report');
+  }
+});
+
+router.get('/classes/:id/attendance', async (req, res) => {
+  try {
+    res.json(await getClassAttendance(req.params.id, req.user));
+  } catch (error) {
+    handleAttendanceError(res, error, 'fetching class attendance');
+  }
+});
+
+// Override a student's attendance: { status: present|late|left_early|absent|excused, note }
+router.put('/classes/:id/attendance/:studentId', async (req, res) => {
+  try {
+    const record = await overrideAttendance(req.params.id, req.params.studentId, req.user, req.body || {});
+    res.json({ message: 'Attendance updated successfully', record });
+  } catch (error) {
+    handleAttendanceError(res, error, 'overriding attendance');
+  }
+});
+
+// Remove the override and use the session data again
+router.delete('/classes/:id/attendance/:studentId', async (req, res) => {
+  try {
+    const record = await clearAttendanceOverride(req.params.id, req.params.studentId, req.user);
+    res.json({ message: 'Attendance override removed', record });
+  } catch (error) {
+    handleAttendanceError(res, error, 'clearing attendance override');
+  }
+});
+
+// Availability: teachers publish their weekly windows and time off; capacity is set by admins
+const handleAvailabilityError = (res, error, context) => {
+  if (error instanceof AvailabilityError) {
+    return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+router.get('/availability', async (req, res) => {
+  try {
+    res.json(await getAvailability(req.user.id));
+  } catch (error) {
+    handleAvailabilityError(res, error, 'fetching availability');
+  }
+});
+
+// Replace the weekly windows: { windows: [{ weekday: 'MO', start_time: '09:00', end_time: '13:00' }] }
+router.put('/availability', async (req, res) => {
+  try {
+    const availability = await setAvailability(req.user.id, { windows: req.body?.windows });
+    res.json({ message: 'Availability updated successfully', availability });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'updating availability');
+  }
+});
+
+// { starts_at, ends_at, reason }; lists the booked classes that fall in it
+router.post('/time-off', async (req, res) => {
+  try {
+    const result = await addTimeOff(req.user.id, req.user.id, req.body || {});
+    res.status(201).json({ message: 'Time off added successfully', ...result });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'adding time off');
+  }
+});
+
+router.delete('/time-off/:id', async (req, res) => {
+  try {
+    await removeTimeOff(req.user.id, req.params.id);
+    res.json({ message: 'Time off removed successfully' });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'removing time off');
+  }
+});
+
+// Free time inside the published availability (?from, ?to, ?duration in minutes)
+router.get('/free-slots', async (req, res) => {
+  try {
+    res.json(await findFreeSlots(req.user.id, req.query));
+  } catch (error) {
+    handleAvailabilityError(res, error, 'finding free slots');
+  }
+});
+
+// Hifz (memorization) tracking: teachers record what their students memorized or revised
+const handleHifzError = (res, error, context) => {
+  if (error instanceof HifzError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// Surah metadata for building range pickers
+router.get('/hifz/surahs', (req, res) => {
+  res.json(SURAHS);
+});
+
+// Record memorized / revised / needs-revision ranges for a student
+router.post('/students/:studentId/hifz', async (req, res) => {
+  try {
+    const student = await getOwnStudent(req.user.id, req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found or not assigned to you' });
+    }
+
+    const { entries, recorded_at, ...entry } = req.body;
+
+    const records = await recordHifzEntries({
+      studentId: student.id,
+      teacherId: req.user.id,
+      entries: Array.isArray(entries) ? entries : [entry],
+      recordedAt: recorded_at
+    });
+
+    console.log(`📖 Recorded ${records.length} hifz entr${records.length === 1 ? 'y' : 'ies'} for ${student.name}`);
+
+    res.status(201).json({
+      message: 'Hifz progress recorded',
+      records
+    });
+  } catch (error) {
+    handleHifzError(res, error, 'recording hifz progress');
+  }
+});
+
+// List a student's hifz records (?surah, ?type, ?limit)
+router.get('/students/:studentId/hifz', async (req, res) => {
+  try {
+    const student = await getOwnStudent(req.user.id, req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found or not assigned to you' });
+    }
+
+    res.json(await listHifzRecords(student.id, req.query));
+  } catch (error) {
+    handleHifzError(res, error, 'fetching hifz records');
+  }
+});
+
+// Memorization progress, revision queue and recent activity for a student
+router.get('/students/:studentId/hifz/progress', async (req, res) => {
+  try {
+    const student = await getOwnStudent(req.user.id, req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found or not assigned to you' });
+    }
+
+    res.json({ student, ...(await getHifzProgress(student.id)) });
+  } catch (error) {
+    handleHifzError(res, error, 'fetching hifz progress');
+  }
+});
+
+// Delete a hifz record entered by mistake (own records only)
+router.delete('/hifz/:recordId', async (req, res) => {
+  try {
+    await deleteHifzRecord(req.params.recordId, req.user.id);
+    res.json({ message: 'Hifz record deleted' });
+  } catch (error) {
+    handleHifzError(res, error, 'deleting hifz record');
+  }
+});
+
 export default router;
@@ -17,9 +17,18 @@ import { standardLimiter } from './middleware/rateLimiter.js';
 import adminRoutes from './routes/admin.js';
 import teacherRoutes from './routes/teacher.js';
 import studentRoutes from './routes/student.js';
-import agoraRoutes from './routes/agora.js';
+import guardianRoutes from './routes/guardian.js';
+import agoraRoutes, { sessionManager } from './routes/agora.js';
+import { startBillingScheduler } from './utils/billingJob.js';
+import { startMailScheduler } from './utils/mailer.js';
+import { startClassReminderScheduler } from './utils/classReminders.js';
+import sessionEventsRoutes from './routes/session-events.js';
 import publicVideoRoutes from './routes/public-video.js';
 import videoRoutes from './routes/video.js';
+import mediaRoutes from './routes/media.js';
+import examRoutes from './routes/exams.js';
+import notificationRoutes from './routes/notifications.js';
+import authRoutes from './routes/auth.js';
 
 // ============================================
 // ENVIRONMENT CONFIGURATION
@@ -293,9 +302,15 @@ async function testDatabaseConnection() {
 app.use('/api/student', studentRoutes);
 app.use('/api/teacher', teacherRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/guardian', guardianRoutes);
+app.use('/api/agora/events', sessionEventsRoutes);
 app.use('/api/agora', agoraRoutes);
 app.use('/api/public-video', publicVideoRoutes);
 app.use('/api/video', videoRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/auth', authRoutes);
 
 // ============================================
 // HEALTH & MONITORING ENDPOINTS
@@ -401,6 +416,18 @@ async function startServer() {
       console.error('❌ Cannot start server: Database connection failed');
       process.exit(1);
     }
+
+    // Restore live video sessions from the session store
+    await sessionManager.rehydrate();
+
+    // Monthly invoices and overdue detection
+    startBillingScheduler();
+
+    // Transactional email retries
+    startMailScheduler();
+
+    // Reminders before each class and the "not started yet" nudge
+    startClassReminderScheduler();
     
     // Start the server
     app.listen(PORT, () => {
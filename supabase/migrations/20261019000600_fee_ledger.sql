@@ -0,0 +1,68 @@
+-- Fee plans, invoices and payments behind the fee ledger (utils/feeLedger.js).
+-- Amounts are stored per row with their currency; totals are only ever summed within one currency.
+
+create table if not exists public.fee_plans (
+  id uuid primary key default gen_random_uuid(),
+  course text not null,
+  name text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  currency text not null default 'USD',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists fee_plans_course_idx
+  on public.fee_plans (course) where active;
+
+create table if not exists public.invoices (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  fee_plan_id uuid references public.fee_plans (id) on delete set null,
+  course text,
+  period text not null check (period ~ '^\d{4}-(0[1-9]|1[0-2])$'),
+  amount numeric(12, 2) not null check (amount > 0),
+  amount_paid numeric(12, 2) not null default 0,
+  currency text not null default 'USD',
+  status text not null default 'pending'
+    check (status in ('pending', 'partially_paid', 'paid', 'overdue', 'void')),
+  due_date date not null,
+  issued_at timestamptz not null default now(),
+  paid_at timestamptz,
+  notes text
+);
+
+create index if not exists invoices_student_period_idx
+  on public.invoices (student_id, period);
+
+create index if not exists invoices_period_idx
+  on public.invoices (period);
+
+create index if not exists invoices_status_due_date_idx
+  on public.invoices (status, due_date);
+
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  amount numeric(12, 2) not null check (amount > 0),
+  currency text not null default 'USD',
+  method text not null
+    check (method in ('cash', 'bank_transfer', 'card', 'mobile_money', 'cheque', 'other')),
+  reference text,
+  notes text,
+  payment_date timestamptz not null default now(),
+  status text not null default 'pending' check (status in ('pending', 'confirmed', 'rejected')),
+  recorded_by uuid references public.profiles (id) on delete set null,
+  confirmed_by uuid references public.profiles (id) on delete set null,
+  confirmed_at timestamptz,
+  rejected_by uuid references public.profiles (id) on delete set null,
+  rejected_at timestamptz,
+  rejection_reason text
+);
+
+create index if not exists payments_invoice_id_idx
+  on public.payments (invoice_id);
+
+create index if not exists payments_student_id_idx
+  on public.payments (student_id);
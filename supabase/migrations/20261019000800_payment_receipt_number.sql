@@ -0,0 +1,5 @@
+-- Receipt numbers stamped on payments when they are confirmed (utils/feeLedger.js, utils/feeDocuments.js).
+-- Payments confirmed before this column existed get theirs derived when the receipt is rendered.
+
+alter table public.payments
+  add column if not exists receipt_number text;
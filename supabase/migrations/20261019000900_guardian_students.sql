@@ -0,0 +1,14 @@
+-- Links between guardian accounts and the students they can see (routes/guardian.js).
+-- Admins link children with an upsert on (guardian_id, student_id), so the pair is the primary key.
+
+create table if not exists public.guardian_students (
+  guardian_id uuid not null references public.profiles (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  relationship text,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (guardian_id, student_id)
+);
+
+create index if not exists guardian_students_student_id_idx
+  on public.guardian_students (student_id);
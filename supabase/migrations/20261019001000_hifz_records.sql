@@ -0,0 +1,18 @@
+-- Memorization (hifz) records behind the hifz tracker (utils/hifzTracker.js).
+-- Progress is replayed from these rows, so they are only ever inserted or deleted, never edited.
+
+create table if not exists public.hifz_records (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  teacher_id uuid references public.profiles (id) on delete set null,
+  surah integer not null check (surah between 1 and 114),
+  ayah_from integer not null check (ayah_from >= 1),
+  ayah_to integer not null check (ayah_to >= ayah_from),
+  type text not null check (type in ('memorized', 'revised', 'needs_revision')),
+  quality integer check (quality between 1 and 5),
+  notes text,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists hifz_records_student_recorded_at_idx
+  on public.hifz_records (student_id, recorded_at desc);
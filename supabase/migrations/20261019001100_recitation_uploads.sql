@@ -0,0 +1,26 @@
+-- Recitation recordings uploaded through the audio pipeline (utils/recitations.js).
+-- The audio itself lives in the audio storage adapter; this row points at it by backend and key.
+
+create table if not exists public.recitation_uploads (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  assignment_id uuid references public.assignments (id) on delete set null,
+  submission_id uuid references public.assignment_submissions (id) on delete set null,
+  storage_backend text not null,
+  storage_key text not null,
+  container text not null,
+  mime_type text not null,
+  size_bytes bigint not null,
+  duration_seconds numeric(10, 2),
+  original_name text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recitation_uploads_student_id_idx
+  on public.recitation_uploads (student_id);
+
+create index if not exists recitation_uploads_submission_id_idx
+  on public.recitation_uploads (submission_id);
+
+alter table public.assignment_submissions
+  add column if not exists recitation_id uuid references public.recitation_uploads (id) on delete set null;
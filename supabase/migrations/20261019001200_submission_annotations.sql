@@ -0,0 +1,24 @@
+-- Time-stamped tajweed annotations on recitation submissions (utils/tajweedAnnotations.js).
+-- rule holds a key of TAJWEED_RULES; it is checked in code so new rules need no migration.
+
+create table if not exists public.submission_annotations (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.assignment_submissions (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  teacher_id uuid references public.profiles (id) on delete set null,
+  start_seconds numeric(10, 2) not null check (start_seconds >= 0),
+  end_seconds numeric(10, 2) not null check (end_seconds >= start_seconds),
+  surah integer,
+  ayah integer,
+  rule text not null,
+  severity text not null default 'moderate' check (severity in ('minor', 'moderate', 'major')),
+  comment text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists submission_annotations_submission_id_idx
+  on public.submission_annotations (submission_id, start_seconds);
+
+create index if not exists submission_annotations_student_id_idx
+  on public.submission_annotations (student_id, created_at desc);
@@ -0,0 +1,20 @@
+-- Reusable grading rubrics (utils/rubrics.js) and the rubric link on assignments.
+-- Graded rows keep a snapshot of the breakdown in rubric_scores, so rubrics can be edited or archived freely.
+
+create table if not exists public.rubrics (
+  id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references public.profiles (id) on delete cascade,
+  name text not null,
+  description text,
+  criteria jsonb not null default '[]'::jsonb,
+  archived boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists rubrics_teacher_id_idx
+  on public.rubrics (teacher_id);
+
+alter table public.assignments
+  add column if not exists rubric_id uuid references public.rubrics (id) on delete set null,
+  add column if not exists rubric_scores jsonb;
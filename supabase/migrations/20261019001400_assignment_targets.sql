@@ -0,0 +1,29 @@
+-- One assignment per teacher post (utils/assignments.js): the audience and per-student targets live
+-- on the assignment, and each student's hand-in and grade on their assignment_submissions row.
+-- Legacy per-student copies keep student_id set; new assignments leave it null.
+
+alter table public.assignments
+  add column if not exists audience text check (audience in ('all_students', 'class', 'students')),
+  add column if not exists status text not null default 'assigned',
+  alter column student_id drop not null;
+
+create table if not exists public.assignment_targets (
+  assignment_id uuid not null references public.assignments (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (assignment_id, student_id)
+);
+
+create index if not exists assignment_targets_student_id_idx
+  on public.assignment_targets (student_id);
+
+alter table public.assignment_submissions
+  add column if not exists score numeric(6, 2),
+  add column if not exists rubric_scores jsonb,
+  add column if not exists feedback text,
+  add column if not exists graded_at timestamptz,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Submissions are upserted on (assignment_id, student_id): one current row per student
+create unique index if not exists assignment_submissions_assignment_student_key
+  on public.assignment_submissions (assignment_id, student_id);
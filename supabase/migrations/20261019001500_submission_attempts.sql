@@ -0,0 +1,41 @@
+-- Late, attempt and redo policies on assignments, and every hand-in kept as a submission attempt
+-- (utils/assignments.js). Null policy columns fall back to DEFAULT_POLICY in code.
+
+alter table public.assignments
+  add column if not exists allow_late boolean,
+  add column if not exists late_penalty_percent numeric(5, 2) check (late_penalty_percent between 0 and 100),
+  add column if not exists max_attempts integer check (max_attempts > 0),
+  add column if not exists allow_redo boolean;
+
+create table if not exists public.submission_attempts (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.assignment_submissions (id) on delete cascade,
+  assignment_id uuid not null references public.assignments (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  attempt_number integer not null check (attempt_number > 0),
+  submission_text text,
+  recitation_id uuid references public.recitation_uploads (id) on delete set null,
+  submitted_at timestamptz not null default now(),
+  is_late boolean not null default false,
+  raw_score numeric(6, 2),
+  score numeric(6, 2),
+  late_penalty_percent numeric(5, 2),
+  rubric_scores jsonb,
+  feedback text,
+  graded_at timestamptz
+);
+
+-- Attempt numbers are claimed by insert: a concurrent hand-in fails with 23505 instead of doubling up
+create unique index if not exists submission_attempts_submission_attempt_key
+  on public.submission_attempts (submission_id, attempt_number);
+
+alter table public.assignment_submissions
+  add column if not exists is_late boolean not null default false,
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists current_attempt_id uuid references public.submission_attempts (id) on delete set null,
+  add column if not exists graded_attempt_id uuid references public.submission_attempts (id) on delete set null,
+  add column if not exists redo_reason text,
+  add column if not exists redo_requested_at timestamptz;
+
+alter table public.submission_annotations
+  add column if not exists attempt_id uuid references public.submission_attempts (id) on delete set null;
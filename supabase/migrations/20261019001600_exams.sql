@@ -0,0 +1,119 @@
+-- Exams built from question banks, scheduled into classes and taken as timed attempts (utils/exams.js).
+-- Attempts snapshot their questions in exam_attempts.questions, so bank edits never change a taken exam.
+
+create table if not exists public.question_banks (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.profiles (id) on delete cascade,
+  title text not null,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists question_banks_owner_id_idx
+  on public.question_banks (owner_id);
+
+create table if not exists public.bank_questions (
+  id uuid primary key default gen_random_uuid(),
+  bank_id uuid not null references public.question_banks (id) on delete cascade,
+  type text not null check (type in ('multiple_choice', 'short_answer', 'recitation')),
+  prompt text not null,
+  options jsonb,
+  answer jsonb,
+  points numeric(6, 2) not null default 1 check (points > 0),
+  recitation jsonb,
+  archived boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bank_questions_bank_id_idx
+  on public.bank_questions (bank_id);
+
+-- exams predates this feature; these are the columns the exam builder adds to it
+alter table public.exams
+  add column if not exists teacher_id uuid references public.profiles (id) on delete set null,
+  add column if not exists created_by uuid references public.profiles (id) on delete set null,
+  add column if not exists rubric_id uuid references public.rubrics (id) on delete set null,
+  add column if not exists shuffle_questions boolean not null default false,
+  add column if not exists draw_count integer check (draw_count > 0),
+  add column if not exists max_attempts integer not null default 1 check (max_attempts > 0),
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz not null default now();
+
+create table if not exists public.exam_questions (
+  id uuid primary key default gen_random_uuid(),
+  exam_id uuid not null references public.exams (id) on delete cascade,
+  question_id uuid not null references public.bank_questions (id) on delete cascade,
+  position integer not null default 0,
+  points numeric(6, 2) not null check (points > 0)
+);
+
+create unique index if not exists exam_questions_exam_question_key
+  on public.exam_questions (exam_id, question_id);
+
+create table if not exists public.exam_schedules (
+  id uuid primary key default gen_random_uuid(),
+  exam_id uuid not null references public.exams (id) on delete cascade,
+  class_id uuid not null references public.classes (id) on delete cascade,
+  opens_at timestamptz not null,
+  closes_at timestamptz not null check (closes_at > opens_at),
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists exam_schedules_exam_id_idx
+  on public.exam_schedules (exam_id);
+
+create index if not exists exam_schedules_class_id_idx
+  on public.exam_schedules (class_id);
+
+create table if not exists public.exam_attempts (
+  id uuid primary key default gen_random_uuid(),
+  exam_id uuid not null references public.exams (id) on delete cascade,
+  schedule_id uuid references public.exam_schedules (id) on delete set null,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  attempt_number integer not null check (attempt_number > 0),
+  questions jsonb not null default '[]'::jsonb,
+  started_at timestamptz not null default now(),
+  deadline_at timestamptz not null,
+  submitted_at timestamptz,
+  status text not null default 'in_progress' check (status in ('in_progress', 'submitted', 'graded')),
+  total_points numeric(8, 2),
+  max_points numeric(8, 2),
+  score numeric(6, 2),
+  max_score numeric(6, 2),
+  graded_at timestamptz
+);
+
+-- Starting an attempt claims its number: the same start sent twice fails with 23505
+create unique index if not exists exam_attempts_exam_student_attempt_key
+  on public.exam_attempts (exam_id, student_id, attempt_number);
+
+create index if not exists exam_attempts_student_id_idx
+  on public.exam_attempts (student_id);
+
+create table if not exists public.exam_answers (
+  id uuid primary key default gen_random_uuid(),
+  attempt_id uuid not null references public.exam_attempts (id) on delete cascade,
+  question_id uuid not null,
+  answer jsonb,
+  recitation_id uuid references public.recitation_uploads (id) on delete set null,
+  is_correct boolean,
+  points_awarded numeric(6, 2),
+  needs_grading boolean not null default false,
+  rubric_scores jsonb,
+  feedback text,
+  graded_by uuid references public.profiles (id) on delete set null,
+  graded_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists exam_answers_attempt_question_key
+  on public.exam_answers (attempt_id, question_id);
+
+create index if not exists exam_answers_needs_grading_idx
+  on public.exam_answers (attempt_id) where needs_grading;
+
+alter table public.recitation_uploads
+  add column if not exists exam_attempt_id uuid references public.exam_attempts (id) on delete set null;
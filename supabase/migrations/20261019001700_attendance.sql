@@ -0,0 +1,42 @@
+-- Attendance derived from live video participation, with teacher overrides (utils/attendance.js).
+-- Each join/leave stint is logged in session_participant_intervals, so a rejoin after a gap is not
+-- counted as if the student had stayed the whole time.
+
+create table if not exists public.attendance_records (
+  id uuid primary key default gen_random_uuid(),
+  class_id uuid not null references public.classes (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  teacher_id uuid references public.profiles (id) on delete set null,
+  status text not null check (status in ('present', 'late', 'left_early', 'absent', 'excused')),
+  source text not null default 'auto' check (source in ('auto', 'manual')),
+  joined_at timestamptz,
+  left_at timestamptz,
+  minutes_attended numeric(8, 1) not null default 0,
+  scheduled_minutes integer,
+  note text,
+  overridden_by uuid references public.profiles (id) on delete set null,
+  overridden_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Derivation and overrides upsert on (class_id, student_id)
+create unique index if not exists attendance_records_class_student_key
+  on public.attendance_records (class_id, student_id);
+
+create index if not exists attendance_records_student_id_idx
+  on public.attendance_records (student_id);
+
+create table if not exists public.session_participant_intervals (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references public.video_sessions (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  joined_at timestamptz not null default now(),
+  left_at timestamptz
+);
+
+create index if not exists session_participant_intervals_session_student_idx
+  on public.session_participant_intervals (session_id, student_id);
+
+alter table public.classes
+  add column if not exists attendance_computed_at timestamptz;
@@ -0,0 +1,53 @@
+-- Recurring classes as one series expanded into occurrences on read (utils/classSeries.js).
+-- Occurrences only get a classes row when something needs a real class id; that row points back
+-- at its series and occurrence, and one-off changes to an occurrence live in class_series_exceptions.
+
+create table if not exists public.class_series (
+  id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references public.profiles (id) on delete cascade,
+  title text not null,
+  description text,
+  duration integer not null check (duration > 0),
+  max_students integer,
+  starts_at timestamptz not null,
+  frequency text not null check (frequency in ('daily', 'weekly', 'monthly')),
+  "interval" integer not null default 1 check ("interval" between 1 and 52),
+  weekdays integer[],
+  until timestamptz,
+  count integer check (count between 1 and 500),
+  parent_series_id uuid references public.class_series (id) on delete set null,
+  status text not null default 'active' check (status in ('active', 'ended')),
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists class_series_teacher_id_idx
+  on public.class_series (teacher_id);
+
+create table if not exists public.class_series_exceptions (
+  id uuid primary key default gen_random_uuid(),
+  series_id uuid not null references public.class_series (id) on delete cascade,
+  occurrence_start timestamptz not null,
+  cancelled boolean not null default false,
+  scheduled_date timestamptz,
+  duration integer check (duration > 0),
+  substitute_teacher_id uuid references public.profiles (id) on delete set null,
+  note text,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Exceptions are upserted on (series_id, occurrence_start)
+create unique index if not exists class_series_exceptions_occurrence_key
+  on public.class_series_exceptions (series_id, occurrence_start);
+
+alter table public.classes
+  add column if not exists series_id uuid references public.class_series (id) on delete set null,
+  add column if not exists occurrence_start timestamptz,
+  add column if not exists substitute_teacher_id uuid references public.profiles (id) on delete set null;
+
+-- Materializing an occurrence upserts on (series_id, occurrence_start), so it gets one classes row at most
+create unique index if not exists classes_series_occurrence_key
+  on public.classes (series_id, occurrence_start);
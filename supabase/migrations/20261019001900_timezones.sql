@@ -0,0 +1,9 @@
+-- IANA timezones for users and class series (utils/timezones.js).
+-- Both stay nullable: a profile without one uses DEFAULT_TIMEZONE, and series created before this
+-- column existed keep recurring on UTC, as they did when they were created.
+
+alter table public.profiles
+  add column if not exists timezone text;
+
+alter table public.class_series
+  add column if not exists timezone text;
@@ -0,0 +1,31 @@
+-- Teacher availability, time off and student capacity (utils/availability.js).
+-- Windows are wall-clock 'HH:MM' text in the teacher's profile timezone; end_time may be '24:00',
+-- which the time type would not round-trip as written.
+
+create table if not exists public.teacher_availability (
+  id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references public.profiles (id) on delete cascade,
+  weekday integer not null check (weekday between 0 and 6),
+  start_time text not null check (start_time ~ '^\d{2}:\d{2}$'),
+  end_time text not null check (end_time ~ '^\d{2}:\d{2}$' and end_time > start_time),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists teacher_availability_teacher_id_idx
+  on public.teacher_availability (teacher_id);
+
+create table if not exists public.teacher_time_off (
+  id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references public.profiles (id) on delete cascade,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null check (ends_at > starts_at),
+  reason text,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists teacher_time_off_teacher_range_idx
+  on public.teacher_time_off (teacher_id, starts_at, ends_at);
+
+alter table public.profiles
+  add column if not exists student_capacity integer check (student_capacity >= 0);
@@ -0,0 +1,11 @@
+-- Substitute teachers (utils/substitutions.js). classes and class_series_exceptions carry the
+-- substitute since the class series migration; live sessions copy it so the substitute gets host rights.
+
+alter table public.video_sessions
+  add column if not exists substitute_teacher_id uuid references public.profiles (id) on delete set null;
+
+create index if not exists classes_substitute_teacher_id_idx
+  on public.classes (substitute_teacher_id) where substitute_teacher_id is not null;
+
+create index if not exists class_series_exceptions_substitute_teacher_id_idx
+  on public.class_series_exceptions (substitute_teacher_id) where substitute_teacher_id is not null;
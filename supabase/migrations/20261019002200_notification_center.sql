@@ -0,0 +1,23 @@
+-- Notification center (utils/notifications.js): structured payloads and read state on the existing
+-- notifications table, and per-type delivery preferences.
+-- A type without a preferences row uses DEFAULT_PREFERENCES, so no rows are seeded.
+
+alter table public.notifications
+  add column if not exists data jsonb,
+  add column if not exists read_at timestamptz;
+
+create index if not exists notifications_user_created_at_idx
+  on public.notifications (user_id, created_at desc);
+
+create index if not exists notifications_user_unread_idx
+  on public.notifications (user_id) where read_at is null;
+
+create table if not exists public.notification_preferences (
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  type text not null,
+  in_app boolean not null default true,
+  email boolean not null default false,
+  updated_at timestamptz not null default now(),
+  -- Preferences are upserted on (user_id, type)
+  primary key (user_id, type)
+);
@@ -0,0 +1,45 @@
+-- Transactional email queue and delivery log (utils/mailer.js).
+-- Messages are rendered when queued; html and text are cleared (redacted_at set) once a message
+-- carrying a sign-in link has been delivered.
+
+create table if not exists public.email_messages (
+  id uuid primary key default gen_random_uuid(),
+  to_email text not null,
+  to_user_id uuid references public.profiles (id) on delete set null,
+  template text not null,
+  subject text not null,
+  html text,
+  text text,
+  status text not null default 'queued' check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  transport text,
+  provider_message_id text,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  sent_at timestamptz,
+  redacted_at timestamptz
+);
+
+create index if not exists email_messages_status_next_attempt_idx
+  on public.email_messages (status, next_attempt_at);
+
+create index if not exists email_messages_to_user_id_idx
+  on public.email_messages (to_user_id);
+
+create table if not exists public.email_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references public.email_messages (id) on delete cascade,
+  attempt integer not null,
+  transport text not null,
+  status text not null check (status in ('sent', 'failed')),
+  error text,
+  provider_message_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_deliveries_message_id_idx
+  on public.email_deliveries (message_id);
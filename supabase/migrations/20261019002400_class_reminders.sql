@@ -0,0 +1,22 @@
+-- Reminders sent by the class reminder job (utils/classReminders.js).
+-- The unique key is what makes a reminder row a claim: a second insert for the same class, kind,
+-- offset and start fails with 23505 and the reminder is not sent again.
+
+create table if not exists public.class_reminders (
+  id uuid primary key default gen_random_uuid(),
+  class_key text not null,
+  kind text not null check (kind in ('reminder', 'not_started')),
+  offset_minutes integer not null default 0,
+  scheduled_date timestamptz not null,
+  class_id uuid references public.classes (id) on delete set null,
+  series_id uuid references public.class_series (id) on delete set null,
+  recipients integer,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists class_reminders_claim_key
+  on public.class_reminders (class_key, kind, offset_minutes, scheduled_date);
+
+create index if not exists class_reminders_class_key_idx
+  on public.class_reminders (class_key);
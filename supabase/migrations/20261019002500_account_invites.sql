@@ -0,0 +1,22 @@
+-- Single-use invite and password reset links (utils/invites.js).
+-- Only the SHA-256 hash of a token is stored; issuing a new link revokes the user's open one.
+
+create table if not exists public.account_invites (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  email text not null,
+  role text,
+  purpose text not null default 'invite' check (purpose in ('invite', 'password_reset')),
+  token_hash text not null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists account_invites_token_hash_key
+  on public.account_invites (token_hash);
+
+create index if not exists account_invites_open_user_idx
+  on public.account_invites (user_id) where accepted_at is null and revoked_at is null;
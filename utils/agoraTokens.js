@@ -0,0 +1,130 @@
+// utils/agoraTokens.js
+// Shared Agora RTC token service used by the agora, admin, teacher and student routes.
+// Supports an "invisible observer" mode: subscriber role with a UID from a reserved range,
+// so admins can drop into a live class without being counted as a participant.
+
+import pkg from 'agora-access-token';
+const { RtcTokenBuilder, RtcRole } = pkg;
+
+const DEFAULT_TOKEN_TTL = 3600; // 1 hour
+const SCREEN_SHARE_UID_OFFSET = 10000;
+
+// Regular UIDs are 31-bit hashes (< 2^31 + offset); observers live in the top of the 32-bit range
+const OBSERVER_UID_MIN = 4000000000;
+const OBSERVER_UID_MAX = 4294967295;
+
+class AgoraConfigError extends Error {
+  constructor(message = 'Agora video service not configured') {
+    super(message);
+    this.name = 'AgoraConfigError';
+    this.code = 'AGORA_CONFIG_MISSING';
+  }
+}
+
+const getAgoraConfig = () => ({
+  appId: process.env.AGORA_APP_ID,
+  appCertificate: process.env.AGORA_APP_CERTIFICATE
+});
+
+const isAgoraConfigured = () => {
+  const { appId, appCertificate } = getAgoraConfig();
+  return !!(appId && appCertificate && appId !== '""' && appCertificate !== '""');
+};
+
+// Turn a string UUID into a stable 31-bit integer UID
+const hashUserIdToNumber = (uuid) => {
+  if (!uuid) return Math.floor(Math.random() * 1000000);
+  let hash = 0;
+  for (let i = 0; i < uuid.length; i++) {
+    const char = uuid.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash);
+};
+
+const generateObserverUid = (userId) => {
+  const range = OBSERVER_UID_MAX - OBSERVER_UID_MIN;
+  return OBSERVER_UID_MIN + (hashUserIdToNumber(userId) % range);
+};
+
+const isObserverUid = (uid) => {
+  const numericUid = Number(uid);
+  return numericUid >= OBSERVER_UID_MIN && numericUid <= OBSERVER_UID_MAX;
+};
+
+/**
+ * Build a signed RTC token for a channel.
+ * @param {object} options - { channelName, uid, role: 'publisher' | 'subscriber', expiresIn }
+ * @returns {{ token: string, uid: number, appId: string, channelName: string, role: string, expiresAt: number }}
+ */
+const buildRtcToken = ({ channelName, uid, role = 'publisher', expiresIn = DEFAULT_TOKEN_TTL }) => {
+  if (!isAgoraConfigured()) {
+    throw new AgoraConfigError();
+  }
+  if (!channelName) {
+    throw new Error('channelName is required to build an Agora token');
+  }
+
+  const { appId, appCertificate } = getAgoraConfig();
+  // Numeric UIDs (including numeric strings) are used as-is, user ids are hashed
+  const numericUid = /^\d+$/.test(String(uid)) ? Number(uid) : hashUserIdToNumber(uid);
+  const privilegeExpiredTs = Math.floor(Date.now() / 1000) + expiresIn;
+
+  const token = RtcTokenBuilder.buildTokenWithUid(
+    appId,
+    appCertificate,
+    channelName,
+    numericUid,
+    role === 'subscriber' ? RtcRole.SUBSCRIBER : RtcRole.PUBLISHER,
+    privilegeExpiredTs
+  );
+
+  return {
+    token,
+    uid: numericUid,
+    appId,
+    channelName,
+    role,
+    expiresAt: privilegeExpiredTs * 1000
+  };
+};
+
+/**
+ * Issue a token for a user joining a session's channel.
+ * Observers get a subscriber token with a reserved UID; screen shares get the offset UID.
+ * @param {object} options - { session, userId, observer, screenShare, expiresIn }
+ */
+const issueSessionToken = ({ session, userId, observer = false, screenShare = false, expiresIn }) => {
+  let uid = hashUserIdToNumber(userId);
+  if (observer) {
+    uid = generateObserverUid(userId);
+  } else if (screenShare) {
+    uid += SCREEN_SHARE_UID_OFFSET;
+  }
+
+  return {
+    ...buildRtcToken({
+      channelName: session.channel_name,
+      uid,
+      role: observer ? 'subscriber' : 'publisher',
+      expiresIn
+    }),
+    observer
+  };
+};
+
+export {
+  AgoraConfigError,
+  DEFAULT_TOKEN_TTL,
+  SCREEN_SHARE_UID_OFFSET,
+  OBSERVER_UID_MIN,
+  OBSERVER_UID_MAX,
+  getAgoraConfig,
+  isAgoraConfigured,
+  hashUserIdToNumber,
+  generateObserverUid,
+  isObserverUid,
+  buildRtcToken,
+  issueSessionToken
+};
@@ -0,0 +1,1094 @@
+// utils/assignments.js
+// Homework as one assignment per teacher post, with per-student targets and submission state.
+// Tables:
+//   assignments (id, teacher_id, title, description, due_date, max_score, class_id, rubric_id,
+//                audience all_students|class|students, status, created_at, updated_at,
+//                allow_late, late_penalty_percent, max_attempts, allow_redo)
+//   assignment_targets (assignment_id, student_id, created_at)   unique (assignment_id, student_id)
+//   assignment_submissions (id, assignment_id, student_id, submission_text, recitation_id,
+//                           status submitted|graded|redo_requested, score, rubric_scores, feedback, submitted_at,
+//                           graded_at, updated_at, is_late, attempt_count, current_attempt_id, graded_attempt_id,
+//                           redo_reason, redo_requested_at)   unique (assignment_id, student_id)
+//   submission_attempts (id, submission_id, assignment_id, student_id, attempt_number, submission_text,
+//                        recitation_id, submitted_at, is_late, raw_score, score, late_penalty_percent,
+//                        rubric_scores, feedback, graded_at)   unique (submission_id, attempt_number)
+// assignment_submissions is a student's current state; every hand-in is kept as a submission_attempts row.
+// Legacy rows (one copy per student, student_id set, grade on the assignment row) are still read as
+// single-student assignments until migrateLegacyAssignments() folds them into the new model.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { getRubric, getUsableRubric, scoreWithRubric } from './rubrics.js';
+import { notifyUsers } from './notifications.js';
+import { emailUsers } from './mailer.js';
+
+const AUDIENCES = ['all_students', 'class', 'students'];
+const EDITABLE_FIELDS = ['title', 'description', 'due_date', 'max_score', 'rubric_id'];
+
+// Applied when an assignment does not set its own policy
+const DEFAULT_POLICY = {
+  allow_late: true,
+  late_penalty_percent: 0,
+  max_attempts: null, // unlimited until graded
+  allow_redo: true
+};
+
+// Legacy copies created by one request are at most this far apart
+const LEGACY_BATCH_WINDOW_MS = 5 * 60 * 1000;
+const MIGRATION_PAGE_SIZE = 500;
+
+class AssignmentError extends Error {
+  constructor(message, status = 400, code = 'ASSIGNMENT_ERROR') {
+    super(message);
+    this.name = 'AssignmentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new AssignmentError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const isPastDue = (assignment) => !!assignment.due_date && new Date(assignment.due_date) < new Date();
+
+// ==================== POLICY ====================
+
+const policyOf = (assignment) => ({
+  allow_late: assignment.allow_late ?? DEFAULT_POLICY.allow_late,
+  late_penalty_percent: Number(assignment.late_penalty_percent) || 0,
+  max_attempts: assignment.max_attempts ?? DEFAULT_POLICY.max_attempts,
+  allow_redo: assignment.allow_redo ?? DEFAULT_POLICY.allow_redo
+});
+
+// Attempts a student still has under max_attempts; null when unlimited
+const attemptsRemaining = (assignment, submission) => {
+  const { max_attempts: maxAttempts } = policyOf(assignment);
+  if (!maxAttempts) return null;
+  return Math.max(0, maxAttempts - (submission ? submission.attempt_count ?? 1 : 0));
+};
+
+// Validate the policy fields present in a request body
+const normalizePolicy = (fields) => {
+  const policy = {};
+
+  ['allow_late', 'allow_redo'].forEach(field => {
+    if (fields[field] !== undefined) policy[field] = fields[field] === true || fields[field] === 'true';
+  });
+
+  if (fields.late_penalty_percent !== undefined) {
+    const penalty = Number(fields.late_penalty_percent);
+    if (!Number.isFinite(penalty) || penalty < 0 || penalty > 100) {
+      throw new AssignmentError('late_penalty_percent must be between 0 and 100', 400, 'INVALID_POLICY');
+    }
+    policy.late_penalty_percent = penalty;
+  }
+
+  if (fields.max_attempts !== undefined) {
+    const attempts = fields.max_attempts === null || fields.max_attempts === '' ? null : Number(fields.max_attempts);
+    if (attempts !== null && (!Number.isInteger(attempts) || attempts < 1)) {
+      throw new AssignmentError('max_attempts must be a positive whole number, or null for unlimited', 400, 'INVALID_POLICY');
+    }
+    policy.max_attempts = attempts;
+  }
+
+  return policy;
+};
+
+// ==================== AUDIENCE ====================
+
+/**
+ * Resolve who an assignment is for.
+ * @param {string} teacherId
+ * @param {object} audience - { audience, class_id, student_ids }; student_ids === 'all' means all_students
+ * @returns {object} { audience, classId, studentIds }
+ */
+const resolveAudience = async (teacherId, { audience, class_id: classId = null, student_ids: studentIds }) => {
+  const type = audience || (studentIds === 'all' ? 'all_students' : Array.isArray(studentIds) ? 'students' : null);
+  if (!AUDIENCES.includes(type)) {
+    throw new AssignmentError(`audience must be one of: ${AUDIENCES.join(', ')}`, 400, 'INVALID_AUDIENCE');
+  }
+
+  if (classId) {
+    const { data: classData } = await supabase
+      .from('classes')
+      .select('id')
+      .eq('id', classId)
+      .eq('teacher_id', teacherId)
+      .maybeSingle();
+
+    if (!classData) {
+      throw new AssignmentError('Class not found or not authorized', 400, 'CLASS_NOT_FOUND');
+    }
+  } else if (type === 'class') {
+    throw new AssignmentError('class_id is required for a class assignment', 400, 'CLASS_REQUIRED');
+  }
+
+  // Only the teacher's own active students can be targeted
+  let query = supabase
+    .from('profiles')
+    .select('id')
+    .eq('teacher_id', teacherId)
+    .eq('role', 'student')
+    .eq('status', 'active');
+
+  if (type === 'students') {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      throw new AssignmentError('student_ids must list at least one student', 400, 'NO_STUDENTS');
+    }
+    query = query.in('id', studentIds);
+  }
+
+  if (type === 'class') {
+    const { data: enrollments } = await supabase
+      .from('students_classes')
+      .select('student_id')
+      .eq('class_id', classId);
+    query = query.in('id', (enrollments || []).map(e => e.student_id));
+  }
+
+  const students = unwrap(await query, 'Error fetching students') || [];
+  if (students.length === 0) {
+    const { count } = await supabase
+      .from('profiles')
+      .select('*', { count: 'exact', head: true })
+      .eq('teacher_id', teacherId)
+      .eq('role', 'student')
+      .eq('status', 'active');
+
+    throw new AssignmentError(
+      count
+        ? 'No valid students selected for assignment'
+        : 'No students are assigned to you yet. Please contact administration to assign students to your account.',
+      400,
+      'NO_STUDENTS'
+    );
+  }
+
+  return { audience: type, classId, studentIds: students.map(s => s.id) };
+};
+
+const getTargetIds = async (assignmentIds) => {
+  if (assignmentIds.length === 0) return {};
+
+  const targets = unwrap(
+    await supabase
+      .from('assignment_targets')
+      .select('assignment_id, student_id')
+      .in('assignment_id', assignmentIds),
+    'Error fetching assignment targets'
+  ) || [];
+
+  return targets.reduce((acc, t) => {
+    (acc[t.assignment_id] ||= []).push(t.student_id);
+    return acc;
+  }, {});
+};
+
+// Students an assignment is for; legacy rows target their single student
+const studentsOf = (assignment, targetIds) => (
+  assignment.student_id ? [assignment.student_id] : targetIds[assignment.id] || []
+);
+
+const addTargets = async (assignmentId, studentIds) => {
+  if (studentIds.length === 0) return;
+
+  const now = new Date().toISOString();
+  unwrap(
+    await supabase
+      .from('assignment_targets')
+      .upsert(
+        studentIds.map(student_id => ({ assignment_id: assignmentId, student_id, created_at: now })),
+        { onConflict: 'assignment_id,student_id', ignoreDuplicates: true }
+      ),
+    'Error saving assignment targets'
+  );
+};
+
+// ==================== TEACHER ====================
+
+const getOwnAssignment = async (assignmentId, teacherId) => {
+  const { data } = await supabase
+    .from('assignments')
+    .select('*')
+    .eq('id', assignmentId)
+    .eq('teacher_id', teacherId)
+    .maybeSingle();
+
+  if (!data) {
+    throw new AssignmentError('Assignment not found or not authorized', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+  return data;
+};
+
+const validateMaxScore = (maxScore) => {
+  if (maxScore !== undefined && maxScore !== null && !(Number(maxScore) > 0)) {
+    throw new AssignmentError('max_score must be a positive number', 400, 'INVALID_MAX_SCORE');
+  }
+};
+
+/**
+ * Create one assignment for its whole audience.
+ * @param {string} teacherId
+ * @param {object} fields - { title, description, due_date, max_score, rubric_id, audience, class_id, student_ids }
+ * @returns {object} The assignment with student_ids
+ */
+const createAssignment = async (teacherId, fields) => {
+  const title = sanitizeInput(fields.title);
+  if (!title || !fields.due_date) {
+    throw new AssignmentError('Title and due date are required', 400, 'FIELDS_REQUIRED');
+  }
+  validateMaxScore(fields.max_score);
+  const policy = { ...DEFAULT_POLICY, ...normalizePolicy(fields) };
+
+  // Graded per criterion when a rubric is attached
+  if (fields.rubric_id) {
+    await getUsableRubric(fields.rubric_id, teacherId);
+  }
+
+  const target = await resolveAudience(teacherId, {
+    audience: fields.audience || (fields.for_all_students ? 'all_students' : undefined),
+    class_id: fields.class_id,
+    student_ids: fields.student_ids
+  });
+
+  const now = new Date().toISOString();
+  const assignment = unwrap(
+    await supabase
+      .from('assignments')
+      .insert([{
+        title,
+        description: fields.description || null,
+        due_date: fields.due_date,
+        max_score: fields.max_score ? Number(fields.max_score) : 100,
+        class_id: target.classId,
+        rubric_id: fields.rubric_id || null,
+        audience: target.audience,
+        ...policy,
+        teacher_id: teacherId,
+        status: 'assigned',
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating assignment'
+  );
+
+  try {
+    await addTargets(assignment.id, target.studentIds);
+  } catch (error) {
+    await supabase.from('assignments').delete().eq('id', assignment.id);
+    throw error;
+  }
+
+  await notifyUsers(target.studentIds, {
+    type: 'assignment_posted',
+    title: 'New Assignment',
+    message: `"${title}" is due ${new Date(assignment.due_date).toUTCString()}.`,
+    data: { assignment_id: assignment.id, due_date: assignment.due_date }
+  });
+
+  return { ...assignment, student_ids: target.studentIds };
+};
+
+/**
+ * Edit an assignment; the change applies to every targeted student.
+ * Changing the audience adds new students and drops the ones who have not submitted yet;
+ * students who already submitted stay targeted so their work is not orphaned.
+ */
+const updateAssignment = async (assignmentId, teacherId, updates) => {
+  const assignment = await getOwnAssignment(assignmentId, teacherId);
+  const changes = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) changes[field] = updates[field];
+  });
+  if (changes.title !== undefined) {
+    changes.title = sanitizeInput(changes.title);
+    if (!changes.title) throw new AssignmentError('Title is required', 400, 'FIELDS_REQUIRED');
+  }
+  validateMaxScore(changes.max_score);
+  if (changes.max_score !== undefined) changes.max_score = Number(changes.max_score);
+  // Policy changes apply to attempts and grading from now on
+  Object.assign(changes, normalizePolicy(updates));
+
+  const gradingChanged = (changes.max_score !== undefined && changes.max_score !== Number(assignment.max_score))
+    || (changes.rubric_id !== undefined && (changes.rubric_id || null) !== assignment.rubric_id);
+
+  if (gradingChanged) {
+    const { count } = await supabase
+      .from('assignment_submissions')
+      .select('*', { count: 'exact', head: true })
+      .eq('assignment_id', assignmentId)
+      .eq('status', 'graded');
+
+    if (count) {
+      throw new AssignmentError('max_score and rubric cannot change once submissions are graded', 409, 'ALREADY_GRADED');
+    }
+    if (changes.rubric_id) await getUsableRubric(changes.rubric_id, teacherId);
+  }
+
+  const audienceChanged = ['audience', 'class_id', 'student_ids'].some(field => updates[field] !== undefined);
+
+  if (audienceChanged) {
+    if (assignment.student_id) {
+      throw new AssignmentError('Legacy per-student assignments cannot be retargeted; run the assignment migration first', 409, 'LEGACY_ASSIGNMENT');
+    }
+
+    const target = await resolveAudience(teacherId, {
+      // A new student list on its own means an explicit list of students
+      audience: updates.audience || (updates.student_ids !== undefined ? undefined : assignment.audience),
+      class_id: updates.class_id !== undefined ? updates.class_id : assignment.class_id,
+      student_ids: updates.student_ids
+    });
+    changes.audience = target.audience;
+    changes.class_id = target.classId;
+
+    const current = (await getTargetIds([assignmentId]))[assignmentId] || [];
+    const { data: submitted } = await supabase
+      .from('assignment_submissions')
+      .select('student_id')
+      .eq('assignment_id', assignmentId);
+    const keep = new Set([...target.studentIds, ...(submitted || []).map(s => s.student_id)]);
+
+    const removed = current.filter(id => !keep.has(id));
+    if (removed.length > 0) {
+      unwrap(
+        await supabase
+          .from('assignment_targets')
+          .delete()
+          .eq('assignment_id', assignmentId)
+          .in('student_id', removed),
+        'Error removing assignment targets'
+      );
+    }
+    await addTargets(assignmentId, target.studentIds.filter(id => !current.includes(id)));
+  }
+
+  const data = unwrap(
+    await supabase
+      .from('assignments')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', assignmentId)
+      .select()
+      .single(),
+    'Error updating assignment'
+  );
+
+  return { ...data, student_ids: studentsOf(data, await getTargetIds([assignmentId])) };
+};
+
+/**
+ * Delete an assignment with its targets, submissions and attempts.
+ * @returns {object} { submissions, recitationIds } - count removed, and recordings the caller should discard
+ */
+const deleteAssignment = async (assignmentId, teacherId) => {
+  await getOwnAssignment(assignmentId, teacherId);
+
+  const [submissions, attempts] = await Promise.all([
+    supabase.from('assignment_submissions').select('id, recitation_id').eq('assignment_id', assignmentId),
+    supabase.from('submission_attempts').select('recitation_id').eq('assignment_id', assignmentId)
+  ]).then(([s, a]) => [unwrap(s, 'Error fetching submissions') || [], unwrap(a, 'Error fetching attempts') || []]);
+
+  if (submissions.length > 0) {
+    unwrap(
+      await supabase.from('submission_annotations').delete().in('submission_id', submissions.map(s => s.id)),
+      'Error deleting annotations'
+    );
+    unwrap(
+      await supabase.from('submission_attempts').delete().eq('assignment_id', assignmentId),
+      'Error deleting attempts'
+    );
+    unwrap(
+      await supabase.from('assignment_submissions').delete().eq('assignment_id', assignmentId),
+      'Error deleting submissions'
+    );
+  }
+  unwrap(
+    await supabase.from('assignment_targets').delete().eq('assignment_id', assignmentId),
+    'Error deleting assignment targets'
+  );
+  unwrap(
+    await supabase.from('assignments').delete().eq('id', assignmentId),
+    'Error deleting assignment'
+  );
+
+  const recitationIds = [...submissions, ...attempts].map(r => r.recitation_id).filter(Boolean);
+  return { submissions: submissions.length, recitationIds: [...new Set(recitationIds)] };
+};
+
+/**
+ * The teacher's assignments with real per-student counts.
+ * @param {object} filters - { student_id, class_id, page, limit }
+ */
+const listTeacherAssignments = async (teacherId, { student_id: studentId, class_id: classId, page = 1, limit = 50 } = {}) => {
+  let query = supabase
+    .from('assignments')
+    .select('*, classes (id, title)')
+    .eq('teacher_id', teacherId);
+
+  if (classId) query = query.eq('class_id', classId);
+
+  const from = (page - 1) * limit;
+  const assignments = unwrap(
+    await query.order('created_at', { ascending: false }).range(from, from + Number(limit) - 1),
+    'Error fetching assignments'
+  ) || [];
+
+  const ids = assignments.map(a => a.id);
+  const targetIds = await getTargetIds(ids);
+  const submissions = ids.length > 0
+    ? unwrap(
+      await supabase
+        .from('assignment_submissions')
+        .select('assignment_id, student_id, status, submitted_at, score')
+        .in('assignment_id', ids),
+      'Error fetching submissions'
+    ) || []
+    : [];
+
+  return assignments
+    .filter(assignment => !studentId || studentsOf(assignment, targetIds).includes(studentId))
+    .map(({ classes, ...assignment }) => {
+      const students = studentsOf(assignment, targetIds);
+      const own = submissions.filter(s => s.assignment_id === assignment.id && students.includes(s.student_id));
+      const graded = own.filter(s => s.status === 'graded' || (s.score !== null && s.score !== undefined)).length;
+      const submitted = own.filter(s => s.submitted_at).length;
+
+      return {
+        ...assignment,
+        class: classes ? { id: classes.id, title: classes.title } : null,
+        student_ids: students,
+        student_count: students.length,
+        submission_count: submitted,
+        graded_count: graded,
+        pending_count: submitted - graded,
+        // Nothing handed in and the due date has passed
+        missing_count: isPastDue(assignment) ? students.length - own.length : 0
+      };
+    });
+};
+
+/**
+ * Per-student state of one assignment: each targeted student with their submission, if any.
+ */
+const getAssignmentRoster = async (assignmentId, teacherId) => {
+  const assignment = await getOwnAssignment(assignmentId, teacherId);
+  const students = studentsOf(assignment, await getTargetIds([assignmentId]));
+
+  const { data: profiles } = students.length > 0
+    ? await supabase.from('profiles').select('id, name, email').in('id', students)
+    : { data: [] };
+
+  const submissions = unwrap(
+    await supabase
+      .from('assignment_submissions')
+      .select('*')
+      .eq('assignment_id', assignmentId)
+      .order('submitted_at', { ascending: false }),
+    'Error fetching submissions'
+  ) || [];
+
+  return {
+    assignment,
+    students: students.map(id => {
+      const submission = submissions.find(s => s.student_id === id) || null;
+      return {
+        student: (profiles || []).find(p => p.id === id) || { id },
+        state: submissionState(assignment, submission),
+        submission
+      };
+    })
+  };
+};
+
+const submissionState = (assignment, submission) => {
+  if (submission?.status === 'graded') return 'graded';
+  if (submission?.status === 'redo_requested') return 'redo_requested';
+  if (submission) return 'submitted';
+  return isPastDue(assignment) ? 'missing' : 'assigned';
+};
+
+// The targeted student a teacher action applies to; may be omitted when there is only one
+const resolveTargetStudent = async (assignment, studentId) => {
+  const students = studentsOf(assignment, await getTargetIds([assignment.id]));
+  const target = studentId || (students.length === 1 ? students[0] : null);
+
+  if (!target) {
+    throw new AssignmentError('student_id is required for an assignment with several students', 400, 'STUDENT_REQUIRED');
+  }
+  if (!students.includes(target)) {
+    throw new AssignmentError('Student is not assigned this homework', 404, 'STUDENT_NOT_TARGETED');
+  }
+  return target;
+};
+
+// Score before any late penalty, from a plain score or per-criterion rubric points
+const computeGrade = async (assignment, { score, criteria }) => {
+  const maxScore = Number(assignment.max_score) || 100;
+
+  if (assignment.rubric_id) {
+    if (!criteria) {
+      throw new AssignmentError('This assignment is graded with a rubric, criteria scores are required', 400, 'CRITERIA_REQUIRED');
+    }
+    // Archived rubrics still grade the assignments they were attached to
+    const rubric = await getRubric(assignment.rubric_id);
+    if (!rubric) {
+      throw new AssignmentError('The rubric attached to this assignment no longer exists', 409, 'RUBRIC_NOT_FOUND');
+    }
+    return scoreWithRubric(rubric, criteria, maxScore);
+  }
+
+  const numericScore = Number(score);
+  if (score === undefined || score === null || score === '' || !Number.isFinite(numericScore)) {
+    throw new AssignmentError('Score is required', 400, 'SCORE_REQUIRED');
+  }
+  if (numericScore < 0 || numericScore > maxScore) {
+    throw new AssignmentError(`Score must be between 0 and ${maxScore}`, 400, 'INVALID_SCORE');
+  }
+  return { score: numericScore, rubric_scores: null };
+};
+
+/**
+ * Grade one student's work: { student_id, score } or, with a rubric, { student_id, criteria }.
+ * The latest attempt is graded unless { attempt } names another one; a late attempt loses the
+ * assignment's late_penalty_percent. student_id may be omitted when the assignment has a single student.
+ */
+const gradeSubmission = async (assignmentId, teacherId, { student_id: studentId, attempt: attemptNumber, score, criteria, feedback }) => {
+  const assignment = await getOwnAssignment(assignmentId, teacherId);
+  const gradedStudent = await resolveTargetStudent(assignment, studentId);
+
+  let submission = await getSubmissionHead(assignmentId, gradedStudent);
+  if (!submission) {
+    throw new AssignmentError('Student has not submitted this assignment yet', 409, 'NOT_SUBMITTED');
+  }
+  submission = await ensureFirstAttempt(submission);
+
+  let query = supabase
+    .from('submission_attempts')
+    .select('*')
+    .eq('submission_id', submission.id);
+  query = attemptNumber !== undefined && attemptNumber !== null
+    ? query.eq('attempt_number', Number(attemptNumber))
+    : query.eq('id', submission.current_attempt_id);
+
+  const { data: attempt } = await query.maybeSingle();
+  if (!attempt) {
+    throw new AssignmentError('Attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+
+  const grade = await computeGrade(assignment, { score, criteria });
+  const penalty = attempt.is_late ? policyOf(assignment).late_penalty_percent : 0;
+  const finalScore = Math.round(grade.score * (1 - penalty / 100) * 100) / 100;
+  const now = new Date().toISOString();
+
+  const gradedAttempt = unwrap(
+    await supabase
+      .from('submission_attempts')
+      .update({
+        raw_score: grade.score,
+        score: finalScore,
+        late_penalty_percent: penalty,
+        rubric_scores: grade.rubric_scores,
+        feedback: feedback ?? null,
+        graded_at: now
+      })
+      .eq('id', attempt.id)
+      .select()
+      .single(),
+    'Error grading attempt'
+  );
+
+  const graded = unwrap(
+    await supabase
+      .from('assignment_submissions')
+      .update({
+        score: finalScore,
+        rubric_scores: grade.rubric_scores,
+        feedback: feedback ?? null,
+        status: 'graded',
+        graded_attempt_id: attempt.id,
+        graded_at: now,
+        updated_at: now
+      })
+      .eq('id', submission.id)
+      .select()
+      .single(),
+    'Error grading submission'
+  );
+
+  await notifyUsers([gradedStudent], {
+    type: 'assignment_graded',
+    title: 'Assignment Graded',
+    message: `"${assignment.title}" was graded: ${finalScore}/${Number(assignment.max_score) || 100}.`,
+    data: { assignment_id: assignmentId, submission_id: graded.id, score: finalScore }
+  });
+  await emailUsers([gradedStudent], 'assignment_graded', {
+    assignment_title: assignment.title,
+    score: finalScore,
+    max_score: Number(assignment.max_score) || 100,
+    feedback: feedback ?? null
+  }, { type: 'assignment_graded' });
+
+  return { ...graded, attempt: gradedAttempt };
+};
+
+/**
+ * Ask a student to redo their work: { student_id, reason }.
+ * Gives one more attempt even when max_attempts is used up, accepted after the due date without penalty.
+ */
+const requestRedo = async (assignmentId, teacherId, { student_id: studentId, reason }) => {
+  const assignment = await getOwnAssignment(assignmentId, teacherId);
+  if (!policyOf(assignment).allow_redo) {
+    throw new AssignmentError('This assignment does not allow redo requests', 409, 'REDO_NOT_ALLOWED');
+  }
+
+  const target = await resolveTargetStudent(assignment, studentId);
+  const submission = await getSubmissionHead(assignmentId, target);
+  if (!submission) {
+    throw new AssignmentError('Student has not submitted this assignment yet', 409, 'NOT_SUBMITTED');
+  }
+  await ensureFirstAttempt(submission);
+
+  const now = new Date().toISOString();
+  return unwrap(
+    await supabase
+      .from('assignment_submissions')
+      .update({
+        status: 'redo_requested',
+        redo_reason: sanitizeInput(reason) || null,
+        redo_requested_at: now,
+        updated_at: now
+      })
+      .eq('id', submission.id)
+      .select()
+      .single(),
+    'Error requesting redo'
+  );
+};
+
+// ==================== ATTEMPTS ====================
+
+const getSubmissionHead = async (assignmentId, studentId) => {
+  const { data } = await supabase
+    .from('assignment_submissions')
+    .select('*')
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+  return data;
+};
+
+// Submissions made before attempts were versioned hold their only attempt on the submission row
+const legacyAttempt = (submission) => ({
+  submission_id: submission.id,
+  assignment_id: submission.assignment_id,
+  student_id: submission.student_id,
+  attempt_number: 1,
+  submission_text: submission.submission_text ?? null,
+  recitation_id: submission.recitation_id ?? null,
+  submitted_at: submission.submitted_at,
+  is_late: null,
+  raw_score: submission.score ?? null,
+  score: submission.score ?? null,
+  late_penalty_percent: 0,
+  rubric_scores: submission.rubric_scores ?? null,
+  feedback: submission.feedback ?? null,
+  graded_at: submission.graded_at ?? null
+});
+
+// Store a legacy submission's content as attempt 1 before anything builds on it
+const ensureFirstAttempt = async (submission) => {
+  if (submission.attempt_count !== null && submission.attempt_count !== undefined) return submission;
+
+  const attempt = unwrap(
+    await supabase.from('submission_attempts').insert([legacyAttempt(submission)]).select().single(),
+    'Error saving first attempt'
+  );
+
+  return unwrap(
+    await supabase
+      .from('assignment_submissions')
+      .update({
+        attempt_count: 1,
+        current_attempt_id: attempt.id,
+        graded_attempt_id: submission.score !== null && submission.score !== undefined ? attempt.id : null
+      })
+      .eq('id', submission.id)
+      .select()
+      .single(),
+    'Error updating submission'
+  );
+};
+
+/**
+ * Check the assignment's policy before a student hands in another attempt.
+ * @returns {object} { submission, attemptNumber, isLate, isRedo } to pass to saveAttempt
+ */
+const prepareAttempt = async (assignment, studentId) => {
+  const policy = policyOf(assignment);
+  const submission = await getSubmissionHead(assignment.id, studentId);
+  const used = submission ? submission.attempt_count ?? 1 : 0;
+  const isRedo = submission?.status === 'redo_requested';
+
+  if (submission?.status === 'graded') {
+    throw new AssignmentError('This assignment has been graded; your teacher can ask for a redo', 409, 'ALREADY_GRADED');
+  }
+  if (!isRedo && policy.max_attempts && used >= policy.max_attempts) {
+    throw new AssignmentError(`You have used all ${policy.max_attempts} attempt(s) for this assignment`, 409, 'MAX_ATTEMPTS_REACHED');
+  }
+
+  // A redo the teacher asked for is accepted after the due date and not penalised
+  const isLate = !isRedo && isPastDue(assignment);
+  if (isLate && !policy.allow_late) {
+    throw new AssignmentError('The due date has passed and this assignment does not accept late work', 403, 'LATE_NOT_ALLOWED');
+  }
+
+  return { submission, attemptNumber: used + 1, isLate, isRedo };
+};
+
+/**
+ * Record a new attempt and make it the submission's current one.
+ * @param {object} assignment
+ * @param {string} studentId
+ * @param {object} prepared - Result of prepareAttempt
+ * @param {object} content - { submissionText, recitationId }
+ * @returns {object} { submission, attempt }
+ */
+const saveAttempt = async (assignment, studentId, prepared, { submissionText = null, recitationId = null }) => {
+  const now = new Date().toISOString();
+  let submission = prepared.submission;
+
+  if (submission) {
+    submission = await ensureFirstAttempt(submission);
+  } else {
+    const { data, error } = await supabase
+      .from('assignment_submissions')
+      .insert([{
+        assignment_id: assignment.id,
+        student_id: studentId,
+        status: 'submitted',
+        attempt_count: 0,
+        submitted_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      throw new AssignmentError('Another attempt was submitted at the same time, please retry', 409, 'CONCURRENT_ATTEMPT');
+    }
+    submission = unwrap({ data, error }, 'Error saving submission');
+  }
+
+  const { data: attempt, error: attemptError } = await supabase
+    .from('submission_attempts')
+    .insert([{
+      submission_id: submission.id,
+      assignment_id: assignment.id,
+      student_id: studentId,
+      attempt_number: prepared.attemptNumber,
+      submission_text: submissionText,
+      recitation_id: recitationId,
+      submitted_at: now,
+      is_late: prepared.isLate
+    }])
+    .select()
+    .single();
+
+  if (attemptError?.code === '23505') {
+    throw new AssignmentError('Another attempt was submitted at the same time, please retry', 409, 'CONCURRENT_ATTEMPT');
+  }
+  unwrap({ data: attempt, error: attemptError }, 'Error saving attempt');
+
+  // The submission row mirrors the current attempt; earlier grades stay on their attempts
+  const updated = unwrap(
+    await supabase
+      .from('assignment_submissions')
+      .update({
+        submission_text: submissionText,
+        recitation_id: recitationId,
+        submitted_at: now,
+        is_late: prepared.isLate,
+        status: 'submitted',
+        attempt_count: prepared.attemptNumber,
+        current_attempt_id: attempt.id,
+        score: null,
+        rubric_scores: null,
+        feedback: null,
+        graded_at: null,
+        graded_attempt_id: null,
+        redo_reason: null,
+        redo_requested_at: null,
+        updated_at: now
+      })
+      .eq('id', submission.id)
+      .select()
+      .single(),
+    'Error updating submission'
+  );
+
+  return { submission: updated, attempt };
+};
+
+/**
+ * Every attempt of one student's work, oldest first.
+ * @returns {object} { submission, attempts } with submission null when nothing was handed in
+ */
+const getSubmissionHistory = async (assignmentId, studentId) => {
+  const submission = await getSubmissionHead(assignmentId, studentId);
+  if (!submission) return { submission: null, attempts: [] };
+
+  if (submission.attempt_count === null || submission.attempt_count === undefined) {
+    return { submission, attempts: [{ id: null, ...legacyAttempt(submission) }] };
+  }
+
+  const attempts = unwrap(
+    await supabase
+      .from('submission_attempts')
+      .select('*')
+      .eq('submission_id', submission.id)
+      .order('attempt_number', { ascending: true }),
+    'Error fetching attempts'
+  ) || [];
+
+  return {
+    submission,
+    attempts: attempts.map(attempt => ({
+      ...attempt,
+      is_current: attempt.id === submission.current_attempt_id,
+      is_graded_attempt: attempt.id === submission.graded_attempt_id
+    }))
+  };
+};
+
+// Teacher view of one student's attempt history
+const getStudentHistory = async (assignmentId, teacherId, studentId) => {
+  const assignment = await getOwnAssignment(assignmentId, teacherId);
+  await resolveTargetStudent(assignment, studentId);
+  return { assignment, ...(await getSubmissionHistory(assignmentId, studentId)) };
+};
+
+// ==================== STUDENT ====================
+
+// An assignment the student is targeted by, or null
+const getStudentAssignment = async (assignmentId, studentId) => {
+  if (!assignmentId) return null;
+
+  const { data: assignment } = await supabase
+    .from('assignments')
+    .select('*')
+    .eq('id', assignmentId)
+    .maybeSingle();
+
+  if (!assignment) return null;
+  if (assignment.student_id) return assignment.student_id === studentId ? assignment : null;
+
+  const { data: target } = await supabase
+    .from('assignment_targets')
+    .select('student_id')
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  return target ? assignment : null;
+};
+
+/**
+ * A student's assignments with their own submission and derived state.
+ * @param {object} options - { teacherId } to restrict to one teacher
+ */
+const listStudentAssignments = async (studentId, { teacherId } = {}) => {
+  const targets = unwrap(
+    await supabase.from('assignment_targets').select('assignment_id').eq('student_id', studentId),
+    'Error fetching assignment targets'
+  ) || [];
+
+  const select = '*, classes (id, title, teacher_id)';
+  const withTeacher = (query) => (teacherId ? query.eq('teacher_id', teacherId) : query);
+
+  const [targeted, legacy] = await Promise.all([
+    targets.length > 0
+      ? withTeacher(supabase.from('assignments').select(select).in('id', targets.map(t => t.assignment_id)))
+      : { data: [] },
+    withTeacher(supabase.from('assignments').select(select).eq('student_id', studentId))
+  ]);
+
+  const assignments = [
+    ...unwrap(targeted, 'Error fetching assignments') || [],
+    ...unwrap(legacy, 'Error fetching assignments') || []
+  ].sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+  const submissions = assignments.length > 0
+    ? unwrap(
+      await supabase
+        .from('assignment_submissions')
+        .select('*')
+        .eq('student_id', studentId)
+        .in('assignment_id', assignments.map(a => a.id)),
+      'Error fetching submissions'
+    ) || []
+    : [];
+
+  return assignments.map(({ classes, ...assignment }) => {
+    const submission = submissions.find(s => s.assignment_id === assignment.id) || null;
+    return { assignment, class: classes || null, submission, state: submissionState(assignment, submission) };
+  });
+};
+
+// ==================== MIGRATION ====================
+
+const legacyGroupKey = (row) => [
+  row.teacher_id, row.title, row.description, row.due_date, row.max_score, row.class_id, row.rubric_id
+].map(value => value ?? '').join('|');
+
+/**
+ * Fold legacy per-student copies into one assignment each.
+ * Copies made by one request (same teacher, content and due date, created within a few minutes) become
+ * a single assignment targeting all their students; their submissions and recordings move to it, and a
+ * grade stored on a copy moves onto that student's submission. Safe to run again: migrated rows no longer
+ * carry a student_id.
+ * @param {object} options - { dryRun }
+ */
+const migrateLegacyAssignments = async ({ dryRun = false } = {}) => {
+  const rows = [];
+  for (let from = 0; ; from += MIGRATION_PAGE_SIZE) {
+    const page = unwrap(
+      await supabase
+        .from('assignments')
+        .select('*')
+        .not('student_id', 'is', null)
+        .order('created_at', { ascending: true })
+        .range(from, from + MIGRATION_PAGE_SIZE - 1),
+      'Error fetching legacy assignments'
+    ) || [];
+    rows.push(...page);
+    if (page.length < MIGRATION_PAGE_SIZE) break;
+  }
+
+  const groups = [];
+  const open = {};
+  rows.forEach(row => {
+    const key = legacyGroupKey(row);
+    const group = open[key];
+    const fits = group
+      && new Date(row.created_at) - new Date(group[0].created_at) <= LEGACY_BATCH_WINDOW_MS
+      && !group.some(r => r.student_id === row.student_id);
+
+    if (fits) {
+      group.push(row);
+    } else {
+      open[key] = [row];
+      groups.push(open[key]);
+    }
+  });
+
+  const result = {
+    dry_run: dryRun,
+    legacy_rows: rows.length,
+    assignments: groups.length,
+    rows_merged: rows.length - groups.length,
+    grades_moved: 0
+  };
+  if (dryRun) return result;
+
+  for (const [keeper, ...copies] of groups) {
+    const members = [keeper, ...copies];
+    const copyIds = copies.map(c => c.id);
+
+    if (copyIds.length > 0) {
+      unwrap(
+        await supabase.from('assignment_submissions').update({ assignment_id: keeper.id }).in('assignment_id', copyIds),
+        'Error moving submissions'
+      );
+      unwrap(
+        await supabase.from('recitation_uploads').update({ assignment_id: keeper.id }).in('assignment_id', copyIds),
+        'Error moving recordings'
+      );
+    }
+
+    // Grades lived on the per-student row; they belong on the student's submission now
+    for (const row of members.filter(r => r.score !== null && r.score !== undefined)) {
+      const { data: submission } = await supabase
+        .from('assignment_submissions')
+        .select('id, score')
+        .eq('assignment_id', keeper.id)
+        .eq('student_id', row.student_id)
+        .maybeSingle();
+
+      const grade = {
+        score: row.score,
+        rubric_scores: row.rubric_scores || null,
+        feedback: row.feedback || null,
+        status: 'graded',
+        graded_at: row.graded_at || row.updated_at,
+        updated_at: new Date().toISOString()
+      };
+
+      if (submission && (submission.score === null || submission.score === undefined)) {
+        unwrap(await supabase.from('assignment_submissions').update(grade).eq('id', submission.id), 'Error moving grade');
+        result.grades_moved++;
+      } else if (!submission) {
+        unwrap(
+          await supabase
+            .from('assignment_submissions')
+            .insert([{ ...grade, assignment_id: keeper.id, student_id: row.student_id, submitted_at: row.submitted_at || null }]),
+          'Error moving grade'
+        );
+        result.grades_moved++;
+      }
+    }
+
+    await addTargets(keeper.id, members.map(r => r.student_id));
+
+    unwrap(
+      await supabase
+        .from('assignments')
+        .update({
+          student_id: null,
+          audience: 'students',
+          status: 'assigned',
+          score: null,
+          rubric_scores: null,
+          feedback: null,
+          graded_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', keeper.id),
+      'Error updating migrated assignment'
+    );
+
+    if (copyIds.length > 0) {
+      unwrap(await supabase.from('assignments').delete().in('id', copyIds), 'Error removing legacy copies');
+    }
+  }
+
+  console.log('📚 Legacy assignment migration:', result);
+  return result;
+};
+
+export {
+  AssignmentError,
+  AUDIENCES,
+  policyOf,
+  attemptsRemaining,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  listTeacherAssignments,
+  getAssignmentRoster,
+  gradeSubmission,
+  requestRedo,
+  getStudentHistory,
+  prepareAttempt,
+  saveAttempt,
+  getSubmissionHistory,
+  getStudentAssignment,
+  listStudentAssignments,
+  migrateLegacyAssignments
+};
@@ -0,0 +1,561 @@
+// utils/attendance.js
+// Attendance derived from live video participation: each student on a class roster is marked
+// present, late, left_early or absent from their session_participants join/leave times,
+// and teachers can override the result (including 'excused').
+// Tables:
+//   attendance_records (id, class_id, student_id, teacher_id, status present|late|left_early|absent|excused,
+//                       source auto|manual, joined_at, left_at, minutes_attended, scheduled_minutes, note,
+//                       overridden_by, overridden_at, created_at, updated_at)   unique (class_id, student_id)
+//   session_participant_intervals (id, session_id, student_id, joined_at, left_at) - one row per stint in a
+//                       session, so leaving and rejoining leaves a gap; left_at is null while still in the call
+//   classes.attendance_computed_at - set once a finished class has been derived
+// Classes that never had a video session were not held, so they get no records.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { resolveClassId } from './classSeries.js';
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'left_early', 'absent', 'excused'];
+
+// Thresholds are read when used, after .env is loaded
+const getAttendanceThresholds = () => ({
+  // Joining more than this many minutes after the start counts as late
+  late_after_minutes: parseInt(process.env.ATTENDANCE_LATE_MINUTES, 10) || 10,
+  // Leaving more than this many minutes before the end counts as leaving early
+  left_early_minutes: parseInt(process.env.ATTENDANCE_LEFT_EARLY_MINUTES, 10) || 10,
+  // Below this share of the class the student is absent, whatever the join time
+  min_presence_percent: parseInt(process.env.ATTENDANCE_MIN_PRESENCE_PERCENT, 10) || 25
+});
+
+// Classes derived per report request, older ones are picked up by the next request
+const SYNC_BATCH_SIZE = 100;
+
+const MINUTE_MS = 60 * 1000;
+
+class AttendanceError extends Error {
+  constructor(message, status = 400, code = 'ATTENDANCE_ERROR') {
+    super(message);
+    this.name = 'AttendanceError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new AttendanceError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// ==================== DERIVATION ====================
+
+/**
+ * The time a class actually ran: its scheduled slot, cut short when the teacher ended
+ * every session early. Classes without a scheduled date fall back to the session times.
+ * @returns {object|null} { start, end } as Dates, or null when it can't be placed
+ */
+const classWindow = (classRow, sessions) => {
+  const started = sessions.map(s => s.started_at).filter(Boolean).map(d => new Date(d).getTime());
+  const start = classRow.scheduled_date
+    ? new Date(classRow.scheduled_date).getTime()
+    : (started.length > 0 ? Math.min(...started) : null);
+  if (start === null) return null;
+
+  let end = classRow.duration ? start + Number(classRow.duration) * MINUTE_MS : null;
+
+  const allEnded = sessions.length > 0 && sessions.every(s => s.ended_at);
+  if (allEnded) {
+    const lastEnd = Math.max(...sessions.map(s => new Date(s.ended_at).getTime()));
+    end = end === null ? lastEnd : Math.min(end, lastEnd);
+  }
+  if (end === null || end <= start) return null;
+
+  return { start: new Date(start), end: new Date(end) };
+};
+
+/**
+ * Classify one student's participation against the class window.
+ * Rows are stints from session_participant_intervals, or the session_participants row for sessions
+ * without logged stints; open stints and still 'joined' rows run to the end of their session.
+ * @param {Array} rows - { session_id, joined_at, left_at, status? } of the student for this class
+ * @param {object} window - { start, end } from classWindow
+ * @param {Array} sessions - video_sessions of the class, for the end of still-joined rows
+ * @param {object} thresholds - getAttendanceThresholds()
+ */
+const classifyParticipation = (rows, window, sessions, thresholds = getAttendanceThresholds()) => {
+  const startMs = window.start.getTime();
+  const endMs = window.end.getTime();
+  const scheduledMinutes = Math.round((endMs - startMs) / MINUTE_MS);
+
+  const intervals = rows
+    .filter(row => row.joined_at)
+    .map(row => {
+      const session = sessions.find(s => s.id === row.session_id);
+      const sessionEnd = session?.ended_at ? new Date(session.ended_at).getTime() : Date.now();
+      const from = new Date(row.joined_at).getTime();
+      const to = row.status === 'joined' || !row.left_at ? sessionEnd : new Date(row.left_at).getTime();
+      return [Math.max(from, startMs), Math.min(to, endMs), from, to];
+    })
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+
+  // Overlapping rows (e.g. a restarted session) are counted once
+  let attendedMs = 0;
+  let cursor = -Infinity;
+  intervals.forEach(([from, to]) => {
+    const effectiveFrom = Math.max(from, cursor);
+    if (to > effectiveFrom) attendedMs += to - effectiveFrom;
+    cursor = Math.max(cursor, to);
+  });
+
+  const minutesAttended = round1(attendedMs / MINUTE_MS);
+  const firstJoin = intervals.length > 0 ? Math.min(...intervals.map(i => i[2])) : null;
+  const lastLeave = intervals.length > 0 ? Math.max(...intervals.map(i => i[3])) : null;
+
+  let status = 'present';
+  if (intervals.length === 0 || minutesAttended < (scheduledMinutes * thresholds.min_presence_percent) / 100) {
+    status = 'absent';
+  } else if (firstJoin > startMs + thresholds.late_after_minutes * MINUTE_MS) {
+    status = 'late';
+  } else if (lastLeave < endMs - thresholds.left_early_minutes * MINUTE_MS) {
+    status = 'left_early';
+  }
+
+  return {
+    status,
+    joined_at: firstJoin !== null ? new Date(firstJoin).toISOString() : null,
+    left_at: lastLeave !== null ? new Date(Math.min(lastLeave, Date.now())).toISOString() : null,
+    minutes_attended: minutesAttended,
+    scheduled_minutes: scheduledMinutes
+  };
+};
+
+// Students expected in a class: explicit enrollments plus the teacher's active students
+const getClassRoster = async (classRow) => {
+  const [{ data: enrollments }, { data: students }] = await Promise.all([
+    supabase.from('students_classes').select('student_id').eq('class_id', classRow.id),
+    supabase
+      .from('profiles')
+      .select('id')
+      .eq('role', 'student')
+      .eq('teacher_id', classRow.teacher_id)
+      .eq('status', 'active')
+  ]);
+
+  return [...new Set([
+    ...(enrollments || []).map(e => e.student_id),
+    ...(students || []).map(s => s.id)
+  ])];
+};
+
+/**
+ * Derive (or re-derive) the attendance of one class from its video sessions.
+ * Manual overrides keep their status; only the measured times are refreshed.
+ * @returns {object} { held, records }
+ */
+const deriveClassAttendance = async (classId) => {
+  const { data: classRow } = await supabase
+    .from('classes')
+    .select('id, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .eq('id', classId)
+    .maybeSingle();
+
+  if (!classRow) {
+    throw new AttendanceError('Class not found', 404, 'CLASS_NOT_FOUND');
+  }
+
+  const sessions = unwrap(
+    await supabase
+      .from('video_sessions')
+      .select('id, started_at, ended_at, status')
+      .eq('class_id', classId),
+    'Error fetching class sessions'
+  ) || [];
+
+  const window = classRow.status === 'cancelled' ? null : classWindow(classRow, sessions);
+  const now = new Date().toISOString();
+
+  // Only a finished class is marked as done; a running one is derived again later
+  const scheduledEnd = classRow.scheduled_date
+    ? new Date(classRow.scheduled_date).getTime() + (Number(classRow.duration) || 0) * MINUTE_MS
+    : null;
+  const finished = window ? window.end.getTime() <= Date.now() : scheduledEnd !== null && scheduledEnd <= Date.now();
+  const markComputed = async () => {
+    if (finished) await supabase.from('classes').update({ attendance_computed_at: now }).eq('id', classId);
+  };
+
+  if (sessions.length === 0 || !window) {
+    await markComputed();
+    return { held: false, records: [] };
+  }
+
+  const [participants, intervals, roster, existing] = await Promise.all([
+    supabase
+      .from('session_participants')
+      .select('session_id, student_id, status, is_teacher, joined_at, left_at')
+      .in('session_id', sessions.map(s => s.id)),
+    supabase
+      .from('session_participant_intervals')
+      .select('session_id, student_id, joined_at, left_at')
+      .in('session_id', sessions.map(s => s.id)),
+    getClassRoster(classRow),
+    supabase.from('attendance_records').select('*').eq('class_id', classId)
+  ]);
+
+  const rows = (participants.data || []).filter(p => !p.is_teacher
+    && p.student_id !== classRow.teacher_id && p.student_id !== classRow.substitute_teacher_id);
+  const studentIds = [...new Set([...roster, ...rows.map(r => r.student_id)])];
+  const thresholds = getAttendanceThresholds();
+
+  // Logged stints where there are any; sessions from before the log only have the participant row
+  const stintsOf = (studentId) => sessions.flatMap(session => {
+    const logged = (intervals.data || []).filter(i => i.session_id === session.id && i.student_id === studentId);
+    return logged.length > 0
+      ? logged
+      : rows.filter(r => r.session_id === session.id && r.student_id === studentId);
+  });
+
+  const records = studentIds.map(studentId => {
+    const derived = classifyParticipation(stintsOf(studentId), window, sessions, thresholds);
+    const current = (existing.data || []).find(r => r.student_id === studentId);
+    const manual = current?.source === 'manual';
+
+    return {
+      class_id: classId,
+      student_id: studentId,
+      teacher_id: classRow.teacher_id,
+      ...derived,
+      status: manual ? current.status : derived.status,
+      source: manual ? 'manual' : 'auto',
+      updated_at: now
+    };
+  });
+
+  const saved = records.length > 0
+    ? unwrap(
+      await supabase
+        .from('attendance_records')
+        .upsert(records, { onConflict: 'class_id,student_id' })
+        .select(),
+      'Error saving attendance'
+    ) || []
+    : [];
+
+  await markComputed();
+
+  console.log(`📋 Attendance derived for class ${classId}: ${saved.length} student(s)`);
+  return { held: true, records: saved };
+};
+
+// Best effort, for callers (like ending a session) that must not fail because of attendance
+const recordClassAttendance = async (classId) => {
+  if (!classId) return;
+  try {
+    await deriveClassAttendance(classId);
+  } catch (error) {
+    console.warn(`⚠️ Could not derive attendance for class ${classId}:`, error.message);
+  }
+};
+
+/**
+ * Derive finished classes that have not been processed yet.
+ * @param {object} scope - { teacherId, classIds } to limit the classes looked at
+ */
+const syncPendingAttendance = async ({ teacherId, classIds } = {}) => {
+  let query = supabase
+    .from('classes')
+    .select('id, scheduled_date, duration')
+    .is('attendance_computed_at', null)
+    .lt('scheduled_date', new Date().toISOString());
+
+  if (teacherId) query = query.eq('teacher_id', teacherId);
+  if (classIds) {
+    if (classIds.length === 0) return 0;
+    query = query.in('id', classIds);
+  }
+
+  const { data: classes, error } = await query.order('scheduled_date', { ascending: true }).limit(SYNC_BATCH_SIZE);
+  if (error) {
+    console.warn('⚠️ Could not look up classes awaiting attendance:', error.message);
+    return 0;
+  }
+
+  const now = Date.now();
+  const finished = (classes || []).filter(c =>
+    new Date(c.scheduled_date).getTime() + (Number(c.duration) || 0) * MINUTE_MS < now
+  );
+
+  for (const classRow of finished) {
+    await recordClassAttendance(classRow.id);
+  }
+  return finished.length;
+};
+
+// ==================== PARTICIPATION LOG ====================
+
+// Open a stint when someone joins a session; reconnecting while one is open keeps it
+const recordParticipantJoin = async (sessionId, studentId) => {
+  if (!sessionId || !studentId) return;
+
+  const { data: open } = await supabase
+    .from('session_participant_intervals')
+    .select('id')
+    .eq('session_id', sessionId)
+    .eq('student_id', studentId)
+    .is('left_at', null)
+    .limit(1);
+  if (open?.length > 0) return;
+
+  const { error } = await supabase
+    .from('session_participant_intervals')
+    .insert([{ session_id: sessionId, student_id: studentId, joined_at: new Date().toISOString() }]);
+  if (error) {
+    console.warn('⚠️ Could not log participant join:', error.message);
+  }
+};
+
+// Close the open stint when someone leaves or is removed
+const recordParticipantLeave = async (sessionId, studentId) => {
+  if (!sessionId || !studentId) return;
+
+  const { error } = await supabase
+    .from('session_participant_intervals')
+    .update({ left_at: new Date().toISOString() })
+    .eq('session_id', sessionId)
+    .eq('student_id', studentId)
+    .is('left_at', null);
+  if (error) {
+    console.warn('⚠️ Could not log participant leave:', error.message);
+  }
+};
+
+// ==================== OVERRIDES ====================
+
+// Admins manage every class, teachers the ones they teach or cover as a substitute
+// Accepts occurrence ids from class listings; callers use classRow.id afterwards
+const getManagedClass = async (classId, user) => {
+  const { data: classRow } = await supabase
+    .from('classes')
+    .select('id, title, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .eq('id', await resolveClassId(classId))
+    .maybeSingle();
+
+  if (!classRow || (user.role !== 'admin' && classRow.teacher_id !== user.id && classRow.substitute_teacher_id !== user.id)) {
+    throw new AttendanceError('Class not found', 404, 'CLASS_NOT_FOUND');
+  }
+  return classRow;
+};
+
+/**
+ * Set a student's attendance for a class by hand; re-deriving never changes it.
+ * @param {object} fields - { status, note }
+ */
+const overrideAttendance = async (classId, studentId, user, { status, note } = {}) => {
+  const classRow = await getManagedClass(classId, user);
+
+  if (!ATTENDANCE_STATUSES.includes(status)) {
+    throw new AttendanceError(`status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+  }
+
+  const { data: current } = await supabase
+    .from('attendance_records')
+    .select('id')
+    .eq('class_id', classRow.id)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (!current) {
+    const roster = await getClassRoster(classRow);
+    if (!roster.includes(studentId)) {
+      throw new AttendanceError('Student is not on this class roster', 404, 'STUDENT_NOT_FOUND');
+    }
+  }
+
+  const now = new Date().toISOString();
+  return unwrap(
+    await supabase
+      .from('attendance_records')
+      .upsert([{
+        class_id: classRow.id,
+        student_id: studentId,
+        teacher_id: classRow.teacher_id,
+        status,
+        source: 'manual',
+        note: sanitizeInput(note) || null,
+        overridden_by: user.id,
+        overridden_at: now,
+        updated_at: now
+      }], { onConflict: 'class_id,student_id' })
+      .select()
+      .single(),
+    'Error saving attendance override'
+  );
+};
+
+// Drop a manual override and go back to what the session data says
+const clearAttendanceOverride = async (classId, studentId, user) => {
+  const classRow = await getManagedClass(classId, user);
+
+  unwrap(
+    await supabase
+      .from('attendance_records')
+      .update({ source: 'auto', note: null, overridden_by: null, overridden_at: null })
+      .eq('class_id', classRow.id)
+      .eq('student_id', studentId),
+    'Error clearing attendance override'
+  );
+
+  const { records } = await deriveClassAttendance(classRow.id);
+  return records.find(r => r.student_id === studentId) || null;
+};
+
+// ==================== REPORTS ====================
+
+const summarizeAttendance = (records) => {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  records.forEach(record => { counts[record.status] = (counts[record.status] || 0) + 1; });
+
+  const counted = records.length - counts.excused;
+  const attended = counts.present + counts.late + counts.left_early;
+  const minutes = records.reduce((sum, r) => sum + Number(r.minutes_attended || 0), 0);
+
+  return {
+    classes: records.length,
+    ...counts,
+    // Excused classes don't count either way
+    attendance_rate: counted > 0 ? round1((attended / counted) * 100) : null,
+    punctuality_rate: attended > 0 ? round1((counts.present / attended) * 100) : null,
+    minutes_attended: round1(minutes),
+    hours_attended: round1(minutes / 60)
+  };
+};
+
+const fetchRecords = async ({ studentId, teacherId, classId, from, to }) => {
+  let query = supabase
+    .from('attendance_records')
+    .select('*, class:class_id (id, title, scheduled_date, duration, teacher_id)');
+
+  if (studentId) query = query.eq('student_id', studentId);
+  if (teacherId) query = query.eq('teacher_id', teacherId);
+  if (classId) query = query.eq('class_id', classId);
+
+  let records = unwrap(await query.order('joined_at', { ascending: false }), 'Error fetching attendance') || [];
+
+  // Date filters apply to the class date, which lives on the joined row
+  if (from || to) {
+    const fromMs = from ? new Date(from).getTime() : -Infinity;
+    const toMs = to ? new Date(to).getTime() : Infinity;
+    records = records.filter(r => {
+      const when = new Date(r.class?.scheduled_date || r.joined_at || r.created_at).getTime();
+      return when >= fromMs && when <= toMs;
+    });
+  }
+  return records;
+};
+
+const getClassAttendance = async (classId, user) => {
+  const classRow = await getManagedClass(classId, user);
+
+  // Finished classes are derived on first look; running ones show the live picture
+  const { held } = await deriveClassAttendance(classRow.id);
+  const records = await fetchRecords({ classId: classRow.id });
+
+  const studentIds = records.map(r => r.student_id);
+  const { data: students } = studentIds.length > 0
+    ? await supabase.from('profiles').select('id, name, email').in('id', studentIds)
+    : { data: [] };
+
+  return {
+    class: classRow,
+    held,
+    thresholds: getAttendanceThresholds(),
+    summary: summarizeAttendance(records),
+    records: records.map(({ class: _class, ...record }) => ({
+      ...record,
+      student: (students || []).find(s => s.id === record.student_id) || { id: record.student_id }
+    }))
+  };
+};
+
+// A student's attendance: their teacher's classes plus any they are enrolled in
+const getStudentAttendance = async (studentId, { from, to } = {}) => {
+  const [{ data: profile }, { data: enrollments }] = await Promise.all([
+    supabase.from('profiles').select('teacher_id').eq('id', studentId).maybeSingle(),
+    supabase.from('students_classes').select('class_id').eq('student_id', studentId)
+  ]);
+
+  if (profile?.teacher_id) await syncPendingAttendance({ teacherId: profile.teacher_id });
+  await syncPendingAttendance({ classIds: (enrollments || []).map(e => e.class_id) });
+
+  const records = await fetchRecords({ studentId, from, to });
+  return { summary: summarizeAttendance(records), records };
+};
+
+// Per-student and per-class attendance across a teacher's classes
+const getTeacherAttendanceReport = async (teacherId, { from, to } = {}) => {
+  await syncPendingAttendance({ teacherId });
+  const records = await fetchRecords({ teacherId, from, to });
+
+  const studentIds = [...new Set(records.map(r => r.student_id))];
+  const { data: students } = studentIds.length > 0
+    ? await supabase.from('profiles').select('id, name, email').in('id', studentIds)
+    : { data: [] };
+
+  const byClass = {};
+  records.forEach(record => { (byClass[record.class_id] ||= []).push(record); });
+
+  return {
+    thresholds: getAttendanceThresholds(),
+    summary: summarizeAttendance(records),
+    students: studentIds
+      .map(id => ({
+        student: (students || []).find(s => s.id === id) || { id },
+        ...summarizeAttendance(records.filter(r => r.student_id === id))
+      }))
+      .sort((a, b) => (a.attendance_rate ?? 101) - (b.attendance_rate ?? 101)),
+    classes: Object.values(byClass).map(classRecords => ({
+      class: classRecords[0].class || { id: classRecords[0].class_id },
+      ...summarizeAttendance(classRecords)
+    }))
+  };
+};
+
+// School-wide attendance per teacher (admins), optionally for one teacher
+const getAttendanceOverview = async ({ teacherId, from, to } = {}) => {
+  await syncPendingAttendance({ teacherId });
+  const records = await fetchRecords({ teacherId, from, to });
+
+  const teacherIds = [...new Set(records.map(r => r.teacher_id))];
+  const { data: teachers } = teacherIds.length > 0
+    ? await supabase.from('profiles').select('id, name, email').in('id', teacherIds)
+    : { data: [] };
+
+  return {
+    thresholds: getAttendanceThresholds(),
+    summary: summarizeAttendance(records),
+    teachers: teacherIds.map(id => ({
+      teacher: (teachers || []).find(t => t.id === id) || { id },
+      students: new Set(records.filter(r => r.teacher_id === id).map(r => r.student_id)).size,
+      ...summarizeAttendance(records.filter(r => r.teacher_id === id))
+    }))
+  };
+};
+
+export {
+  AttendanceError,
+  ATTENDANCE_STATUSES,
+  getAttendanceThresholds,
+  recordClassAttendance,
+  recordParticipantJoin,
+  recordParticipantLeave,
+  overrideAttendance,
+  clearAttendanceOverride,
+  getClassAttendance,
+  getStudentAttendance,
+  getTeacherAttendanceReport,
+  getAttendanceOverview
+};
@@ -0,0 +1,301 @@
+// utils/audioProbe.js
+// Identifies an uploaded recording's container from its magic bytes and reads its duration from the
+// container headers (WAV, MP3, Ogg Opus/Vorbis, WebM, MP4/M4A). Pure JavaScript, no ffprobe needed.
+
+const CONTAINERS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  ogg: { mimeType: 'audio/ogg', extension: 'ogg' },
+  webm: { mimeType: 'audio/webm', extension: 'webm' },
+  m4a: { mimeType: 'audio/mp4', extension: 'm4a' }
+};
+
+const ascii = (buffer, start, length) => buffer.toString('latin1', start, start + length);
+
+const detectContainer = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 4) === 'WAVE') return 'wav';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'ogg';
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+  if (ascii(buffer, 4, 4) === 'ftyp') return 'm4a';
+  if (ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+  return null;
+};
+
+// ==================== WAV ====================
+
+const wavDuration = (buffer) => {
+  let offset = 12;
+  let byteRate = null;
+
+  while (offset + 8 <= buffer.length) {
+    const id = ascii(buffer, offset, 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ' && offset + 20 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data' && byteRate) {
+      // Streamed recordings may leave the size unset; fall back to what was uploaded
+      const dataSize = Math.min(size, buffer.length - offset - 8);
+      return dataSize / byteRate;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  return null;
+};
+
+// ==================== MP3 ====================
+
+const MP3_BITRATES = {
+  v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2l3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+const mp3Duration = (buffer) => {
+  let offset = 0;
+
+  // Skip an ID3v2 tag (syncsafe size)
+  if (ascii(buffer, 0, 3) === 'ID3') {
+    offset = 10 + ((buffer[6] & 0x7F) << 21 | (buffer[7] & 0x7F) << 14 | (buffer[8] & 0x7F) << 7 | (buffer[9] & 0x7F));
+  }
+
+  // First frame header
+  while (offset + 4 <= buffer.length && !(buffer[offset] === 0xFF && (buffer[offset + 1] & 0xE0) === 0xE0)) {
+    offset++;
+  }
+  if (offset + 4 > buffer.length) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = (buffer[offset + 1] >> 1) & 0x03; // 1 = Layer III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const channelMode = buffer[offset + 3] >> 6;
+
+  if (version === 1 || layer !== 1 || sampleRateIndex === 3) return null;
+
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const bitrate = (version === 3 ? MP3_BITRATES.v1l3 : MP3_BITRATES.v2l3)[bitrateIndex] * 1000;
+  const samplesPerFrame = version === 3 ? 1152 : 576;
+
+  // VBR files carry the frame count in a Xing/Info (or VBRI) header inside the first frame
+  const sideInfo = version === 3 ? (channelMode === 3 ? 17 : 32) : (channelMode === 3 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  if (['Xing', 'Info'].includes(ascii(buffer, xing, 4)) && buffer.length >= xing + 12 && (buffer.readUInt32BE(xing + 4) & 0x1)) {
+    return (buffer.readUInt32BE(xing + 8) * samplesPerFrame) / sampleRate;
+  }
+  if (ascii(buffer, offset + 36, 4) === 'VBRI' && buffer.length >= offset + 54) {
+    return (buffer.readUInt32BE(offset + 50) * samplesPerFrame) / sampleRate;
+  }
+
+  // Constant bitrate: size / bitrate
+  return bitrate ? ((buffer.length - offset) * 8) / bitrate : null;
+};
+
+// ==================== OGG ====================
+
+const oggDuration = (buffer) => {
+  const headerStart = 28; // first page header (27 bytes) + one segment table entry
+  let sampleRate = null;
+  let preSkip = 0;
+
+  if (ascii(buffer, headerStart, 8) === 'OpusHead') {
+    sampleRate = 48000; // Opus granule positions are always 48 kHz
+    preSkip = buffer.readUInt16LE(headerStart + 10);
+  } else if (ascii(buffer, headerStart + 1, 6) === 'vorbis') {
+    sampleRate = buffer.readUInt32LE(headerStart + 12);
+  }
+  if (!sampleRate) return null;
+
+  // Granule position of the last page is the total sample count
+  const lastPage = buffer.lastIndexOf('OggS', buffer.length - 1, 'latin1');
+  if (lastPage < 0 || lastPage + 14 > buffer.length) return null;
+
+  const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+  return Math.max(0, granule - preSkip) / sampleRate;
+};
+
+// ==================== WEBM (EBML) ====================
+
+const EBML = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  CLUSTER: 0x1F43B675,
+  CLUSTER_TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3
+};
+
+// Element ids keep their length marker; sizes drop it. All-ones sizes mean "unknown".
+const readVint = (buffer, offset, keepMarker = false) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xFF) allOnes = false;
+  }
+
+  return { value: !keepMarker && allOnes ? Infinity : value, length };
+};
+
+const readElement = (buffer, offset) => {
+  const id = readVint(buffer, offset, true);
+  if (!id) return null;
+  const size = readVint(buffer, offset + id.length);
+  if (!size) return null;
+
+  const dataStart = offset + id.length + size.length;
+  return {
+    id: id.value,
+    start: offset,
+    dataStart,
+    dataEnd: size.value === Infinity ? buffer.length : Math.min(buffer.length, dataStart + size.value),
+    unknownSize: size.value === Infinity
+  };
+};
+
+const readUInt = (buffer, start, end) => {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buffer[i];
+  return value;
+};
+
+const webmDuration = (buffer) => {
+  const header = readElement(buffer, 0);
+  const segment = header && readElement(buffer, header.dataEnd);
+  if (!segment || segment.id !== EBML.SEGMENT) return null;
+
+  let timecodeScale = 1000000; // nanoseconds per tick
+  let lastTimecode = null;
+  let offset = segment.dataStart;
+
+  while (offset < segment.dataEnd) {
+    const element = readElement(buffer, offset);
+    if (!element) break;
+
+    if (element.id === EBML.INFO) {
+      let duration = null;
+      for (let child = readElement(buffer, element.dataStart); child && child.dataStart < element.dataEnd; child = readElement(buffer, child.dataEnd)) {
+        if (child.id === EBML.TIMECODE_SCALE) timecodeScale = readUInt(buffer, child.dataStart, child.dataEnd);
+        if (child.id === EBML.DURATION) {
+          duration = child.dataEnd - child.dataStart === 4
+            ? buffer.readFloatBE(child.dataStart)
+            : buffer.readDoubleBE(child.dataStart);
+        }
+        if (child.dataEnd >= element.dataEnd) break;
+      }
+      if (duration) return (duration * timecodeScale) / 1e9;
+    }
+
+    // MediaRecorder output has no Duration: use the timecode of the last block instead
+    if (element.id === EBML.CLUSTER) {
+      let clusterTimecode = 0;
+      let child = readElement(buffer, element.dataStart);
+
+      while (child && child.dataStart <= element.dataEnd) {
+        // Live recordings write clusters of unknown size, so the next cluster shows up as a child
+        if (child.id === EBML.CLUSTER) break;
+
+        if (child.id === EBML.CLUSTER_TIMECODE) {
+          clusterTimecode = readUInt(buffer, child.dataStart, child.dataEnd);
+          lastTimecode = Math.max(lastTimecode ?? 0, clusterTimecode);
+        } else if (child.id === EBML.SIMPLE_BLOCK && child.dataEnd - child.dataStart > 3) {
+          const track = readVint(buffer, child.dataStart);
+          if (track) {
+            lastTimecode = Math.max(lastTimecode ?? 0, clusterTimecode + buffer.readInt16BE(child.dataStart + track.length));
+          }
+        }
+
+        if (child.dataEnd >= element.dataEnd) break;
+        child = readElement(buffer, child.dataEnd);
+      }
+
+      if (element.unknownSize && child && child.id === EBML.CLUSTER) {
+        offset = child.start;
+        continue;
+      }
+    }
+
+    offset = element.dataEnd;
+  }
+
+  return lastTimecode === null ? null : (lastTimecode * timecodeScale) / 1e9;
+};
+
+// ==================== MP4 / M4A ====================
+
+const mp4Duration = (buffer) => {
+  const findBox = (type, start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const boxType = ascii(buffer, offset + 4, 4);
+      let headerSize = 8;
+      if (size === 1 && offset + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize) return null;
+      if (boxType === type) return { start: offset + headerSize, end: Math.min(end, offset + size) };
+      offset += size;
+    }
+    return null;
+  };
+
+  const moov = findBox('moov', 0, buffer.length);
+  const mvhd = moov && findBox('mvhd', moov.start, moov.end);
+  if (!mvhd) return null;
+
+  const version = buffer[mvhd.start];
+  if (version === 1) {
+    const timescale = buffer.readUInt32BE(mvhd.start + 20);
+    return timescale ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) / timescale : null;
+  }
+  const timescale = buffer.readUInt32BE(mvhd.start + 12);
+  return timescale ? buffer.readUInt32BE(mvhd.start + 16) / timescale : null;
+};
+
+const DURATION_READERS = {
+  wav: wavDuration,
+  mp3: mp3Duration,
+  ogg: oggDuration,
+  webm: webmDuration,
+  m4a: mp4Duration
+};
+
+/**
+ * Identify an audio buffer.
+ * @param {Buffer} buffer - Complete file contents
+ * @returns {object|null} { container, mimeType, extension, duration } (duration in seconds, null if unreadable),
+ *   or null when the bytes are not a supported audio container
+ */
+const probeAudio = (buffer) => {
+  const container = detectContainer(buffer);
+  if (!container) return null;
+
+  let duration = null;
+  try {
+    duration = DURATION_READERS[container](buffer);
+  } catch (error) {
+    console.warn(`⚠️ Could not read ${container} duration:`, error.message);
+  }
+
+  return {
+    container,
+    ...CONTAINERS[container],
+    duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null
+  };
+};
+
+export { CONTAINERS, detectContainer, probeAudio };
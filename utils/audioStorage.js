@@ -0,0 +1,235 @@
+// utils/audioStorage.js
+// Storage adapters for recitation audio. Every adapter exposes the same async interface:
+//   save(key, buffer, contentType)        -> store a new file under key (throws code EEXIST if the key is taken)
+//   read(key)                             -> file contents as a Buffer, or null when missing
+//   list(prefix)                          -> [{ name, size }] directly under prefix (size is null for folders)
+//   remove(key)                           -> delete a stored file (missing files are ignored)
+//   removeFolder(prefix)                  -> delete every file under prefix
+//   getSignedUrl(key, { expiresIn, baseUrl }) -> short-lived playback URL
+// Local disk is meant for development; Supabase Storage (private bucket) for production.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../server.js';
+
+// Playback tokens for the local adapter are HMAC-signed so links expire without any stored state
+const getSigningSecret = () => process.env.MEDIA_SIGNING_SECRET || process.env.SUPABASE_SERVICE_KEY || '';
+
+const signPlaybackToken = (key, expiresAt) => {
+  const payload = Buffer.from(JSON.stringify({ k: key, e: expiresAt })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Verify a local playback token.
+ * @returns {string|null} The storage key, or null when the token is forged or expired
+ */
+const verifyPlaybackToken = (token = '') => {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { k, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return e > Date.now() ? k : null;
+  } catch {
+    return null;
+  }
+};
+
+const LIST_PAGE_SIZE = 1000;
+
+// Both adapters refuse to overwrite, so callers can use a key as a claim
+const keyTakenError = (key) => Object.assign(new Error(`Storage key already exists: ${key}`), { code: 'EEXIST' });
+
+// Local disk: files under AUDIO_STORAGE_DIR, played back through /api/media/recitations/:token
+class LocalAudioStorage {
+  constructor(root) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  // Keys are generated server-side, but never let one escape the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Written aside and linked into place, so a key is never half-written or overwritten
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, buffer);
+
+    try {
+      await fs.link(tempPath, filePath);
+    } catch (error) {
+      throw error.code === 'EEXIST' ? keyTakenError(key) : error;
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return Promise.all(entries.map(async (entry) => ({
+      name: entry.name,
+      size: entry.isDirectory() ? null : (await fs.stat(path.join(dir, entry.name))).size
+    })));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async removeFolder(prefix) {
+    await fs.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+
+  async getSignedUrl(key, { expiresIn, baseUrl = '' }) {
+    const token = signPlaybackToken(key, Date.now() + expiresIn * 1000);
+    return `${baseUrl}/api/media/recitations/${token}`;
+  }
+}
+
+// Supabase Storage: private bucket, playback through Supabase signed URLs
+class SupabaseAudioStorage {
+  constructor(bucket) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      if (error.status === 409 || String(error.statusCode) === '409') {
+        throw keyTakenError(key);
+      }
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+  }
+
+  async read(key) {
+    const { data, error } = await supabase.storage.from(this.bucket).download(key);
+
+    if (error) {
+      if (error.status === 404 || String(error.statusCode) === '404') return null;
+      throw new Error(`Storage download failed: ${error.message}`);
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async list(prefix) {
+    const entries = [];
+
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const { data, error } = await supabase.storage
+        .from(this.bucket)
+        .list(prefix, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+      if (error) {
+        throw new Error(`Storage list failed: ${error.message}`);
+      }
+
+      // Folders come back without an id
+      entries.push(...data.map(item => ({ name: item.name, size: item.id ? item.metadata?.size ?? 0 : null })));
+      if (data.length < LIST_PAGE_SIZE) return entries;
+    }
+  }
+
+  async remove(key) {
+    const { error } = await supabase.storage.from(this.bucket).remove([key]);
+    if (error) {
+      console.warn('⚠️ Failed to remove recitation from storage:', error.message);
+    }
+  }
+
+  async removeFolder(prefix) {
+    const files = (await this.list(prefix)).filter(entry => entry.size !== null);
+    if (files.length === 0) return;
+
+    const { error } = await supabase.storage.from(this.bucket).remove(files.map(file => `${prefix}/${file.name}`));
+    if (error) {
+      console.warn(`⚠️ Failed to remove ${prefix} from storage:`, error.message);
+    }
+  }
+
+  async getSignedUrl(key, { expiresIn }) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .createSignedUrl(key, expiresIn);
+
+    if (error) {
+      throw new Error(`Could not sign playback URL: ${error.message}`);
+    }
+    return data.signedUrl;
+  }
+}
+
+/**
+ * Build the audio storage selected by AUDIO_STORAGE (local | supabase).
+ * Defaults to supabase in production and local everywhere else.
+ * @param {string} type - Optional explicit storage type
+ */
+const createAudioStorage = (type = process.env.AUDIO_STORAGE) => {
+  const storageType = type || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+  switch (storageType) {
+    case 'supabase':
+      return new SupabaseAudioStorage(process.env.AUDIO_STORAGE_BUCKET || 'recitations');
+    case 'local':
+      return new LocalAudioStorage(process.env.AUDIO_STORAGE_DIR || path.resolve('.data', 'recitations'));
+    default:
+      console.warn(`⚠️ Unknown AUDIO_STORAGE "${storageType}", falling back to local`);
+      return new LocalAudioStorage(process.env.AUDIO_STORAGE_DIR || path.resolve('.data', 'recitations'));
+  }
+};
+
+let audioStorage = null;
+
+// Created on first use, after server.js has loaded .env
+const getAudioStorage = () => {
+  if (!audioStorage) {
+    audioStorage = createAudioStorage();
+    console.log(`🎙️ Recitation audio storage: ${audioStorage.name}`);
+  }
+  return audioStorage;
+};
+
+export {
+  LocalAudioStorage,
+  SupabaseAudioStorage,
+  createAudioStorage,
+  getAudioStorage,
+  verifyPlaybackToken
+};
@@ -0,0 +1,520 @@
+// utils/availability.js
+// Teacher availability, time off, student capacity and double-booking checks.
+// Tables:
+//   teacher_availability (id, teacher_id, weekday 0-6 (0 = Sunday), start_time 'HH:MM', end_time 'HH:MM' (up to '24:00'),
+//                         created_at) - weekly windows on the wall clock of the teacher's profile timezone
+//   teacher_time_off (id, teacher_id, starts_at, ends_at, reason, created_by, created_at)
+//   profiles.student_capacity (null = no limit)
+// A teacher is busy during their own classes (standalone or series occurrences, unless a substitute
+// covers them), occurrences they cover as a substitute, and their time off.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { listSeriesOccurrences } from './classSeries.js';
+import {
+  getDefaultTimezone,
+  normalizeTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseInTimezone,
+  formatInTimezone
+} from './timezones.js';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Free-slot searches and series checks look at most this far
+const MAX_RANGE_DAYS = 31;
+const SERIES_CHECK_DAYS = 90;
+
+class AvailabilityError extends Error {
+  constructor(message, status = 400, code = 'AVAILABILITY_ERROR', details = null) {
+    super(message);
+    this.name = 'AvailabilityError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new AvailabilityError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const getTeacher = async (teacherId) => {
+  const { data: teacher } = await supabase
+    .from('profiles')
+    .select('id, name, timezone, student_capacity')
+    .eq('id', teacherId)
+    .eq('role', 'teacher')
+    .maybeSingle();
+
+  if (!teacher) {
+    throw new AvailabilityError('Teacher not found', 404, 'TEACHER_NOT_FOUND');
+  }
+  return { ...teacher, timezone: normalizeTimezone(teacher.timezone) || getDefaultTimezone() };
+};
+
+// 'HH:MM' -> minutes after midnight
+const toMinutes = (value, field) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new AvailabilityError(`${field} must be a time between 00:00 and 24:00`, 400, 'INVALID_TIME');
+  }
+  return minutes;
+};
+
+const toDate = (value, field, timezone) => {
+  const date = parseInTimezone(value, timezone);
+  if (!date) {
+    throw new AvailabilityError(`${field} must be a valid date`, 400, 'INVALID_DATE');
+  }
+  return date;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// ==================== AVAILABILITY ====================
+
+/**
+ * A teacher's weekly windows, upcoming time off and capacity.
+ */
+const getAvailability = async (teacherId) => {
+  const teacher = await getTeacher(teacherId);
+
+  const [{ data: windows }, { data: timeOff }, { count: students }] = await Promise.all([
+    supabase.from('teacher_availability').select('*').eq('teacher_id', teacherId),
+    supabase
+      .from('teacher_time_off')
+      .select('*')
+      .eq('teacher_id', teacherId)
+      .gte('ends_at', new Date().toISOString())
+      .order('starts_at', { ascending: true }),
+    supabase
+      .from('profiles')
+      .select('id', { count: 'exact', head: true })
+      .eq('teacher_id', teacherId)
+      .eq('role', 'student')
+      .eq('status', 'active')
+  ]);
+
+  return {
+    teacher_id: teacherId,
+    timezone: teacher.timezone,
+    student_capacity: teacher.student_capacity ?? null,
+    active_students: students || 0,
+    windows: (windows || []).sort((a, b) => a.weekday - b.weekday || a.start_time.localeCompare(b.start_time)),
+    time_off: (timeOff || []).map(entry => ({
+      ...entry,
+      starts_at_local: formatInTimezone(entry.starts_at, teacher.timezone),
+      ends_at_local: formatInTimezone(entry.ends_at, teacher.timezone)
+    }))
+  };
+};
+
+/**
+ * Replace a teacher's weekly windows and/or capacity.
+ * @param {object} fields - { windows: [{ weekday ('MO' or 1), start_time 'HH:MM', end_time 'HH:MM' }],
+ *   student_capacity (null for no limit) }
+ */
+const setAvailability = async (teacherId, { windows, student_capacity } = {}) => {
+  await getTeacher(teacherId);
+
+  if (windows === undefined && student_capacity === undefined) {
+    throw new AvailabilityError('Provide windows and/or student_capacity', 400, 'NOTHING_TO_UPDATE');
+  }
+
+  if (windows !== undefined) {
+    if (!Array.isArray(windows)) {
+      throw new AvailabilityError('windows must be an array', 400, 'INVALID_WINDOWS');
+    }
+
+    const rows = windows.map((window, index) => {
+      const weekday = typeof window.weekday === 'string' && WEEKDAY_CODES.includes(window.weekday.toUpperCase())
+        ? WEEKDAY_CODES.indexOf(window.weekday.toUpperCase())
+        : Number(window.weekday);
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        throw new AvailabilityError(`windows[${index}].weekday must be ${WEEKDAY_CODES.join(', ')} or 0-6`, 400, 'INVALID_WINDOWS');
+      }
+
+      const start = toMinutes(window.start_time, `windows[${index}].start_time`);
+      const end = toMinutes(window.end_time, `windows[${index}].end_time`);
+      if (end <= start) {
+        throw new AvailabilityError(`windows[${index}] must end after it starts`, 400, 'INVALID_WINDOWS');
+      }
+
+      return {
+        teacher_id: teacherId,
+        weekday,
+        start_time: window.start_time.padStart(5, '0'),
+        end_time: window.end_time.padStart(5, '0'),
+        created_at: new Date().toISOString()
+      };
+    });
+
+    unwrap(await supabase.from('teacher_availability').delete().eq('teacher_id', teacherId), 'Error clearing availability');
+    if (rows.length > 0) {
+      unwrap(await supabase.from('teacher_availability').insert(rows), 'Error saving availability');
+    }
+  }
+
+  if (student_capacity !== undefined) {
+    const capacity = student_capacity === null || student_capacity === '' ? null : Number(student_capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+      throw new AvailabilityError('student_capacity must be a whole number or null', 400, 'INVALID_CAPACITY');
+    }
+    unwrap(
+      await supabase
+        .from('profiles')
+        .update({ student_capacity: capacity, updated_at: new Date().toISOString() })
+        .eq('id', teacherId),
+      'Error saving student capacity'
+    );
+  }
+
+  return getAvailability(teacherId);
+};
+
+/**
+ * Block out time. Dates without an offset are read in the teacher's timezone.
+ * @param {object} fields - { starts_at, ends_at, reason }
+ */
+const addTimeOff = async (teacherId, userId, { starts_at, ends_at, reason } = {}) => {
+  const teacher = await getTeacher(teacherId);
+
+  const startsAt = toDate(starts_at, 'starts_at', teacher.timezone);
+  const endsAt = toDate(ends_at, 'ends_at', teacher.timezone);
+  if (endsAt <= startsAt) {
+    throw new AvailabilityError('ends_at must be after starts_at', 400, 'INVALID_RANGE');
+  }
+
+  const entry = unwrap(
+    await supabase
+      .from('teacher_time_off')
+      .insert([{
+        teacher_id: teacherId,
+        starts_at: startsAt.toISOString(),
+        ends_at: endsAt.toISOString(),
+        reason: sanitizeInput(reason) || null,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single(),
+    'Error saving time off'
+  );
+
+  // Classes already booked in that time still need a substitute or a new slot
+  const busy = await getBusyIntervals(teacherId, startsAt, endsAt, { timeOff: false });
+  return { time_off: entry, affected_classes: busy.map(({ start, end, ...item }) => item) };
+};
+
+const removeTimeOff = async (teacherId, timeOffId) => {
+  const { data } = await supabase
+    .from('teacher_time_off')
+    .delete()
+    .eq('id', timeOffId)
+    .eq('teacher_id', teacherId)
+    .select();
+
+  if (!data || data.length === 0) {
+    throw new AvailabilityError('Time off not found', 404, 'TIME_OFF_NOT_FOUND');
+  }
+};
+
+// ==================== CONFLICTS ====================
+
+/**
+ * Everything that keeps a teacher busy between two instants.
+ * @param {object} options - { classIds, seriesIds, occurrences: [{ seriesId, start }] } to leave out
+ *   (the class being edited), and timeOff: false to skip time off
+ * @returns {Array} [{ type class|time_off, start, end, ... }]
+ */
+const getBusyIntervals = async (teacherId, from, to, { classIds = [], seriesIds = [], occurrences = [], timeOff = true } = {}) => {
+  // Classes starting the day before can still run into the range
+  const lookback = new Date(new Date(from).getTime() - DAY_MS).toISOString();
+  const toIso = new Date(to).toISOString();
+
+  const standalone = (column) => supabase
+    .from('classes')
+    .select('id, title, scheduled_date, duration, status, substitute_teacher_id')
+    .eq(column, teacherId)
+    .is('series_id', null)
+    .gte('scheduled_date', lookback)
+    .lte('scheduled_date', toIso);
+
+  const [{ data: ownClasses }, { data: coveredClasses }] = await Promise.all([
+    standalone('teacher_id'),
+    standalone('substitute_teacher_id')
+  ]);
+  const classes = [
+    ...(ownClasses || []).filter(c => !c.substitute_teacher_id || c.substitute_teacher_id === teacherId),
+    ...(coveredClasses || [])
+  ];
+
+  const seriesOccurrences = await listSeriesOccurrences({ teacherId, from: lookback, to: toIso });
+
+  const skipOccurrence = (o) =>
+    seriesIds.includes(o.series_id)
+    || occurrences.some(x => x.seriesId === o.series_id && new Date(x.start).getTime() === new Date(o.occurrence_start).getTime());
+
+  const busy = [
+    ...classes.filter(c => !classIds.includes(c.id)),
+    // Own occurrences handed to a substitute do not count
+    ...seriesOccurrences.filter(o => !skipOccurrence(o) && !classIds.includes(o.id)
+      && (!o.substitute_teacher_id || o.substitute_teacher_id === teacherId))
+  ]
+    .filter(c => c.status !== 'cancelled')
+    .map(c => {
+      const start = new Date(c.scheduled_date);
+      return {
+        type: 'class',
+        id: c.id,
+        series_id: c.series_id || null,
+        title: c.title,
+        scheduled_date: start.toISOString(),
+        duration: c.duration || 60,
+        start,
+        end: new Date(start.getTime() + (c.duration || 60) * MINUTE_MS)
+      };
+    });
+
+  if (timeOff) {
+    const { data: entries } = await supabase
+      .from('teacher_time_off')
+      .select('*')
+      .eq('teacher_id', teacherId)
+      .lt('starts_at', toIso)
+      .gt('ends_at', new Date(from).toISOString());
+
+    (entries || []).forEach(entry => busy.push({
+      type: 'time_off',
+      id: entry.id,
+      reason: entry.reason,
+      starts_at: entry.starts_at,
+      ends_at: entry.ends_at,
+      start: new Date(entry.starts_at),
+      end: new Date(entry.ends_at)
+    }));
+  }
+
+  return busy.filter(item => overlaps(item, { start: new Date(from), end: new Date(to) }));
+};
+
+const fitsWindows = (slot, windows, timezone) => {
+  const local = getZonedParts(slot.start, timezone);
+  const startMinute = local.hour * 60 + local.minute;
+  const endMinute = startMinute + (slot.end - slot.start) / MINUTE_MS;
+
+  return windows.some(w =>
+    w.weekday === local.weekday
+    && toMinutes(w.start_time, 'start_time') <= startMinute
+    && toMinutes(w.end_time, 'end_time') >= endMinute
+  );
+};
+
+/**
+ * Check proposed slots for a teacher. Overlapping classes and time off are conflicts: they throw
+ * SCHEDULE_CONFLICT (409, conflicts in details) unless force is set, in which case they come back as
+ * warnings. Slots outside the published weekly availability are always only warnings.
+ * @param {Array} slots - [{ start (Date or ISO), duration (minutes) }]
+ * @param {object} options - { force, exclude } with exclude as for getBusyIntervals
+ * @returns {Array} warnings
+ */
+const checkTeacherSchedule = async (teacherId, slots, { force = false, exclude = {} } = {}) => {
+  if (!teacherId || slots.length === 0) return [];
+
+  const teacher = await getTeacher(teacherId);
+  const intervals = slots.map(slot => {
+    const start = new Date(slot.start);
+    return { start, end: new Date(start.getTime() + (Number(slot.duration) || 60) * MINUTE_MS) };
+  });
+
+  const from = new Date(Math.min(...intervals.map(i => i.start.getTime())));
+  const to = new Date(Math.max(...intervals.map(i => i.end.getTime())));
+  const busy = await getBusyIntervals(teacherId, from, to, exclude);
+
+  const { data: windows } = await supabase
+    .from('teacher_availability')
+    .select('weekday, start_time, end_time')
+    .eq('teacher_id', teacherId);
+
+  const conflicts = [];
+  const warnings = [];
+  intervals.forEach(slot => {
+    const scheduled_date = slot.start.toISOString();
+    busy.filter(item => overlaps(item, slot)).forEach(({ start, end, ...item }) => {
+      conflicts.push({ teacher_id: teacherId, scheduled_date, conflict: item });
+    });
+
+    // Teachers who never published availability are not warned about
+    if (windows?.length && !fitsWindows(slot, windows, teacher.timezone)) {
+      warnings.push({
+        type: 'outside_availability',
+        teacher_id: teacherId,
+        scheduled_date,
+        scheduled_date_local: formatInTimezone(slot.start, teacher.timezone)
+      });
+    }
+  });
+
+  if (conflicts.length > 0 && !force) {
+    throw new AvailabilityError(
+      `${teacher.name || 'The teacher'} is already booked for ${conflicts.length} of these time(s); send force: true to book anyway`,
+      409,
+      'SCHEDULE_CONFLICT',
+      conflicts
+    );
+  }
+
+  return [...conflicts.map(c => ({ type: 'double_booking', ...c })), ...warnings];
+};
+
+/**
+ * Upcoming slots of a series for checkTeacherSchedule (at most SERIES_CHECK_DAYS ahead).
+ * @param {Array} starts - occurrence starts
+ */
+const seriesSlots = (starts, duration) => {
+  const now = Date.now();
+  const horizon = now + SERIES_CHECK_DAYS * DAY_MS;
+  return starts
+    .filter(start => start.getTime() + duration * MINUTE_MS > now && start.getTime() <= horizon)
+    .map(start => ({ start, duration }));
+};
+
+// ==================== FREE SLOTS ====================
+
+/**
+ * Free time inside a teacher's weekly windows, minus classes and time off.
+ * @param {object} options - { from (default now), to (default 7 days later, at most MAX_RANGE_DAYS), duration (minutes) }
+ */
+const findFreeSlots = async (teacherId, { from, to, duration } = {}) => {
+  const teacher = await getTeacher(teacherId);
+  const timezone = teacher.timezone;
+
+  const fromDate = from ? toDate(from, 'from', timezone) : new Date();
+  const toDateValue = to ? toDate(to, 'to', timezone) : new Date(fromDate.getTime() + 7 * DAY_MS);
+  const minutes = Number(duration ?? 60);
+
+  if (toDateValue <= fromDate) {
+    throw new AvailabilityError('to must be after from', 400, 'INVALID_RANGE');
+  }
+  if (toDateValue - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AvailabilityError(`The range can be at most ${MAX_RANGE_DAYS} days`, 400, 'INVALID_RANGE');
+  }
+  if (!Number.isInteger(minutes) || minutes < 5 || minutes > 600) {
+    throw new AvailabilityError('duration must be between 5 and 600 minutes', 400, 'INVALID_DURATION');
+  }
+
+  const { data: windows } = await supabase
+    .from('teacher_availability')
+    .select('weekday, start_time, end_time')
+    .eq('teacher_id', teacherId);
+
+  const result = {
+    teacher_id: teacherId,
+    timezone,
+    duration: minutes,
+    from: fromDate.toISOString(),
+    to: toDateValue.toISOString(),
+    availability_published: !!windows?.length,
+    slots: []
+  };
+  if (!windows?.length) return result;
+
+  // Window occurrences on each local day of the range, clipped to it
+  const open = [];
+  const first = getZonedParts(fromDate, timezone);
+  for (let offset = 0; offset <= MAX_RANGE_DAYS + 1; offset++) {
+    const dayStart = zonedTimeToUtc({ year: first.year, month: first.month, day: first.day + offset }, timezone);
+    if (dayStart >= toDateValue) break;
+    const weekday = getZonedParts(dayStart, timezone).weekday;
+
+    windows.filter(w => w.weekday === weekday).forEach(w => {
+      const at = (time) => {
+        const total = toMinutes(time, 'time');
+        return zonedTimeToUtc({
+          year: first.year, month: first.month, day: first.day + offset, hour: Math.floor(total / 60), minute: total % 60
+        }, timezone);
+      };
+      const start = new Date(Math.max(at(w.start_time), fromDate));
+      const end = new Date(Math.min(at(w.end_time), toDateValue));
+      if (end > start) open.push({ start, end });
+    });
+  }
+
+  const busy = (await getBusyIntervals(teacherId, fromDate, toDateValue)).sort((a, b) => a.start - b.start);
+
+  open.sort((a, b) => a.start - b.start).forEach(window => {
+    let cursor = window.start;
+    busy.filter(item => overlaps(item, window)).forEach(item => {
+      if (item.start > cursor) result.slots.push({ start: cursor, end: item.start });
+      if (item.end > cursor) cursor = item.end;
+    });
+    if (window.end > cursor) result.slots.push({ start: cursor, end: window.end });
+  });
+
+  result.slots = result.slots
+    .filter(slot => slot.end - slot.start >= minutes * MINUTE_MS)
+    .map(slot => ({
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      start_local: formatInTimezone(slot.start, timezone),
+      end_local: formatInTimezone(slot.end, timezone),
+      minutes: Math.round((slot.end - slot.start) / MINUTE_MS)
+    }));
+
+  return result;
+};
+
+// ==================== CAPACITY ====================
+
+/**
+ * Make sure a teacher can take another active student. Throws TEACHER_AT_CAPACITY (409) unless
+ * force is set; returns a warning when forced over the limit.
+ */
+const checkTeacherCapacity = async (teacherId, { force = false, studentId = null } = {}) => {
+  const teacher = await getTeacher(teacherId);
+  if (teacher.student_capacity === null || teacher.student_capacity === undefined) return [];
+
+  let query = supabase
+    .from('profiles')
+    .select('id', { count: 'exact', head: true })
+    .eq('teacher_id', teacherId)
+    .eq('role', 'student')
+    .eq('status', 'active');
+  // A student already with this teacher does not take a new place
+  if (studentId) query = query.neq('id', studentId);
+  const { count } = await query;
+
+  if ((count || 0) < teacher.student_capacity) return [];
+
+  if (!force) {
+    throw new AvailabilityError(
+      `${teacher.name || 'The teacher'} already has ${count} of ${teacher.student_capacity} students; send force: true to assign anyway`,
+      409,
+      'TEACHER_AT_CAPACITY',
+      { active_students: count, student_capacity: teacher.student_capacity }
+    );
+  }
+  return [{ type: 'over_capacity', teacher_id: teacherId, active_students: count, student_capacity: teacher.student_capacity }];
+};
+
+export {
+  AvailabilityError,
+  getAvailability,
+  setAvailability,
+  addTimeOff,
+  removeTimeOff,
+  getBusyIntervals,
+  checkTeacherSchedule,
+  seriesSlots,
+  findFreeSlots,
+  checkTeacherCapacity
+};
@@ -0,0 +1,235 @@
+// utils/billingJob.js
+// In-process monthly billing job: generates each active student's invoice from their course fee plan
+// on the billing day and moves unpaid invoices to 'overdue' once the grace period has passed.
+// Started from server.js and runnable on demand from POST /api/admin/fees/run-billing.
+
+import { supabase } from '../server.js';
+import {
+  getBillingDay,
+  LedgerError,
+  toAmount,
+  totalsByCurrency,
+  periodOf,
+  listFeePlans,
+  createInvoice,
+  notifyPaymentDue
+} from './feeLedger.js';
+
+// BILLING_DAY, BILLING_GRACE_DAYS and BILLING_JOB_INTERVAL_MINUTES are read when used, after .env is loaded
+const getGracePeriodDays = () => parseInt(process.env.BILLING_GRACE_DAYS, 10) || 7;
+const getJobInterval = () => (parseInt(process.env.BILLING_JOB_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const jobState = {
+  running: false,
+  timer: null,
+  lastRun: null
+};
+
+// Generate the period's invoices for every active student whose course has an active fee plan
+const generateMonthlyInvoices = async (period = periodOf()) => {
+  const summary = { period, generated: 0, skipped: 0, missing_plan: 0, failed: [] };
+
+  const [{ data: students, error }, plans] = await Promise.all([
+    supabase
+      .from('profiles')
+      .select('id, name, course')
+      .eq('role', 'student')
+      .eq('status', 'active'),
+    listFeePlans({ activeOnly: true })
+  ]);
+
+  if (error) {
+    throw new LedgerError(error.message, 400, 'DATABASE_ERROR');
+  }
+
+  const { data: existing } = await supabase
+    .from('invoices')
+    .select('student_id')
+    .eq('period', period)
+    .neq('status', 'void');
+
+  const invoiced = new Set((existing || []).map(i => i.student_id));
+  const plannedCourses = new Set(plans.map(p => p.course));
+
+  for (const student of students || []) {
+    if (invoiced.has(student.id)) {
+      summary.skipped++;
+      continue;
+    }
+    if (!plannedCourses.has(student.course)) {
+      summary.missing_plan++;
+      continue;
+    }
+
+    try {
+      await createInvoice({ studentId: student.id, period });
+      summary.generated++;
+    } catch (invoiceError) {
+      // Another run (or an admin) invoiced the student in the meantime
+      if (invoiceError.code === 'INVOICE_EXISTS') {
+        summary.skipped++;
+      } else {
+        summary.failed.push({ student_id: student.id, error: invoiceError.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+// Unpaid invoices whose due date is more than the grace period ago become overdue
+const markOverdueInvoices = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getGracePeriodDays() * DAY_MS).toISOString().slice(0, 10);
+
+  const { data, error } = await supabase
+    .from('invoices')
+    .update({ status: 'overdue' })
+    .in('status', ['pending', 'partially_paid'])
+    .lt('due_date', cutoff)
+    .select('id, student_id, period, amount, amount_paid, currency, due_date');
+
+  if (error) {
+    throw new LedgerError(error.message, 400, 'DATABASE_ERROR');
+  }
+
+  for (const invoice of data || []) {
+    await notifyPaymentDue(invoice, { overdue: true });
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Run the billing job once.
+ * @param {object} options - { period, generate, markOverdue, force, now }
+ *   generate defaults to true once the billing day has been reached (force skips that check).
+ */
+const runBillingJob = async ({ period, generate, markOverdue = true, force = false, now = new Date() } = {}) => {
+  if (jobState.running) {
+    return { skipped: true, reason: 'Billing job already running' };
+  }
+
+  jobState.running = true;
+  const startedAt = new Date().toISOString();
+
+  try {
+    const targetPeriod = period || periodOf(now);
+    const shouldGenerate = generate ?? (force || now.getUTCDate() >= getBillingDay());
+
+    const invoices = shouldGenerate ? await generateMonthlyInvoices(targetPeriod) : null;
+    const overdueMarked = markOverdue ? await markOverdueInvoices(now) : 0;
+
+    const result = {
+      period: targetPeriod,
+      invoices,
+      overdue_marked: overdueMarked,
+      started_at: startedAt,
+      finished_at: new Date().toISOString()
+    };
+
+    jobState.lastRun = result;
+    console.log('🧾 Billing job finished:', {
+      period: targetPeriod,
+      generated: invoices?.generated ?? 0,
+      overdue: overdueMarked
+    });
+
+    return result;
+  } catch (error) {
+    jobState.lastRun = { error: error.message, started_at: startedAt, finished_at: new Date().toISOString() };
+    throw error;
+  } finally {
+    jobState.running = false;
+  }
+};
+
+// Overdue invoices grouped by student, longest overdue first; amounts are keyed by currency code
+const getOverdueReport = async (now = new Date()) => {
+  const { data: invoices, error } = await supabase
+    .from('invoices')
+    .select('id, student_id, period, amount, amount_paid, currency, due_date, status')
+    .eq('status', 'overdue')
+    .order('due_date');
+
+  if (error) {
+    throw new LedgerError(error.message, 400, 'DATABASE_ERROR');
+  }
+
+  if (!invoices || invoices.length === 0) {
+    return { total_students: 0, total_invoices: 0, total_overdue_amount: {}, students: [] };
+  }
+
+  const studentIds = [...new Set(invoices.map(i => i.student_id))];
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('id, name, email, course')
+    .in('id', studentIds);
+
+  const students = studentIds.map(studentId => {
+    const studentInvoices = invoices
+      .filter(i => i.student_id === studentId)
+      .map(i => ({
+        ...i,
+        balance: toAmount(Number(i.amount || 0) - Number(i.amount_paid || 0)),
+        days_overdue: Math.max(0, Math.floor((now.getTime() - new Date(i.due_date).getTime()) / DAY_MS))
+      }));
+
+    return {
+      student: (profiles || []).find(p => p.id === studentId) || { id: studentId },
+      invoices: studentInvoices,
+      overdue_amount: totalsByCurrency(studentInvoices, i => i.balance),
+      oldest_due_date: studentInvoices[0].due_date,
+      max_days_overdue: Math.max(...studentInvoices.map(i => i.days_overdue))
+    };
+  }).sort((a, b) => b.max_days_overdue - a.max_days_overdue);
+
+  return {
+    total_students: students.length,
+    total_invoices: invoices.length,
+    total_overdue_amount: totalsByCurrency(invoices, i => Number(i.amount || 0) - Number(i.amount_paid || 0)),
+    students
+  };
+};
+
+const getBillingJobStatus = () => ({
+  enabled: !!jobState.timer,
+  running: jobState.running,
+  billing_day: getBillingDay(),
+  grace_period_days: getGracePeriodDays(),
+  interval_minutes: getJobInterval() / 60000,
+  last_run: jobState.lastRun
+});
+
+// Runs once at startup and then every BILLING_JOB_INTERVAL_MINUTES; runs are idempotent
+const startBillingScheduler = () => {
+  if (process.env.BILLING_JOB_ENABLED === 'false' || jobState.timer) return;
+
+  const tick = () => runBillingJob().catch(error => {
+    console.error('❌ Billing job failed:', error.message);
+  });
+
+  jobState.timer = setInterval(tick, getJobInterval());
+  jobState.timer.unref?.();
+  tick();
+
+  console.log(`🧾 Billing scheduler started (billing day ${getBillingDay()}, grace ${getGracePeriodDays()} days)`);
+};
+
+const stopBillingScheduler = () => {
+  if (jobState.timer) {
+    clearInterval(jobState.timer);
+    jobState.timer = null;
+  }
+};
+
+export {
+  getGracePeriodDays,
+  generateMonthlyInvoices,
+  markOverdueInvoices,
+  runBillingJob,
+  getOverdueReport,
+  getBillingJobStatus,
+  startBillingScheduler,
+  stopBillingScheduler
+};
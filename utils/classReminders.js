@@ -0,0 +1,358 @@
+// utils/classReminders.js
+// In-process class reminder job. Before each upcoming class (standalone classes and series occurrences)
+// the teacher and the students get a reminder at every offset in CLASS_REMINDER_OFFSETS_MINUTES
+// (default 1440,15). Once a class is CLASS_REMINDER_NUDGE_MINUTES past its start (default 0) without a
+// live session, the teacher gets a "your class has not started" nudge.
+// Reminders go out as class_reminder notifications and emails, each subject to the user's preferences.
+// Table:
+//   class_reminders (id, class_key, kind reminder|not_started, offset_minutes, scheduled_date, class_id,
+//                    series_id, recipients, sent_at, created_at)
+//                    unique (class_key, kind, offset_minutes, scheduled_date)
+// A reminder row is inserted before anything is sent: the unique key turns it into a claim, so a restart
+// or a second instance running the job never sends the same reminder twice. Moving a class gives it a new
+// scheduled_date and so a fresh set of reminders.
+// DDL: supabase/migrations/20261019002400_class_reminders.sql (the claim depends on its unique index).
+
+import { supabase } from '../server.js';
+import { listSeriesOccurrences, parseOccurrenceId } from './classSeries.js';
+import { notifyUsers, getClassStudentIds } from './notifications.js';
+import { emailUsers } from './mailer.js';
+import { getDefaultTimezone, normalizeTimezone } from './timezones.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Classes are at most 600 minutes long, so a class that can still need a nudge started less than this ago
+const LOOKBACK_MS = 600 * MINUTE_MS;
+
+// CLASS_REMINDER_* settings are read when used, after .env is loaded
+const getReminderOffsets = () => {
+  const offsets = String(process.env.CLASS_REMINDER_OFFSETS_MINUTES || '1440,15')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => Number.isInteger(value) && value > 0);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+const getNudgeDelay = () => Math.max(0, parseInt(process.env.CLASS_REMINDER_NUDGE_MINUTES, 10) || 0);
+const getJobInterval = () => (parseInt(process.env.CLASS_REMINDER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+const jobState = {
+  running: false,
+  timer: null,
+  lastRun: null
+};
+
+// ==================== CLASSES ====================
+
+// Scheduled classes and occurrences starting between from and to
+const listUpcomingClasses = async (from, to) => {
+  const { data: rows, error } = await supabase
+    .from('classes')
+    .select('id, series_id, occurrence_start, title, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .is('series_id', null)
+    .eq('status', 'scheduled')
+    .gte('scheduled_date', from.toISOString())
+    .lte('scheduled_date', to.toISOString());
+
+  if (error) {
+    throw new Error(`Error fetching classes: ${error.message}`);
+  }
+
+  const occurrences = await listSeriesOccurrences({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    status: 'scheduled'
+  });
+
+  return [...(rows || []), ...occurrences];
+};
+
+// Same key whether or not a series occurrence has been materialized yet
+const classKey = (cls) => (cls.series_id && cls.occurrence_start
+  ? `${cls.series_id}_${new Date(cls.occurrence_start).getTime()}`
+  : cls.id);
+
+const realClassId = (cls) => (parseOccurrenceId(cls.id) ? null : cls.id);
+
+const hostOf = (cls) => cls.substitute_teacher_id || cls.teacher_id;
+
+// Keys of the classes among these whose video session is live. Starting a session materializes an
+// occurrence, so occurrences listed without a classes row are looked up by series and start first.
+const findLiveClassKeys = async (classes) => {
+  if (classes.length === 0) return new Set();
+
+  const idToKey = new Map();
+  classes.forEach(cls => {
+    const id = realClassId(cls);
+    if (id) idToKey.set(id, classKey(cls));
+  });
+
+  const occurrences = classes.filter(cls => !realClassId(cls) && cls.series_id && cls.occurrence_start);
+  if (occurrences.length > 0) {
+    const { data: rows } = await supabase
+      .from('classes')
+      .select('id, series_id, occurrence_start')
+      .in('series_id', [...new Set(occurrences.map(cls => cls.series_id))])
+      .in('occurrence_start', [...new Set(occurrences.map(cls => new Date(cls.occurrence_start).toISOString()))]);
+
+    (rows || []).forEach(row => idToKey.set(row.id, classKey(row)));
+  }
+
+  if (idToKey.size === 0) return new Set();
+
+  const { data } = await supabase
+    .from('video_sessions')
+    .select('class_id')
+    .in('class_id', [...idToKey.keys()])
+    .eq('status', 'active');
+
+  return new Set((data || []).map(s => idToKey.get(s.class_id)));
+};
+
+// ==================== DUE REMINDERS ====================
+
+/**
+ * Reminders due at `now`. Only the latest offset that has passed counts, so after downtime a class
+ * starting in 10 minutes gets its 15-minute reminder, not a late 24-hour one.
+ * @returns {Array} [{ cls, kind, offset }]
+ */
+const findDueReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  const nudgeDelay = getNudgeDelay();
+  const maxOffset = offsets[0] || 0;
+
+  const classes = await listUpcomingClasses(
+    new Date(now.getTime() - LOOKBACK_MS),
+    new Date(now.getTime() + maxOffset * MINUTE_MS)
+  );
+
+  const due = [];
+  const nudgeCandidates = [];
+
+  classes.forEach(cls => {
+    const start = new Date(cls.scheduled_date).getTime();
+    const minutesUntil = (start - now.getTime()) / MINUTE_MS;
+
+    if (minutesUntil > 0) {
+      const offset = offsets.filter(o => o >= minutesUntil).pop();
+      if (offset) due.push({ cls, kind: 'reminder', offset });
+      return;
+    }
+
+    const minutesSince = -minutesUntil;
+    if (minutesSince >= nudgeDelay && minutesSince < (Number(cls.duration) || 60)) {
+      nudgeCandidates.push(cls);
+    }
+  });
+
+  const live = await findLiveClassKeys(nudgeCandidates);
+  nudgeCandidates
+    .filter(cls => !live.has(classKey(cls)))
+    .forEach(cls => due.push({ cls, kind: 'not_started', offset: 0 }));
+
+  return due;
+};
+
+const reminderKey = ({ cls, kind, offset }) =>
+  `${classKey(cls)}|${kind}|${offset}|${new Date(cls.scheduled_date).getTime()}`;
+
+// Keys of the due reminders that already have a row, so every tick does not retry every claim
+const findSentReminders = async (due) => {
+  const keys = [...new Set(due.map(r => classKey(r.cls)))];
+  if (keys.length === 0) return new Set();
+
+  const { data } = await supabase
+    .from('class_reminders')
+    .select('class_key, kind, offset_minutes, scheduled_date')
+    .in('class_key', keys);
+
+  return new Set((data || []).map(row => reminderKey({
+    cls: { id: row.class_key, scheduled_date: row.scheduled_date },
+    kind: row.kind,
+    offset: row.offset_minutes
+  })));
+};
+
+/**
+ * Claim a reminder by inserting its row.
+ * @returns {object|null} the claim, or null when it was already sent (or claimed by another instance)
+ */
+const claimReminder = async ({ cls, kind, offset }) => {
+  const { data, error } = await supabase
+    .from('class_reminders')
+    .insert([{
+      class_key: classKey(cls),
+      kind,
+      offset_minutes: offset,
+      scheduled_date: new Date(cls.scheduled_date).toISOString(),
+      class_id: realClassId(cls),
+      series_id: cls.series_id || null,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') return null;
+  if (error) {
+    // Without a claim nothing is sent: a skipped reminder beats a duplicate one
+    console.warn(`⚠️ Could not claim ${kind} reminder for class ${classKey(cls)}:`, error.message);
+    return null;
+  }
+  return data;
+};
+
+// ==================== SENDING ====================
+
+const describeLead = (minutes) => {
+  if (minutes >= 120) return `${Math.round(minutes / 60)} hours`;
+  const rounded = Math.max(1, Math.round(minutes));
+  return rounded === 1 ? '1 minute' : `${rounded} minutes`;
+};
+
+const formatStart = (date, timezone) => {
+  const zone = normalizeTimezone(timezone) || getDefaultTimezone();
+  return `${new Intl.DateTimeFormat('en-GB', { timeZone: zone, dateStyle: 'full', timeStyle: 'short' }).format(date)} (${zone})`;
+};
+
+const sendReminder = async ({ cls, kind }, now) => {
+  const start = new Date(cls.scheduled_date);
+  const host = hostOf(cls);
+  const data = {
+    class_id: cls.id,
+    series_id: cls.series_id || null,
+    scheduled_date: start.toISOString(),
+    kind
+  };
+
+  // The nudge is in-app only: it is about the next few minutes, when the teacher should be online anyway
+  if (kind === 'not_started') {
+    return notifyUsers([host], {
+      type: 'class_reminder',
+      title: 'Your class has not started',
+      message: `"${cls.title}" was due to start ${describeLead((now.getTime() - start.getTime()) / MINUTE_MS)} ago ` +
+        'and no live session has been opened yet. Your students are waiting.',
+      data
+    });
+  }
+
+  const lead = describeLead((start.getTime() - now.getTime()) / MINUTE_MS);
+  const students = await getClassStudentIds(realClassId(cls), cls.teacher_id);
+  const recipients = [host, ...students];
+
+  const { data: teacher } = await supabase
+    .from('profiles')
+    .select('name')
+    .eq('id', host)
+    .maybeSingle();
+
+  const notified = await notifyUsers(recipients, {
+    type: 'class_reminder',
+    title: 'Class Reminder',
+    message: `"${cls.title}" starts in ${lead}.`,
+    data
+  });
+
+  await emailUsers(recipients, 'class_reminder', (profile) => ({
+    class_title: cls.title,
+    starts_at: formatStart(start, profile.timezone),
+    teacher_name: profile.id === host ? null : teacher?.name,
+    lead
+  }), { type: 'class_reminder' });
+
+  return notified;
+};
+
+/**
+ * Run the reminder job once.
+ * @returns {object} { due, sent, already_sent, failed, started_at, finished_at }
+ */
+const runClassReminders = async ({ now = new Date() } = {}) => {
+  if (jobState.running) {
+    return { skipped: true, reason: 'Class reminder job already running' };
+  }
+
+  jobState.running = true;
+  const startedAt = new Date().toISOString();
+
+  try {
+    const due = await findDueReminders(now);
+    const summary = { due: due.length, sent: 0, already_sent: 0, failed: [] };
+    const sent = await findSentReminders(due);
+
+    for (const reminder of due) {
+      if (sent.has(reminderKey(reminder))) {
+        summary.already_sent++;
+        continue;
+      }
+
+      // Another instance may have claimed it since findSentReminders
+      const claim = await claimReminder(reminder);
+      if (!claim) {
+        summary.already_sent++;
+        continue;
+      }
+
+      try {
+        const recipients = await sendReminder(reminder, now);
+        await supabase
+          .from('class_reminders')
+          .update({ recipients, sent_at: new Date().toISOString() })
+          .eq('id', claim.id);
+        summary.sent++;
+      } catch (sendError) {
+        summary.failed.push({ class_key: claim.class_key, kind: reminder.kind, error: sendError.message });
+      }
+    }
+
+    const result = { ...summary, started_at: startedAt, finished_at: new Date().toISOString() };
+    jobState.lastRun = result;
+    if (summary.sent > 0) {
+      console.log(`⏰ Class reminders sent: ${summary.sent}`);
+    }
+    return result;
+  } catch (error) {
+    jobState.lastRun = { error: error.message, started_at: startedAt, finished_at: new Date().toISOString() };
+    throw error;
+  } finally {
+    jobState.running = false;
+  }
+};
+
+const getClassReminderStatus = () => ({
+  enabled: !!jobState.timer,
+  running: jobState.running,
+  offsets_minutes: getReminderOffsets(),
+  nudge_after_minutes: getNudgeDelay(),
+  interval_seconds: getJobInterval() / 1000,
+  last_run: jobState.lastRun
+});
+
+// Runs every CLASS_REMINDER_INTERVAL_SECONDS; CLASS_REMINDERS_ENABLED=false turns it off
+const startClassReminderScheduler = () => {
+  if (process.env.CLASS_REMINDERS_ENABLED === 'false' || jobState.timer) return;
+
+  const tick = () => runClassReminders().catch(error => {
+    console.error('❌ Class reminder job failed:', error.message);
+  });
+
+  jobState.timer = setInterval(tick, getJobInterval());
+  jobState.timer.unref?.();
+  tick();
+
+  console.log(`⏰ Class reminder scheduler started (offsets ${getReminderOffsets().join(', ')} minutes)`);
+};
+
+const stopClassReminderScheduler = () => {
+  if (jobState.timer) {
+    clearInterval(jobState.timer);
+    jobState.timer = null;
+  }
+};
+
+export {
+  getReminderOffsets,
+  findDueReminders,
+  runClassReminders,
+  getClassReminderStatus,
+  startClassReminderScheduler,
+  stopClassReminderScheduler
+};
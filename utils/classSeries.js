@@ -0,0 +1,920 @@
+// utils/classSeries.js
+// Recurring classes as one series with an RRULE-like recurrence, expanded into occurrences on read.
+// Recurrences run on the wall clock of the series' timezone, so a 17:00 Cairo class stays at 17:00
+// Cairo time across DST changes (and moves in UTC instead).
+// An occurrence only gets a classes row ("materialized") when something needs a real class id,
+// e.g. starting its video session, taking attendance or scheduling an exam into it.
+// Tables:
+//   class_series (id, teacher_id, title, description, duration, max_students, starts_at, timezone (IANA),
+//                 frequency daily|weekly|monthly, interval, weekdays int[] (0 = Sunday, in the series timezone),
+//                 until, count, parent_series_id, status active|ended, created_by, created_at, updated_at)
+//   class_series_exceptions (id, series_id, occurrence_start, cancelled, scheduled_date, duration,
+//                            substitute_teacher_id, note, created_by, created_at, updated_at)
+//                            unique (series_id, occurrence_start)
+//   classes.series_id, classes.occurrence_start, classes.substitute_teacher_id   unique (series_id, occurrence_start)
+// Occurrences that are not materialized have the id "<series id>_<start in ms>".
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import {
+  getDefaultTimezone,
+  normalizeTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseInTimezone,
+  localizeClass
+} from './timezones.js';
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_COUNT = 500;
+
+// Open-ended series are listed this far ahead unless the caller asks for a range
+const DEFAULT_HORIZON_DAYS = 90;
+// A single occurrence can be moved at most this far from its slot
+const MAX_MOVE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const horizon = () => new Date(Date.now() + DEFAULT_HORIZON_DAYS * DAY_MS);
+const MAX_EXPANSION_STEPS = 20000;
+
+class SeriesError extends Error {
+  constructor(message, status = 400, code = 'SERIES_ERROR') {
+    super(message);
+    this.name = 'SeriesError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new SeriesError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const toDate = (value, field) => {
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new SeriesError(`${field} must be a valid date`, 400, 'INVALID_DATE');
+  }
+  return date;
+};
+
+// Dates from a request body; times without an offset are wall-clock time in the timezone
+const toZonedDate = (value, field, timezone) => {
+  const date = parseInTimezone(value, timezone);
+  if (!date) {
+    throw new SeriesError(`${field} must be a valid date`, 400, 'INVALID_DATE');
+  }
+  return date;
+};
+
+const occurrenceId = (seriesId, start) => `${seriesId}_${new Date(start).getTime()}`;
+
+// "<series id>_<ms>" -> { seriesId, start }, or null for a plain class id
+const parseOccurrenceId = (id) => {
+  const match = /^([0-9a-f-]{36})_(\d{10,})$/i.exec(String(id || ''));
+  return match ? { seriesId: match[1], start: new Date(Number(match[2])) } : null;
+};
+
+// ==================== RECURRENCE ====================
+
+/**
+ * Validate a recurrence from a request body.
+ * @param {object} input - { frequency, interval, weekdays (['MO', 'WE'] or [1, 3]), until, count }
+ * @param {Date} startsAt - First occurrence; weekly series default to its weekday
+ * @param {string} timezone - Series timezone; weekdays and a bare until date are read in it
+ */
+const normalizeRecurrence = (input = {}, startsAt, timezone = 'UTC') => {
+  const frequency = input.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new SeriesError(`frequency must be one of: ${FREQUENCIES.join(', ')}`, 400, 'INVALID_RECURRENCE');
+  }
+
+  const interval = Number(input.interval ?? 1);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    throw new SeriesError('interval must be a whole number between 1 and 52', 400, 'INVALID_RECURRENCE');
+  }
+
+  let weekdays = null;
+  if (frequency === 'weekly') {
+    const raw = input.weekdays?.length ? input.weekdays : [getZonedParts(startsAt, timezone).weekday];
+    weekdays = [...new Set(raw.map(day => {
+      const index = typeof day === 'string' && WEEKDAY_CODES.includes(day.toUpperCase())
+        ? WEEKDAY_CODES.indexOf(day.toUpperCase())
+        : Number(day);
+      if (!Number.isInteger(index) || index < 0 || index > 6) {
+        throw new SeriesError(`weekdays must be ${WEEKDAY_CODES.join(', ')} or 0-6`, 400, 'INVALID_RECURRENCE');
+      }
+      return index;
+    }))].sort((a, b) => a - b);
+  }
+
+  if (input.until && input.count) {
+    throw new SeriesError('Give either until or count, not both', 400, 'INVALID_RECURRENCE');
+  }
+
+  let until = null;
+  if (input.until) {
+    // A bare date includes that whole day
+    const bareDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.until);
+    const date = bareDate
+      ? new Date(zonedTimeToUtc({ year: +bareDate[1], month: +bareDate[2], day: +bareDate[3] + 1 }, timezone).getTime() - 1)
+      : toZonedDate(input.until, 'until', timezone);
+    if (Number.isNaN(date.getTime()) || date < startsAt) {
+      throw new SeriesError('until must be a date after the first class', 400, 'INVALID_RECURRENCE');
+    }
+    until = date.toISOString();
+  }
+
+  let count = null;
+  if (input.count) {
+    count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new SeriesError(`count must be a whole number between 1 and ${MAX_COUNT}`, 400, 'INVALID_RECURRENCE');
+    }
+  }
+
+  return { frequency, interval, weekdays, until, count };
+};
+
+/**
+ * Recurrence from the older POST /api/admin/classes body
+ * ({ recurring, recurrence_type, recurrence_interval, recurrence_days }), or null for a single class.
+ */
+const legacyRecurrence = ({ recurring, recurrence_type, recurrence_interval, recurrence_days }, startsAt) => {
+  if (!recurring || !recurrence_type || recurrence_type === 'none') return null;
+
+  // The old expansion stopped before recurrence_days had passed
+  const days = Number(recurrence_days) || 30;
+  return {
+    frequency: recurrence_type,
+    interval: Number(recurrence_interval) || 1,
+    until: new Date(startsAt.getTime() + days * DAY_MS - 1).toISOString()
+  };
+};
+
+// Occurrence starts of a series in order, without exceptions; stops at until/count or after `to`.
+// Dates are stepped on the series' local calendar and converted back to UTC one by one.
+const generateStarts = (series, to) => {
+  const start = new Date(series.starts_at);
+  const timezone = series.timezone || 'UTC';
+  const local = getZonedParts(start, timezone);
+  const at = (month, day) => zonedTimeToUtc({
+    year: local.year, month, day, hour: local.hour, minute: local.minute, second: local.second
+  }, timezone);
+
+  const until = series.until ? new Date(series.until) : null;
+  const limit = until && until < to ? until : to;
+  const starts = [];
+
+  const push = (date) => {
+    if (date < start) return true;
+    if (date > limit || (series.count && starts.length >= series.count)) return false;
+    starts.push(date);
+    return true;
+  };
+
+  for (let step = 0; step < MAX_EXPANSION_STEPS; step++) {
+    if (series.frequency === 'daily') {
+      if (!push(at(local.month, local.day + step * series.interval))) break;
+    } else if (series.frequency === 'weekly') {
+      const weekStart = local.day - local.weekday + step * series.interval * 7;
+      const days = series.weekdays?.length ? series.weekdays : [local.weekday];
+      if (!days.every(day => push(at(local.month, weekStart + day)))) break;
+    } else if (series.frequency === 'monthly') {
+      const month = local.month + step * series.interval;
+      // Months without that day (e.g. the 31st) are skipped
+      const fits = new Date(Date.UTC(local.year, month - 1, local.day)).getUTCDate() === local.day;
+      if (fits && !push(at(month, local.day))) break;
+    } else {
+      break;
+    }
+  }
+
+  return starts;
+};
+
+const isOccurrenceOf = (series, start) => {
+  const time = new Date(start).getTime();
+  return generateStarts(series, new Date(time)).some(d => d.getTime() === time);
+};
+
+// ==================== OCCURRENCES ====================
+
+const buildOccurrence = (series, start, exception, row) => {
+  const startIso = start.toISOString();
+  const base = {
+    id: row?.id || occurrenceId(series.id, start),
+    series_id: series.id,
+    occurrence_start: startIso,
+    title: row?.title ?? series.title,
+    description: row?.description ?? series.description,
+    teacher_id: series.teacher_id,
+    timezone: series.timezone,
+    max_students: row?.max_students ?? series.max_students,
+    is_recurring: true,
+    materialized: !!row,
+    created_at: row?.created_at || series.created_at,
+    updated_at: row?.updated_at || series.updated_at
+  };
+
+  return {
+    ...base,
+    scheduled_date: exception?.scheduled_date || row?.scheduled_date || startIso,
+    duration: exception?.duration || row?.duration || series.duration,
+    status: exception?.cancelled ? 'cancelled' : (row?.status || 'scheduled'),
+    substitute_teacher_id: exception?.substitute_teacher_id || row?.substitute_teacher_id || null,
+    exception: exception
+      ? {
+        cancelled: !!exception.cancelled,
+        moved: !!exception.scheduled_date,
+        scheduled_date: exception.scheduled_date || null,
+        duration: exception.duration || null,
+        substitute_teacher_id: exception.substitute_teacher_id || null,
+        note: exception.note || null
+      }
+      : null
+  };
+};
+
+/**
+ * Occurrences of series in a date range, with exceptions applied and materialized rows merged in.
+ * @param {object} options - { teacherId, seriesIds, from, to, status, substitutions }; to defaults to
+ *   DEFAULT_HORIZON_DAYS from now. With substitutions (default) a teacher also gets the occurrences they cover.
+ */
+const listSeriesOccurrences = async ({ teacherId, seriesIds, from, to, status, substitutions = true } = {}) => {
+  const fromDate = from ? toDate(from, 'start_date') : new Date(0);
+  const toDateValue = to ? toDate(to, 'end_date') : new Date(Date.now() + DEFAULT_HORIZON_DAYS * DAY_MS);
+
+  let seriesQuery = supabase.from('class_series').select('*');
+  if (seriesIds) seriesQuery = seriesQuery.in('id', seriesIds);
+  if (teacherId) seriesQuery = seriesQuery.eq('teacher_id', teacherId);
+  const ownSeries = unwrap(await seriesQuery, 'Error fetching class series') || [];
+
+  // Occurrences covered by this teacher in someone else's series
+  let substituteExceptions = [];
+  if (teacherId && substitutions) {
+    const { data } = await supabase
+      .from('class_series_exceptions')
+      .select('*')
+      .eq('substitute_teacher_id', teacherId);
+    substituteExceptions = (data || []).filter(e => !ownSeries.some(s => s.id === e.series_id));
+  }
+
+  let coveredSeries = [];
+  const coveredIds = [...new Set(substituteExceptions.map(e => e.series_id))];
+  if (coveredIds.length > 0) {
+    coveredSeries = unwrap(
+      await supabase.from('class_series').select('*').in('id', coveredIds),
+      'Error fetching class series'
+    ) || [];
+  }
+
+  const allSeries = [...ownSeries, ...coveredSeries];
+  if (allSeries.length === 0) return [];
+
+  const ids = allSeries.map(s => s.id);
+  const [{ data: exceptions }, { data: rows }] = await Promise.all([
+    supabase.from('class_series_exceptions').select('*').in('series_id', ids),
+    supabase.from('classes').select('*').in('series_id', ids)
+  ]);
+
+  const inRange = (occurrence) => {
+    const when = new Date(occurrence.scheduled_date);
+    return when >= fromDate && when <= toDateValue;
+  };
+
+  const occurrences = [];
+  allSeries.forEach(series => {
+    const seriesExceptions = (exceptions || []).filter(e => e.series_id === series.id);
+    const seriesRows = (rows || []).filter(r => r.series_id === series.id);
+    const covering = coveredSeries.includes(series);
+
+    // Padded so occurrences moved into the range are found
+    const starts = generateStarts(series, new Date(toDateValue.getTime() + MAX_MOVE_DAYS * DAY_MS))
+      .filter(start => start.getTime() >= fromDate.getTime() - MAX_MOVE_DAYS * DAY_MS);
+
+    const seen = new Set();
+    starts.forEach(start => {
+      const key = start.getTime();
+      seen.add(key);
+      const exception = seriesExceptions.find(e => new Date(e.occurrence_start).getTime() === key);
+      const row = seriesRows.find(r => new Date(r.occurrence_start).getTime() === key);
+      if (covering && exception?.substitute_teacher_id !== teacherId) return;
+      occurrences.push(buildOccurrence(series, start, exception, row));
+    });
+
+    // Held classes stay listed even if the pattern was edited afterwards
+    seriesRows
+      .filter(row => !seen.has(new Date(row.occurrence_start).getTime()))
+      .forEach(row => {
+        if (covering && row.substitute_teacher_id !== teacherId) return;
+        const exception = seriesExceptions.find(e => new Date(e.occurrence_start).getTime() === new Date(row.occurrence_start).getTime());
+        occurrences.push(buildOccurrence(series, new Date(row.occurrence_start), exception, row));
+      });
+  });
+
+  return occurrences
+    .filter(inRange)
+    .filter(o => !status || o.status === status)
+    .map(o => ({ ...o, is_substitute: !!teacherId && o.substitute_teacher_id === teacherId }))
+    .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date));
+};
+
+/**
+ * Merge standalone classes rows with series occurrences and paginate the result.
+ * @param {Array} classes - classes rows that are not part of a series
+ * @param {Array} occurrences - from listSeriesOccurrences
+ * @param {object} options - { page, limit, timezone } where timezone is the viewer's, for scheduled_date_local
+ */
+const mergeClassListing = (classes, occurrences, { page = 1, limit = 50, timezone = getDefaultTimezone() } = {}) => {
+  const merged = [...classes, ...occurrences]
+    .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date))
+    .map(cls => localizeClass(cls, timezone));
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.max(1, parseInt(limit, 10) || 50);
+  const offset = (pageNumber - 1) * pageSize;
+
+  return {
+    classes: merged.slice(offset, offset + pageSize),
+    pagination: { page: pageNumber, limit: pageSize, total: merged.length },
+    timezone
+  };
+};
+
+const getSeries = async (seriesId) => {
+  const { data } = await supabase
+    .from('class_series')
+    .select('*')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (!data) {
+    throw new SeriesError('Class series not found', 404, 'SERIES_NOT_FOUND');
+  }
+  return data;
+};
+
+/**
+ * Give an occurrence its classes row (idempotent), so it can be referenced like any class.
+ * @returns {object} classes row
+ */
+const materializeOccurrence = async (seriesId, start) => {
+  const series = await getSeries(seriesId);
+  const startIso = new Date(start).toISOString();
+
+  if (!isOccurrenceOf(series, start)) {
+    throw new SeriesError('That class is not part of the series', 404, 'OCCURRENCE_NOT_FOUND');
+  }
+
+  const { data: existing } = await supabase
+    .from('classes')
+    .select('*')
+    .eq('series_id', seriesId)
+    .eq('occurrence_start', startIso)
+    .maybeSingle();
+  if (existing) return existing;
+
+  const { data: exception } = await supabase
+    .from('class_series_exceptions')
+    .select('*')
+    .eq('series_id', seriesId)
+    .eq('occurrence_start', startIso)
+    .maybeSingle();
+
+  const occurrence = buildOccurrence(series, new Date(start), exception, null);
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('classes')
+    .upsert([{
+      series_id: seriesId,
+      occurrence_start: startIso,
+      title: occurrence.title,
+      description: occurrence.description,
+      teacher_id: series.teacher_id,
+      substitute_teacher_id: occurrence.substitute_teacher_id,
+      scheduled_date: occurrence.scheduled_date,
+      duration: occurrence.duration,
+      max_students: occurrence.max_students,
+      status: occurrence.status,
+      is_recurring: true,
+      created_at: now,
+      updated_at: now
+    }], { onConflict: 'series_id,occurrence_start', ignoreDuplicates: true })
+    .select()
+    .maybeSingle();
+
+  if (error) unwrap({ error }, 'Error materializing class occurrence');
+
+  // Another request created it first
+  if (!data) {
+    const { data: row } = await supabase
+      .from('classes')
+      .select('*')
+      .eq('series_id', seriesId)
+      .eq('occurrence_start', startIso)
+      .single();
+    return row;
+  }
+  return data;
+};
+
+/**
+ * Real classes id for an id from a class listing: occurrence ids are materialized,
+ * anything else is returned unchanged (and looked up as usual by the caller).
+ */
+const resolveClassId = async (id) => {
+  const parsed = parseOccurrenceId(id);
+  if (!parsed) return id;
+
+  try {
+    const row = await materializeOccurrence(parsed.seriesId, parsed.start);
+    return row?.id || id;
+  } catch (error) {
+    if (!(error instanceof SeriesError)) throw error;
+    return id;
+  }
+};
+
+// ==================== SERIES ====================
+
+const normalizeDetails = (fields, { partial = false } = {}) => {
+  const details = {};
+
+  if (!partial || fields.title !== undefined) {
+    details.title = sanitizeInput(fields.title);
+    if (!details.title) throw new SeriesError('Title is required', 400, 'TITLE_REQUIRED');
+  }
+  if (!partial || fields.description !== undefined) details.description = sanitizeInput(fields.description) || '';
+  if (!partial || fields.duration !== undefined) {
+    details.duration = Number(fields.duration ?? 60);
+    if (!Number.isInteger(details.duration) || details.duration < 5 || details.duration > 600) {
+      throw new SeriesError('duration must be between 5 and 600 minutes', 400, 'INVALID_DURATION');
+    }
+  }
+  if (!partial || fields.max_students !== undefined) details.max_students = Number(fields.max_students ?? 20) || 20;
+
+  return details;
+};
+
+const assertTeacher = async (teacherId, label = 'teacher') => {
+  const { data: teacher } = await supabase
+    .from('profiles')
+    .select('id, timezone')
+    .eq('id', teacherId)
+    .eq('role', 'teacher')
+    .maybeSingle();
+
+  if (!teacher) {
+    throw new SeriesError(`Invalid ${label} ID or teacher not found`, 400, 'TEACHER_NOT_FOUND');
+  }
+  return teacher;
+};
+
+const toTimezone = (value) => {
+  const timezone = normalizeTimezone(value);
+  if (!timezone) {
+    throw new SeriesError('timezone must be an IANA timezone such as Africa/Cairo', 400, 'INVALID_TIMEZONE');
+  }
+  return timezone;
+};
+
+/**
+ * Create a series.
+ * @param {object} fields - { title, teacher_id, scheduled_date (first class), timezone (defaults to the teacher's),
+ *   duration, max_students, description, recurrence: { frequency, interval, weekdays, until, count } }
+ * @param {object} options - { checkSlots(teacherId, starts, duration, exclude) } to vet the schedule before saving;
+ *   it throws to refuse and returns warnings otherwise
+ * @returns {object} { series, warnings }
+ */
+const createSeries = async (userId, fields, { checkSlots } = {}) => {
+  const details = normalizeDetails(fields);
+  const teacher = await assertTeacher(fields.teacher_id);
+
+  const timezone = fields.timezone
+    ? toTimezone(fields.timezone)
+    : (normalizeTimezone(teacher.timezone) || getDefaultTimezone());
+  const startsAt = toZonedDate(fields.scheduled_date, 'scheduled_date', timezone);
+  const recurrence = normalizeRecurrence(fields.recurrence, startsAt, timezone);
+  const now = new Date().toISOString();
+
+  const row = {
+    ...details,
+    ...recurrence,
+    teacher_id: fields.teacher_id,
+    starts_at: startsAt.toISOString(),
+    timezone
+  };
+  const warnings = checkSlots
+    ? await checkSlots(row.teacher_id, generateStarts(row, horizon()), row.duration, {})
+    : [];
+
+  const series = unwrap(
+    await supabase
+      .from('class_series')
+      .insert([{
+        ...row,
+        parent_series_id: null,
+        status: 'active',
+        created_by: userId,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating class series'
+  );
+
+  return { series, warnings };
+};
+
+const countOccurrences = (series, to = new Date(Date.now() + DEFAULT_HORIZON_DAYS * DAY_MS)) => {
+  const bounded = series.count || series.until;
+  return bounded ? generateStarts(series, new Date(8640000000000000)).length : generateStarts(series, to).length;
+};
+
+const listSeries = async ({ teacherId } = {}) => {
+  let query = supabase.from('class_series').select('*, teacher:teacher_id (id, name, email)');
+  if (teacherId) query = query.eq('teacher_id', teacherId);
+
+  const series = unwrap(await query.order('starts_at', { ascending: false }), 'Error fetching class series') || [];
+  return series.map(s => ({
+    ...s,
+    // null for open-ended series
+    total_occurrences: s.count || s.until ? countOccurrences(s) : null
+  }));
+};
+
+// Materialized rows that can still change: in the future and without a video session
+const removableRows = async (seriesId, fromIso) => {
+  const { data: rows } = await supabase
+    .from('classes')
+    .select('id, occurrence_start')
+    .eq('series_id', seriesId)
+    .gte('occurrence_start', fromIso);
+  if (!rows || rows.length === 0) return { removable: [], held: [] };
+
+  const { data: sessions } = await supabase
+    .from('video_sessions')
+    .select('class_id')
+    .in('class_id', rows.map(r => r.id));
+  const heldIds = new Set((sessions || []).map(s => s.class_id));
+
+  return {
+    removable: rows.filter(r => !heldIds.has(r.id)),
+    held: rows.filter(r => heldIds.has(r.id))
+  };
+};
+
+// Pattern changed: occurrences after `fromIso` that were generated by the old pattern go away
+const dropStaleOccurrences = async (seriesId, fromIso) => {
+  const { removable } = await removableRows(seriesId, fromIso);
+  if (removable.length > 0) {
+    await supabase.from('classes').delete().in('id', removable.map(r => r.id));
+  }
+  await supabase
+    .from('class_series_exceptions')
+    .delete()
+    .eq('series_id', seriesId)
+    .gte('occurrence_start', fromIso);
+};
+
+const DETAIL_FIELDS = ['title', 'description', 'duration', 'max_students'];
+
+/**
+ * Edit a series.
+ * @param {object} changes - { title, description, duration, max_students, teacher_id, scheduled_date (new first
+ *   class), timezone, recurrence }. A new timezone keeps the first class at the same instant unless
+ *   scheduled_date is given; later classes follow the new zone's wall clock.
+ * @param {object} scope - { from } occurrence start for "this and following"; without it the whole series changes,
+ *   and checkSlots as for createSeries, called when the times or the teacher change
+ * @returns {object} { series, previous, warnings } where previous is the shortened original when the series was split
+ */
+const updateSeries = async (seriesId, userId, changes = {}, { from, checkSlots } = {}) => {
+  const series = await getSeries(seriesId);
+
+  const details = normalizeDetails(changes, { partial: true });
+  if (changes.teacher_id !== undefined && changes.teacher_id !== series.teacher_id) {
+    await assertTeacher(changes.teacher_id);
+    details.teacher_id = changes.teacher_id;
+  }
+
+  let splitAt = null;
+  if (from !== undefined && from !== null) {
+    splitAt = toDate(from, 'from');
+    if (!isOccurrenceOf(series, splitAt)) {
+      throw new SeriesError('from must be the start of one of the series classes', 400, 'OCCURRENCE_NOT_FOUND');
+    }
+    if (splitAt.getTime() === new Date(series.starts_at).getTime()) splitAt = null;
+  }
+
+  const timezone = changes.timezone !== undefined ? toTimezone(changes.timezone) : series.timezone;
+  const firstStart = changes.scheduled_date !== undefined
+    ? toZonedDate(changes.scheduled_date, 'scheduled_date', timezone)
+    : (splitAt || new Date(series.starts_at));
+
+  const currentRecurrence = {
+    frequency: series.frequency,
+    interval: series.interval,
+    weekdays: series.weekdays,
+    until: series.until,
+    count: series.count
+  };
+
+  // A count-based series keeps its remaining number of classes when it is split
+  const before = splitAt ? generateStarts(series, new Date(splitAt.getTime() - 1)).length : 0;
+  const inherited = splitAt && series.count ? { ...currentRecurrence, count: series.count - before } : currentRecurrence;
+
+  let recurrence = inherited;
+  if (changes.recurrence) {
+    recurrence = normalizeRecurrence(changes.recurrence, firstStart, timezone);
+  } else if (changes.scheduled_date !== undefined && series.weekdays?.length === 1) {
+    // A weekly series on a single day follows the first class to its new weekday
+    recurrence = { ...inherited, weekdays: [getZonedParts(firstStart, timezone).weekday] };
+  }
+
+  const patternChanged = firstStart.getTime() !== (splitAt || new Date(series.starts_at)).getTime()
+    || timezone !== series.timezone
+    || JSON.stringify(recurrence) !== JSON.stringify(inherited);
+
+  let warnings = [];
+  if (checkSlots && (patternChanged || details.teacher_id || details.duration)) {
+    const draft = { ...series, ...details, ...recurrence, starts_at: firstStart.toISOString(), timezone };
+    // The series' own classes are being replaced, so they are not conflicts
+    warnings = await checkSlots(draft.teacher_id, generateStarts(draft, horizon()), draft.duration, { seriesIds: [seriesId] });
+  }
+
+  const now = new Date().toISOString();
+
+  if (!splitAt) {
+    const updated = unwrap(
+      await supabase
+        .from('class_series')
+        .update({ ...details, ...recurrence, starts_at: firstStart.toISOString(), timezone, updated_at: now })
+        .eq('id', seriesId)
+        .select()
+        .single(),
+      'Error updating class series'
+    );
+
+    if (patternChanged) {
+      await dropStaleOccurrences(seriesId, now);
+    }
+    await refreshUpcomingRows(updated, now);
+    return { series: updated, previous: null, warnings };
+  }
+
+  // "This and following": the original ends before the split, a new series takes over from it
+  const previous = unwrap(
+    await supabase
+      .from('class_series')
+      .update(series.count
+        ? { count: before, updated_at: now }
+        : { until: new Date(splitAt.getTime() - 1).toISOString(), updated_at: now })
+      .eq('id', seriesId)
+      .select()
+      .single(),
+    'Error shortening class series'
+  );
+
+  const next = unwrap(
+    await supabase
+      .from('class_series')
+      .insert([{
+        teacher_id: series.teacher_id,
+        title: series.title,
+        description: series.description,
+        duration: series.duration,
+        max_students: series.max_students,
+        ...details,
+        ...recurrence,
+        starts_at: firstStart.toISOString(),
+        timezone,
+        parent_series_id: seriesId,
+        status: 'active',
+        created_by: userId,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating class series'
+  );
+
+  const splitIso = splitAt.toISOString();
+  if (patternChanged) {
+    await dropStaleOccurrences(seriesId, splitIso);
+  } else {
+    await supabase.from('class_series_exceptions').update({ series_id: next.id }).eq('series_id', seriesId).gte('occurrence_start', splitIso);
+  }
+  // Classes from the split on (including held ones) now belong to the new series
+  await supabase.from('classes').update({ series_id: next.id }).eq('series_id', seriesId).gte('occurrence_start', splitIso);
+  await refreshUpcomingRows(next, now);
+
+  return { series: next, previous, warnings };
+};
+
+// Carry series details onto materialized classes that have not happened yet
+const refreshUpcomingRows = async (series, fromIso) => {
+  const { removable } = await removableRows(series.id, fromIso);
+  if (removable.length === 0) return;
+
+  await supabase
+    .from('classes')
+    .update({
+      ...Object.fromEntries(DETAIL_FIELDS.map(field => [field, series[field]])),
+      teacher_id: series.teacher_id,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', removable.map(r => r.id));
+};
+
+/**
+ * Delete a series, or end it before `from`. Classes that already had a video session are kept.
+ * @returns {object} { deleted, ended_at }
+ */
+const deleteSeries = async (seriesId, { from } = {}) => {
+  const series = await getSeries(seriesId);
+  const cutoff = from ? toDate(from, 'from') : null;
+
+  if (cutoff && cutoff.getTime() > new Date(series.starts_at).getTime()) {
+    const before = generateStarts(series, new Date(cutoff.getTime() - 1)).length;
+    await supabase
+      .from('class_series')
+      .update(series.count
+        ? { count: before, updated_at: new Date().toISOString() }
+        : { until: new Date(cutoff.getTime() - 1).toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', seriesId);
+    await dropStaleOccurrences(seriesId, cutoff.toISOString());
+    return { deleted: false, ended_at: cutoff.toISOString() };
+  }
+
+  const { held } = await removableRows(seriesId, new Date(0).toISOString());
+  if (held.length > 0) {
+    // Keep the history: stop the series now instead of deleting it
+    const now = new Date().toISOString();
+    await supabase.from('class_series').update({ until: now, count: null, status: 'ended', updated_at: now }).eq('id', seriesId);
+    await dropStaleOccurrences(seriesId, now);
+    return { deleted: false, ended_at: now };
+  }
+
+  await dropStaleOccurrences(seriesId, new Date(0).toISOString());
+  unwrap(await supabase.from('class_series').delete().eq('id', seriesId), 'Error deleting class series');
+  return { deleted: true, ended_at: null };
+};
+
+// ==================== EXCEPTIONS ====================
+
+/**
+ * Change one occurrence: cancel it, move it, or give it a substitute teacher.
+ * @param {object} fields - { cancelled, scheduled_date, duration, substitute_teacher_id, note }
+ * @param {object} options - { checkSlots } as for createSeries, called when the time or the teacher changes
+ * @returns {object} { occurrence, warnings }
+ */
+const setOccurrenceException = async (seriesId, occurrence, userId, fields = {}, { checkSlots } = {}) => {
+  const series = await getSeries(seriesId);
+  const start = toDate(occurrence, 'occurrence');
+
+  if (!isOccurrenceOf(series, start)) {
+    throw new SeriesError('That class is not part of the series', 404, 'OCCURRENCE_NOT_FOUND');
+  }
+
+  const startIso = start.toISOString();
+  const { data: current } = await supabase
+    .from('class_series_exceptions')
+    .select('*')
+    .eq('series_id', seriesId)
+    .eq('occurrence_start', startIso)
+    .maybeSingle();
+
+  const exception = {
+    cancelled: current?.cancelled || false,
+    scheduled_date: current?.scheduled_date || null,
+    duration: current?.duration || null,
+    substitute_teacher_id: current?.substitute_teacher_id || null,
+    note: current?.note || null
+  };
+
+  if (fields.cancelled !== undefined) exception.cancelled = !!fields.cancelled;
+  if (fields.scheduled_date !== undefined) {
+    if (fields.scheduled_date === null) {
+      exception.scheduled_date = null;
+    } else {
+      const moved = toZonedDate(fields.scheduled_date, 'scheduled_date', series.timezone || 'UTC');
+      if (Math.abs(moved - start) > MAX_MOVE_DAYS * DAY_MS) {
+        throw new SeriesError(`A class can be moved at most ${MAX_MOVE_DAYS} days`, 400, 'INVALID_MOVE');
+      }
+      exception.scheduled_date = moved.toISOString();
+    }
+  }
+  if (fields.duration !== undefined) {
+    exception.duration = fields.duration === null ? null : normalizeDetails({ duration: fields.duration }, { partial: true }).duration;
+  }
+  if (fields.substitute_teacher_id !== undefined) {
+    if (fields.substitute_teacher_id && fields.substitute_teacher_id !== series.teacher_id) {
+      await assertTeacher(fields.substitute_teacher_id, 'substitute teacher');
+      exception.substitute_teacher_id = fields.substitute_teacher_id;
+    } else {
+      exception.substitute_teacher_id = null;
+    }
+  }
+  if (fields.note !== undefined) exception.note = sanitizeInput(fields.note) || null;
+
+  let warnings = [];
+  const rescheduled = ['scheduled_date', 'duration', 'substitute_teacher_id', 'cancelled'].some(key => fields[key] !== undefined);
+  if (checkSlots && rescheduled && !exception.cancelled) {
+    warnings = await checkSlots(
+      exception.substitute_teacher_id || series.teacher_id,
+      [new Date(exception.scheduled_date || startIso)],
+      exception.duration || series.duration,
+      { occurrences: [{ seriesId, start: startIso }] }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const saved = unwrap(
+    await supabase
+      .from('class_series_exceptions')
+      .upsert([{
+        series_id: seriesId,
+        occurrence_start: startIso,
+        ...exception,
+        created_by: current?.created_by || userId,
+        created_at: current?.created_at || now,
+        updated_at: now
+      }], { onConflict: 'series_id,occurrence_start' })
+      .select()
+      .single(),
+    'Error saving class exception'
+  );
+
+  await syncMaterializedRow(series, startIso, saved);
+  return { occurrence: buildOccurrence(series, start, saved, null), warnings };
+};
+
+// Put an occurrence back to what the series says
+const clearOccurrenceException = async (seriesId, occurrence) => {
+  const series = await getSeries(seriesId);
+  const startIso = toDate(occurrence, 'occurrence').toISOString();
+
+  unwrap(
+    await supabase
+      .from('class_series_exceptions')
+      .delete()
+      .eq('series_id', seriesId)
+      .eq('occurrence_start', startIso),
+    'Error removing class exception'
+  );
+
+  await syncMaterializedRow(series, startIso, null);
+};
+
+const syncMaterializedRow = async (series, startIso, exception) => {
+  const { data: row } = await supabase
+    .from('classes')
+    .select('id, status')
+    .eq('series_id', series.id)
+    .eq('occurrence_start', startIso)
+    .maybeSingle();
+  if (!row) return;
+
+  const updates = {
+    scheduled_date: exception?.scheduled_date || startIso,
+    duration: exception?.duration || series.duration,
+    substitute_teacher_id: exception?.substitute_teacher_id || null,
+    updated_at: new Date().toISOString()
+  };
+  // A class that already ran keeps its status
+  if (row.status === 'scheduled' || row.status === 'cancelled') {
+    updates.status = exception?.cancelled ? 'cancelled' : 'scheduled';
+  }
+
+  await supabase.from('classes').update(updates).eq('id', row.id);
+};
+
+export {
+  SeriesError,
+  FREQUENCIES,
+  WEEKDAY_CODES,
+  DEFAULT_HORIZON_DAYS,
+  normalizeRecurrence,
+  legacyRecurrence,
+  parseOccurrenceId,
+  listSeriesOccurrences,
+  mergeClassListing,
+  materializeOccurrence,
+  resolveClassId,
+  getSeries,
+  listSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  setOccurrenceException,
+  clearOccurrenceException
+};
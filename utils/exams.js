@@ -0,0 +1,1449 @@
+// utils/exams.js
+// Exams: question banks, exams built from bank questions, class schedules with time windows,
+// timed student attempts with auto-grading of objective questions, and a grading queue for the rest.
+// Tables:
+//   question_banks (id, owner_id, title, description, created_at, updated_at)
+//   bank_questions (id, bank_id, type multiple_choice|short_answer|recitation, prompt, options jsonb, answer jsonb,
+//                   points, recitation jsonb, archived, created_at, updated_at)
+//   exams (id, teacher_id, created_by, title, description, subject, duration, max_score, rubric_id,
+//          shuffle_questions, draw_count, max_attempts, status draft|published|archived, created_at, updated_at)
+//   exam_questions (id, exam_id, question_id, position, points)   unique (exam_id, question_id)
+//   exam_schedules (id, exam_id, class_id, opens_at, closes_at, created_by, created_at)
+//   exam_attempts (id, exam_id, schedule_id, student_id, attempt_number, questions jsonb, started_at, deadline_at,
+//                  submitted_at, status in_progress|submitted|graded, total_points, max_points, score, max_score,
+//                  graded_at)   unique (exam_id, student_id, attempt_number)
+//   exam_answers (id, attempt_id, question_id, answer jsonb, recitation_id, is_correct, points_awarded,
+//                 needs_grading, rubric_scores, feedback, graded_by, graded_at, updated_at)   unique (attempt_id, question_id)
+// bank_questions.answer: multiple_choice { correct: [option keys] }, short_answer { accepted: [texts] } (empty means
+// graded by hand), recitation null (always graded by hand, with the exam's rubric when it has one).
+// Attempts keep a snapshot of their questions, so editing a bank never changes an exam already taken.
+
+import crypto from 'crypto';
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { getSurah, validateAyahRange } from './quranMeta.js';
+import { getUsableRubric, getRubric, scoreWithRubric } from './rubrics.js';
+import { storeRecitation, getRecitation, discardRecitation } from './recitations.js';
+import { resolveClassId } from './classSeries.js';
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer', 'recitation'];
+const MAX_OPTIONS = 10;
+const MAX_PROMPT_LENGTH = 2000;
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+const MAX_DURATION_MINUTES = 600;
+
+// Answers saved this long after the deadline still count, to absorb network latency
+const SUBMIT_GRACE_SECONDS = 30;
+
+class ExamError extends Error {
+  constructor(message, status = 400, code = 'EXAM_ERROR') {
+    super(message);
+    this.name = 'ExamError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new ExamError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const isAdminUser = (user) => user?.role === 'admin';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toPositiveInt = (value, field, { min = 1, max = Infinity } = {}) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new ExamError(`${field} must be a whole number ${range}`, 400, 'INVALID_FIELD');
+  }
+  return number;
+};
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ExamError(`${field} must be a valid date`, 400, 'INVALID_DATE');
+  }
+  return date;
+};
+
+// Comparison form of a short answer: case, spacing and Arabic harakat are ignored
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFKC')
+  .replace(/[\u064B-\u0652\u0670\u0640]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+// ==================== QUESTIONS ====================
+
+/**
+ * Validate a bank question from a request body.
+ * @param {object} input - { type, prompt, points, options, correct, accepted, surah, ayah_from, ayah_to }
+ *   options may be strings or { key, text }; keys default to a, b, c...
+ */
+const normalizeQuestion = (input = {}) => {
+  if (!QUESTION_TYPES.includes(input.type)) {
+    throw new ExamError(`type must be one of: ${QUESTION_TYPES.join(', ')}`, 400, 'INVALID_QUESTION');
+  }
+
+  const prompt = sanitizeInput(input.prompt);
+  if (!prompt) {
+    throw new ExamError('Question prompt is required', 400, 'INVALID_QUESTION');
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    throw new ExamError(`Question prompt must be at most ${MAX_PROMPT_LENGTH} characters`, 400, 'INVALID_QUESTION');
+  }
+
+  const points = Number(input.points ?? 1);
+  if (!Number.isFinite(points) || points <= 0) {
+    throw new ExamError('points must be a positive number', 400, 'INVALID_QUESTION');
+  }
+
+  const question = { type: input.type, prompt, points, options: null, answer: null, recitation: null };
+
+  if (input.type === 'multiple_choice') {
+    const options = Array.isArray(input.options) ? input.options : [];
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      throw new ExamError(`A multiple choice question needs 2 to ${MAX_OPTIONS} options`, 400, 'INVALID_OPTIONS');
+    }
+
+    question.options = options.map((option, index) => {
+      const text = sanitizeInput(typeof option === 'string' ? option : option?.text);
+      if (!text) {
+        throw new ExamError(`Option ${index + 1} needs text`, 400, 'INVALID_OPTIONS');
+      }
+      const key = String((typeof option === 'object' && option?.key) || String.fromCharCode(97 + index)).trim();
+      return { key, text };
+    });
+
+    const keys = question.options.map(o => o.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new ExamError('Option keys must be unique', 400, 'INVALID_OPTIONS');
+    }
+
+    const rawCorrect = input.correct ?? input.answer?.correct;
+    const correct = [...new Set((Array.isArray(rawCorrect) ? rawCorrect : [rawCorrect]).filter(k => k !== undefined && k !== null).map(String))];
+    if (correct.length === 0 || correct.some(key => !keys.includes(key))) {
+      throw new ExamError('correct must list one or more of the option keys', 400, 'INVALID_ANSWER');
+    }
+    question.answer = { correct };
+  }
+
+  if (input.type === 'short_answer') {
+    const rawAccepted = input.accepted ?? input.answer?.accepted ?? [];
+    const accepted = (Array.isArray(rawAccepted) ? rawAccepted : [rawAccepted])
+      .map(text => sanitizeInput(String(text ?? '')))
+      .filter(Boolean);
+    question.answer = { accepted };
+  }
+
+  if (input.type === 'recitation') {
+    const passage = input.recitation || input;
+    if (passage.surah !== undefined && passage.surah !== null) {
+      const surah = Number(passage.surah);
+      const ayahFrom = Number(passage.ayah_from ?? 1);
+      const ayahTo = Number(passage.ayah_to ?? getSurah(surah)?.ayahs ?? ayahFrom);
+      const rangeError = validateAyahRange(surah, ayahFrom, ayahTo);
+      if (rangeError) {
+        throw new ExamError(rangeError, 400, 'INVALID_AYAH');
+      }
+      question.recitation = { surah, surah_name: getSurah(surah).name, ayah_from: ayahFrom, ayah_to: ayahTo };
+    }
+  }
+
+  return question;
+};
+
+// What a student sees of a question: no answer key
+const publicQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  prompt: question.prompt,
+  points: question.points,
+  options: question.options,
+  multiple: question.type === 'multiple_choice' ? (question.answer?.correct?.length || 0) > 1 : undefined,
+  recitation: question.recitation
+});
+
+// ==================== QUESTION BANKS ====================
+
+const getManagedBank = async (bankId, user) => {
+  const { data: bank } = await supabase
+    .from('question_banks')
+    .select('*')
+    .eq('id', bankId)
+    .maybeSingle();
+
+  if (!bank || (bank.owner_id !== user.id && !isAdminUser(user))) {
+    throw new ExamError('Question bank not found', 404, 'BANK_NOT_FOUND');
+  }
+  return bank;
+};
+
+const listBanks = async (user) => {
+  let query = supabase.from('question_banks').select('*');
+  if (!isAdminUser(user)) query = query.eq('owner_id', user.id);
+
+  const banks = unwrap(await query.order('title'), 'Error fetching question banks') || [];
+  if (banks.length === 0) return [];
+
+  const questions = unwrap(
+    await supabase
+      .from('bank_questions')
+      .select('id, bank_id, type')
+      .in('bank_id', banks.map(b => b.id))
+      .eq('archived', false),
+    'Error fetching bank questions'
+  ) || [];
+
+  return banks.map(bank => {
+    const own = questions.filter(q => q.bank_id === bank.id);
+    return {
+      ...bank,
+      question_count: own.length,
+      types: QUESTION_TYPES.reduce((acc, type) => ({ ...acc, [type]: own.filter(q => q.type === type).length }), {})
+    };
+  });
+};
+
+const createBank = async (user, { title, description = null }) => {
+  const bankTitle = sanitizeInput(title);
+  if (!bankTitle) {
+    throw new ExamError('Question bank title is required', 400, 'TITLE_REQUIRED');
+  }
+
+  const now = new Date().toISOString();
+  return unwrap(
+    await supabase
+      .from('question_banks')
+      .insert([{
+        owner_id: user.id,
+        title: bankTitle,
+        description: sanitizeInput(description) || null,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating question bank'
+  );
+};
+
+const updateBank = async (bankId, user, { title, description }) => {
+  await getManagedBank(bankId, user);
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (title !== undefined) {
+    updates.title = sanitizeInput(title);
+    if (!updates.title) throw new ExamError('Question bank title is required', 400, 'TITLE_REQUIRED');
+  }
+  if (description !== undefined) updates.description = sanitizeInput(description) || null;
+
+  return unwrap(
+    await supabase.from('question_banks').update(updates).eq('id', bankId).select().single(),
+    'Error updating question bank'
+  );
+};
+
+const getBankWithQuestions = async (bankId, user, { includeArchived = false } = {}) => {
+  const bank = await getManagedBank(bankId, user);
+
+  let query = supabase.from('bank_questions').select('*').eq('bank_id', bankId);
+  if (!includeArchived) query = query.eq('archived', false);
+
+  const questions = unwrap(await query.order('created_at'), 'Error fetching bank questions') || [];
+  return { ...bank, questions };
+};
+
+const addBankQuestions = async (bankId, user, inputs) => {
+  await getManagedBank(bankId, user);
+
+  const list = Array.isArray(inputs) ? inputs : [inputs];
+  if (list.length === 0) {
+    throw new ExamError('At least one question is required', 400, 'NO_QUESTIONS');
+  }
+
+  const now = new Date().toISOString();
+  const rows = list.map(input => ({
+    ...normalizeQuestion(input),
+    bank_id: bankId,
+    archived: false,
+    created_at: now,
+    updated_at: now
+  }));
+
+  return unwrap(
+    await supabase.from('bank_questions').insert(rows).select(),
+    'Error saving questions'
+  ) || [];
+};
+
+const getManagedQuestion = async (questionId, user) => {
+  const { data: question } = await supabase
+    .from('bank_questions')
+    .select('*')
+    .eq('id', questionId)
+    .maybeSingle();
+
+  if (!question) {
+    throw new ExamError('Question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+  await getManagedBank(question.bank_id, user);
+  return question;
+};
+
+// Partial update; attempts already started keep the version they were given
+const updateBankQuestion = async (questionId, user, input) => {
+  const current = await getManagedQuestion(questionId, user);
+
+  const merged = normalizeQuestion({
+    type: current.type,
+    prompt: current.prompt,
+    points: current.points,
+    options: current.options,
+    correct: current.answer?.correct,
+    accepted: current.answer?.accepted,
+    recitation: current.recitation,
+    ...input,
+    ...(input.answer ? { correct: undefined, accepted: undefined } : {})
+  });
+
+  return unwrap(
+    await supabase
+      .from('bank_questions')
+      .update({ ...merged, updated_at: new Date().toISOString() })
+      .eq('id', questionId)
+      .select()
+      .single(),
+    'Error updating question'
+  );
+};
+
+// Archived questions stay on exams that already use them but can't be added to new ones
+const archiveBankQuestion = async (questionId, user) => {
+  await getManagedQuestion(questionId, user);
+  return unwrap(
+    await supabase
+      .from('bank_questions')
+      .update({ archived: true, updated_at: new Date().toISOString() })
+      .eq('id', questionId)
+      .select()
+      .single(),
+    'Error archiving question'
+  );
+};
+
+// ==================== EXAMS ====================
+
+const EDITABLE_EXAM_FIELDS = [
+  'title', 'description', 'subject', 'duration', 'max_score',
+  'rubric_id', 'shuffle_questions', 'draw_count', 'max_attempts'
+];
+
+const normalizeExamFields = async (fields, rubricOwnerId) => {
+  const exam = {};
+
+  if (fields.title !== undefined) {
+    exam.title = sanitizeInput(fields.title);
+    if (!exam.title) throw new ExamError('Exam title is required', 400, 'TITLE_REQUIRED');
+  }
+  if (fields.description !== undefined) exam.description = sanitizeInput(fields.description) || null;
+  if (fields.subject !== undefined) exam.subject = sanitizeInput(fields.subject) || null;
+  if (fields.duration !== undefined) {
+    exam.duration = toPositiveInt(fields.duration, 'duration (minutes)', { max: MAX_DURATION_MINUTES });
+  }
+  if (fields.max_score !== undefined) {
+    exam.max_score = Number(fields.max_score);
+    if (!Number.isFinite(exam.max_score) || exam.max_score <= 0) {
+      throw new ExamError('max_score must be a positive number', 400, 'INVALID_FIELD');
+    }
+  }
+  if (fields.max_attempts !== undefined) {
+    exam.max_attempts = toPositiveInt(fields.max_attempts, 'max_attempts', { max: 10 });
+  }
+  if (fields.draw_count !== undefined) {
+    exam.draw_count = fields.draw_count === null ? null : toPositiveInt(fields.draw_count, 'draw_count');
+  }
+  if (fields.shuffle_questions !== undefined) exam.shuffle_questions = !!fields.shuffle_questions;
+  if (fields.rubric_id !== undefined) {
+    exam.rubric_id = fields.rubric_id || null;
+    if (exam.rubric_id) await getUsableRubric(exam.rubric_id, rubricOwnerId);
+  }
+
+  return exam;
+};
+
+const hasAttempts = async (examId) => {
+  const { count } = await supabase
+    .from('exam_attempts')
+    .select('id', { count: 'exact', head: true })
+    .eq('exam_id', examId);
+  return (count || 0) > 0;
+};
+
+const getExam = async (examId) => {
+  const { data } = await supabase
+    .from('exams')
+    .select('*')
+    .eq('id', examId)
+    .maybeSingle();
+  return data;
+};
+
+// Admins manage every exam, teachers the exams they own
+const getManagedExam = async (examId, user) => {
+  const exam = await getExam(examId);
+  if (!exam || (!isAdminUser(user) && exam.teacher_id !== user.id)) {
+    throw new ExamError('Exam not found', 404, 'EXAM_NOT_FOUND');
+  }
+  return exam;
+};
+
+/**
+ * Create a draft exam.
+ * @param {object} user - Author (teacher or admin)
+ * @param {object} fields - { title, description, subject, duration, max_score, rubric_id, shuffle_questions,
+ *   draw_count, max_attempts, teacher_id (admins only: the teacher who owns and grades the exam) }
+ */
+const createExam = async (user, fields = {}) => {
+  let teacherId = user.id;
+
+  if (isAdminUser(user)) {
+    teacherId = fields.teacher_id || null;
+    if (teacherId) {
+      const { data: teacher } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('id', teacherId)
+        .eq('role', 'teacher')
+        .maybeSingle();
+      if (!teacher) throw new ExamError('Teacher not found', 404, 'TEACHER_NOT_FOUND');
+    }
+  }
+
+  if (fields.duration === undefined) {
+    throw new ExamError('duration (minutes) is required', 400, 'INVALID_FIELD');
+  }
+
+  const normalized = await normalizeExamFields({ max_score: 100, max_attempts: 1, ...fields }, teacherId || user.id);
+  if (!normalized.title) throw new ExamError('Exam title is required', 400, 'TITLE_REQUIRED');
+
+  const now = new Date().toISOString();
+  return unwrap(
+    await supabase
+      .from('exams')
+      .insert([{
+        description: null,
+        subject: null,
+        rubric_id: null,
+        shuffle_questions: false,
+        draw_count: null,
+        ...normalized,
+        teacher_id: teacherId,
+        created_by: user.id,
+        status: 'draft',
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating exam'
+  );
+};
+
+const updateExam = async (examId, user, fields = {}) => {
+  const exam = await getManagedExam(examId, user);
+
+  const picked = Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => EDITABLE_EXAM_FIELDS.includes(key) && value !== undefined)
+  );
+  const updates = await normalizeExamFields(picked, exam.teacher_id || user.id);
+
+  // Scoring can't change under students who have already taken the exam
+  const scoringChanged = ['max_score', 'rubric_id', 'draw_count'].some(key => key in updates && updates[key] !== exam[key]);
+  if (scoringChanged && await hasAttempts(examId)) {
+    throw new ExamError('max_score, rubric_id and draw_count are locked once students have taken the exam', 409, 'EXAM_LOCKED');
+  }
+
+  if (fields.status !== undefined) {
+    if (!['draft', 'published', 'archived'].includes(fields.status)) {
+      throw new ExamError('status must be draft, published or archived', 400, 'INVALID_STATUS');
+    }
+    updates.status = fields.status;
+  }
+
+  return unwrap(
+    await supabase
+      .from('exams')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', examId)
+      .select()
+      .single(),
+    'Error updating exam'
+  );
+};
+
+// Exams without attempts are removed; exams with attempts are archived so results survive
+const deleteExam = async (examId, user) => {
+  await getManagedExam(examId, user);
+
+  if (await hasAttempts(examId)) {
+    await updateExam(examId, user, { status: 'archived' });
+    return { archived: true };
+  }
+
+  unwrap(await supabase.from('exam_schedules').delete().eq('exam_id', examId), 'Error deleting exam schedules');
+  unwrap(await supabase.from('exam_questions').delete().eq('exam_id', examId), 'Error deleting exam questions');
+  unwrap(await supabase.from('exams').delete().eq('id', examId), 'Error deleting exam');
+  return { archived: false };
+};
+
+// Exam questions in order, merged with their bank question and the exam's points override
+const getExamQuestions = async (examId) => {
+  const links = unwrap(
+    await supabase
+      .from('exam_questions')
+      .select('*')
+      .eq('exam_id', examId)
+      .order('position', { ascending: true }),
+    'Error fetching exam questions'
+  ) || [];
+  if (links.length === 0) return [];
+
+  const questions = unwrap(
+    await supabase.from('bank_questions').select('*').in('id', links.map(l => l.question_id)),
+    'Error fetching bank questions'
+  ) || [];
+
+  return links
+    .map(link => {
+      const question = questions.find(q => q.id === link.question_id);
+      return question ? { ...question, position: link.position, points: link.points ?? question.points } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Replace the exam's question list.
+ * @param {Array} items - Question ids, or { question_id, points } to override the bank points
+ */
+const setExamQuestions = async (examId, user, items) => {
+  const exam = await getManagedExam(examId, user);
+
+  if (!Array.isArray(items)) {
+    throw new ExamError('questions must be an array of question ids', 400, 'INVALID_QUESTIONS');
+  }
+  if (await hasAttempts(examId)) {
+    throw new ExamError('Questions are locked once students have taken the exam', 409, 'EXAM_LOCKED');
+  }
+
+  const entries = items.map(item => (typeof item === 'object' ? item : { question_id: item }));
+  const ids = entries.map(e => e.question_id);
+  if (ids.some(id => !id) || new Set(ids).size !== ids.length) {
+    throw new ExamError('Each question can appear once', 400, 'INVALID_QUESTIONS');
+  }
+
+  const questions = ids.length > 0
+    ? unwrap(await supabase.from('bank_questions').select('*').in('id', ids), 'Error fetching bank questions') || []
+    : [];
+
+  const bankIds = [...new Set(questions.map(q => q.bank_id))];
+  const banks = bankIds.length > 0
+    ? unwrap(await supabase.from('question_banks').select('id, owner_id').in('id', bankIds), 'Error fetching question banks') || []
+    : [];
+
+  // Questions come from the author's banks (or the exam owner's, when an admin builds it)
+  const usable = (question) => {
+    const bank = banks.find(b => b.id === question.bank_id);
+    return bank && !question.archived && (isAdminUser(user) || bank.owner_id === user.id || bank.owner_id === exam.teacher_id);
+  };
+
+  const missing = ids.filter(id => !questions.some(q => q.id === id && usable(q)));
+  if (missing.length > 0) {
+    throw new ExamError(`Questions not found or archived: ${missing.join(', ')}`, 400, 'INVALID_QUESTIONS');
+  }
+
+  if (exam.draw_count && exam.draw_count > ids.length) {
+    throw new ExamError(`The exam draws ${exam.draw_count} questions but only ${ids.length} were given`, 400, 'INVALID_QUESTIONS');
+  }
+
+  const rows = entries.map((entry, index) => {
+    const points = entry.points === undefined || entry.points === null ? null : Number(entry.points);
+    if (points !== null && (!Number.isFinite(points) || points <= 0)) {
+      throw new ExamError('points must be a positive number', 400, 'INVALID_QUESTIONS');
+    }
+    return { exam_id: examId, question_id: entry.question_id, position: index + 1, points };
+  });
+
+  unwrap(await supabase.from('exam_questions').delete().eq('exam_id', examId), 'Error clearing exam questions');
+  if (rows.length > 0) {
+    unwrap(await supabase.from('exam_questions').insert(rows), 'Error saving exam questions');
+  }
+
+  return getExamQuestions(examId);
+};
+
+const listSchedules = async (examIds) => {
+  if (examIds.length === 0) return [];
+  return unwrap(
+    await supabase
+      .from('exam_schedules')
+      .select('*, class:class_id (id, title, teacher_id)')
+      .in('exam_id', examIds)
+      .order('opens_at', { ascending: true }),
+    'Error fetching exam schedules'
+  ) || [];
+};
+
+const windowState = (schedule, now = new Date()) => {
+  if (now < new Date(schedule.opens_at)) return 'upcoming';
+  if (now > new Date(schedule.closes_at)) return 'closed';
+  return 'open';
+};
+
+const listExams = async (user, { status } = {}) => {
+  let query = supabase.from('exams').select('*');
+  if (!isAdminUser(user)) query = query.eq('teacher_id', user.id);
+  if (status) query = query.eq('status', status);
+
+  const exams = unwrap(await query.order('created_at', { ascending: false }), 'Error fetching exams') || [];
+  if (exams.length === 0) return [];
+
+  const examIds = exams.map(e => e.id);
+  const [links, schedules, attempts] = await Promise.all([
+    supabase.from('exam_questions').select('exam_id').in('exam_id', examIds),
+    listSchedules(examIds),
+    supabase.from('exam_attempts').select('exam_id, status').in('exam_id', examIds)
+  ]);
+
+  return exams.map(exam => {
+    const examAttempts = (attempts.data || []).filter(a => a.exam_id === exam.id);
+    return {
+      ...exam,
+      question_count: (links.data || []).filter(l => l.exam_id === exam.id).length,
+      schedules: schedules
+        .filter(s => s.exam_id === exam.id)
+        .map(s => ({ ...s, window: windowState(s) })),
+      attempt_count: examAttempts.length,
+      needs_grading_count: examAttempts.filter(a => a.status === 'submitted').length
+    };
+  });
+};
+
+// Full exam for its authors, answer keys included
+const getExamDetail = async (examId, user) => {
+  const exam = await getManagedExam(examId, user);
+  const [questions, schedules] = await Promise.all([getExamQuestions(examId), listSchedules([examId])]);
+
+  return {
+    ...exam,
+    total_points: round2(questions.reduce((sum, q) => sum + Number(q.points), 0)),
+    questions,
+    schedules: schedules.map(s => ({ ...s, window: windowState(s) })),
+    locked: await hasAttempts(examId)
+  };
+};
+
+// ==================== SCHEDULES ====================
+
+/**
+ * Open the exam to a class for a time window, publishing it.
+ * @param {object} fields - { class_id, opens_at, closes_at }
+ */
+const scheduleExam = async (examId, user, { class_id, opens_at, closes_at } = {}) => {
+  const exam = await getManagedExam(examId, user);
+
+  if (exam.status === 'archived') {
+    throw new ExamError('Archived exams can not be scheduled', 409, 'EXAM_ARCHIVED');
+  }
+  if (!class_id) {
+    throw new ExamError('class_id is required', 400, 'CLASS_REQUIRED');
+  }
+
+  const { data: classRow } = await supabase
+    .from('classes')
+    .select('id, teacher_id')
+    .eq('id', await resolveClassId(class_id))
+    .maybeSingle();
+
+  // A teacher's exam goes to that teacher's classes; admins may schedule any class for an unowned exam
+  const allowedTeacher = exam.teacher_id || (isAdminUser(user) ? null : user.id);
+  if (!classRow || (allowedTeacher && classRow.teacher_id !== allowedTeacher)) {
+    throw new ExamError('Class not found', 404, 'CLASS_NOT_FOUND');
+  }
+
+  const opensAt = toDate(opens_at, 'opens_at');
+  const closesAt = toDate(closes_at, 'closes_at');
+  if (closesAt <= opensAt) {
+    throw new ExamError('closes_at must be after opens_at', 400, 'INVALID_WINDOW');
+  }
+  if (closesAt <= new Date()) {
+    throw new ExamError('The exam window has already closed', 400, 'INVALID_WINDOW');
+  }
+
+  const questions = await getExamQuestions(examId);
+  if (questions.length === 0) {
+    throw new ExamError('Add questions to the exam before scheduling it', 409, 'NO_QUESTIONS');
+  }
+
+  const schedule = unwrap(
+    await supabase
+      .from('exam_schedules')
+      .insert([{
+        exam_id: examId,
+        class_id: classRow.id,
+        opens_at: opensAt.toISOString(),
+        closes_at: closesAt.toISOString(),
+        created_by: user.id,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single(),
+    'Error scheduling exam'
+  );
+
+  if (exam.status !== 'published') {
+    await supabase
+      .from('exams')
+      .update({ status: 'published', updated_at: new Date().toISOString() })
+      .eq('id', examId);
+  }
+
+  return { ...schedule, window: windowState(schedule) };
+};
+
+const deleteSchedule = async (examId, scheduleId, user) => {
+  await getManagedExam(examId, user);
+
+  const { count } = await supabase
+    .from('exam_attempts')
+    .select('id', { count: 'exact', head: true })
+    .eq('schedule_id', scheduleId);
+
+  if ((count || 0) > 0) {
+    throw new ExamError('Students have already taken the exam in this window', 409, 'SCHEDULE_IN_USE');
+  }
+
+  const data = unwrap(
+    await supabase.from('exam_schedules').delete().eq('id', scheduleId).eq('exam_id', examId).select(),
+    'Error deleting exam schedule'
+  );
+  if (!data || data.length === 0) {
+    throw new ExamError('Schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+  }
+};
+
+// ==================== ATTEMPTS ====================
+
+// Classes a student sits in: explicit enrollments plus every class of their teacher
+const studentClassIds = async (studentId) => {
+  const [{ data: enrollments }, { data: profile }] = await Promise.all([
+    supabase.from('students_classes').select('class_id').eq('student_id', studentId),
+    supabase.from('profiles').select('teacher_id').eq('id', studentId).maybeSingle()
+  ]);
+
+  const ids = new Set((enrollments || []).map(e => e.class_id));
+  if (profile?.teacher_id) {
+    const { data: classes } = await supabase.from('classes').select('id').eq('teacher_id', profile.teacher_id);
+    (classes || []).forEach(c => ids.add(c.id));
+  }
+  return [...ids];
+};
+
+const isExpired = (attempt, now = new Date()) =>
+  now.getTime() > new Date(attempt.deadline_at).getTime() + SUBMIT_GRACE_SECONDS * 1000;
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Grade objective answers; free text without accepted answers and recitations wait for a teacher
+const autoGrade = (question, answer) => {
+  const hasAnswer = answer && ((answer.answer !== null && answer.answer !== undefined) || answer.recitation_id);
+  if (!hasAnswer) {
+    return { is_correct: false, points_awarded: 0, needs_grading: false };
+  }
+
+  if (question.type === 'multiple_choice') {
+    const given = [...new Set((answer.answer || []).map(String))].sort();
+    const correct = [...question.answer.correct].sort();
+    const isCorrect = given.length === correct.length && given.every((key, i) => key === correct[i]);
+    return { is_correct: isCorrect, points_awarded: isCorrect ? question.points : 0, needs_grading: false };
+  }
+
+  if (question.type === 'short_answer' && question.answer?.accepted?.length > 0) {
+    const given = normalizeText(answer.answer);
+    const isCorrect = question.answer.accepted.some(text => normalizeText(text) === given);
+    return { is_correct: isCorrect, points_awarded: isCorrect ? question.points : 0, needs_grading: false };
+  }
+
+  return { is_correct: null, points_awarded: null, needs_grading: true };
+};
+
+const getAttemptAnswers = async (attemptId) => unwrap(
+  await supabase.from('exam_answers').select('*').eq('attempt_id', attemptId),
+  'Error fetching exam answers'
+) || [];
+
+// Totals from the answers; the attempt is graded once nothing is waiting for a teacher
+const recomputeAttempt = async (attempt) => {
+  const answers = await getAttemptAnswers(attempt.id);
+  const totalPoints = round2(answers.reduce((sum, a) => sum + Number(a.points_awarded || 0), 0));
+  const pending = answers.some(a => a.needs_grading);
+  const maxPoints = Number(attempt.max_points) || 0;
+
+  const updates = {
+    total_points: totalPoints,
+    score: maxPoints > 0 ? round2((totalPoints / maxPoints) * Number(attempt.max_score)) : 0,
+    status: pending ? 'submitted' : 'graded',
+    graded_at: pending ? null : new Date().toISOString()
+  };
+
+  return unwrap(
+    await supabase.from('exam_attempts').update(updates).eq('id', attempt.id).select().single(),
+    'Error updating exam attempt'
+  );
+};
+
+// Close an attempt: every question gets an answer row, objective ones are graded
+const finalizeAttempt = async (attempt, submittedAt = new Date()) => {
+  // Only the first close wins when a submit races the expiry sweep
+  const { data: closed } = await supabase
+    .from('exam_attempts')
+    .update({ status: 'submitted', submitted_at: submittedAt.toISOString() })
+    .eq('id', attempt.id)
+    .eq('status', 'in_progress')
+    .select()
+    .maybeSingle();
+
+  if (!closed) {
+    const { data: current } = await supabase.from('exam_attempts').select('*').eq('id', attempt.id).single();
+    return current;
+  }
+
+  const answers = await getAttemptAnswers(attempt.id);
+  const now = new Date().toISOString();
+
+  const rows = closed.questions.map(question => {
+    const answer = answers.find(a => a.question_id === question.id);
+    return {
+      attempt_id: attempt.id,
+      question_id: question.id,
+      answer: answer?.answer ?? null,
+      recitation_id: answer?.recitation_id ?? null,
+      ...autoGrade(question, answer),
+      updated_at: now
+    };
+  });
+
+  unwrap(
+    await supabase.from('exam_answers').upsert(rows, { onConflict: 'attempt_id,question_id' }),
+    'Error grading exam answers'
+  );
+
+  const updated = await recomputeAttempt(closed);
+  console.log(`📝 Exam attempt ${attempt.id} closed: ${updated.total_points}/${updated.max_points} (${updated.status})`);
+  return updated;
+};
+
+// Attempts left running past their deadline are closed when next looked at
+const finalizeIfExpired = async (attempt) => {
+  if (attempt.status === 'in_progress' && isExpired(attempt)) {
+    return finalizeAttempt(attempt, new Date(attempt.deadline_at));
+  }
+  return attempt;
+};
+
+const finalizeExpiredAttempts = async (examIds) => {
+  if (examIds.length === 0) return;
+  const { data: running } = await supabase
+    .from('exam_attempts')
+    .select('*')
+    .in('exam_id', examIds)
+    .eq('status', 'in_progress');
+
+  for (const attempt of running || []) {
+    await finalizeIfExpired(attempt);
+  }
+};
+
+// The schedule of the exam a student can use right now, or the next one coming up
+const findStudentSchedule = async (examId, studentId) => {
+  const classIds = await studentClassIds(studentId);
+  if (classIds.length === 0) return null;
+
+  const schedules = (await listSchedules([examId])).filter(s => classIds.includes(s.class_id));
+  const now = new Date();
+  return schedules.find(s => windowState(s, now) === 'open')
+    || schedules.find(s => windowState(s, now) === 'upcoming')
+    || schedules[schedules.length - 1]
+    || null;
+};
+
+const listStudentAttempts = async (examId, studentId) => {
+  const attempts = unwrap(
+    await supabase
+      .from('exam_attempts')
+      .select('*')
+      .eq('exam_id', examId)
+      .eq('student_id', studentId)
+      .order('attempt_number', { ascending: true }),
+    'Error fetching exam attempts'
+  ) || [];
+
+  return Promise.all(attempts.map(finalizeIfExpired));
+};
+
+// Published exams scheduled to the student's classes, with the window and the student's attempts
+const listStudentExams = async (studentId) => {
+  const classIds = await studentClassIds(studentId);
+  if (classIds.length === 0) return [];
+
+  const schedules = unwrap(
+    await supabase
+      .from('exam_schedules')
+      .select('*, class:class_id (id, title, teacher:teacher_id (name))')
+      .in('class_id', classIds)
+      .order('opens_at', { ascending: true }),
+    'Error fetching exam schedules'
+  ) || [];
+  if (schedules.length === 0) return [];
+
+  const exams = unwrap(
+    await supabase
+      .from('exams')
+      .select('id, title, description, subject, duration, max_score, max_attempts, status')
+      .in('id', [...new Set(schedules.map(s => s.exam_id))])
+      .eq('status', 'published'),
+    'Error fetching exams'
+  ) || [];
+
+  const { data: attempts } = await supabase
+    .from('exam_attempts')
+    .select('*')
+    .eq('student_id', studentId)
+    .in('exam_id', exams.map(e => e.id));
+
+  const now = new Date();
+  const result = [];
+  for (const schedule of schedules) {
+    const exam = exams.find(e => e.id === schedule.exam_id);
+    if (!exam) continue;
+
+    const own = await Promise.all((attempts || []).filter(a => a.exam_id === exam.id).map(finalizeIfExpired));
+    const running = own.find(a => a.status === 'in_progress');
+    const graded = own.filter(a => a.status === 'graded');
+    const state = windowState(schedule, now);
+
+    result.push({
+      ...exam,
+      schedule_id: schedule.id,
+      date: schedule.opens_at,
+      opens_at: schedule.opens_at,
+      closes_at: schedule.closes_at,
+      window: state,
+      class: schedule.class || null,
+      attempts_used: own.length,
+      attempts_allowed: exam.max_attempts,
+      in_progress_attempt_id: running?.id || null,
+      can_start: state === 'open' && !running && own.length < exam.max_attempts,
+      best_score: graded.length > 0 ? Math.max(...graded.map(a => Number(a.score))) : null,
+      awaiting_grading: own.some(a => a.status === 'submitted')
+    });
+  }
+  return result;
+};
+
+/**
+ * Start (or resume) a timed attempt.
+ * The deadline is the exam duration from now, cut short by the end of the window.
+ * @returns {object} { attempt, resumed }
+ */
+const startAttempt = async (examId, studentId) => {
+  const exam = await getExam(examId);
+  const schedule = exam && exam.status === 'published' ? await findStudentSchedule(examId, studentId) : null;
+  if (!schedule) {
+    throw new ExamError('Exam not found', 404, 'EXAM_NOT_FOUND');
+  }
+
+  const state = windowState(schedule);
+  if (state !== 'open') {
+    throw new ExamError(
+      state === 'upcoming' ? `The exam opens at ${schedule.opens_at}` : 'The exam window has closed',
+      403,
+      state === 'upcoming' ? 'EXAM_NOT_OPEN' : 'EXAM_CLOSED'
+    );
+  }
+
+  const attempts = await listStudentAttempts(examId, studentId);
+  const running = attempts.find(a => a.status === 'in_progress');
+  if (running) {
+    return { attempt: running, resumed: true };
+  }
+  if (attempts.length >= exam.max_attempts) {
+    throw new ExamError(`All ${exam.max_attempts} attempt(s) have been used`, 409, 'MAX_ATTEMPTS_REACHED');
+  }
+
+  const examQuestions = await getExamQuestions(examId);
+  if (examQuestions.length === 0) {
+    throw new ExamError('Exam has no questions', 409, 'NO_QUESTIONS');
+  }
+
+  let questions = exam.draw_count ? shuffle(examQuestions).slice(0, exam.draw_count) : examQuestions;
+  if (exam.shuffle_questions) questions = shuffle(questions);
+
+  const startedAt = new Date();
+  const deadline = new Date(Math.min(
+    startedAt.getTime() + exam.duration * 60 * 1000,
+    new Date(schedule.closes_at).getTime()
+  ));
+
+  const { data: attempt, error } = await supabase
+    .from('exam_attempts')
+    .insert([{
+      exam_id: examId,
+      schedule_id: schedule.id,
+      student_id: studentId,
+      attempt_number: attempts.length + 1,
+      questions: questions.map(({ id, type, prompt, options, answer, points, recitation }) => ({
+        id, type, prompt, options, answer, points: Number(points), recitation
+      })),
+      started_at: startedAt.toISOString(),
+      deadline_at: deadline.toISOString(),
+      status: 'in_progress',
+      total_points: null,
+      max_points: round2(questions.reduce((sum, q) => sum + Number(q.points), 0)),
+      score: null,
+      max_score: exam.max_score
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    // Unique (exam_id, student_id, attempt_number): the same start sent twice
+    if (error.code === '23505') {
+      throw new ExamError('An attempt was just started, reload the exam', 409, 'CONCURRENT_ATTEMPT');
+    }
+    unwrap({ error }, 'Error starting exam attempt');
+  }
+
+  console.log(`📝 Student ${studentId} started attempt ${attempt.attempt_number} of exam ${examId}`);
+  return { attempt, resumed: false };
+};
+
+const getOwnAttempt = async (examId, attemptId, studentId) => {
+  const { data: attempt } = await supabase
+    .from('exam_attempts')
+    .select('*')
+    .eq('id', attemptId)
+    .eq('exam_id', examId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (!attempt) {
+    throw new ExamError('Attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+  return finalizeIfExpired(attempt);
+};
+
+const getOpenAttempt = async (examId, attemptId, studentId) => {
+  const attempt = await getOwnAttempt(examId, attemptId, studentId);
+  if (attempt.status !== 'in_progress') {
+    throw new ExamError('This attempt has already been submitted', 409, 'ATTEMPT_CLOSED');
+  }
+  return attempt;
+};
+
+/**
+ * The student's view of an attempt: questions without answer keys, saved answers,
+ * and marks once the attempt has been submitted.
+ */
+const describeAttemptForStudent = async (attempt) => {
+  const answers = await getAttemptAnswers(attempt.id);
+  const closed = attempt.status !== 'in_progress';
+
+  return {
+    id: attempt.id,
+    exam_id: attempt.exam_id,
+    attempt_number: attempt.attempt_number,
+    status: attempt.status,
+    started_at: attempt.started_at,
+    deadline_at: attempt.deadline_at,
+    submitted_at: attempt.submitted_at,
+    seconds_remaining: closed ? 0 : Math.max(0, Math.floor((new Date(attempt.deadline_at) - new Date()) / 1000)),
+    total_points: closed ? attempt.total_points : null,
+    max_points: attempt.max_points,
+    score: attempt.status === 'graded' ? attempt.score : null,
+    max_score: attempt.max_score,
+    questions: attempt.questions.map(question => {
+      const answer = answers.find(a => a.question_id === question.id);
+      return {
+        ...publicQuestion(question),
+        answer: answer?.answer ?? null,
+        recitation_id: answer?.recitation_id ?? null,
+        ...(closed && {
+          is_correct: answer?.is_correct ?? null,
+          points_awarded: answer?.points_awarded ?? null,
+          needs_grading: !!answer?.needs_grading,
+          rubric_scores: answer?.rubric_scores || null,
+          feedback: answer?.feedback || null
+        })
+      };
+    })
+  };
+};
+
+const normalizeAnswer = (question, value) => {
+  if (value === null || value === undefined) return null;
+
+  if (question.type === 'multiple_choice') {
+    const keys = [...new Set((Array.isArray(value) ? value : [value]).map(String))];
+    const valid = question.options.map(o => o.key);
+    if (keys.some(key => !valid.includes(key))) {
+      throw new ExamError(`Unknown option for question ${question.id}`, 400, 'INVALID_ANSWER');
+    }
+    return keys;
+  }
+
+  if (question.type === 'short_answer') {
+    const text = sanitizeInput(String(value));
+    if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+      throw new ExamError(`Answers must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`, 400, 'INVALID_ANSWER');
+    }
+    return text || null;
+  }
+
+  throw new ExamError('Recitation answers are uploaded as audio', 400, 'INVALID_ANSWER');
+};
+
+/**
+ * Save answers while the attempt is open; saving again overwrites.
+ * @param {Array} answers - [{ question_id, answer }]
+ */
+const saveAnswers = async (examId, attemptId, studentId, answers) => {
+  const attempt = await getOpenAttempt(examId, attemptId, studentId);
+
+  if (!Array.isArray(answers) || answers.length === 0) {
+    throw new ExamError('answers must be a non-empty array', 400, 'NO_ANSWERS');
+  }
+
+  const now = new Date().toISOString();
+  const rows = answers.map(entry => {
+    const question = attempt.questions.find(q => q.id === entry?.question_id);
+    if (!question) {
+      throw new ExamError(`Question ${entry?.question_id} is not part of this attempt`, 400, 'UNKNOWN_QUESTION');
+    }
+    return {
+      attempt_id: attempt.id,
+      question_id: question.id,
+      answer: normalizeAnswer(question, entry.answer),
+      updated_at: now
+    };
+  });
+
+  unwrap(
+    await supabase.from('exam_answers').upsert(rows, { onConflict: 'attempt_id,question_id' }),
+    'Error saving exam answers'
+  );
+
+  return describeAttemptForStudent(attempt);
+};
+
+/**
+ * Record the audio answer to a recitation question; a new recording replaces the previous one.
+ * @param {object} file - { buffer, originalName }
+ */
+const saveRecitationAnswer = async (examId, attemptId, studentId, questionId, { buffer, originalName = null }) => {
+  const attempt = await getOpenAttempt(examId, attemptId, studentId);
+
+  const question = attempt.questions.find(q => q.id === questionId);
+  if (!question || question.type !== 'recitation') {
+    throw new ExamError('Recitation question not found in this attempt', 404, 'QUESTION_NOT_FOUND');
+  }
+
+  const recitation = await storeRecitation({ studentId, examAttemptId: attempt.id, buffer, originalName });
+
+  const { data: previous } = await supabase
+    .from('exam_answers')
+    .select('recitation_id')
+    .eq('attempt_id', attempt.id)
+    .eq('question_id', questionId)
+    .maybeSingle();
+
+  const { error } = await supabase
+    .from('exam_answers')
+    .upsert([{
+      attempt_id: attempt.id,
+      question_id: questionId,
+      recitation_id: recitation.id,
+      updated_at: new Date().toISOString()
+    }], { onConflict: 'attempt_id,question_id' });
+
+  if (error) {
+    await discardRecitation(recitation);
+    unwrap({ error }, 'Error saving recitation answer');
+  }
+
+  if (previous?.recitation_id) {
+    const old = await getRecitation(previous.recitation_id);
+    if (old) await discardRecitation(old);
+  }
+
+  return recitation;
+};
+
+const submitAttempt = async (examId, attemptId, studentId) => {
+  const attempt = await getOpenAttempt(examId, attemptId, studentId);
+  return describeAttemptForStudent(await finalizeAttempt(attempt));
+};
+
+// ==================== GRADING ====================
+
+// Exam owners and admins grade; so does the teacher of the class the attempt was taken in
+const getGradableAttempt = async (attemptId, user) => {
+  const { data: attempt } = await supabase
+    .from('exam_attempts')
+    .select('*')
+    .eq('id', attemptId)
+    .maybeSingle();
+
+  const exam = attempt ? await getExam(attempt.exam_id) : null;
+  if (!exam) {
+    throw new ExamError('Attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+
+  let allowed = isAdminUser(user) || exam.teacher_id === user.id;
+  if (!allowed && attempt.schedule_id) {
+    const { data: schedule } = await supabase
+      .from('exam_schedules')
+      .select('class:class_id (teacher_id)')
+      .eq('id', attempt.schedule_id)
+      .maybeSingle();
+    allowed = schedule?.class?.teacher_id === user.id;
+  }
+  if (!allowed) {
+    throw new ExamError('Attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+
+  return { attempt: await finalizeIfExpired(attempt), exam };
+};
+
+// Attempt with answer keys and student answers side by side, for grading
+const getAttemptForGrading = async (attemptId, user) => {
+  const { attempt, exam } = await getGradableAttempt(attemptId, user);
+  const answers = await getAttemptAnswers(attempt.id);
+
+  const { data: student } = await supabase
+    .from('profiles')
+    .select('id, name, email')
+    .eq('id', attempt.student_id)
+    .maybeSingle();
+
+  return {
+    exam: { id: exam.id, title: exam.title, rubric_id: exam.rubric_id, max_score: exam.max_score },
+    attempt: { ...attempt, questions: undefined },
+    student: student || { id: attempt.student_id },
+    questions: attempt.questions.map(question => ({
+      ...question,
+      response: answers.find(a => a.question_id === question.id) || null
+    }))
+  };
+};
+
+const listExamAttempts = async (examId, user) => {
+  await getManagedExam(examId, user);
+  await finalizeExpiredAttempts([examId]);
+
+  const attempts = unwrap(
+    await supabase
+      .from('exam_attempts')
+      .select('id, exam_id, schedule_id, student_id, attempt_number, started_at, deadline_at, submitted_at, status, total_points, max_points, score, max_score, graded_at, student:student_id (name, email)')
+      .eq('exam_id', examId)
+      .order('started_at', { ascending: false }),
+    'Error fetching exam attempts'
+  ) || [];
+
+  return attempts;
+};
+
+// Answers across the exams the user can grade that still need a teacher
+const listPendingGrading = async (user) => {
+  let examQuery = supabase.from('exams').select('id, title, teacher_id, rubric_id');
+  if (!isAdminUser(user)) examQuery = examQuery.eq('teacher_id', user.id);
+  const exams = unwrap(await examQuery, 'Error fetching exams') || [];
+
+  // Exams owned elsewhere (e.g. by an admin) but taken in this teacher's classes
+  let classScheduleIds = [];
+  if (!isAdminUser(user)) {
+    const { data: classes } = await supabase.from('classes').select('id').eq('teacher_id', user.id);
+    const classIds = (classes || []).map(c => c.id);
+    if (classIds.length > 0) {
+      const { data: schedules } = await supabase
+        .from('exam_schedules')
+        .select('id, exam_id')
+        .in('class_id', classIds);
+      const foreign = (schedules || []).filter(s => !exams.some(e => e.id === s.exam_id));
+      classScheduleIds = foreign.map(s => s.id);
+
+      const foreignExamIds = [...new Set(foreign.map(s => s.exam_id))];
+      if (foreignExamIds.length > 0) {
+        const { data: foreignExams } = await supabase
+          .from('exams')
+          .select('id, title, teacher_id, rubric_id')
+          .in('id', foreignExamIds);
+        exams.push(...(foreignExams || []));
+      }
+    }
+  }
+
+  const examIds = exams.map(e => e.id);
+  if (examIds.length === 0) return [];
+
+  await finalizeExpiredAttempts(examIds);
+
+  const attempts = (unwrap(
+    await supabase
+      .from('exam_attempts')
+      .select('*, student:student_id (name, email)')
+      .in('exam_id', examIds)
+      .eq('status', 'submitted')
+      .order('submitted_at', { ascending: true }),
+    'Error fetching exam attempts'
+  ) || []).filter(attempt => {
+    const exam = exams.find(e => e.id === attempt.exam_id);
+    return isAdminUser(user) || exam?.teacher_id === user.id || classScheduleIds.includes(attempt.schedule_id);
+  });
+  if (attempts.length === 0) return [];
+
+  const answers = unwrap(
+    await supabase
+      .from('exam_answers')
+      .select('*')
+      .in('attempt_id', attempts.map(a => a.id))
+      .eq('needs_grading', true),
+    'Error fetching exam answers'
+  ) || [];
+
+  return answers.map(answer => {
+    const attempt = attempts.find(a => a.id === answer.attempt_id);
+    const exam = exams.find(e => e.id === attempt.exam_id);
+    return {
+      attempt_id: attempt.id,
+      exam: { id: exam.id, title: exam.title, rubric_id: exam.rubric_id },
+      student: { id: attempt.student_id, ...(attempt.student || {}) },
+      submitted_at: attempt.submitted_at,
+      question: attempt.questions.find(q => q.id === answer.question_id),
+      response: answer
+    };
+  });
+};
+
+/**
+ * Grade one answer by hand (recitations, free text, or overriding an auto-graded answer).
+ * @param {object} fields - { points } or, for recitations on an exam with a rubric, { criteria };
+ *   plus optional { feedback }
+ */
+const gradeAnswer = async (attemptId, questionId, user, { points, criteria, feedback } = {}) => {
+  const { attempt, exam } = await getGradableAttempt(attemptId, user);
+
+  if (attempt.status === 'in_progress') {
+    throw new ExamError('The attempt is still in progress', 409, 'ATTEMPT_IN_PROGRESS');
+  }
+
+  const question = attempt.questions.find(q => q.id === questionId);
+  if (!question) {
+    throw new ExamError('Question not found in this attempt', 404, 'QUESTION_NOT_FOUND');
+  }
+
+  let awarded;
+  let rubricScores = null;
+
+  if (criteria !== undefined) {
+    if (question.type !== 'recitation' || !exam.rubric_id) {
+      throw new ExamError('Rubric criteria only apply to recitation questions of an exam with a rubric', 400, 'NO_RUBRIC');
+    }
+    const rubric = await getRubric(exam.rubric_id);
+    if (!rubric) {
+      throw new ExamError('The exam rubric no longer exists', 409, 'NO_RUBRIC');
+    }
+    const scored = scoreWithRubric(rubric, criteria, question.points);
+    awarded = scored.score;
+    rubricScores = scored.rubric_scores;
+  } else {
+    awarded = Number(points);
+    if (points === undefined || points === null || !Number.isFinite(awarded) || awarded < 0 || awarded > question.points) {
+      throw new ExamError(`points must be between 0 and ${question.points}`, 400, 'INVALID_POINTS');
+    }
+  }
+
+  const now = new Date().toISOString();
+  const answer = unwrap(
+    await supabase
+      .from('exam_answers')
+      .upsert([{
+        attempt_id: attempt.id,
+        question_id: questionId,
+        points_awarded: round2(awarded),
+        is_correct: question.type === 'recitation' ? null : awarded >= question.points,
+        needs_grading: false,
+        rubric_scores: rubricScores,
+        feedback: sanitizeInput(feedback) || null,
+        graded_by: user.id,
+        graded_at: now,
+        updated_at: now
+      }], { onConflict: 'attempt_id,question_id' })
+      .select()
+      .single(),
+    'Error grading answer'
+  );
+
+  const updated = await recomputeAttempt(attempt);
+  console.log(`✅ Graded question ${questionId} of exam attempt ${attempt.id}: ${answer.points_awarded}/${question.points}`);
+
+  return { answer, attempt: { ...updated, questions: undefined } };
+};
+
+export {
+  ExamError,
+  QUESTION_TYPES,
+  SUBMIT_GRACE_SECONDS,
+  listBanks,
+  createBank,
+  updateBank,
+  getBankWithQuestions,
+  addBankQuestions,
+  updateBankQuestion,
+  archiveBankQuestion,
+  listExams,
+  getExamDetail,
+  createExam,
+  updateExam,
+  deleteExam,
+  setExamQuestions,
+  scheduleExam,
+  deleteSchedule,
+  listStudentExams,
+  listStudentAttempts,
+  startAttempt,
+  getOwnAttempt,
+  describeAttemptForStudent,
+  saveAnswers,
+  saveRecitationAnswer,
+  submitAttempt,
+  listExamAttempts,
+  getAttemptForGrading,
+  listPendingGrading,
+  gradeAnswer
+};
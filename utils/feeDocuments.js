@@ -0,0 +1,387 @@
+// utils/feeDocuments.js
+// Invoice and receipt documents for the fee ledger, rendered as PDF (pdfkit) with an HTML fallback.
+// Everything is generated in-process, no external rendering service.
+// PDFs use IBM Plex Sans Arabic (assets/fonts, SIL OFL), which covers Latin and Arabic; text with
+// right-to-left runs is reordered with bidi-js so Arabic names print shaped and in the right order.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import bidiFactory from 'bidi-js';
+import { supabase } from '../server.js';
+import { LedgerError, toAmount, getInvoice, getPayment, invoiceNumber, receiptNumber } from './feeLedger.js';
+
+const FONT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'fonts');
+const FONTS = {
+  regular: path.join(FONT_DIR, 'IBMPlexSansArabic-Regular.ttf'),
+  bold: path.join(FONT_DIR, 'IBMPlexSansArabic-Bold.ttf')
+};
+
+const bidi = bidiFactory();
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank transfer',
+  card: 'Card',
+  mobile_money: 'Mobile money',
+  cheque: 'Cheque',
+  other: 'Other'
+};
+
+const getSchool = () => ({
+  name: process.env.SCHOOL_NAME || 'Madina Quran Classes',
+  address: process.env.SCHOOL_ADDRESS || '',
+  email: process.env.SCHOOL_EMAIL || '',
+  website: process.env.SCHOOL_WEBSITE || 'https://www.madinaquranclasses.com'
+});
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(toAmount(amount));
+  } catch {
+    return `${currency} ${toAmount(amount).toFixed(2)}`;
+  }
+};
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const getStudent = async (studentId) => {
+  const { data } = await supabase
+    .from('profiles')
+    .select('id, name, email, course')
+    .eq('id', studentId)
+    .maybeSingle();
+  return data || { id: studentId, name: 'Student' };
+};
+
+// ==================== DOCUMENT MODELS ====================
+
+const buildInvoiceDocument = async (invoiceId) => {
+  const invoice = await getInvoice(invoiceId);
+  if (!invoice) throw new LedgerError('Invoice not found', 404, 'NOT_FOUND');
+
+  const [student, { data: payments }] = await Promise.all([
+    getStudent(invoice.student_id),
+    supabase
+      .from('payments')
+      .select('*')
+      .eq('invoice_id', invoice.id)
+      .eq('status', 'confirmed')
+      .order('payment_date')
+  ]);
+
+  return {
+    type: 'invoice',
+    title: 'Invoice',
+    number: invoiceNumber(invoice),
+    school: getSchool(),
+    student,
+    student_id: invoice.student_id,
+    currency: invoice.currency,
+    rows: [
+      ['Invoice number', invoiceNumber(invoice)],
+      ['Student', student.name],
+      ['Course', invoice.course || student.course || '-'],
+      ['Billing period', formatPeriod(invoice.period)],
+      ['Issued', formatDate(invoice.issued_at || invoice.created_at)],
+      ['Due date', formatDate(invoice.due_date)],
+      ['Status', invoice.status.replace('_', ' ')]
+    ],
+    lines: (payments || []).map(p => [
+      `Payment ${receiptNumber(p)} (${METHOD_LABELS[p.method] || p.method})`,
+      formatDate(p.payment_date),
+      `-${formatMoney(p.amount, invoice.currency)}`
+    ]),
+    totals: [
+      ['Amount', formatMoney(invoice.amount, invoice.currency)],
+      ['Paid', formatMoney(invoice.amount_paid, invoice.currency)],
+      ['Balance due', formatMoney(Math.max(0, invoice.amount - invoice.amount_paid), invoice.currency)]
+    ]
+  };
+};
+
+// Receipts only exist for confirmed payments
+const buildReceiptDocument = async (paymentId) => {
+  const payment = await getPayment(paymentId);
+  if (!payment) throw new LedgerError('Payment not found', 404, 'NOT_FOUND');
+  if (payment.status !== 'confirmed') {
+    throw new LedgerError('Receipts are only available for confirmed payments', 409, 'PAYMENT_NOT_CONFIRMED');
+  }
+
+  const [student, invoice] = await Promise.all([
+    getStudent(payment.student_id),
+    getInvoice(payment.invoice_id)
+  ]);
+  const number = payment.receipt_number || receiptNumber(payment);
+  const currency = payment.currency || invoice?.currency || 'USD';
+
+  return {
+    type: 'receipt',
+    title: 'Payment Receipt',
+    number,
+    school: getSchool(),
+    student,
+    student_id: payment.student_id,
+    currency,
+    rows: [
+      ['Receipt number', number],
+      ['Student', student.name],
+      ['Course', invoice?.course || student.course || '-'],
+      ['Billing period', invoice ? formatPeriod(invoice.period) : '-'],
+      ['Invoice', invoice ? invoiceNumber(invoice) : '-'],
+      ['Payment date', formatDate(payment.payment_date)],
+      ['Payment method', METHOD_LABELS[payment.method] || payment.method],
+      ['Reference', payment.reference || '-'],
+      ['Confirmed', formatDate(payment.confirmed_at)]
+    ],
+    lines: [],
+    totals: [
+      ['Amount received', formatMoney(payment.amount, currency)],
+      ...(invoice ? [['Invoice balance', formatMoney(Math.max(0, invoice.amount - invoice.amount_paid), currency)]] : [])
+    ]
+  };
+};
+
+// ==================== RENDERERS ====================
+
+// Runs of one embedding level in visual (left to right) order, per UAX #9 rule L2
+const visualRuns = (text) => {
+  const { levels } = bidi.getEmbeddingLevels(text, 'auto');
+  const runs = [];
+  for (let i = 0; i < text.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[i]) last.text += text[i];
+    else runs.push({ level: levels[i], text: text[i] });
+  }
+
+  const maxLevel = Math.max(...runs.map(run => run.level));
+  const minOddLevel = Math.min(...runs.map(run => run.level).filter(level => level % 2 === 1));
+  for (let level = maxLevel; level >= minOddLevel; level--) {
+    for (let i = 0; i < runs.length; i++) {
+      if (runs[i].level < level) continue;
+      let j = i;
+      while (j + 1 < runs.length && runs[j + 1].level >= level) j++;
+      runs.splice(i, j - i + 1, ...runs.slice(i, j + 1).reverse());
+      i = j;
+    }
+  }
+
+  // RTL runs get mirrored brackets. fontkit shapes and reverses runs in an RTL script itself, so only
+  // neutral-only RTL runs (punctuation, spaces) are reversed here.
+  return runs.map(run => {
+    if (run.level % 2 === 0) return run;
+    const chars = [...run.text].map(char => bidi.getMirroredCharacter(char) || char);
+    return { ...run, text: (RTL_PATTERN.test(run.text) ? chars : chars.reverse()).join('') };
+  });
+};
+
+// pdf.text for one value. Text with right-to-left runs is drawn run by run on a single line (shrunk to
+// fit the width), because pdfkit lays out word by word and would otherwise scramble the word order.
+const drawText = (pdf, value, x, y, { width, align = 'left', font = 'Body', size = 10 } = {}) => {
+  const text = String(value ?? '');
+  pdf.font(font).fontSize(size);
+
+  if (!RTL_PATTERN.test(text)) {
+    pdf.text(text, x, y, { width, align });
+    return;
+  }
+
+  // With features set, pdfkit hands the whole run to fontkit, which applies Arabic shaping
+  const runs = visualRuns(text).map(run => ({ ...run, options: { features: [], lineBreak: false } }));
+  const measure = () => runs.reduce((sum, run) => sum + pdf.widthOfString(run.text, run.options), 0);
+
+  let total = measure();
+  if (width && total > width) {
+    pdf.fontSize(size * width / total);
+    total = measure();
+  }
+
+  let cursor = x;
+  if (width && align === 'right') cursor = x + width - total;
+  if (width && align === 'center') cursor = x + (width - total) / 2;
+
+  runs.forEach(run => {
+    pdf.text(run.text, cursor, y, run.options);
+    cursor += pdf.widthOfString(run.text, run.options);
+  });
+  pdf.fontSize(size);
+};
+
+const renderPdf = (document) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${document.title} ${document.number}` } });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  pdf.registerFont('Body', FONTS.regular);
+  pdf.registerFont('Body-Bold', FONTS.bold);
+
+  const { school } = document;
+  const left = 50;
+  const right = pdf.page.width - 50;
+  const bottom = pdf.page.height - 100; // keeps clear of the footer
+  const fullWidth = right - left;
+
+  // Header
+  drawText(pdf, school.name, left, 50, { width: fullWidth - 160, font: 'Body-Bold', size: 20 });
+  pdf.fillColor('#555555');
+  let headerY = 78;
+  [school.address, school.email, school.website].filter(Boolean).forEach(line => {
+    drawText(pdf, line, left, headerY, { width: fullWidth - 160, size: 9 });
+    headerY += 12;
+  });
+  pdf.fillColor('#000000');
+  drawText(pdf, document.title.toUpperCase(), left, 50, { width: fullWidth, align: 'right', font: 'Body-Bold', size: 16 });
+  drawText(pdf, document.number, left, 72, { width: fullWidth, align: 'right' });
+
+  pdf.moveTo(left, 130).lineTo(right, 130).strokeColor('#cccccc').stroke();
+
+  // Long payment lists continue on a new page
+  let y = 145;
+  const ensureSpace = (height, continuation) => {
+    if (y + height <= bottom) return;
+    pdf.addPage();
+    y = 50;
+    if (continuation) {
+      drawText(pdf, continuation, left, y, { font: 'Body-Bold' });
+      y += 16;
+    }
+  };
+
+  // Details
+  document.rows.forEach(([label, value]) => {
+    ensureSpace(18);
+    drawText(pdf, label, left, y, { width: 150, font: 'Body-Bold' });
+    drawText(pdf, value, left + 160, y, { width: fullWidth - 160 });
+    y += 18;
+  });
+
+  // Payment lines (invoices)
+  if (document.lines.length > 0) {
+    y += 10;
+    ensureSpace(32);
+    drawText(pdf, 'Payments', left, y, { font: 'Body-Bold' });
+    y += 16;
+    document.lines.forEach(([description, date, amount]) => {
+      ensureSpace(16, 'Payments (continued)');
+      drawText(pdf, description, left, y, { width: 280, size: 9 });
+      drawText(pdf, date, left + 290, y, { width: 100, size: 9 });
+      drawText(pdf, amount, left + 390, y, { width: fullWidth - 390, align: 'right', size: 9 });
+      y += 16;
+    });
+  }
+
+  // Totals
+  y += 10;
+  ensureSpace(18 + document.totals.length * 20);
+  pdf.moveTo(left + 260, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+  y += 8;
+  document.totals.forEach(([label, value], index) => {
+    const isLast = index === document.totals.length - 1;
+    const style = { font: isLast ? 'Body-Bold' : 'Body', size: isLast ? 12 : 10 };
+    drawText(pdf, label, left + 260, y, { ...style, width: 120 });
+    drawText(pdf, value, left + 380, y, { ...style, width: fullWidth - 380, align: 'right' });
+    y += 20;
+  });
+
+  pdf.fillColor('#777777');
+  drawText(pdf, `Generated on ${formatDate(new Date())}. Thank you for studying with ${school.name}.`,
+    left, pdf.page.height - 80, { width: fullWidth, align: 'center', size: 8 });
+
+  pdf.end();
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderHtml = (document) => {
+  const { school } = document;
+  const rows = document.rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const lines = document.lines.length > 0
+    ? `<h3>Payments</h3><table class="lines">${document.lines
+      .map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+      .join('')}</table>`
+    : '';
+  const totals = document.totals
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)} ${escapeHtml(document.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; max-width: 720px; margin: 40px auto; color: #222; }
+  header { display: flex; justify-content: space-between; border-bottom: 1px solid #ccc; padding-bottom: 12px; }
+  header small { display: block; color: #555; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th { text-align: left; width: 40%; padding: 4px 0; }
+  td { padding: 4px 0; }
+  .lines td:last-child, .totals td { text-align: right; }
+  .totals { width: 50%; margin-left: auto; border-top: 1px solid #ccc; }
+  .totals tr:last-child { font-weight: bold; font-size: 1.1em; }
+  footer { margin-top: 40px; font-size: 0.8em; color: #777; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+  <div><h2>${escapeHtml(school.name)}</h2>${[school.address, school.email, school.website]
+    .filter(Boolean).map(line => `<small>${escapeHtml(line)}</small>`).join('')}</div>
+  <div><h2>${escapeHtml(document.title.toUpperCase())}</h2><small>${escapeHtml(document.number)}</small></div>
+</header>
+<table>${rows}</table>
+${lines}
+<table class="totals">${totals}</table>
+<footer>Generated on ${escapeHtml(formatDate(new Date()))}. Thank you for studying with ${escapeHtml(school.name)}.</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Send a document as a PDF download, or as HTML when format=html or PDF rendering fails.
+ * @param {object} res - Express response
+ * @param {object} document - Model from buildInvoiceDocument / buildReceiptDocument
+ * @param {string} format - 'pdf' (default) or 'html'
+ */
+const sendFeeDocument = async (res, document, format = 'pdf') => {
+  const filename = `${document.number}`;
+
+  if (format !== 'html') {
+    try {
+      const pdf = await renderPdf(document);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    } catch (error) {
+      console.warn('⚠️ PDF rendering failed, falling back to HTML:', error.message);
+    }
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+  return res.send(renderHtml(document));
+};
+
+export {
+  buildInvoiceDocument,
+  buildReceiptDocument,
+  renderPdf,
+  renderHtml,
+  sendFeeDocument
+};
@@ -0,0 +1,549 @@
+// utils/feeLedger.js
+// Fee and payment ledger shared by the admin fee routes and the student payments route.
+// Tables:
+//   fee_plans  (id, course, name, amount, currency, active, created_at, updated_at)
+//   invoices   (id, student_id, fee_plan_id, course, period 'YYYY-MM', amount, amount_paid, currency,
+//               status pending|partially_paid|paid|overdue|void, due_date, issued_at, paid_at, notes)
+//   payments   (id, invoice_id, student_id, amount, currency, method, reference, notes, payment_date,
+//               status pending|confirmed|rejected, recorded_by, confirmed_by, confirmed_at,
+//               receipt_number, rejected_by, rejected_at, rejection_reason)
+
+import { supabase } from '../server.js';
+import { notifyUsers, withGuardians } from './notifications.js';
+import { emailUsers } from './mailer.js';
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'card', 'mobile_money', 'cheque', 'other'];
+const INVOICE_STATUSES = ['pending', 'partially_paid', 'paid', 'overdue', 'void'];
+
+// Allowed payment state transitions; confirmed payments can still be rejected (bounced transfer, reversal)
+const PAYMENT_TRANSITIONS = {
+  pending: ['confirmed', 'rejected'],
+  confirmed: ['rejected'],
+  rejected: []
+};
+
+// Read lazily: server.js loads .env after its imports have been evaluated
+const defaultCurrency = () => process.env.FEE_CURRENCY || 'USD';
+
+// Invoices fall due on the billing day of their period (clamped to 1-28 so every month has it)
+const getBillingDay = () => Math.min(Math.max(parseInt(process.env.BILLING_DAY, 10) || 1, 1), 28);
+
+class LedgerError extends Error {
+  constructor(message, status = 400, code = 'LEDGER_ERROR') {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Amounts in different currencies are never added together: { EGP: 1200, GBP: 40 }.
+// Payments without their own currency take the invoice's.
+const totalsByCurrency = (rows, amountOf) => rows.reduce((totals, row) => {
+  const currency = row.currency || row.invoice?.currency || defaultCurrency();
+  totals[currency] = toAmount((totals[currency] || 0) + Number(amountOf(row) || 0));
+  return totals;
+}, {});
+
+// 'YYYY-MM' for a date (defaults to now)
+const periodOf = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const isValidPeriod = (period) => /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '');
+
+// Billing day of the period, or today when an invoice is issued after it
+const defaultDueDate = (period) => {
+  const dueDate = `${period}-${String(getBillingDay()).padStart(2, '0')}`;
+  const today = new Date().toISOString().slice(0, 10);
+  return today > dueDate && periodOf() === period ? today : dueDate;
+};
+
+// Document numbers are derived from the row id so they are stable and need no shared counter
+const invoiceNumber = (invoice) => `INV-${invoice.period.replace('-', '')}-${invoice.id.slice(0, 8).toUpperCase()}`;
+
+const receiptNumber = (payment) => {
+  const date = (payment.confirmed_at || payment.payment_date || new Date().toISOString()).slice(0, 10).replace(/-/g, '');
+  return `RCP-${date}-${payment.id.slice(0, 8).toUpperCase()}`;
+};
+
+// ISO 4217 code known to Intl, so documents can format amounts in it
+const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code) || !Intl.supportedValuesOf('currency').includes(code)) {
+    throw new LedgerError('Currency must be an ISO 4217 code such as USD', 400, 'INVALID_CURRENCY');
+  }
+  return code;
+};
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new LedgerError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+// ==================== FEE PLANS ====================
+
+const listFeePlans = async ({ activeOnly = false } = {}) => {
+  let query = supabase.from('fee_plans').select('*').order('course');
+  if (activeOnly) query = query.eq('active', true);
+  return unwrap(await query, 'Error fetching fee plans') || [];
+};
+
+const createFeePlan = async ({ course, name, amount, currency = defaultCurrency() }) => {
+  if (!course || amount === undefined || amount === null) {
+    throw new LedgerError('Course and amount are required');
+  }
+  if (!(toAmount(amount) > 0)) {
+    throw new LedgerError('Amount must be greater than zero');
+  }
+  const currencyCode = normalizeCurrency(currency || defaultCurrency());
+
+  // One active plan per course, so invoice generation is never ambiguous
+  const existing = await getFeePlanForCourse(course);
+  if (existing) {
+    throw new LedgerError(`Course "${course}" already has an active fee plan`, 409, 'PLAN_EXISTS');
+  }
+
+  const now = new Date().toISOString();
+  return unwrap(await supabase
+    .from('fee_plans')
+    .insert([{
+      course,
+      name: name || `${course} monthly tuition`,
+      amount: toAmount(amount),
+      currency: currencyCode,
+      active: true,
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single(), 'Error creating fee plan');
+};
+
+const updateFeePlan = async (planId, updates) => {
+  const allowed = {};
+  if (updates.name !== undefined) allowed.name = updates.name;
+  if (updates.currency !== undefined) allowed.currency = normalizeCurrency(updates.currency);
+  if (updates.amount !== undefined) {
+    if (!(toAmount(updates.amount) > 0)) throw new LedgerError('Amount must be greater than zero');
+    allowed.amount = toAmount(updates.amount);
+  }
+  if (updates.active !== undefined) {
+    if (typeof updates.active !== 'boolean') throw new LedgerError('active must be true or false');
+    allowed.active = updates.active;
+  }
+
+  // Reactivating a plan must keep the course at one active plan, as createFeePlan does
+  if (allowed.active) {
+    const current = unwrap(await supabase
+      .from('fee_plans')
+      .select('id, course')
+      .eq('id', planId)
+      .maybeSingle(), 'Error fetching fee plan');
+    if (!current) throw new LedgerError('Fee plan not found', 404, 'NOT_FOUND');
+
+    const others = unwrap(await supabase
+      .from('fee_plans')
+      .select('id')
+      .eq('course', current.course)
+      .eq('active', true)
+      .neq('id', planId), 'Error fetching fee plans') || [];
+    if (others.length > 0) {
+      throw new LedgerError(`Course "${current.course}" already has an active fee plan`, 409, 'PLAN_EXISTS');
+    }
+  }
+  allowed.updated_at = new Date().toISOString();
+
+  const plan = unwrap(await supabase
+    .from('fee_plans')
+    .update(allowed)
+    .eq('id', planId)
+    .select()
+    .maybeSingle(), 'Error updating fee plan');
+
+  if (!plan) throw new LedgerError('Fee plan not found', 404, 'NOT_FOUND');
+  return plan;
+};
+
+const getFeePlanForCourse = async (course) => {
+  if (!course) return null;
+  return unwrap(await supabase
+    .from('fee_plans')
+    .select('*')
+    .eq('course', course)
+    .eq('active', true)
+    .maybeSingle(), 'Error fetching fee plan');
+};
+
+// ==================== INVOICES ====================
+
+const listInvoices = async ({ studentId, studentIds, status, period } = {}) => {
+  let query = supabase.from('invoices').select('*').order('period', { ascending: false });
+  if (studentId) query = query.eq('student_id', studentId);
+  if (studentIds) query = query.in('student_id', studentIds);
+  if (status) query = query.eq('status', status);
+  if (period) query = query.eq('period', period);
+  return unwrap(await query, 'Error fetching invoices') || [];
+};
+
+const getInvoice = async (invoiceId) => {
+  return unwrap(await supabase
+    .from('invoices')
+    .select('*')
+    .eq('id', invoiceId)
+    .maybeSingle(), 'Error fetching invoice');
+};
+
+/**
+ * Create a student's invoice for a billing period. The amount defaults to the active fee plan
+ * for the student's course. Throws a 409 LedgerError when the period is already invoiced.
+ */
+const createInvoice = async ({ studentId, period = periodOf(), amount, dueDate, notes = null }) => {
+  if (!studentId) throw new LedgerError('Student ID is required');
+  if (!isValidPeriod(period)) throw new LedgerError('Period must be formatted as YYYY-MM');
+
+  const { data: student } = await supabase
+    .from('profiles')
+    .select('id, course, role')
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (!student || student.role !== 'student') {
+    throw new LedgerError('Student not found', 404, 'NOT_FOUND');
+  }
+
+  const { data: existing } = await supabase
+    .from('invoices')
+    .select('id')
+    .eq('student_id', studentId)
+    .eq('period', period)
+    .neq('status', 'void')
+    .maybeSingle();
+
+  if (existing) {
+    throw new LedgerError(`Student already has an invoice for ${period}`, 409, 'INVOICE_EXISTS');
+  }
+
+  const plan = await getFeePlanForCourse(student.course);
+  const invoiceAmount = amount !== undefined && amount !== null ? toAmount(amount) : toAmount(plan?.amount);
+
+  if (!(invoiceAmount > 0)) {
+    throw new LedgerError(`No fee plan for course "${student.course || 'none'}" and no amount given`, 400, 'NO_FEE_PLAN');
+  }
+
+  const invoice = unwrap(await supabase
+    .from('invoices')
+    .insert([{
+      student_id: studentId,
+      fee_plan_id: plan?.id || null,
+      course: student.course || null,
+      period,
+      amount: invoiceAmount,
+      amount_paid: 0,
+      currency: plan?.currency || defaultCurrency(),
+      status: 'pending',
+      due_date: dueDate || defaultDueDate(period),
+      issued_at: new Date().toISOString(),
+      notes
+    }])
+    .select()
+    .single(), 'Error creating invoice');
+
+  await notifyPaymentDue(invoice);
+  return invoice;
+};
+
+// Students and their guardians hear about new and overdue invoices, in the app and by email
+const notifyPaymentDue = async (invoice, { overdue = false } = {}) => {
+  const balance = toAmount(Number(invoice.amount || 0) - Number(invoice.amount_paid || 0));
+  const recipients = await withGuardians([invoice.student_id]);
+
+  await emailUsers(recipients, 'invoice_due', {
+    period: invoice.period,
+    amount_due: balance,
+    currency: invoice.currency,
+    due_date: invoice.due_date,
+    overdue
+  }, { type: 'payment_due' });
+
+  return notifyUsers(recipients, {
+    type: 'payment_due',
+    title: overdue ? 'Payment Overdue' : 'Payment Due',
+    message: overdue
+      ? `The ${invoice.period} invoice (${balance} ${invoice.currency}) was due on ${invoice.due_date} and is now overdue.`
+      : `The ${invoice.period} invoice of ${balance} ${invoice.currency} is due on ${invoice.due_date}.`,
+    data: { invoice_id: invoice.id, period: invoice.period, amount_due: balance, due_date: invoice.due_date, overdue }
+  });
+};
+
+// Recompute amount_paid and status from the invoice's confirmed payments
+const recalculateInvoice = async (invoiceId) => {
+  const invoice = await getInvoice(invoiceId);
+  if (!invoice || invoice.status === 'void') return invoice;
+
+  const payments = unwrap(await supabase
+    .from('payments')
+    .select('amount, payment_date, confirmed_at')
+    .eq('invoice_id', invoiceId)
+    .eq('status', 'confirmed'), 'Error fetching invoice payments') || [];
+
+  const amountPaid = toAmount(payments.reduce((sum, p) => sum + Number(p.amount || 0), 0));
+
+  // Overdue sticks until the invoice is paid in full
+  let status;
+  if (amountPaid >= toAmount(invoice.amount)) {
+    status = 'paid';
+  } else if (invoice.status === 'overdue') {
+    status = 'overdue';
+  } else {
+    status = amountPaid > 0 ? 'partially_paid' : 'pending';
+  }
+
+  const lastPayment = payments
+    .map(p => p.confirmed_at || p.payment_date)
+    .sort()
+    .pop();
+
+  return unwrap(await supabase
+    .from('invoices')
+    .update({
+      amount_paid: amountPaid,
+      status,
+      paid_at: status === 'paid' ? lastPayment || new Date().toISOString() : null
+    })
+    .eq('id', invoiceId)
+    .select()
+    .single(), 'Error updating invoice');
+};
+
+// ==================== PAYMENTS ====================
+
+const listPayments = async ({ studentId, studentIds, status, invoiceId } = {}) => {
+  let query = supabase
+    .from('payments')
+    .select('*, invoice:invoice_id (id, period, amount, amount_paid, currency, status, due_date)')
+    .order('payment_date', { ascending: false });
+  if (studentId) query = query.eq('student_id', studentId);
+  if (studentIds) query = query.in('student_id', studentIds);
+  if (status) query = query.eq('status', status);
+  if (invoiceId) query = query.eq('invoice_id', invoiceId);
+  return unwrap(await query, 'Error fetching payments') || [];
+};
+
+const getPayment = async (paymentId) => {
+  return unwrap(await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .maybeSingle(), 'Error fetching payment');
+};
+
+/**
+ * Record a payment against an invoice. Payments start as pending and only count towards the
+ * invoice once confirmed; pass confirm=true when the admin received the money directly.
+ */
+const recordPayment = async ({ invoiceId, amount, method, reference = null, notes = null, paymentDate, recordedBy, confirm = false }) => {
+  if (!invoiceId || amount === undefined || !method) {
+    throw new LedgerError('Invoice ID, amount and method are required');
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new LedgerError(`Invalid payment method. Use one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  if (!(toAmount(amount) > 0)) {
+    throw new LedgerError('Amount must be greater than zero');
+  }
+
+  const invoice = await getInvoice(invoiceId);
+  if (!invoice) throw new LedgerError('Invoice not found', 404, 'NOT_FOUND');
+  if (invoice.status === 'void') throw new LedgerError('Cannot record a payment on a void invoice', 409, 'INVOICE_VOID');
+
+  const payment = unwrap(await supabase
+    .from('payments')
+    .insert([{
+      invoice_id: invoiceId,
+      student_id: invoice.student_id,
+      amount: toAmount(amount),
+      currency: invoice.currency,
+      method,
+      reference,
+      notes,
+      payment_date: paymentDate || new Date().toISOString(),
+      status: 'pending',
+      recorded_by: recordedBy || null
+    }])
+    .select()
+    .single(), 'Error recording payment');
+
+  if (confirm) {
+    return confirmPayment(payment.id, recordedBy);
+  }
+  return { payment, invoice };
+};
+
+const transitionPayment = async (paymentId, nextStatus, updates) => {
+  const payment = await getPayment(paymentId);
+  if (!payment) throw new LedgerError('Payment not found', 404, 'NOT_FOUND');
+
+  if (!PAYMENT_TRANSITIONS[payment.status]?.includes(nextStatus)) {
+    throw new LedgerError(
+      `Cannot change payment from ${payment.status} to ${nextStatus}`,
+      409,
+      'INVALID_TRANSITION'
+    );
+  }
+
+  const updated = unwrap(await supabase
+    .from('payments')
+    .update({ ...updates, status: nextStatus })
+    .eq('id', paymentId)
+    .eq('status', payment.status) // guards against a concurrent confirm/reject
+    .select()
+    .maybeSingle(), 'Error updating payment');
+
+  if (!updated) {
+    throw new LedgerError('Payment was changed by someone else, reload and try again', 409, 'CONFLICT');
+  }
+
+  const invoice = await recalculateInvoice(updated.invoice_id);
+  return { payment: updated, invoice, previous_status: payment.status };
+};
+
+const confirmPayment = async (paymentId, adminId, { method } = {}) => {
+  if (method && !PAYMENT_METHODS.includes(method)) {
+    throw new LedgerError(`Invalid payment method. Use one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  const confirmedAt = new Date();
+  const result = await transitionPayment(paymentId, 'confirmed', {
+    ...(method ? { method } : {}),
+    confirmed_by: adminId,
+    confirmed_at: confirmedAt.toISOString(),
+    receipt_number: receiptNumber({ id: paymentId, confirmed_at: confirmedAt.toISOString() })
+  });
+
+  // Receipts are always mailed, whatever the payer's notification preferences
+  await emailUsers(await withGuardians([result.payment.student_id]), 'receipt', {
+    receipt_number: result.payment.receipt_number,
+    amount: result.payment.amount,
+    currency: result.payment.currency || result.invoice?.currency,
+    period: result.invoice?.period,
+    payment_date: result.payment.confirmed_at,
+    method: result.payment.method
+  });
+
+  return result;
+};
+
+const rejectPayment = async (paymentId, adminId, reason) => {
+  if (!reason || !reason.trim()) throw new LedgerError('A rejection reason is required');
+  return transitionPayment(paymentId, 'rejected', {
+    rejected_by: adminId,
+    rejected_at: new Date().toISOString(),
+    rejection_reason: reason.trim()
+  });
+};
+
+// ==================== REPORTING ====================
+
+// One row per student with their current-period invoice and latest confirmed payment
+const getStudentFeeSummaries = async (students, period = periodOf()) => {
+  const studentIds = students.map(s => s.id);
+  if (studentIds.length === 0) return [];
+
+  const [invoices, payments] = await Promise.all([
+    listInvoices({ studentIds }),
+    listPayments({ studentIds, status: 'confirmed' })
+  ]);
+
+  return students.map(student => {
+    const studentInvoices = invoices.filter(i => i.student_id === student.id && i.status !== 'void');
+    const currentInvoice = studentInvoices.find(i => i.period === period) || null;
+    const lastPayment = payments.find(p => p.student_id === student.id) || null;
+    const outstanding = toAmount(studentInvoices.reduce(
+      (sum, i) => sum + Math.max(0, Number(i.amount || 0) - Number(i.amount_paid || 0)),
+      0
+    ));
+
+    return {
+      ...student,
+      fee_status: currentInvoice ? currentInvoice.status : 'not_invoiced',
+      current_invoice: currentInvoice,
+      amount_due: currentInvoice ? toAmount(currentInvoice.amount) : 0,
+      amount_paid: currentInvoice ? toAmount(currentInvoice.amount_paid) : 0,
+      outstanding_balance: outstanding,
+      payment_date: lastPayment?.payment_date || null,
+      payment_method: lastPayment?.method || null
+    };
+  });
+};
+
+const computeFeeStatistics = async (period = periodOf()) => {
+  const [{ data: students, error: studentsError }, invoices, payments] = await Promise.all([
+    supabase.from('profiles').select('id, status').eq('role', 'student'),
+    listInvoices(),
+    listPayments()
+  ]);
+
+  if (studentsError) {
+    throw new LedgerError(studentsError.message, 400, 'DATABASE_ERROR');
+  }
+
+  const liveInvoices = invoices.filter(i => i.status !== 'void');
+  const periodInvoices = liveInvoices.filter(i => i.period === period);
+  const confirmed = payments.filter(p => p.status === 'confirmed');
+  const invoicedThisPeriod = totalsByCurrency(periodInvoices, i => i.amount);
+  const invoiceCounts = totalsByCurrency(periodInvoices, () => 1);
+
+  const invoicesByStatus = INVOICE_STATUSES.reduce((acc, status) => {
+    acc[status] = invoices.filter(i => i.status === status).length;
+    return acc;
+  }, {});
+
+  return {
+    period,
+    total_students: students.length,
+    active_students: students.filter(s => s.status === 'active').length,
+    // Amounts below are keyed by currency code
+    total_revenue: totalsByCurrency(confirmed, p => p.amount),
+    monthly_revenue: totalsByCurrency(confirmed.filter(p => periodOf(new Date(p.payment_date)) === period), p => p.amount),
+    paid_students: new Set(periodInvoices.filter(i => i.status === 'paid').map(i => i.student_id)).size,
+    pending_payments: payments.filter(p => p.status === 'pending').length,
+    overdue_payments: liveInvoices.filter(i => i.status === 'overdue').length,
+    outstanding_balance: totalsByCurrency(liveInvoices, i => Math.max(0, Number(i.amount || 0) - Number(i.amount_paid || 0))),
+    invoiced_this_period: invoicedThisPeriod,
+    average_fee: Object.fromEntries(Object.entries(invoicedThisPeriod)
+      .map(([currency, total]) => [currency, toAmount(total / invoiceCounts[currency])])),
+    invoices_by_status: invoicesByStatus
+  };
+};
+
+export {
+  LedgerError,
+  getBillingDay,
+  PAYMENT_METHODS,
+  INVOICE_STATUSES,
+  toAmount,
+  totalsByCurrency,
+  periodOf,
+  isValidPeriod,
+  invoiceNumber,
+  receiptNumber,
+  listFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  getFeePlanForCourse,
+  listInvoices,
+  getInvoice,
+  createInvoice,
+  notifyPaymentDue,
+  recalculateInvoice,
+  listPayments,
+  getPayment,
+  recordPayment,
+  confirmPayment,
+  rejectPayment,
+  getStudentFeeSummaries,
+  computeFeeStatistics
+};
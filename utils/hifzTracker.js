@@ -0,0 +1,291 @@
+// utils/hifzTracker.js
+// Quran memorization (hifz) tracking shared by the teacher and student routes.
+// Table:
+//   hifz_records (id, student_id, teacher_id, surah, ayah_from, ayah_to,
+//                 type memorized|revised|needs_revision, quality 1-5, notes, recorded_at)
+// Progress is derived from the records: the latest record covering an ayah decides its state.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import {
+  SURAHS,
+  JUZ_RANGES,
+  TOTAL_AYAHS,
+  getSurah,
+  ayahIndex,
+  juzOf,
+  validateAyahRange
+} from './quranMeta.js';
+
+const HIFZ_RECORD_TYPES = ['memorized', 'revised', 'needs_revision'];
+
+// Days until a memorized range should be revised again, by the quality it was last recited with
+const REVISION_INTERVAL_DAYS = { 1: 1, 2: 3, 3: 7, 4: 14, 5: 30 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HifzError extends Error {
+  constructor(message, status = 400, code = 'HIFZ_ERROR') {
+    super(message);
+    this.name = 'HifzError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new HifzError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const toInt = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Validate one entry from a request body; ayah_from/ayah_to default to the whole surah
+const normalizeEntry = (entry = {}) => {
+  const surah = toInt(entry.surah);
+  const meta = getSurah(surah);
+  const ayahFrom = toInt(entry.ayah_from) ?? 1;
+  const ayahTo = toInt(entry.ayah_to) ?? (entry.ayah_from !== undefined ? ayahFrom : meta?.ayahs);
+  const quality = toInt(entry.quality);
+
+  if (!HIFZ_RECORD_TYPES.includes(entry.type)) {
+    throw new HifzError(`type must be one of: ${HIFZ_RECORD_TYPES.join(', ')}`, 400, 'INVALID_TYPE');
+  }
+
+  const rangeError = validateAyahRange(surah, ayahFrom, ayahTo);
+  if (rangeError) {
+    throw new HifzError(rangeError, 400, 'INVALID_RANGE');
+  }
+
+  // A quality rating is optional only when flagging a range for revision
+  if (quality === undefined ? entry.type !== 'needs_revision' : !(Number.isInteger(quality) && quality >= 1 && quality <= 5)) {
+    throw new HifzError('quality must be a whole number from 1 to 5', 400, 'INVALID_QUALITY');
+  }
+
+  return {
+    surah,
+    ayah_from: ayahFrom,
+    ayah_to: ayahTo,
+    type: entry.type,
+    quality: quality ?? null,
+    notes: sanitizeInput(entry.notes) || null
+  };
+};
+
+const withSurahName = (record) => ({
+  ...record,
+  surah_name: getSurah(record.surah)?.name || null,
+  juz: juzOf(record.surah, record.ayah_from)
+});
+
+/**
+ * Record one or more hifz entries for a student.
+ * @param {object} options - { studentId, teacherId, entries: [{ surah, ayah_from, ayah_to, type, quality, notes }], recordedAt }
+ */
+const recordHifzEntries = async ({ studentId, teacherId, entries, recordedAt }) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new HifzError('At least one entry is required', 400, 'NO_ENTRIES');
+  }
+
+  const timestamp = recordedAt ? new Date(recordedAt) : new Date();
+  if (Number.isNaN(timestamp.getTime()) || timestamp > new Date(Date.now() + DAY_MS)) {
+    throw new HifzError('recorded_at must be a valid date, not in the future', 400, 'INVALID_DATE');
+  }
+
+  const rows = entries.map(entry => ({
+    ...normalizeEntry(entry),
+    student_id: studentId,
+    teacher_id: teacherId,
+    recorded_at: timestamp.toISOString()
+  }));
+
+  const data = unwrap(
+    await supabase.from('hifz_records').insert(rows).select(),
+    'Error recording hifz entries'
+  );
+
+  return (data || []).map(withSurahName);
+};
+
+const listHifzRecords = async (studentId, { surah, type, limit } = {}) => {
+  let query = supabase
+    .from('hifz_records')
+    .select('*')
+    .eq('student_id', studentId);
+
+  if (surah) query = query.eq('surah', Number(surah));
+  if (type) query = query.eq('type', type);
+
+  query = query.order('recorded_at', { ascending: false });
+  if (limit) query = query.limit(Number(limit));
+
+  return (unwrap(await query, 'Error fetching hifz records') || []).map(withSurahName);
+};
+
+const deleteHifzRecord = async (recordId, teacherId) => {
+  const data = unwrap(
+    await supabase
+      .from('hifz_records')
+      .delete()
+      .eq('id', recordId)
+      .eq('teacher_id', teacherId)
+      .select('id'),
+    'Error deleting hifz record'
+  );
+
+  if (!data || data.length === 0) {
+    throw new HifzError('Hifz record not found', 404, 'NOT_FOUND');
+  }
+};
+
+// Per-ayah state built by replaying the records oldest first
+const buildAyahState = (records) => {
+  const memorized = new Uint8Array(TOTAL_AYAHS);
+  const needsRevision = new Uint8Array(TOTAL_AYAHS);
+  const lastReviewed = new Array(TOTAL_AYAHS).fill(null);
+  const quality = new Uint8Array(TOTAL_AYAHS);
+
+  [...records]
+    .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at))
+    .forEach(record => {
+      const start = ayahIndex(record.surah, record.ayah_from);
+      const end = ayahIndex(record.surah, record.ayah_to);
+
+      for (let i = start; i <= end; i++) {
+        if (record.type === 'needs_revision') {
+          needsRevision[i] = 1;
+          if (record.quality) quality[i] = record.quality;
+          continue;
+        }
+        // Both a new memorization and a successful revision count as memorized
+        memorized[i] = 1;
+        needsRevision[i] = 0;
+        lastReviewed[i] = record.recorded_at;
+        quality[i] = record.quality;
+      }
+    });
+
+  return { memorized, needsRevision, lastReviewed, quality };
+};
+
+// Contiguous ayahs of one surah that share a reason and due date become one queue item
+const buildRevisionQueue = ({ memorized, needsRevision, lastReviewed, quality }, now) => {
+  const queue = [];
+
+  SURAHS.forEach(surah => {
+    let current = null;
+
+    for (let ayah = 1; ayah <= surah.ayahs; ayah++) {
+      const i = ayahIndex(surah.number, ayah);
+      let item = null;
+
+      if (needsRevision[i]) {
+        item = { reason: 'needs_revision', due_at: null, last_reviewed: lastReviewed[i] };
+      } else if (memorized[i] && lastReviewed[i]) {
+        const dueAt = new Date(new Date(lastReviewed[i]).getTime() + (REVISION_INTERVAL_DAYS[quality[i]] || 7) * DAY_MS);
+        if (dueAt <= now) {
+          item = { reason: 'due', due_at: dueAt.toISOString(), last_reviewed: lastReviewed[i] };
+        }
+      }
+
+      if (current && item && current.reason === item.reason && current.due_at === item.due_at) {
+        current.ayah_to = ayah;
+        continue;
+      }
+
+      if (current) queue.push(current);
+      current = item
+        ? { surah: surah.number, surah_name: surah.name, ayah_from: ayah, ayah_to: ayah, quality: quality[i] || null, ...item }
+        : null;
+    }
+
+    if (current) queue.push(current);
+  });
+
+  // Flagged ranges first, then the longest overdue
+  return queue.sort((a, b) => {
+    if (a.reason !== b.reason) return a.reason === 'needs_revision' ? -1 : 1;
+    return new Date(a.due_at || a.last_reviewed || 0) - new Date(b.due_at || b.last_reviewed || 0);
+  });
+};
+
+/**
+ * Memorization progress for a student: overall and per-juz percentages, completed juz and surahs,
+ * the revision queue and recent activity.
+ */
+const getHifzProgress = async (studentId, { now = new Date(), recentLimit = 10 } = {}) => {
+  const records = unwrap(
+    await supabase
+      .from('hifz_records')
+      .select('*')
+      .eq('student_id', studentId)
+      .order('recorded_at', { ascending: false }),
+    'Error fetching hifz records'
+  ) || [];
+
+  const state = buildAyahState(records);
+  const { memorized, needsRevision } = state;
+  const countMemorized = (start, end) => {
+    let count = 0;
+    for (let i = start; i < end; i++) count += memorized[i];
+    return count;
+  };
+
+  const percentage = (part, whole) => Math.round((part / whole) * 1000) / 10;
+  const totalMemorized = countMemorized(0, TOTAL_AYAHS);
+
+  const juz = JUZ_RANGES.map(([start, end], index) => {
+    const ayahsMemorized = countMemorized(start, end);
+    return {
+      juz: index + 1,
+      ayahs: end - start,
+      ayahs_memorized: ayahsMemorized,
+      percentage: percentage(ayahsMemorized, end - start),
+      completed: ayahsMemorized === end - start
+    };
+  });
+
+  const surahs = SURAHS.map(surah => {
+    const start = ayahIndex(surah.number, 1);
+    const ayahsMemorized = countMemorized(start, start + surah.ayahs);
+    return {
+      surah: surah.number,
+      name: surah.name,
+      ayahs: surah.ayahs,
+      ayahs_memorized: ayahsMemorized,
+      percentage: percentage(ayahsMemorized, surah.ayahs)
+    };
+  }).filter(surah => surah.ayahs_memorized > 0);
+
+  const rated = records.filter(r => r.quality);
+
+  return {
+    student_id: studentId,
+    total_ayahs: TOTAL_AYAHS,
+    ayahs_memorized: totalMemorized,
+    percentage: percentage(totalMemorized, TOTAL_AYAHS),
+    ayahs_needing_revision: needsRevision.reduce((sum, flag) => sum + flag, 0),
+    juz_completed: juz.filter(j => j.completed).length,
+    surahs_completed: surahs.filter(s => s.ayahs_memorized === s.ayahs).length,
+    average_quality: rated.length
+      ? Math.round((rated.reduce((sum, r) => sum + r.quality, 0) / rated.length) * 10) / 10
+      : null,
+    juz,
+    surahs,
+    revision_queue: buildRevisionQueue(state, now),
+    recent_activity: records.slice(0, recentLimit).map(withSurahName),
+    last_activity_at: records[0]?.recorded_at || null
+  };
+};
+
+export {
+  HifzError,
+  HIFZ_RECORD_TYPES,
+  REVISION_INTERVAL_DAYS,
+  recordHifzEntries,
+  listHifzRecords,
+  deleteHifzRecord,
+  getHifzProgress
+};
@@ -0,0 +1,318 @@
+// utils/invites.js
+// Account onboarding through single-use, expiring links instead of passwords chosen by the admin.
+// Accounts are created without a password; the invite email links to the frontend's accept-invite page,
+// which posts the token and the user's new password to POST /api/auth/accept-invite.
+// Password resets by an admin use the same flow with purpose 'password_reset'.
+// Table:
+//   account_invites (id, user_id, email, role, purpose invite|password_reset, token_hash, expires_at,
+//                    accepted_at, revoked_at, created_by, created_at)
+// Only a SHA-256 hash of the token is stored, and a user has at most one open invite: issuing a new
+// one revokes the previous link.
+
+import crypto from 'crypto';
+import { supabase } from '../server.js';
+import { queueEmail } from './mailer.js';
+
+const INVITE_PURPOSES = ['invite', 'password_reset'];
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+// INVITE_TTL_HOURS and PASSWORD_RESET_TTL_HOURS are read when used, after .env is loaded
+const getTtlHours = (purpose) => (purpose === 'password_reset'
+  ? parseInt(process.env.PASSWORD_RESET_TTL_HOURS, 10) || 24
+  : parseInt(process.env.INVITE_TTL_HOURS, 10) || 72);
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+class InviteError extends Error {
+  constructor(message, status = 400, code = 'INVITE_ERROR') {
+    super(message);
+    this.name = 'InviteError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new InviteError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const stateOf = (invite, now = new Date()) => {
+  if (!invite) return 'none';
+  if (invite.accepted_at) return 'accepted';
+  if (invite.revoked_at) return 'revoked';
+  return new Date(invite.expires_at) <= now ? 'expired' : 'pending';
+};
+
+// What admins get to see of an invite; the token itself is only ever in the email
+const publicInvite = (invite) => (invite
+  ? {
+    id: invite.id,
+    user_id: invite.user_id,
+    email: invite.email,
+    role: invite.role,
+    purpose: invite.purpose,
+    state: stateOf(invite),
+    expires_at: invite.expires_at,
+    accepted_at: invite.accepted_at || null,
+    revoked_at: invite.revoked_at || null,
+    created_by: invite.created_by || null,
+    created_at: invite.created_at
+  }
+  : null);
+
+const getProfile = async (userId) => {
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, email, name, role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!profile) throw new InviteError('User not found', 404, 'USER_NOT_FOUND');
+  return profile;
+};
+
+// ==================== ISSUING ====================
+
+// Revoke a user's open links; returns how many were revoked
+const revokeOpenInvites = async (userId) => {
+  const data = unwrap(
+    await supabase
+      .from('account_invites')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id'),
+    'Error revoking invites'
+  );
+  return (data || []).length;
+};
+
+/**
+ * Issue a link for a user and email it. Email failures do not throw: the invite exists, shows up with
+ * the failed email in GET /api/admin/emails and can be resent.
+ * @param {object} profile - { id, email, name, role }
+ * @param {object} options - { purpose, createdBy }
+ * @returns {object} { invite, email }
+ */
+const issueInvite = async (profile, { purpose = 'invite', createdBy = null } = {}) => {
+  if (!INVITE_PURPOSES.includes(purpose)) {
+    throw new InviteError(`purpose must be one of: ${INVITE_PURPOSES.join(', ')}`, 400, 'INVALID_PURPOSE');
+  }
+
+  await revokeOpenInvites(profile.id);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getTtlHours(purpose) * HOUR_MS).toISOString();
+
+  const invite = unwrap(
+    await supabase
+      .from('account_invites')
+      .insert([{
+        user_id: profile.id,
+        email: profile.email,
+        role: profile.role,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: expiresAt,
+        created_by: createdBy,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single(),
+    'Error creating invite'
+  );
+
+  let email;
+  try {
+    email = await queueEmail({
+      to: profile.email,
+      userId: profile.id,
+      template: purpose,
+      data: {
+        name: profile.name,
+        role: profile.role,
+        email: profile.email,
+        link: `${getFrontendUrl()}/accept-invite?token=${token}`,
+        expires_at: expiresAt
+      },
+      createdBy
+    });
+  } catch (emailError) {
+    console.error(`⚠️ Failed to queue ${purpose} email for ${profile.email}:`, emailError.message);
+    email = { to_email: profile.email, template: purpose, status: 'failed', last_error: emailError.message };
+  }
+
+  return { invite: publicInvite(invite), email };
+};
+
+/**
+ * Send a new invite link, replacing any open one. Users who already accepted an invite get a
+ * password reset link instead (purpose 'password_reset' is also accepted explicitly).
+ */
+const resendInvite = async (userId, { purpose, createdBy } = {}) => {
+  const profile = await getProfile(userId);
+
+  let effectivePurpose = purpose;
+  if (!effectivePurpose) {
+    const { data: accepted } = await supabase
+      .from('account_invites')
+      .select('id')
+      .eq('user_id', userId)
+      .not('accepted_at', 'is', null)
+      .limit(1);
+    effectivePurpose = (accepted || []).length > 0 ? 'password_reset' : 'invite';
+  }
+
+  return issueInvite(profile, { purpose: effectivePurpose, createdBy });
+};
+
+/**
+ * Revoke a user's open links.
+ * @returns {number} invites revoked
+ */
+const revokeInvites = async (userId) => {
+  await getProfile(userId);
+  return revokeOpenInvites(userId);
+};
+
+/**
+ * The user's most recent invite, with its state (none | pending | accepted | expired | revoked).
+ */
+const getInviteStatus = async (userId) => {
+  const profile = await getProfile(userId);
+
+  const { data: invites } = await supabase
+    .from('account_invites')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  const latest = (invites || [])[0] || null;
+  return { user: profile, state: stateOf(latest), invite: publicInvite(latest) };
+};
+
+// ==================== ACCEPTING ====================
+
+const findByToken = async (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new InviteError('An invite token is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const { data: invite } = await supabase
+    .from('account_invites')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  return invite;
+};
+
+const UNUSABLE_MESSAGES = {
+  accepted: 'This link has already been used',
+  revoked: 'This link has been replaced or revoked',
+  expired: 'This link has expired'
+};
+
+// 410 for used, revoked and expired links, so the page can offer to ask for a new one
+const assertUsable = (invite) => {
+  const state = stateOf(invite);
+  if (state === 'none') throw new InviteError('This link is not valid', 404, 'INVALID_INVITE');
+  if (state !== 'pending') {
+    throw new InviteError(UNUSABLE_MESSAGES[state], 410, `INVITE_${state.toUpperCase()}`);
+  }
+};
+
+/**
+ * Check a link before showing the set-password form.
+ * @returns {object} { email, name, role, purpose, expires_at }
+ */
+const verifyInvite = async (token) => {
+  const invite = await findByToken(token);
+  assertUsable(invite);
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('name')
+    .eq('id', invite.user_id)
+    .maybeSingle();
+
+  return {
+    email: invite.email,
+    name: profile?.name || null,
+    role: invite.role,
+    purpose: invite.purpose,
+    expires_at: invite.expires_at
+  };
+};
+
+/**
+ * Set the user's password from a link. The invite is marked accepted first, conditionally, so a link
+ * can only be used once even when submitted twice at the same time.
+ * @returns {object} { email, role, purpose, login_url }
+ */
+const acceptInvite = async (token, password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new InviteError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'WEAK_PASSWORD');
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new InviteError(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`, 400, 'WEAK_PASSWORD');
+  }
+
+  const invite = await findByToken(token);
+  assertUsable(invite);
+
+  const now = new Date().toISOString();
+  const { data: claimed } = await supabase
+    .from('account_invites')
+    .update({ accepted_at: now })
+    .eq('id', invite.id)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (!claimed) throw new InviteError(UNUSABLE_MESSAGES.accepted, 410, 'INVITE_ACCEPTED');
+
+  const { error: authError } = await supabase.auth.admin.updateUserById(invite.user_id, {
+    password,
+    email_confirm: true
+  });
+
+  if (authError) {
+    // Give the link back so the user can try again with another password
+    await supabase.from('account_invites').update({ accepted_at: null }).eq('id', invite.id);
+    console.error('❌ Failed to set password from invite:', authError.message);
+    throw new InviteError(authError.message || 'Could not set the password', 400, 'PASSWORD_REJECTED');
+  }
+
+  await revokeOpenInvites(invite.user_id);
+
+  return {
+    email: invite.email,
+    role: invite.role,
+    purpose: invite.purpose,
+    login_url: `${getFrontendUrl()}/${invite.role || 'student'}-login`
+  };
+};
+
+export {
+  InviteError,
+  INVITE_PURPOSES,
+  MIN_PASSWORD_LENGTH,
+  issueInvite,
+  resendInvite,
+  revokeInvites,
+  getInviteStatus,
+  verifyInvite,
+  acceptInvite
+};
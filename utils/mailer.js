@@ -0,0 +1,686 @@
+// utils/mailer.js
+// Transactional email: templated messages sent through a persisted queue with retries.
+// Tables:
+//   email_messages (id, to_email, to_user_id, template, subject, html, text, status, attempts, max_attempts,
+//                   next_attempt_at, last_error, transport, provider_message_id, created_by,
+//                   created_at, updated_at, sent_at, redacted_at)
+//   email_deliveries (id, message_id, attempt, transport, status, error, provider_message_id, created_at)
+// A message is rendered when it is queued, so every retry sends the same content. Each attempt leaves an
+// email_deliveries row. Messages carrying a sign-in link are redacted (html/text cleared) once delivered.
+// MAIL_TRANSPORT selects smtp or outbox; outbox writes one JSON file per message to MAIL_OUTBOX_DIR
+// (default .data/mail-outbox) and is the default outside production.
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { supabase } from '../server.js';
+import { filterRecipients } from './notifications.js';
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Delay before attempt n+1; a message fails for good after MAX_ATTEMPTS
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// A 'sending' row older than this belongs to an instance that died mid-send
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const QUEUE_BATCH_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// MAIL_FROM, MAIL_QUEUE_INTERVAL_SECONDS and the SMTP_* settings are read when used, after .env is loaded
+const getSender = () => process.env.MAIL_FROM || `${getSchoolName()} <no-reply@madinaquranclasses.com>`;
+const getSchoolName = () => process.env.SCHOOL_NAME || 'Madina Quran Classes';
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+const getQueueInterval = () => (parseInt(process.env.MAIL_QUEUE_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+class MailError extends Error {
+  constructor(message, status = 400, code = 'MAIL_ERROR') {
+    super(message);
+    this.name = 'MailError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new MailError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const isEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// ==================== TEMPLATES ====================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount) || 0);
+  } catch {
+    return `${currency} ${(Number(amount) || 0).toFixed(2)}`;
+  }
+};
+
+const greeting = (name) => (name ? `Assalamu alaikum ${name},` : 'Assalamu alaikum,');
+
+const loginUrl = (role) => `${getFrontendUrl()}/${role || 'student'}-login`;
+
+// paragraphs: strings, or [label, value] rows rendered as a table; values are escaped here
+const layout = (heading, paragraphs, action = null) => {
+  const body = paragraphs.map(item => {
+    if (Array.isArray(item)) {
+      return `<table style="border-collapse: collapse; margin: 16px 0;">${item.map(([label, value]) =>
+        `<tr><td style="padding: 4px 16px 4px 0; color: #666;">${escapeHtml(label)}</td>` +
+        `<td style="padding: 4px 0;"><strong>${escapeHtml(value)}</strong></td></tr>`).join('')}</table>`;
+    }
+    return `<p style="font-size: 16px; line-height: 1.6; color: #333;">${escapeHtml(item)}</p>`;
+  }).join('');
+
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; background: #0f766e; color: #fff; ` +
+      `padding: 10px 20px; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">` +
+    `<h2 style="color: #0f766e;">${escapeHtml(heading)}</h2>${body}${button}` +
+    `<p style="font-size: 13px; color: #888;">${escapeHtml(getSchoolName())}</p></div>`;
+
+  const text = [
+    heading,
+    ...paragraphs.map(item => Array.isArray(item)
+      ? item.map(([label, value]) => `${label}: ${value}`).join('\n')
+      : item),
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    getSchoolName()
+  ].join('\n\n');
+
+  return { html, text };
+};
+
+// Each template turns its data into { subject, html, text }. sensitive: the body holds a sign-in link.
+const TEMPLATES = {
+  // { name, role, email, login_url } for accounts that chose their own password
+  welcome: {
+    render: (data) => ({
+      subject: `Welcome to ${getSchoolName()}`,
+      ...layout(`Welcome to ${getSchoolName()}`, [
+        `${greeting(data.name)} your account is ready. Sign in with ${data.email}.`
+      ], { label: 'Sign in', url: data.login_url || loginUrl(data.role) })
+    })
+  },
+
+  // { name, role, email, link, expires_at }
+  invite: {
+    sensitive: true,
+    render: (data) => ({
+      subject: `You're invited to ${getSchoolName()}`,
+      ...layout(`Welcome to ${getSchoolName()}`, [
+        `${greeting(data.name)} an account has been created for you (${data.email}).`,
+        'Choose your password with the button below to start using it.',
+        `The link can be used once and expires on ${String(data.expires_at || '').slice(0, 16).replace('T', ' ')} UTC.`
+      ], { label: 'Set your password', url: data.link })
+    })
+  },
+
+  // { name, role, email, link, expires_at }
+  password_reset: {
+    sensitive: true,
+    render: (data) => ({
+      subject: `Reset your ${getSchoolName()} password`,
+      ...layout('Reset your password', [
+        `${greeting(data.name)} an administrator started a password reset for ${data.email}.`,
+        'Choose a new password with the button below. Your current password keeps working until you do.',
+        `The link can be used once and expires on ${String(data.expires_at || '').slice(0, 16).replace('T', ' ')} UTC.`
+      ], { label: 'Choose a new password', url: data.link })
+    })
+  },
+
+  // { name, class_title, starts_at, teacher_name, lead ('15 minutes'), join_url }
+  class_reminder: {
+    render: (data) => ({
+      subject: `Reminder: ${data.class_title} ${data.lead ? `starts in ${data.lead}` : 'is coming up'}`,
+      ...layout(`${data.class_title} is coming up`, [
+        `${greeting(data.name)} this is a reminder about your class.`,
+        [['Class', data.class_title], ['Starts', data.starts_at], ...(data.teacher_name ? [['Teacher', data.teacher_name]] : [])]
+      ], data.join_url ? { label: 'Open class', url: data.join_url } : null)
+    })
+  },
+
+  // { name, assignment_title, score, max_score, feedback }
+  assignment_graded: {
+    render: (data) => ({
+      subject: `Graded: ${data.assignment_title}`,
+      ...layout('Your assignment was graded', [
+        [['Assignment', data.assignment_title], ['Score', `${data.score}/${data.max_score ?? 100}`]],
+        ...(data.feedback ? [`Teacher feedback: ${data.feedback}`] : [])
+      ], { label: 'View assignment', url: `${getFrontendUrl()}/student-dashboard` })
+    })
+  },
+
+  // { name, period, amount_due, currency, due_date, overdue }
+  invoice_due: {
+    render: (data) => ({
+      subject: data.overdue ? `Overdue: ${data.period} invoice` : `Invoice for ${data.period}`,
+      ...layout(data.overdue ? 'Payment overdue' : 'Payment due', [
+        data.overdue
+          ? `The ${data.period} invoice was due on ${data.due_date} and has not been paid in full.`
+          : `The invoice for ${data.period} has been issued.`,
+        [['Period', data.period], ['Amount due', formatAmount(data.amount_due, data.currency)], ['Due date', data.due_date]]
+      ])
+    })
+  },
+
+  // { name, receipt_number, amount, currency, period, payment_date, method }
+  receipt: {
+    render: (data) => ({
+      subject: `Payment receipt ${data.receipt_number || ''}`.trim(),
+      ...layout('Payment received', [
+        'JazakAllahu khairan, we have received your payment.',
+        [
+          ['Receipt', data.receipt_number || '-'],
+          ['Amount', formatAmount(data.amount, data.currency)],
+          ...(data.period ? [['Invoice period', data.period]] : []),
+          ['Date', String(data.payment_date || '').slice(0, 10)],
+          ...(data.method ? [['Method', data.method]] : [])
+        ]
+      ])
+    })
+  },
+
+  // { message }
+  test: {
+    render: (data) => ({
+      subject: `Test email from ${getSchoolName()}`,
+      ...layout('Email is working', [data.message || 'This is a test email.', `Sent at ${new Date().toISOString()}`])
+    })
+  }
+};
+
+const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Render a template without sending it.
+ * @returns {object} { subject, html, text }
+ */
+const renderTemplate = (template, data = {}) => {
+  if (!TEMPLATES[template]) {
+    throw new MailError(`template must be one of: ${EMAIL_TEMPLATES.join(', ')}`, 400, 'INVALID_TEMPLATE');
+  }
+  return TEMPLATES[template].render(data);
+};
+
+// ==================== TRANSPORTS ====================
+
+// Every transport exposes: name, send({ from, to, subject, html, text, messageId }) -> { id }
+
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    if (!process.env.SMTP_HOST) {
+      throw new MailError('SMTP is not configured. Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS).', 503, 'MAIL_NOT_CONFIGURED');
+    }
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  async send({ from, to, subject, html, text }) {
+    const info = await this.transporter.sendMail({ from, to, subject, html, text });
+    return { id: info.messageId };
+  }
+}
+
+class OutboxTransport {
+  constructor(dir) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  async send({ from, to, subject, html, text, messageId }) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const filename = `${Date.now()}-${messageId || 'message'}.json`;
+    await fs.writeFile(
+      path.join(this.dir, filename),
+      JSON.stringify({ id: messageId, from, to, subject, text, html, written_at: new Date().toISOString() }, null, 2)
+    );
+    return { id: filename };
+  }
+}
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT (smtp | outbox).
+ * Defaults to smtp in production and outbox everywhere else.
+ */
+const createMailTransport = (type = process.env.MAIL_TRANSPORT) => {
+  const transportType = type || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+  switch (transportType) {
+    case 'smtp':
+      return new SmtpTransport();
+    case 'outbox':
+      return new OutboxTransport(process.env.MAIL_OUTBOX_DIR || path.resolve('.data', 'mail-outbox'));
+    default:
+      console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transportType}", falling back to outbox`);
+      return new OutboxTransport(process.env.MAIL_OUTBOX_DIR || path.resolve('.data', 'mail-outbox'));
+  }
+};
+
+let mailTransport = null;
+
+// Created on first use, after server.js has loaded .env
+const getMailTransport = () => {
+  if (!mailTransport) {
+    mailTransport = createMailTransport();
+  }
+  return mailTransport;
+};
+
+// ==================== QUEUE ====================
+
+const queueState = {
+  running: false,
+  timer: null,
+  lastRun: null
+};
+
+const retryAt = (attempts, now = new Date()) => {
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1] || RETRY_DELAYS_MINUTES[0];
+  return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+};
+
+const logDelivery = async (message, attempt, transport, status, { error = null, providerId = null } = {}) => {
+  const { error: logError } = await supabase
+    .from('email_deliveries')
+    .insert([{
+      message_id: message.id,
+      attempt,
+      transport,
+      status,
+      error,
+      provider_message_id: providerId,
+      created_at: new Date().toISOString()
+    }]);
+  if (logError) console.warn('⚠️ Failed to log email delivery:', logError.message);
+};
+
+/**
+ * Make one delivery attempt for a queued message. The row is claimed first (queued -> sending) so two
+ * instances working the queue never send the same message twice.
+ * @returns {object|null} the updated message, or null when another worker had claimed it
+ */
+const deliverMessage = async (message) => {
+  const now = new Date();
+  const { data: claimed } = await supabase
+    .from('email_messages')
+    .update({ status: 'sending', updated_at: now.toISOString() })
+    .eq('id', message.id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+
+  if (!claimed) return null;
+
+  const attempt = (claimed.attempts || 0) + 1;
+  let transportName = process.env.MAIL_TRANSPORT || null;
+
+  try {
+    const transport = getMailTransport();
+    transportName = transport.name;
+    const result = await transport.send({
+      from: getSender(),
+      to: claimed.to_email,
+      subject: claimed.subject,
+      html: claimed.html,
+      text: claimed.text,
+      messageId: claimed.id
+    });
+
+    const sentAt = new Date().toISOString();
+    const sensitive = TEMPLATES[claimed.template]?.sensitive;
+    const { data: sent } = await supabase
+      .from('email_messages')
+      .update({
+        status: 'sent',
+        attempts: attempt,
+        transport: transport.name,
+        provider_message_id: result?.id || null,
+        last_error: null,
+        sent_at: sentAt,
+        updated_at: sentAt,
+        ...(sensitive ? { html: null, text: null, redacted_at: sentAt } : {})
+      })
+      .eq('id', claimed.id)
+      .select()
+      .maybeSingle();
+
+    await logDelivery(claimed, attempt, transport.name, 'sent', { providerId: result?.id || null });
+    console.log(`📧 Sent ${claimed.template} email to ${claimed.to_email} (${transport.name})`);
+    return sent || { ...claimed, status: 'sent', attempts: attempt };
+  } catch (sendError) {
+    const finalAttempt = attempt >= (claimed.max_attempts || MAX_ATTEMPTS);
+    const errorMessage = sendError.message || String(sendError);
+
+    const { data: updated } = await supabase
+      .from('email_messages')
+      .update({
+        status: finalAttempt ? 'failed' : 'queued',
+        attempts: attempt,
+        transport: transportName,
+        last_error: errorMessage,
+        next_attempt_at: finalAttempt ? null : retryAt(attempt),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id)
+      .select()
+      .maybeSingle();
+
+    await logDelivery(claimed, attempt, transportName, 'failed', { error: errorMessage });
+    console.warn(`⚠️ ${claimed.template} email to ${claimed.to_email} failed (attempt ${attempt}):`, errorMessage);
+    return updated || { ...claimed, status: finalAttempt ? 'failed' : 'queued', attempts: attempt, last_error: errorMessage };
+  }
+};
+
+/**
+ * Render a template and queue it for one recipient.
+ * @param {object} options - { to, userId, template, data, createdBy, sendNow }
+ *   sendNow (default true) makes the first attempt before returning; failures stay queued for retry.
+ * @returns {object} { id, to_email, template, status, attempts, last_error }
+ */
+const queueEmail = async ({ to, userId = null, template, data = {}, createdBy = null, sendNow = true }) => {
+  const recipient = String(to || '').trim().toLowerCase();
+  if (!isEmail(recipient)) {
+    throw new MailError('A valid recipient email is required', 400, 'INVALID_RECIPIENT');
+  }
+
+  const content = renderTemplate(template, data);
+  const now = new Date().toISOString();
+
+  const message = unwrap(
+    await supabase
+      .from('email_messages')
+      .insert([{
+        to_email: recipient,
+        to_user_id: userId,
+        template,
+        subject: content.subject,
+        html: content.html,
+        text: content.text,
+        status: 'queued',
+        attempts: 0,
+        max_attempts: MAX_ATTEMPTS,
+        next_attempt_at: now,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error queuing email'
+  );
+
+  const result = sendNow ? (await deliverMessage(message)) || message : message;
+  return summarize(result);
+};
+
+/**
+ * Email users by id with their own name filled in. With a notification type, users who turned email
+ * off for that type are skipped. Like notifyUsers it never throws.
+ * @param {object|Function} data - template data, or profile => data for per-recipient values (e.g. local times)
+ * @returns {number} emails queued
+ */
+const emailUsers = async (userIds, template, data = {}, { type } = {}) => {
+  try {
+    const ids = [...new Set((userIds || []).filter(Boolean))];
+    const recipients = type ? await filterRecipients(ids, type, 'email') : ids;
+    if (recipients.length === 0) return 0;
+
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, name, email, timezone')
+      .in('id', recipients);
+    if (error) throw error;
+
+    let queued = 0;
+    for (const profile of (profiles || []).filter(p => isEmail(p.email))) {
+      const values = typeof data === 'function' ? data(profile) : data;
+      await queueEmail({ to: profile.email, userId: profile.id, template, data: { ...values, name: profile.name }, sendNow: false });
+      queued++;
+    }
+
+    if (queued > 0) kickQueue();
+    return queued;
+  } catch (error) {
+    console.warn(`⚠️ Failed to queue ${template} emails:`, error.message || error);
+    return 0;
+  }
+};
+
+/**
+ * Work through due messages: stale 'sending' rows go back to the queue, then up to `limit` queued
+ * messages whose next_attempt_at has passed get one attempt each.
+ */
+const processEmailQueue = async ({ limit = QUEUE_BATCH_SIZE } = {}) => {
+  if (queueState.running) {
+    return { skipped: true, reason: 'Email queue already being processed' };
+  }
+
+  queueState.running = true;
+  const startedAt = new Date();
+
+  try {
+    await supabase
+      .from('email_messages')
+      .update({ status: 'queued', updated_at: startedAt.toISOString() })
+      .eq('status', 'sending')
+      .lt('updated_at', new Date(startedAt.getTime() - STALE_SENDING_MS).toISOString());
+
+    const due = unwrap(
+      await supabase
+        .from('email_messages')
+        .select('*')
+        .eq('status', 'queued')
+        .lte('next_attempt_at', startedAt.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit),
+      'Error fetching queued emails'
+    ) || [];
+
+    const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+    for (const message of due) {
+      const result = await deliverMessage(message);
+      if (!result) continue;
+      summary.processed++;
+      if (result.status === 'sent') summary.sent++;
+      else if (result.status === 'failed') summary.failed++;
+      else summary.retrying++;
+    }
+
+    queueState.lastRun = { ...summary, started_at: startedAt.toISOString(), finished_at: new Date().toISOString() };
+    return queueState.lastRun;
+  } catch (error) {
+    queueState.lastRun = { error: error.message, started_at: startedAt.toISOString(), finished_at: new Date().toISOString() };
+    throw error;
+  } finally {
+    queueState.running = false;
+  }
+};
+
+// Work the queue now instead of waiting for the next tick
+const kickQueue = () => {
+  setImmediate(() => processEmailQueue().catch(error => {
+    console.error('❌ Email queue failed:', error.message);
+  }));
+};
+
+// Runs every MAIL_QUEUE_INTERVAL_SECONDS; MAIL_QUEUE_ENABLED=false leaves retries to POST /api/admin/emails/process
+const startMailScheduler = () => {
+  if (process.env.MAIL_QUEUE_ENABLED === 'false' || queueState.timer) return;
+
+  const tick = () => processEmailQueue().catch(error => {
+    console.error('❌ Email queue failed:', error.message);
+  });
+
+  queueState.timer = setInterval(tick, getQueueInterval());
+  queueState.timer.unref?.();
+  tick();
+
+  console.log(`📧 Email queue started (${process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox')}, every ${getQueueInterval() / 1000}s)`);
+};
+
+const stopMailScheduler = () => {
+  if (queueState.timer) {
+    clearInterval(queueState.timer);
+    queueState.timer = null;
+  }
+};
+
+const getMailStatus = () => ({
+  enabled: !!queueState.timer,
+  running: queueState.running,
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox'),
+  interval_seconds: getQueueInterval() / 1000,
+  max_attempts: MAX_ATTEMPTS,
+  retry_delays_minutes: RETRY_DELAYS_MINUTES,
+  last_run: queueState.lastRun
+});
+
+// ==================== DELIVERY LOG ====================
+
+const summarize = (message) => ({
+  id: message.id,
+  to_email: message.to_email,
+  template: message.template,
+  status: message.status,
+  attempts: message.attempts || 0,
+  last_error: message.last_error || null
+});
+
+const LIST_FIELDS = 'id, to_email, to_user_id, template, subject, status, attempts, max_attempts, next_attempt_at, ' +
+  'last_error, transport, provider_message_id, created_by, created_at, updated_at, sent_at, redacted_at';
+
+/**
+ * Queued and sent messages for the admin log, newest first. Bodies are left out.
+ * @param {object} options - { status, template, to, userId, page, limit }
+ */
+const listEmails = async ({ status, template, to, userId, page = 1, limit = 20 } = {}) => {
+  if (status && !EMAIL_STATUSES.includes(status)) {
+    throw new MailError(`status must be one of: ${EMAIL_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+  }
+  if (template && !TEMPLATES[template]) {
+    throw new MailError(`template must be one of: ${EMAIL_TEMPLATES.join(', ')}`, 400, 'INVALID_TEMPLATE');
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 20));
+  const offset = (pageNumber - 1) * pageSize;
+
+  let query = supabase
+    .from('email_messages')
+    .select(LIST_FIELDS, { count: 'exact' });
+  if (status) query = query.eq('status', status);
+  if (template) query = query.eq('template', template);
+  if (to) query = query.eq('to_email', String(to).trim().toLowerCase());
+  if (userId) query = query.eq('to_user_id', userId);
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + pageSize - 1);
+  unwrap({ data, error }, 'Error fetching emails');
+
+  return {
+    emails: data || [],
+    pagination: { page: pageNumber, limit: pageSize, total: count ?? (data || []).length }
+  };
+};
+
+/**
+ * One message with every delivery attempt. Bodies of sign-in link emails are never returned.
+ */
+const getEmail = async (messageId) => {
+  const message = unwrap(
+    await supabase.from('email_messages').select('*').eq('id', messageId).maybeSingle(),
+    'Error fetching email'
+  );
+  if (!message) throw new MailError('Email not found', 404, 'NOT_FOUND');
+
+  const deliveries = unwrap(
+    await supabase
+      .from('email_deliveries')
+      .select('attempt, transport, status, error, provider_message_id, created_at')
+      .eq('message_id', messageId)
+      .order('attempt', { ascending: true }),
+    'Error fetching email deliveries'
+  ) || [];
+
+  const hidden = TEMPLATES[message.template]?.sensitive;
+  return {
+    ...message,
+    html: hidden ? null : message.html,
+    text: hidden ? null : message.text,
+    body_hidden: !!hidden,
+    deliveries
+  };
+};
+
+/**
+ * Give a failed message one more attempt, made right away.
+ */
+const retryEmail = async (messageId) => {
+  const message = unwrap(
+    await supabase.from('email_messages').select('*').eq('id', messageId).maybeSingle(),
+    'Error fetching email'
+  );
+  if (!message) throw new MailError('Email not found', 404, 'NOT_FOUND');
+  if (message.status !== 'failed') {
+    throw new MailError(`Only failed emails can be retried (this one is ${message.status})`, 409, 'INVALID_STATUS');
+  }
+
+  const requeued = unwrap(
+    await supabase
+      .from('email_messages')
+      .update({
+        status: 'queued',
+        max_attempts: (message.attempts || 0) + 1,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .eq('status', 'failed')
+      .select()
+      .maybeSingle(),
+    'Error requeuing email'
+  );
+  if (!requeued) throw new MailError('Email was changed by someone else, reload and try again', 409, 'CONFLICT');
+
+  return summarize((await deliverMessage(requeued)) || requeued);
+};
+
+export {
+  MailError,
+  EMAIL_STATUSES,
+  EMAIL_TEMPLATES,
+  renderTemplate,
+  createMailTransport,
+  getMailTransport,
+  queueEmail,
+  emailUsers,
+  processEmailQueue,
+  startMailScheduler,
+  stopMailScheduler,
+  getMailStatus,
+  listEmails,
+  getEmail,
+  retryEmail
+};
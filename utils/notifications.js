@@ -0,0 +1,334 @@
+// utils/notifications.js
+// In-app notification center for every role, with per-type preferences.
+// Tables:
+//   notifications (id, user_id, type, title, message, data jsonb, read_at, created_at)
+//   notification_preferences (user_id, type, in_app, email, updated_at)   unique (user_id, type)
+// A type without a preferences row uses DEFAULT_PREFERENCES. Notifications are a side effect of
+// something else (a class starting, a grade, an invoice), so notifyUsers never throws.
+
+import { supabase } from '../server.js';
+
+const NOTIFICATION_TYPES = [
+  'class_reminder',
+  'class_update',
+  'session_started',
+  'session_ended',
+  'assignment_posted',
+  'assignment_graded',
+  'payment_due',
+  'general'
+];
+
+// in_app: listed in /api/notifications; email: also mailed where a sender supports it
+const DEFAULT_PREFERENCES = {
+  class_reminder: { in_app: true, email: true },
+  class_update: { in_app: true, email: true },
+  session_started: { in_app: true, email: false },
+  session_ended: { in_app: true, email: false },
+  assignment_posted: { in_app: true, email: false },
+  assignment_graded: { in_app: true, email: false },
+  payment_due: { in_app: true, email: true },
+  general: { in_app: true, email: false }
+};
+
+// Rows per insert request
+const INSERT_BATCH_SIZE = 500;
+const MAX_PAGE_SIZE = 100;
+
+class NotificationError extends Error {
+  constructor(message, status = 400, code = 'NOTIFICATION_ERROR') {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new NotificationError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const assertType = (type) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new NotificationError(`type must be one of: ${NOTIFICATION_TYPES.join(', ')}`, 400, 'INVALID_TYPE');
+  }
+};
+
+// ==================== PREFERENCES ====================
+
+/**
+ * A user's preferences for every type, defaults filled in.
+ * @returns {object} { [type]: { in_app, email } }
+ */
+const getPreferences = async (userId) => {
+  const rows = unwrap(
+    await supabase
+      .from('notification_preferences')
+      .select('type, in_app, email')
+      .eq('user_id', userId),
+    'Error fetching notification preferences'
+  ) || [];
+
+  return Object.fromEntries(NOTIFICATION_TYPES.map(type => {
+    const row = rows.find(r => r.type === type);
+    return [type, {
+      in_app: row?.in_app ?? DEFAULT_PREFERENCES[type].in_app,
+      email: row?.email ?? DEFAULT_PREFERENCES[type].email
+    }];
+  }));
+};
+
+// Booleans, or 'true' / 'false' from form posts; anything else is rejected rather than coerced
+const toFlag = (value, type, channel) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new NotificationError(`${type}.${channel} must be true or false`, 400, 'VALIDATION_ERROR');
+};
+
+/**
+ * Change some preferences: { session_started: { in_app: false }, payment_due: { email: false } }
+ * @returns {object} all preferences, as getPreferences
+ */
+const setPreferences = async (userId, changes = {}) => {
+  const entries = Object.entries(changes || {});
+  if (entries.length === 0) {
+    throw new NotificationError('No preferences to update', 400, 'NOTHING_TO_UPDATE');
+  }
+
+  const current = await getPreferences(userId);
+  const now = new Date().toISOString();
+
+  const rows = entries.map(([type, value]) => {
+    assertType(type);
+    if (!value || typeof value !== 'object') {
+      throw new NotificationError(`Preferences for ${type} must be an object like { in_app, email }`, 400, 'VALIDATION_ERROR');
+    }
+    return {
+      user_id: userId,
+      type,
+      in_app: value.in_app !== undefined ? toFlag(value.in_app, type, 'in_app') : current[type].in_app,
+      email: value.email !== undefined ? toFlag(value.email, type, 'email') : current[type].email,
+      updated_at: now
+    };
+  });
+
+  unwrap(
+    await supabase.from('notification_preferences').upsert(rows, { onConflict: 'user_id,type' }),
+    'Error saving notification preferences'
+  );
+
+  return getPreferences(userId);
+};
+
+/**
+ * Users among userIds who want a type on a channel ('in_app' or 'email').
+ */
+const filterRecipients = async (userIds, type, channel = 'in_app') => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const { data: rows } = await supabase
+    .from('notification_preferences')
+    .select('user_id, in_app, email')
+    .eq('type', type)
+    .in('user_id', ids);
+
+  return ids.filter(id => {
+    const row = (rows || []).find(r => r.user_id === id);
+    return row?.[channel] ?? DEFAULT_PREFERENCES[type][channel];
+  });
+};
+
+// ==================== SENDING ====================
+
+/**
+ * Notify users in batched inserts, skipping those who turned the type off.
+ * @param {Array} userIds
+ * @param {object} notification - { type, title, message, data }
+ * @returns {number} notifications created (0 when the insert failed; the error is logged)
+ */
+const notifyUsers = async (userIds, { type = 'general', title, message, data = null }) => {
+  try {
+    assertType(type);
+    const recipients = await filterRecipients(userIds || [], type);
+    const now = new Date().toISOString();
+
+    for (let i = 0; i < recipients.length; i += INSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('notifications')
+        .insert(recipients.slice(i, i + INSERT_BATCH_SIZE).map(userId => ({
+          user_id: userId,
+          type,
+          title,
+          message,
+          data,
+          read_at: null,
+          created_at: now
+        })));
+      if (error) throw error;
+    }
+
+    return recipients.length;
+  } catch (error) {
+    console.warn(`⚠️ Failed to send ${type} notifications:`, error.message || error);
+    return 0;
+  }
+};
+
+// Students of a class: enrolled through students_classes, or assigned to its teacher.
+// classId may be null for a series occurrence that has no classes row yet.
+const getClassStudentIds = async (classId, teacherId) => {
+  const [{ data: enrollments }, { data: assigned }] = await Promise.all([
+    classId
+      ? supabase.from('students_classes').select('student_id').eq('class_id', classId)
+      : Promise.resolve({ data: [] }),
+    teacherId
+      ? supabase.from('profiles').select('id').eq('role', 'student').eq('teacher_id', teacherId)
+      : Promise.resolve({ data: [] })
+  ]);
+
+  return [...new Set([...(enrollments || []).map(e => e.student_id), ...(assigned || []).map(s => s.id)])];
+};
+
+/**
+ * Notify the students of a class; like notifyUsers it never throws.
+ * @param {object} classRow - { id, teacher_id }
+ */
+const notifyClassStudents = async (classRow, notification) => {
+  try {
+    return await notifyUsers(await getClassStudentIds(classRow.id, classRow.teacher_id), notification);
+  } catch (error) {
+    console.warn(`⚠️ Failed to send ${notification.type} notifications:`, error.message || error);
+    return 0;
+  }
+};
+
+// A student and the guardians linked to them
+const withGuardians = async (studentIds) => {
+  const ids = [...new Set(studentIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const { data: links } = await supabase
+    .from('guardian_students')
+    .select('guardian_id')
+    .in('student_id', ids);
+
+  return [...new Set([...ids, ...(links || []).map(l => l.guardian_id)])];
+};
+
+// ==================== READING ====================
+
+/**
+ * A user's notifications, newest first.
+ * @param {object} options - { unread, type, page, limit }
+ * @returns {object} { notifications, pagination, unread_count }
+ */
+const listNotifications = async (userId, { unread, type, page = 1, limit = 20 } = {}) => {
+  if (type) assertType(type);
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 20));
+  const offset = (pageNumber - 1) * pageSize;
+
+  let query = supabase
+    .from('notifications')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId);
+  if (unread) query = query.is('read_at', null);
+  if (type) query = query.eq('type', type);
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + pageSize - 1);
+  unwrap({ data, error }, 'Error fetching notifications');
+
+  return {
+    notifications: (data || []).map(n => ({ ...n, type: n.type || 'general', is_read: !!n.read_at })),
+    pagination: { page: pageNumber, limit: pageSize, total: count ?? (data || []).length },
+    unread_count: await getUnreadCount(userId)
+  };
+};
+
+/**
+ * @returns {object} { total, by_type: { [type]: count } }
+ */
+const getUnreadCount = async (userId) => {
+  const rows = unwrap(
+    await supabase
+      .from('notifications')
+      .select('type')
+      .eq('user_id', userId)
+      .is('read_at', null),
+    'Error counting notifications'
+  ) || [];
+
+  const byType = {};
+  rows.forEach(row => {
+    const type = row.type || 'general';
+    byType[type] = (byType[type] || 0) + 1;
+  });
+
+  return { total: rows.length, by_type: byType };
+};
+
+/**
+ * Mark some of a user's notifications read; ids of other users are ignored.
+ * @returns {number} notifications marked
+ */
+const markRead = async (userId, ids) => {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+  if (list.length === 0) {
+    throw new NotificationError('At least one notification id is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const data = unwrap(
+    await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .in('id', list)
+      .is('read_at', null)
+      .select('id'),
+    'Error marking notifications read'
+  );
+  return (data || []).length;
+};
+
+/**
+ * Mark every unread notification read, optionally of one type.
+ * @returns {number} notifications marked
+ */
+const markAllRead = async (userId, { type } = {}) => {
+  if (type) assertType(type);
+
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+  if (type) query = query.eq('type', type);
+
+  const data = unwrap(await query.select('id'), 'Error marking notifications read');
+  return (data || []).length;
+};
+
+export {
+  NotificationError,
+  NOTIFICATION_TYPES,
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  setPreferences,
+  filterRecipients,
+  notifyUsers,
+  getClassStudentIds,
+  notifyClassStudents,
+  withGuardians,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+};
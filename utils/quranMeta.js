@@ -0,0 +1,99 @@
+// utils/quranMeta.js
+// Static Quran metadata (Hafs numbering): the 114 surahs with their ayah counts and the
+// start of each of the 30 juz. Bundled so hifz ranges can be validated without a network call.
+
+// [name, ayah count], index + 1 is the surah number
+const SURAH_DATA = [
+  ['Al-Fatihah', 7], ['Al-Baqarah', 286], ['Al Imran', 200], ['An-Nisa', 176], ['Al-Maidah', 120],
+  ['Al-Anam', 165], ['Al-Araf', 206], ['Al-Anfal', 75], ['At-Tawbah', 129], ['Yunus', 109],
+  ['Hud', 123], ['Yusuf', 111], ['Ar-Rad', 43], ['Ibrahim', 52], ['Al-Hijr', 99],
+  ['An-Nahl', 128], ['Al-Isra', 111], ['Al-Kahf', 110], ['Maryam', 98], ['Taha', 135],
+  ['Al-Anbiya', 112], ['Al-Hajj', 78], ['Al-Muminun', 118], ['An-Nur', 64], ['Al-Furqan', 77],
+  ['Ash-Shuara', 227], ['An-Naml', 93], ['Al-Qasas', 88], ['Al-Ankabut', 69], ['Ar-Rum', 60],
+  ['Luqman', 34], ['As-Sajdah', 30], ['Al-Ahzab', 73], ['Saba', 54], ['Fatir', 45],
+  ['Ya-Sin', 83], ['As-Saffat', 182], ['Sad', 88], ['Az-Zumar', 75], ['Ghafir', 85],
+  ['Fussilat', 54], ['Ash-Shura', 53], ['Az-Zukhruf', 89], ['Ad-Dukhan', 59], ['Al-Jathiyah', 37],
+  ['Al-Ahqaf', 35], ['Muhammad', 38], ['Al-Fath', 29], ['Al-Hujurat', 18], ['Qaf', 45],
+  ['Adh-Dhariyat', 60], ['At-Tur', 49], ['An-Najm', 62], ['Al-Qamar', 55], ['Ar-Rahman', 78],
+  ['Al-Waqiah', 96], ['Al-Hadid', 29], ['Al-Mujadilah', 22], ['Al-Hashr', 24], ['Al-Mumtahanah', 13],
+  ['As-Saff', 14], ['Al-Jumuah', 11], ['Al-Munafiqun', 11], ['At-Taghabun', 18], ['At-Talaq', 12],
+  ['At-Tahrim', 12], ['Al-Mulk', 30], ['Al-Qalam', 52], ['Al-Haqqah', 52], ['Al-Maarij', 44],
+  ['Nuh', 28], ['Al-Jinn', 28], ['Al-Muzzammil', 20], ['Al-Muddaththir', 56], ['Al-Qiyamah', 40],
+  ['Al-Insan', 31], ['Al-Mursalat', 50], ['An-Naba', 40], ['An-Naziat', 46], ['Abasa', 42],
+  ['At-Takwir', 29], ['Al-Infitar', 19], ['Al-Mutaffifin', 36], ['Al-Inshiqaq', 25], ['Al-Buruj', 22],
+  ['At-Tariq', 17], ['Al-Ala', 19], ['Al-Ghashiyah', 26], ['Al-Fajr', 30], ['Al-Balad', 20],
+  ['Ash-Shams', 15], ['Al-Layl', 21], ['Ad-Duha', 11], ['Ash-Sharh', 8], ['At-Tin', 8],
+  ['Al-Alaq', 19], ['Al-Qadr', 5], ['Al-Bayyinah', 8], ['Az-Zalzalah', 8], ['Al-Adiyat', 11],
+  ['Al-Qariah', 11], ['At-Takathur', 8], ['Al-Asr', 3], ['Al-Humazah', 9], ['Al-Fil', 5],
+  ['Quraysh', 4], ['Al-Maun', 7], ['Al-Kawthar', 3], ['Al-Kafirun', 6], ['An-Nasr', 3],
+  ['Al-Masad', 5], ['Al-Ikhlas', 4], ['Al-Falaq', 5], ['An-Nas', 6]
+];
+
+// [surah, ayah] where each juz begins
+const JUZ_STARTS = [
+  [1, 1], [2, 142], [2, 253], [3, 93], [4, 24], [4, 148], [5, 82], [6, 111], [7, 88], [8, 41],
+  [9, 93], [11, 6], [12, 53], [15, 1], [17, 1], [18, 75], [21, 1], [23, 1], [25, 21], [27, 56],
+  [29, 46], [33, 31], [36, 28], [39, 32], [41, 47], [46, 1], [51, 31], [58, 1], [67, 1], [78, 1]
+];
+
+const SURAH_COUNT = SURAH_DATA.length;
+const JUZ_COUNT = JUZ_STARTS.length;
+
+// Offset of each surah's first ayah in the whole mushaf (0-based)
+const SURAH_OFFSETS = SURAH_DATA.reduce((offsets, [, ayahs], index) => {
+  offsets.push(index === 0 ? 0 : offsets[index - 1] + SURAH_DATA[index - 1][1]);
+  return offsets;
+}, []);
+
+const TOTAL_AYAHS = SURAH_OFFSETS[SURAH_COUNT - 1] + SURAH_DATA[SURAH_COUNT - 1][1];
+
+const SURAHS = SURAH_DATA.map(([name, ayahs], index) => ({ number: index + 1, name, ayahs }));
+
+const getSurah = (number) => SURAHS[Number(number) - 1] || null;
+
+// 0-based position of an ayah in the whole mushaf
+const ayahIndex = (surah, ayah) => SURAH_OFFSETS[surah - 1] + ayah - 1;
+
+// [start, end) ayah index range of each juz
+const JUZ_RANGES = JUZ_STARTS.map(([surah, ayah], index) => {
+  const next = JUZ_STARTS[index + 1];
+  return [ayahIndex(surah, ayah), next ? ayahIndex(next[0], next[1]) : TOTAL_AYAHS];
+});
+
+const juzOf = (surah, ayah) => {
+  const index = ayahIndex(surah, ayah);
+  return JUZ_RANGES.findIndex(([start, end]) => index >= start && index < end) + 1;
+};
+
+/**
+ * Validate a surah/ayah range.
+ * @returns {string|null} Error message, or null when the range is valid
+ */
+const validateAyahRange = (surah, ayahFrom, ayahTo) => {
+  const meta = getSurah(surah);
+  if (!Number.isInteger(surah) || !meta) {
+    return `Surah must be a number between 1 and ${SURAH_COUNT}`;
+  }
+  if (!Number.isInteger(ayahFrom) || !Number.isInteger(ayahTo)) {
+    return 'Ayah numbers must be whole numbers';
+  }
+  if (ayahFrom < 1 || ayahTo > meta.ayahs) {
+    return `${meta.name} has ayahs 1 to ${meta.ayahs}`;
+  }
+  if (ayahFrom > ayahTo) {
+    return 'ayah_from must not be after ayah_to';
+  }
+  return null;
+};
+
+export {
+  SURAHS,
+  SURAH_COUNT,
+  JUZ_COUNT,
+  JUZ_RANGES,
+  TOTAL_AYAHS,
+  getSurah,
+  ayahIndex,
+  juzOf,
+  validateAyahRange
+};
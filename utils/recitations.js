@@ -0,0 +1,393 @@
+// utils/recitations.js
+// Recitation audio pipeline for assignment submissions and exam answers: validates uploads (container + duration),
+// stores them through the audio storage adapter and issues short-lived playback URLs.
+// Uploads arrive either as one multipart file or as resumable chunks (offset-checked, kept in the same
+// audio storage under uploads/<uploadId>/ until completed).
+// Table:
+//   recitation_uploads (id, student_id, assignment_id, submission_id, exam_attempt_id, storage_backend, storage_key,
+//                       container, mime_type, size_bytes, duration_seconds, original_name, created_at)
+//   assignment_submissions.recitation_id -> recitation_uploads.id
+//   exam_answers.recitation_id -> recitation_uploads.id
+
+import crypto from 'crypto';
+import { supabase } from '../server.js';
+import { probeAudio, CONTAINERS } from './audioProbe.js';
+import { getAudioStorage } from './audioStorage.js';
+import { getStudentAssignment } from './assignments.js';
+
+// Limits are read when used, after .env is loaded
+const getMaxUploadBytes = () => (parseInt(process.env.AUDIO_MAX_UPLOAD_MB, 10) || 50) * 1024 * 1024;
+const getMaxDurationSeconds = () => parseInt(process.env.AUDIO_MAX_DURATION_SECONDS, 10) || 30 * 60;
+const getPlaybackUrlTtl = () => parseInt(process.env.AUDIO_PLAYBACK_URL_TTL, 10) || 10 * 60;
+
+const MIN_DURATION_SECONDS = 1;
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+class RecitationError extends Error {
+  constructor(message, status = 400, code = 'RECITATION_ERROR') {
+    super(message);
+    this.name = 'RecitationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// The assignment must exist and be assigned to the student
+const getAssignmentForStudent = async (assignmentId, studentId) => {
+  if (!assignmentId) {
+    throw new RecitationError('Assignment ID is required', 400, 'ASSIGNMENT_REQUIRED');
+  }
+
+  const assignment = await getStudentAssignment(assignmentId, studentId);
+  if (!assignment) {
+    throw new RecitationError('Assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  return assignment;
+};
+
+// Container and duration checks on the complete file
+const validateAudio = (buffer) => {
+  if (buffer.length > getMaxUploadBytes()) {
+    throw new RecitationError(`Recording is larger than ${getMaxUploadBytes() / (1024 * 1024)} MB`, 413, 'FILE_TOO_LARGE');
+  }
+
+  const audio = probeAudio(buffer);
+  if (!audio) {
+    throw new RecitationError(
+      `Unsupported audio format. Accepted formats: ${Object.keys(CONTAINERS).join(', ')}`,
+      415,
+      'UNSUPPORTED_FORMAT'
+    );
+  }
+
+  if (audio.duration === null) {
+    throw new RecitationError('Could not read the recording duration; the file may be damaged', 422, 'UNREADABLE_AUDIO');
+  }
+  if (audio.duration < MIN_DURATION_SECONDS) {
+    throw new RecitationError('Recording is too short', 422, 'AUDIO_TOO_SHORT');
+  }
+  if (audio.duration > getMaxDurationSeconds()) {
+    throw new RecitationError(`Recording is longer than ${Math.round(getMaxDurationSeconds() / 60)} minutes`, 422, 'AUDIO_TOO_LONG');
+  }
+
+  return audio;
+};
+
+/**
+ * Validate and store a complete recording.
+ * @param {object} options - { studentId, assignmentId, examAttemptId, buffer, originalName }
+ *   Exam answers pass examAttemptId instead of assignmentId; the exams service has already
+ *   checked that the attempt belongs to the student and is still open.
+ * @returns {object} The recitation_uploads row
+ */
+const storeRecitation = async ({ studentId, assignmentId = null, examAttemptId = null, buffer, originalName = null }) => {
+  if (!examAttemptId) {
+    await getAssignmentForStudent(assignmentId, studentId);
+  }
+  const audio = validateAudio(buffer);
+
+  const storage = getAudioStorage();
+  const folder = examAttemptId ? `exams/${examAttemptId}` : assignmentId;
+  const key = `${studentId}/${folder}/${crypto.randomUUID()}.${audio.extension}`;
+  await storage.save(key, buffer, audio.mimeType);
+
+  const { data, error } = await supabase
+    .from('recitation_uploads')
+    .insert([{
+      student_id: studentId,
+      assignment_id: examAttemptId ? null : assignmentId,
+      exam_attempt_id: examAttemptId,
+      storage_backend: storage.name,
+      storage_key: key,
+      container: audio.container,
+      mime_type: audio.mimeType,
+      size_bytes: buffer.length,
+      duration_seconds: audio.duration,
+      original_name: originalName,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    await storage.remove(key);
+    console.error('❌ Error saving recitation upload:', error);
+    throw new RecitationError(error.message, 400, 'DATABASE_ERROR');
+  }
+
+  console.log(`🎙️ Stored recitation ${data.id} (${audio.container}, ${audio.duration}s, ${buffer.length} bytes)`);
+  return data;
+};
+
+const getRecitation = async (recitationId) => {
+  const { data } = await supabase
+    .from('recitation_uploads')
+    .select('*')
+    .eq('id', recitationId)
+    .maybeSingle();
+  return data;
+};
+
+// A stored recording the student can still attach to a submission of this assignment
+const getAttachableRecitation = async (recitationId, studentId, assignmentId) => {
+  const recitation = await getRecitation(recitationId);
+
+  if (!recitation || recitation.student_id !== studentId) {
+    throw new RecitationError('Recording not found', 404, 'RECITATION_NOT_FOUND');
+  }
+  if (recitation.assignment_id !== assignmentId) {
+    throw new RecitationError('Recording was uploaded for a different assignment', 400, 'ASSIGNMENT_MISMATCH');
+  }
+  if (recitation.submission_id) {
+    throw new RecitationError('Recording is already attached to a submission', 409, 'ALREADY_ATTACHED');
+  }
+
+  return recitation;
+};
+
+const attachRecitation = async (recitationId, submissionId) => {
+  const { error } = await supabase
+    .from('recitation_uploads')
+    .update({ submission_id: submissionId })
+    .eq('id', recitationId);
+
+  if (error) {
+    console.error('❌ Error linking recitation to submission:', error);
+  }
+};
+
+// Remove a stored recording that never made it onto a submission
+const discardRecitation = async (recitation) => {
+  await getAudioStorage().remove(recitation.storage_key);
+  await supabase.from('recitation_uploads').delete().eq('id', recitation.id);
+};
+
+/**
+ * Short-lived playback URL for a stored recording.
+ * @param {object} recitation - recitation_uploads row
+ * @param {string} baseUrl - Public origin of this API, used by the local adapter
+ */
+const getPlaybackUrl = async (recitation, baseUrl) => {
+  const expiresIn = getPlaybackUrlTtl();
+  const url = await getAudioStorage().getSignedUrl(recitation.storage_key, {
+    expiresIn,
+    baseUrl: process.env.PUBLIC_API_URL || baseUrl
+  });
+
+  return {
+    url,
+    expires_at: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    mime_type: recitation.mime_type,
+    duration_seconds: recitation.duration_seconds
+  };
+};
+
+// ==================== RESUMABLE CHUNKED UPLOADS ====================
+
+// An upload is a folder in the audio storage: session.json plus one object per chunk, named after
+// its offset. Storage keys cannot be overwritten, so of two requests racing for the same offset only
+// one is stored, and every instance sees the same parts.
+const UPLOAD_PREFIX = 'uploads';
+const SESSION_FILE = 'session.json';
+const COMPLETING_FILE = 'completing';
+const PART_NAME = /^(\d{12})\.part$/;
+
+const uploadFolder = (uploadId) => {
+  if (!/^[0-9a-f-]{36}$/.test(uploadId || '')) {
+    throw new RecitationError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+  }
+  return `${UPLOAD_PREFIX}/${uploadId}`;
+};
+
+const partKey = (folder, offset) => `${folder}/${String(offset).padStart(12, '0')}.part`;
+
+// null when the session file is missing or unreadable; storage errors propagate
+const readSessionFile = async (folder) => {
+  const meta = await getAudioStorage().read(`${folder}/${SESSION_FILE}`);
+  if (!meta) return null;
+
+  try {
+    return JSON.parse(meta.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const readUploadSession = async (uploadId, studentId) => {
+  const folder = uploadFolder(uploadId);
+  const [session, entries] = await Promise.all([readSessionFile(folder), getAudioStorage().list(folder)]);
+
+  if (!session || session.student_id !== studentId) {
+    throw new RecitationError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+  }
+
+  // Received bytes are the unbroken run of parts starting at 0
+  const parts = [];
+  let offset = 0;
+  const stored = entries
+    .map(entry => ({ match: PART_NAME.exec(entry.name), size: entry.size }))
+    .filter(entry => entry.match)
+    .map(entry => ({ offset: Number(entry.match[1]), size: entry.size }))
+    .sort((a, b) => a.offset - b.offset);
+
+  for (const part of stored) {
+    if (part.offset !== offset) break;
+    parts.push(part);
+    offset += part.size;
+  }
+
+  return { ...session, offset, parts, folder };
+};
+
+// Abandoned uploads are swept whenever a new one starts
+const purgeStaleUploads = async () => {
+  try {
+    const storage = getAudioStorage();
+    const folders = (await storage.list(UPLOAD_PREFIX)).filter(entry => entry.size === null);
+    const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+
+    await Promise.all(folders.map(async ({ name }) => {
+      const folder = `${UPLOAD_PREFIX}/${name}`;
+      const session = await readSessionFile(folder);
+      if (session && new Date(session.created_at).getTime() < cutoff) {
+        await storage.removeFolder(folder);
+      }
+    }));
+  } catch (error) {
+    console.warn('⚠️ Failed to purge stale uploads:', error.message);
+  }
+};
+
+/**
+ * Start a resumable upload.
+ * @param {object} options - { studentId, assignmentId, size, filename }
+ */
+const createUploadSession = async ({ studentId, assignmentId, size, filename = null }) => {
+  await getAssignmentForStudent(assignmentId, studentId);
+
+  const totalSize = Number(size);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new RecitationError('size must be the total file size in bytes', 400, 'INVALID_SIZE');
+  }
+  if (totalSize > getMaxUploadBytes()) {
+    throw new RecitationError(`Recording is larger than ${getMaxUploadBytes() / (1024 * 1024)} MB`, 413, 'FILE_TOO_LARGE');
+  }
+
+  await purgeStaleUploads();
+
+  const uploadId = crypto.randomUUID();
+  const session = {
+    id: uploadId,
+    student_id: studentId,
+    assignment_id: assignmentId,
+    size: totalSize,
+    filename,
+    created_at: new Date().toISOString()
+  };
+
+  await getAudioStorage().save(`${uploadFolder(uploadId)}/${SESSION_FILE}`, Buffer.from(JSON.stringify(session)), 'application/json');
+
+  return { upload_id: uploadId, offset: 0, size: totalSize, chunk_size: CHUNK_SIZE };
+};
+
+const getUploadStatus = async (uploadId, studentId) => {
+  const session = await readUploadSession(uploadId, studentId);
+  return { upload_id: session.id, offset: session.offset, size: session.size, chunk_size: CHUNK_SIZE };
+};
+
+/**
+ * Append one chunk. The client sends the offset it believes it is at; on a mismatch it should
+ * ask for the upload status and resume from the returned offset.
+ */
+const appendUploadChunk = async (uploadId, studentId, offset, chunk) => {
+  const session = await readUploadSession(uploadId, studentId);
+
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new RecitationError('Chunk body is empty', 400, 'EMPTY_CHUNK');
+  }
+  if (chunk.length > CHUNK_SIZE) {
+    throw new RecitationError(`Chunks must be at most ${CHUNK_SIZE} bytes`, 413, 'CHUNK_TOO_LARGE');
+  }
+  if (Number(offset) !== session.offset) {
+    throw new RecitationError(`Offset mismatch, resume from ${session.offset}`, 409, 'OFFSET_MISMATCH');
+  }
+  if (session.offset + chunk.length > session.size) {
+    throw new RecitationError('Chunk goes past the declared file size', 400, 'SIZE_EXCEEDED');
+  }
+
+  try {
+    await getAudioStorage().save(partKey(session.folder, session.offset), chunk, 'application/octet-stream');
+  } catch (error) {
+    // Another request stored a chunk at this offset first
+    if (error.code === 'EEXIST') {
+      const current = await readUploadSession(uploadId, studentId);
+      throw new RecitationError(`Offset mismatch, resume from ${current.offset}`, 409, 'OFFSET_MISMATCH');
+    }
+    throw error;
+  }
+  return { upload_id: session.id, offset: session.offset + chunk.length, size: session.size };
+};
+
+// Validate and store the assembled file, then drop the temporary parts
+const completeUpload = async (uploadId, studentId) => {
+  const session = await readUploadSession(uploadId, studentId);
+
+  if (session.offset !== session.size) {
+    throw new RecitationError(`Upload incomplete: ${session.offset} of ${session.size} bytes received`, 409, 'UPLOAD_INCOMPLETE');
+  }
+
+  // Claim the upload so a repeated request cannot store the recording twice
+  const storage = getAudioStorage();
+  const claimKey = `${session.folder}/${COMPLETING_FILE}`;
+  try {
+    await storage.save(claimKey, Buffer.from(new Date().toISOString()), 'text/plain');
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new RecitationError('Upload is already being completed', 409, 'UPLOAD_COMPLETING');
+    }
+    throw error;
+  }
+
+  try {
+    const chunks = await Promise.all(session.parts.map(async (part) => {
+      const chunk = await storage.read(partKey(session.folder, part.offset));
+      if (!chunk) throw new Error(`Upload part at ${part.offset} is missing`);
+      return chunk;
+    }));
+
+    const recitation = await storeRecitation({
+      studentId,
+      assignmentId: session.assignment_id,
+      buffer: Buffer.concat(chunks),
+      originalName: session.filename
+    });
+    await storage.removeFolder(session.folder);
+    return recitation;
+  } catch (error) {
+    // A rejected recording cannot be fixed by retrying; storage failures can, so keep those parts
+    if (error instanceof RecitationError) {
+      await storage.removeFolder(session.folder);
+    } else {
+      await storage.remove(claimKey);
+    }
+    throw error;
+  }
+};
+
+export {
+  RecitationError,
+  CHUNK_SIZE,
+  getMaxUploadBytes,
+  storeRecitation,
+  getRecitation,
+  getAttachableRecitation,
+  attachRecitation,
+  discardRecitation,
+  getPlaybackUrl,
+  createUploadSession,
+  getUploadStatus,
+  appendUploadChunk,
+  completeUpload
+};
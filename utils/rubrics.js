@@ -0,0 +1,264 @@
+// utils/rubrics.js
+// Reusable grading rubrics with weighted criteria, used to grade assignments and exams.
+// Table:
+//   rubrics (id, teacher_id, name, description, criteria jsonb, archived, created_at, updated_at)
+//   criteria: [{ key, name, description, weight, max_points }]
+// Graded rows keep a snapshot of the breakdown (rubric_scores), so editing a rubric never
+// rewrites grades that were already given.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+
+const MAX_CRITERIA = 12;
+const DEFAULT_MAX_POINTS = 10;
+
+// Starting point offered to teachers for recitation homework
+const RUBRIC_TEMPLATES = [
+  {
+    name: 'Quran recitation',
+    description: 'Memorization, tajweed, fluency and adab of a recitation',
+    criteria: [
+      { key: 'memorization', name: 'Memorization accuracy', weight: 40, max_points: 10 },
+      { key: 'tajweed', name: 'Tajweed', weight: 30, max_points: 10 },
+      { key: 'fluency', name: 'Fluency', weight: 20, max_points: 10 },
+      { key: 'adab', name: 'Adab', weight: 10, max_points: 10 }
+    ]
+  }
+];
+
+class RubricError extends Error {
+  constructor(message, status = 400, code = 'RUBRIC_ERROR') {
+    super(message);
+    this.name = 'RubricError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new RubricError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const slugify = (value) => String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const normalizeCriteria = (criteria) => {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    throw new RubricError('A rubric needs at least one criterion', 400, 'INVALID_CRITERIA');
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    throw new RubricError(`A rubric can have at most ${MAX_CRITERIA} criteria`, 400, 'INVALID_CRITERIA');
+  }
+
+  const normalized = criteria.map((criterion, index) => {
+    const name = sanitizeInput(criterion?.name);
+    const weight = Number(criterion?.weight ?? 1);
+    const maxPoints = Number(criterion?.max_points ?? DEFAULT_MAX_POINTS);
+
+    if (!name) {
+      throw new RubricError(`Criterion ${index + 1} needs a name`, 400, 'INVALID_CRITERIA');
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new RubricError(`Weight of "${name}" must be a positive number`, 400, 'INVALID_CRITERIA');
+    }
+    if (!Number.isFinite(maxPoints) || maxPoints <= 0) {
+      throw new RubricError(`max_points of "${name}" must be a positive number`, 400, 'INVALID_CRITERIA');
+    }
+
+    return {
+      key: slugify(criterion.key || name),
+      name,
+      description: sanitizeInput(criterion.description) || null,
+      weight,
+      max_points: maxPoints
+    };
+  });
+
+  const keys = normalized.map(c => c.key);
+  if (keys.some(key => !key) || new Set(keys).size !== keys.length) {
+    throw new RubricError('Criterion names (or keys) must be unique', 400, 'INVALID_CRITERIA');
+  }
+
+  return normalized;
+};
+
+// ==================== RUBRICS ====================
+
+const listRubrics = async (teacherId, { includeArchived = false } = {}) => {
+  let query = supabase
+    .from('rubrics')
+    .select('*')
+    .eq('teacher_id', teacherId);
+
+  if (!includeArchived) query = query.eq('archived', false);
+
+  return unwrap(await query.order('name'), 'Error fetching rubrics') || [];
+};
+
+const getRubric = async (rubricId) => {
+  const { data } = await supabase
+    .from('rubrics')
+    .select('*')
+    .eq('id', rubricId)
+    .maybeSingle();
+  return data;
+};
+
+// A rubric the teacher owns and can still use for new grading
+const getUsableRubric = async (rubricId, teacherId) => {
+  const rubric = await getRubric(rubricId);
+  if (!rubric || rubric.teacher_id !== teacherId) {
+    throw new RubricError('Rubric not found', 404, 'RUBRIC_NOT_FOUND');
+  }
+  if (rubric.archived) {
+    throw new RubricError('Rubric is archived', 409, 'RUBRIC_ARCHIVED');
+  }
+  return rubric;
+};
+
+const createRubric = async (teacherId, { name, description = null, criteria }) => {
+  const rubricName = sanitizeInput(name);
+  if (!rubricName) {
+    throw new RubricError('Rubric name is required', 400, 'NAME_REQUIRED');
+  }
+
+  const now = new Date().toISOString();
+  return unwrap(
+    await supabase
+      .from('rubrics')
+      .insert([{
+        teacher_id: teacherId,
+        name: rubricName,
+        description: sanitizeInput(description) || null,
+        criteria: normalizeCriteria(criteria),
+        archived: false,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single(),
+    'Error creating rubric'
+  );
+};
+
+const updateRubric = async (rubricId, teacherId, { name, description, criteria, archived }) => {
+  const rubric = await getRubric(rubricId);
+  if (!rubric || rubric.teacher_id !== teacherId) {
+    throw new RubricError('Rubric not found', 404, 'RUBRIC_NOT_FOUND');
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (name !== undefined) {
+    updates.name = sanitizeInput(name);
+    if (!updates.name) throw new RubricError('Rubric name is required', 400, 'NAME_REQUIRED');
+  }
+  if (description !== undefined) updates.description = sanitizeInput(description) || null;
+  if (criteria !== undefined) updates.criteria = normalizeCriteria(criteria);
+  if (archived !== undefined) updates.archived = !!archived;
+
+  return unwrap(
+    await supabase
+      .from('rubrics')
+      .update(updates)
+      .eq('id', rubricId)
+      .select()
+      .single(),
+    'Error updating rubric'
+  );
+};
+
+// ==================== SCORING ====================
+
+/**
+ * Score a piece of work against a rubric.
+ * @param {object} rubric - rubrics row
+ * @param {Array|object} scores - [{ key, points, comment }] or { [key]: points }
+ * @param {number} maxScore - Total the weighted result is normalized to (the assignment's max_score)
+ * @returns {object} { score, percentage, rubric_scores } where rubric_scores is the stored snapshot
+ */
+const scoreWithRubric = (rubric, scores, maxScore) => {
+  const entries = Array.isArray(scores)
+    ? scores
+    : Object.entries(scores || {}).map(([key, points]) => ({ key, points }));
+  const total = Number(maxScore) > 0 ? Number(maxScore) : 100;
+
+  const unknown = entries.filter(entry => !rubric.criteria.some(c => c.key === entry?.key));
+  if (unknown.length > 0) {
+    throw new RubricError(`Unknown criteria: ${unknown.map(e => e?.key).join(', ')}`, 400, 'UNKNOWN_CRITERION');
+  }
+
+  const totalWeight = rubric.criteria.reduce((sum, c) => sum + Number(c.weight), 0);
+
+  const breakdown = rubric.criteria.map(criterion => {
+    const entry = entries.find(e => e.key === criterion.key);
+    const points = Number(entry?.points);
+
+    if (!entry || !Number.isFinite(points)) {
+      throw new RubricError(`Missing score for "${criterion.name}"`, 400, 'MISSING_CRITERION');
+    }
+    if (points < 0 || points > criterion.max_points) {
+      throw new RubricError(`Score for "${criterion.name}" must be between 0 and ${criterion.max_points}`, 400, 'INVALID_POINTS');
+    }
+
+    const share = Number(criterion.weight) / totalWeight;
+    return {
+      key: criterion.key,
+      name: criterion.name,
+      weight: criterion.weight,
+      points,
+      max_points: criterion.max_points,
+      percentage: Math.round((points / criterion.max_points) * 1000) / 10,
+      contribution: Math.round(share * (points / criterion.max_points) * total * 100) / 100,
+      comment: sanitizeInput(entry.comment) || null
+    };
+  });
+
+  const fraction = breakdown.reduce((sum, c) => sum + (Number(c.weight) / totalWeight) * (c.points / c.max_points), 0);
+
+  return {
+    score: Math.round(fraction * total * 100) / 100,
+    percentage: Math.round(fraction * 1000) / 10,
+    rubric_scores: {
+      rubric_id: rubric.id,
+      rubric_name: rubric.name,
+      max_score: total,
+      criteria: breakdown
+    }
+  };
+};
+
+/**
+ * Average percentage per criterion over a set of graded rubric breakdowns.
+ * Criteria are matched by key, so the same rubric used on many assignments rolls up together.
+ */
+const summarizeRubricScores = (rubricScores) => {
+  const byKey = {};
+
+  rubricScores.filter(Boolean).forEach(snapshot => {
+    (snapshot.criteria || []).forEach(criterion => {
+      const entry = (byKey[criterion.key] ||= { key: criterion.key, name: criterion.name, total: 0, graded_count: 0 });
+      entry.total += criterion.percentage;
+      entry.graded_count++;
+    });
+  });
+
+  return Object.values(byKey).map(({ total, ...entry }) => ({
+    ...entry,
+    average_percentage: Math.round((total / entry.graded_count) * 10) / 10
+  }));
+};
+
+export {
+  RubricError,
+  RUBRIC_TEMPLATES,
+  listRubrics,
+  getRubric,
+  getUsableRubric,
+  createRubric,
+  updateRubric,
+  scoreWithRubric,
+  summarizeRubricScores
+};
@@ -0,0 +1,75 @@
+// utils/sessionEvents.js
+// In-process event bus for live video session events (participants, chat, recording).
+// The agora routes publish here and the SSE endpoint in routes/session-events.js fans out to clients.
+
+import { EventEmitter } from 'events';
+
+const SESSION_EVENT_TYPES = [
+  'participant-joined',
+  'participant-left',
+  'teacher-joined',
+  'session-ended',
+  'message-sent',
+  'recording-state',
+  'participant-removed',
+  'participant-readmitted',
+  'mute-requested'
+];
+
+const HISTORY_SIZE = 50; // events kept per meeting for Last-Event-ID replay
+
+class SessionEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // one listener per connected client
+    this.history = new Map();
+    this.nextId = 1;
+  }
+
+  publish(meetingId, type, data = {}) {
+    if (!meetingId) return null;
+
+    const event = {
+      id: this.nextId++,
+      type,
+      meeting_id: meetingId,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    const history = this.history.get(meetingId) || [];
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+    this.history.set(meetingId, history);
+
+    console.log('📣 Session event:', { meetingId, type, id: event.id });
+    this.emitter.emit(meetingId, event);
+
+    // Nothing follows the end of a session, so its replay buffer can go
+    if (type === 'session-ended') this.clear(meetingId);
+    return event;
+  }
+
+  subscribe(meetingId, listener) {
+    this.emitter.on(meetingId, listener);
+    return () => this.emitter.off(meetingId, listener);
+  }
+
+  // Events published after lastEventId, so reconnecting clients do not miss anything
+  replay(meetingId, lastEventId) {
+    const history = this.history.get(meetingId) || [];
+    return history.filter(event => event.id > lastEventId);
+  }
+
+  subscriberCount(meetingId) {
+    return this.emitter.listenerCount(meetingId);
+  }
+
+  clear(meetingId) {
+    this.history.delete(meetingId);
+  }
+}
+
+const sessionEvents = new SessionEventBus();
+
+export { sessionEvents, SESSION_EVENT_TYPES };
@@ -0,0 +1,277 @@
+// utils/sessionStore.js
+// Storage adapters behind the agora SessionManager so live classes survive restarts.
+// Every adapter exposes the same async interface:
+//   loadActive()                          -> [{ meeting_id, ...session }] to rehydrate on startup
+//   saveSession(meetingId, session)       -> persist session-level state
+//   saveParticipant(session, userId)      -> persist one participant (joined, unless removed or banned)
+//   removeParticipant(session, userId)    -> persist one participant (left, if still joined)
+//   saveRemoval(session, userId)          -> persist a kick/ban from session.removed[userId]
+//   deleteSession(meetingId)              -> forget a session that was cleaned up
+
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../server.js';
+import { isSessionTeacher } from '../middleware/sessionPolicies.js';
+
+// In-memory store: nothing is persisted, the SessionManager Map is the only state
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async loadActive() {
+    return [];
+  }
+
+  async saveSession() {}
+
+  async saveParticipant() {}
+
+  async removeParticipant() {}
+
+  async saveRemoval() {}
+
+  async deleteSession() {}
+}
+
+// File store: snapshots every session into a JSON file (local development)
+class FileSessionStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.sessions = {};
+    this.writeQueue = Promise.resolve();
+  }
+
+  async loadActive() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.sessions = JSON.parse(raw) || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read session store file:', error.message);
+      }
+      this.sessions = {};
+    }
+
+    return Object.entries(this.sessions)
+      .filter(([, session]) => session.status === 'active')
+      .map(([meetingId, session]) => ({ ...session, meeting_id: meetingId }));
+  }
+
+  async saveSession(meetingId, session) {
+    this.sessions[meetingId] = session;
+    return this.flush();
+  }
+
+  async saveParticipant(session) {
+    this.sessions[session.meeting_id] = session;
+    return this.flush();
+  }
+
+  async removeParticipant(session) {
+    this.sessions[session.meeting_id] = session;
+    return this.flush();
+  }
+
+  async saveRemoval(session) {
+    this.sessions[session.meeting_id] = session;
+    return this.flush();
+  }
+
+  async deleteSession(meetingId) {
+    delete this.sessions[meetingId];
+    return this.flush();
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a JSON file
+  flush() {
+    const snapshot = JSON.stringify(this.sessions, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, this.filePath);
+      })
+      .catch(error => console.error('❌ Failed to write session store file:', error.message));
+    return this.writeQueue;
+  }
+}
+
+// Supabase store: write-through to video_sessions / session_participants
+class SupabaseSessionStore {
+  constructor() {
+    this.name = 'supabase';
+  }
+
+  async loadActive() {
+    const { data: dbSessions, error } = await supabase
+      .from('video_sessions')
+      .select('*, classes(title)')
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error(`Failed to load active sessions: ${error.message}`);
+    }
+
+    if (!dbSessions || dbSessions.length === 0) {
+      return [];
+    }
+
+    const { data: participants, error: participantsError } = await supabase
+      .from('session_participants')
+      .select('session_id, student_id, role, is_teacher, agora_uid, joined_at, status, left_at')
+      .in('session_id', dbSessions.map(s => s.id))
+      .in('status', ['joined', 'removed', 'banned']);
+
+    if (participantsError) {
+      console.warn('⚠️ Could not load session participants:', participantsError.message);
+    }
+
+    return dbSessions.map(dbSession => {
+      const sessionRows = (participants || []).filter(p => p.session_id === dbSession.id);
+      const rows = sessionRows.filter(p => p.status === 'joined');
+      const teacherRow = rows.find(p => p.is_teacher || isSessionTeacher(p.student_id, dbSession));
+
+      return {
+        id: dbSession.id,
+        db_session_id: dbSession.id,
+        meeting_id: dbSession.meeting_id,
+        class_id: dbSession.class_id,
+        teacher_id: dbSession.teacher_id,
+        substitute_teacher_id: dbSession.substitute_teacher_id || null,
+        status: 'active',
+        started_at: dbSession.started_at,
+        channel_name: dbSession.channel_name,
+        access_code: dbSession.access_code,
+        class_title: dbSession.classes?.title,
+        is_dynamic_id: dbSession.is_dynamic_id || false,
+        participants: rows.map(p => p.student_id),
+        agora_uids: rows.reduce((acc, p) => {
+          if (p.agora_uid) acc[p.student_id] = p.agora_uid;
+          return acc;
+        }, {}),
+        removed: sessionRows
+          .filter(p => p.status !== 'joined')
+          .reduce((acc, p) => {
+            acc[p.student_id] = { action: p.status, removed_at: p.left_at };
+            return acc;
+          }, {}),
+        teacher_joined: !!teacherRow,
+        teacher_agora_uid: teacherRow?.agora_uid || null
+      };
+    });
+  }
+
+  async saveSession(meetingId, session) {
+    const updates = {
+      status: session.status,
+      last_activity: new Date().toISOString()
+    };
+    if (session.ended_at) updates.ended_at = session.ended_at;
+
+    const { error } = await supabase
+      .from('video_sessions')
+      .update(updates)
+      .eq('meeting_id', meetingId);
+
+    if (error) throw new Error(error.message);
+  }
+
+  // A removed or banned row is kept as it is; only readmitting the participant lifts it
+  async saveParticipant(session, userId) {
+    if (!session.id || session.removed?.[userId]) return;
+    const isTeacher = isSessionTeacher(userId, session);
+    const participant = {
+      session_id: session.id,
+      student_id: userId,
+      class_id: session.class_id,
+      role: isTeacher ? 'teacher' : 'student',
+      is_teacher: isTeacher,
+      agora_uid: session.agora_uids?.[userId] || null,
+      status: 'joined'
+    };
+
+    const { data: updated, error } = await supabase
+      .from('session_participants')
+      .update(participant)
+      .eq('session_id', session.id)
+      .eq('student_id', userId)
+      .not('status', 'in', '(removed,banned)')
+      .select('id');
+
+    if (error) throw new Error(error.message);
+    if (updated.length > 0) return;
+
+    // No row yet; a unique violation means the row exists and is removed or banned
+    const { error: insertError } = await supabase
+      .from('session_participants')
+      .insert(participant);
+
+    if (insertError && insertError.code !== '23505') throw new Error(insertError.message);
+  }
+
+  // Only a joined row becomes left, so leaving after a kick keeps the removal
+  async removeParticipant(session, userId) {
+    if (!session.id) return;
+
+    const { error } = await supabase
+      .from('session_participants')
+      .update({
+        status: 'left',
+        left_at: new Date().toISOString()
+      })
+      .eq('session_id', session.id)
+      .eq('student_id', userId)
+      .eq('status', 'joined');
+
+    if (error) throw new Error(error.message);
+  }
+
+  async saveRemoval(session, userId) {
+    const removal = session.removed?.[userId];
+    if (!session.id || !removal) return;
+
+    const { error } = await supabase
+      .from('session_participants')
+      .upsert({
+        session_id: session.id,
+        student_id: userId,
+        class_id: session.class_id,
+        role: 'student',
+        is_teacher: false,
+        status: removal.action,
+        left_at: removal.removed_at
+      }, { onConflict: 'session_id,student_id' });
+
+    if (error) throw new Error(error.message);
+  }
+
+  // The video_sessions row is the record of the class, so it is never deleted here
+  async deleteSession() {}
+}
+
+/**
+ * Build the session store selected by SESSION_STORE (memory | file | supabase).
+ * Defaults to supabase in production and memory everywhere else.
+ * @param {string} type - Optional explicit store type
+ */
+const createSessionStore = (type = process.env.SESSION_STORE) => {
+  const storeType = type || (process.env.NODE_ENV === 'production' ? 'supabase' : 'memory');
+
+  switch (storeType) {
+    case 'supabase':
+      return new SupabaseSessionStore();
+    case 'file':
+      return new FileSessionStore(process.env.SESSION_STORE_FILE || path.resolve('.data', 'sessions.json'));
+    case 'memory':
+      return new MemorySessionStore();
+    default:
+      console.warn(`⚠️ Unknown SESSION_STORE "${storeType}", falling back to memory`);
+      return new MemorySessionStore();
+  }
+};
+
+export { MemorySessionStore, FileSessionStore, SupabaseSessionStore, createSessionStore };
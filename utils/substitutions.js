@@ -0,0 +1,354 @@
+// utils/substitutions.js
+// Substitute teachers for one class (or one occurrence of a recurring class) or for every scheduled
+// class of a teacher in a date range. The original teacher keeps ownership (classes.teacher_id,
+// class_series.teacher_id); the substitute goes on:
+//   classes.substitute_teacher_id                      - standalone classes and materialized occurrences
+//   class_series_exceptions.substitute_teacher_id      - series occurrences (see classSeries.js)
+// Live sessions copy it to video_sessions.substitute_teacher_id, which gives the substitute host rights
+// (middleware/sessionPolicies.js). Students of the affected classes get a class_update notification.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { listSeriesOccurrences, parseOccurrenceId, resolveClassId, setOccurrenceException } from './classSeries.js';
+import { checkTeacherSchedule } from './availability.js';
+import { getDefaultTimezone, normalizeTimezone, parseInTimezone } from './timezones.js';
+import { notifyUsers } from './notifications.js';
+
+// A range covers at most this many days
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Classes in these states are over and keep whoever taught them
+const CLOSED_STATUSES = ['completed', 'finished', 'cancelled'];
+
+class SubstitutionError extends Error {
+  constructor(message, status = 400, code = 'SUBSTITUTION_ERROR') {
+    super(message);
+    this.name = 'SubstitutionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new SubstitutionError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const getTeacher = async (teacherId, label = 'Teacher') => {
+  const { data: teacher } = await supabase
+    .from('profiles')
+    .select('id, name, status, timezone')
+    .eq('id', teacherId)
+    .eq('role', 'teacher')
+    .maybeSingle();
+
+  if (!teacher) {
+    throw new SubstitutionError(`${label} not found`, 404, 'TEACHER_NOT_FOUND');
+  }
+  return teacher;
+};
+
+// ==================== TARGETS ====================
+
+// "class" targets are classes rows; "occurrence" targets are series occurrences without a row
+const fromClassRow = (row) => ({
+  id: row.id,
+  series_id: row.series_id || null,
+  occurrence_start: row.occurrence_start || null,
+  title: row.title,
+  teacher_id: row.teacher_id,
+  substitute_teacher_id: row.substitute_teacher_id || null,
+  scheduled_date: row.scheduled_date,
+  duration: row.duration || 60,
+  status: row.status
+});
+
+const classTarget = async (classId) => {
+  // Occurrences of a recurring class get their classes row here
+  const id = await resolveClassId(classId);
+
+  const { data: row } = await supabase
+    .from('classes')
+    .select('id, series_id, occurrence_start, title, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!row) {
+    throw new SubstitutionError('Class not found', 404, 'CLASS_NOT_FOUND');
+  }
+  if (CLOSED_STATUSES.includes(row.status)) {
+    throw new SubstitutionError(`A ${row.status} class cannot be reassigned`, 400, 'CLASS_CLOSED');
+  }
+  return [fromClassRow(row)];
+};
+
+// A bare "to" date includes that whole day
+const toRange = ({ from, to }, timezone) => {
+  const start = parseInTimezone(from, timezone);
+  const end = /^\d{4}-\d{2}-\d{2}$/.test(String(to).trim())
+    ? parseInTimezone(`${String(to).trim()}T23:59:59`, timezone)
+    : parseInTimezone(to, timezone);
+
+  if (!start || !end) {
+    throw new SubstitutionError('from and to must be valid dates', 400, 'INVALID_DATE');
+  }
+  if (end <= start) {
+    throw new SubstitutionError('to must be after from', 400, 'INVALID_RANGE');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new SubstitutionError(`A substitution covers at most ${MAX_RANGE_DAYS} days`, 400, 'INVALID_RANGE');
+  }
+  return { start, end };
+};
+
+const rangeTargets = async (teacher, range) => {
+  const { start, end } = toRange(range, normalizeTimezone(teacher.timezone) || getDefaultTimezone());
+
+  const { data: rows, error } = await supabase
+    .from('classes')
+    .select('id, series_id, occurrence_start, title, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .eq('teacher_id', teacher.id)
+    .is('series_id', null)
+    .eq('status', 'scheduled')
+    .gte('scheduled_date', start.toISOString())
+    .lte('scheduled_date', end.toISOString());
+  unwrap({ data: rows, error }, 'Error fetching classes');
+
+  const occurrences = await listSeriesOccurrences({
+    teacherId: teacher.id,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    status: 'scheduled',
+    substitutions: false
+  });
+
+  const targets = [...(rows || []).map(fromClassRow), ...occurrences.map(fromClassRow)]
+    .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date));
+
+  return { targets, start, end };
+};
+
+/**
+ * Classes a substitution request covers.
+ * @param {object} target - { class_id } or { teacher_id, from, to }; times without an offset are
+ *   read in the teacher's timezone
+ * @returns {object} { targets, teacher, range }
+ */
+const resolveTargets = async (target = {}) => {
+  if (target.class_id) {
+    const targets = await classTarget(target.class_id);
+    return { targets, teacher: await getTeacher(targets[0].teacher_id), range: null };
+  }
+
+  if (!target.teacher_id || !target.from || !target.to) {
+    throw new SubstitutionError('Either class_id or teacher_id with from and to is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const teacher = await getTeacher(target.teacher_id);
+  const { targets, start, end } = await rangeTargets(teacher, target);
+  return { targets, teacher, range: { from: start.toISOString(), to: end.toISOString() } };
+};
+
+// ==================== APPLY ====================
+
+const applySubstitute = async (target, userId, substituteId, note) => {
+  if (target.series_id) {
+    const { occurrence } = await setOccurrenceException(target.series_id, target.occurrence_start, userId, {
+      substitute_teacher_id: substituteId,
+      ...(note !== undefined ? { note } : {})
+    });
+    return { ...target, substitute_teacher_id: occurrence.substitute_teacher_id };
+  }
+
+  unwrap(
+    await supabase
+      .from('classes')
+      .update({ substitute_teacher_id: substituteId, updated_at: new Date().toISOString() })
+      .eq('id', target.id),
+    'Error updating class'
+  );
+  return { ...target, substitute_teacher_id: substituteId };
+};
+
+// Students of a class: enrolled through students_classes or assigned to its teacher
+const findStudents = async (classes) => {
+  const classIds = classes.filter(c => !parseOccurrenceId(c.id)).map(c => c.id);
+  const teacherIds = [...new Set(classes.map(c => c.teacher_id))];
+
+  const [{ data: enrollments }, { data: assigned }] = await Promise.all([
+    classIds.length > 0
+      ? supabase.from('students_classes').select('student_id, class_id').in('class_id', classIds)
+      : Promise.resolve({ data: [] }),
+    supabase.from('profiles').select('id, teacher_id').eq('role', 'student').in('teacher_id', teacherIds)
+  ]);
+
+  const byStudent = new Map();
+  const add = (studentId, cls) => {
+    if (!byStudent.has(studentId)) byStudent.set(studentId, []);
+    if (!byStudent.get(studentId).includes(cls)) byStudent.get(studentId).push(cls);
+  };
+
+  (enrollments || []).forEach(e => add(e.student_id, classes.find(c => c.id === e.class_id)));
+  (assigned || []).forEach(s => classes.filter(c => c.teacher_id === s.teacher_id).forEach(c => add(s.id, c)));
+  return byStudent;
+};
+
+const describeClasses = (classes) => {
+  if (classes.length === 1) {
+    const [cls] = classes;
+    return `"${cls.title}" on ${new Date(cls.scheduled_date).toUTCString()}`;
+  }
+  return `${classes.length} of your classes`;
+};
+
+// Best effort: a failed notification never undoes the substitution
+const notifyStudents = async (classes, { title, message }) => {
+  if (classes.length === 0) return 0;
+
+  try {
+    // Students with the same classes share one message, sent in one batch
+    const byMessage = new Map();
+    (await findStudents(classes)).forEach((studentClasses, studentId) => {
+      const text = message(describeClasses(studentClasses));
+      if (!byMessage.has(text)) byMessage.set(text, { ids: [], classIds: studentClasses.map(c => c.id) });
+      byMessage.get(text).ids.push(studentId);
+    });
+
+    let notified = 0;
+    for (const [text, { ids, classIds }] of byMessage) {
+      notified += await notifyUsers(ids, { type: 'class_update', title, message: text, data: { class_ids: classIds } });
+    }
+    return notified;
+  } catch (error) {
+    console.warn('⚠️ Failed to notify students about substitution:', error.message || error);
+    return 0;
+  }
+};
+
+/**
+ * Hand classes to a substitute teacher.
+ * @param {object} target - as for resolveTargets
+ * @param {object} fields - { substitute_teacher_id, note, force }; without force a clash with the
+ *   substitute's classes or time off fails with SCHEDULE_CONFLICT (AvailabilityError)
+ * @returns {object} { classes, teacher_id, substitute, range, warnings, notified }
+ */
+const assignSubstitute = async (userId, target, { substitute_teacher_id, note, force = false } = {}) => {
+  if (!substitute_teacher_id) {
+    throw new SubstitutionError('substitute_teacher_id is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const substitute = await getTeacher(substitute_teacher_id, 'Substitute teacher');
+  if (substitute.status && substitute.status !== 'active') {
+    throw new SubstitutionError('Substitute teacher is not active', 400, 'SUBSTITUTE_INACTIVE');
+  }
+
+  const { targets, teacher, range } = await resolveTargets(target);
+  if (teacher.id === substitute.id) {
+    throw new SubstitutionError('A teacher cannot substitute for their own classes', 400, 'INVALID_SUBSTITUTE');
+  }
+
+  const pending = targets.filter(t => t.substitute_teacher_id !== substitute.id);
+  const warnings = await checkTeacherSchedule(
+    substitute.id,
+    pending.map(t => ({ start: t.scheduled_date, duration: t.duration })),
+    {
+      force,
+      exclude: {
+        classIds: pending.map(t => t.id),
+        occurrences: pending.filter(t => t.series_id).map(t => ({ seriesId: t.series_id, start: t.occurrence_start }))
+      }
+    }
+  );
+
+  const cleanNote = note !== undefined ? sanitizeInput(note) || null : undefined;
+  const classes = [];
+  for (const t of pending) {
+    classes.push(await applySubstitute(t, userId, substitute.id, cleanNote));
+  }
+
+  const notified = await notifyStudents(classes, {
+    title: 'Substitute Teacher',
+    message: (what) => `${what} will be taught by ${substitute.name || 'a substitute teacher'} instead of ${teacher.name || 'your teacher'}.`
+  });
+
+  return {
+    classes,
+    teacher_id: teacher.id,
+    substitute: { id: substitute.id, name: substitute.name },
+    range,
+    warnings,
+    notified
+  };
+};
+
+/**
+ * Give classes back to their own teacher.
+ * @param {object} target - as for resolveTargets; with substitute_teacher_id only that substitute is removed
+ * @returns {object} { classes, teacher_id, range, notified }
+ */
+const clearSubstitute = async (userId, target) => {
+  const { targets, teacher, range } = await resolveTargets(target);
+
+  const covered = targets.filter(t => t.substitute_teacher_id
+    && (!target.substitute_teacher_id || t.substitute_teacher_id === target.substitute_teacher_id));
+
+  const classes = [];
+  for (const t of covered) {
+    classes.push({ ...(await applySubstitute(t, userId, null)), previous_substitute_id: t.substitute_teacher_id });
+  }
+
+  const notified = await notifyStudents(classes, {
+    title: 'Teacher Update',
+    message: (what) => `${what} will be taught by ${teacher.name || 'your teacher'} as usual.`
+  });
+
+  return { classes, teacher_id: teacher.id, range, notified };
+};
+
+/**
+ * Classes that currently have a substitute, standalone and recurring.
+ * @param {object} filters - { teacherId, substituteId, from, to } with to defaulting to 30 days from now
+ */
+const listSubstitutions = async ({ teacherId, substituteId, from, to } = {}) => {
+  const start = from ? parseInTimezone(from, getDefaultTimezone()) : new Date();
+  const end = to ? parseInTimezone(to, getDefaultTimezone()) : new Date(Date.now() + 30 * DAY_MS);
+  if (!start || !end) {
+    throw new SubstitutionError('from and to must be valid dates', 400, 'INVALID_DATE');
+  }
+
+  let query = supabase
+    .from('classes')
+    .select('id, series_id, occurrence_start, title, teacher_id, substitute_teacher_id, scheduled_date, duration, status')
+    .is('series_id', null)
+    .not('substitute_teacher_id', 'is', null)
+    .gte('scheduled_date', start.toISOString())
+    .lte('scheduled_date', end.toISOString());
+  if (teacherId) query = query.eq('teacher_id', teacherId);
+  if (substituteId) query = query.eq('substitute_teacher_id', substituteId);
+  const rows = unwrap(await query, 'Error fetching substitutions') || [];
+
+  const occurrences = (await listSeriesOccurrences({
+    teacherId: teacherId || substituteId,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    substitutions: !teacherId
+  })).filter(o => o.substitute_teacher_id
+    && (!teacherId || o.teacher_id === teacherId)
+    && (!substituteId || o.substitute_teacher_id === substituteId));
+
+  return [...rows.map(fromClassRow), ...occurrences.map(fromClassRow)]
+    .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date));
+};
+
+export {
+  SubstitutionError,
+  MAX_RANGE_DAYS,
+  resolveTargets,
+  assignSubstitute,
+  clearSubstitute,
+  listSubstitutions
+};
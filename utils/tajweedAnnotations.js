@@ -0,0 +1,279 @@
+// utils/tajweedAnnotations.js
+// Time-stamped tajweed feedback on recitation submissions, and per-student aggregates of recurring mistakes.
+// Table:
+//   submission_annotations (id, submission_id, attempt_id, student_id, teacher_id, start_seconds, end_seconds,
+//                           surah, ayah, rule, severity minor|moderate|major, comment, created_at, updated_at)
+// attempt_id ties an annotation to the recording it was made on when the student resubmits.
+
+import { supabase } from '../server.js';
+import { sanitizeInput } from './helpers.js';
+import { getSurah, validateAyahRange } from './quranMeta.js';
+
+const TAJWEED_RULES = {
+  makharij: 'Makharij (articulation points)',
+  sifat: 'Sifat (letter characteristics)',
+  madd: 'Madd (prolongation)',
+  ghunnah: 'Ghunnah (nasalisation)',
+  qalqalah: 'Qalqalah (echoing)',
+  idgham: 'Idgham (merging)',
+  ikhfa: 'Ikhfa (concealment)',
+  izhar: 'Izhar (clear pronunciation)',
+  iqlab: 'Iqlab (conversion)',
+  tafkhim_tarqiq: 'Tafkhim / Tarqiq (heavy and light letters)',
+  harakat: 'Harakat (vowelling)',
+  waqf_ibtida: 'Waqf and Ibtida (stopping and starting)',
+  memorization: 'Memorization slip',
+  other: 'Other'
+};
+
+const SEVERITIES = ['minor', 'moderate', 'major'];
+const SEVERITY_WEIGHTS = { minor: 1, moderate: 2, major: 3 };
+const MAX_COMMENT_LENGTH = 1000;
+
+// Allowance past the recording's measured length, header durations are approximate
+const DURATION_TOLERANCE_SECONDS = 1;
+
+class AnnotationError extends Error {
+  constructor(message, status = 400, code = 'ANNOTATION_ERROR') {
+    super(message);
+    this.name = 'AnnotationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const unwrap = ({ data, error }, message) => {
+  if (error) {
+    console.error(`❌ ${message}:`, error);
+    throw new AnnotationError(error.message || message, 400, 'DATABASE_ERROR');
+  }
+  return data;
+};
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * Validate one annotation from a request body.
+ * @param {object} input - { start_seconds, end_seconds, surah, ayah, rule, severity, comment }
+ * @param {number|null} durationSeconds - Length of the recording, when known
+ */
+const normalizeAnnotation = (input = {}, durationSeconds = null) => {
+  const start = toNumber(input.start_seconds);
+  const end = toNumber(input.end_seconds) ?? start;
+
+  if (!Number.isFinite(start) || start < 0 || !Number.isFinite(end) || end < start) {
+    throw new AnnotationError('start_seconds and end_seconds must be a valid time range', 400, 'INVALID_TIMESTAMP');
+  }
+  if (durationSeconds && end > Number(durationSeconds) + DURATION_TOLERANCE_SECONDS) {
+    throw new AnnotationError(`Time range goes past the end of the recording (${durationSeconds}s)`, 400, 'INVALID_TIMESTAMP');
+  }
+
+  if (!TAJWEED_RULES[input.rule]) {
+    throw new AnnotationError(`rule must be one of: ${Object.keys(TAJWEED_RULES).join(', ')}`, 400, 'INVALID_RULE');
+  }
+
+  const severity = input.severity || 'moderate';
+  if (!SEVERITIES.includes(severity)) {
+    throw new AnnotationError(`severity must be one of: ${SEVERITIES.join(', ')}`, 400, 'INVALID_SEVERITY');
+  }
+
+  // The ayah reference is optional, but must point at a real ayah when given
+  const surah = toNumber(input.surah);
+  const ayah = toNumber(input.ayah);
+  if (surah !== undefined || ayah !== undefined) {
+    const rangeError = validateAyahRange(surah, ayah, ayah);
+    if (rangeError) {
+      throw new AnnotationError(rangeError, 400, 'INVALID_AYAH');
+    }
+  }
+
+  const comment = sanitizeInput(input.comment) || null;
+  if (comment && comment.length > MAX_COMMENT_LENGTH) {
+    throw new AnnotationError(`comment must be at most ${MAX_COMMENT_LENGTH} characters`, 400, 'COMMENT_TOO_LONG');
+  }
+
+  return {
+    start_seconds: Math.round(start * 100) / 100,
+    end_seconds: Math.round(end * 100) / 100,
+    surah: surah ?? null,
+    ayah: ayah ?? null,
+    rule: input.rule,
+    severity,
+    comment
+  };
+};
+
+const describe = (annotation) => ({
+  ...annotation,
+  rule_label: TAJWEED_RULES[annotation.rule] || annotation.rule,
+  surah_name: annotation.surah ? getSurah(annotation.surah)?.name || null : null
+});
+
+/**
+ * Add annotations to a submission.
+ * @param {object} submission - assignment_submissions row ({ id, student_id, current_attempt_id })
+ * @param {string} teacherId - Annotating teacher
+ * @param {Array} annotations - Request bodies, see normalizeAnnotation
+ * @param {number|null} durationSeconds - Length of the recording, when known
+ */
+const createAnnotations = async (submission, teacherId, annotations, durationSeconds = null) => {
+  if (!Array.isArray(annotations) || annotations.length === 0) {
+    throw new AnnotationError('At least one annotation is required', 400, 'NO_ANNOTATIONS');
+  }
+
+  const now = new Date().toISOString();
+  const rows = annotations.map(annotation => ({
+    ...normalizeAnnotation(annotation, durationSeconds),
+    submission_id: submission.id,
+    attempt_id: submission.current_attempt_id || null,
+    student_id: submission.student_id,
+    teacher_id: teacherId,
+    created_at: now,
+    updated_at: now
+  }));
+
+  const data = unwrap(
+    await supabase.from('submission_annotations').insert(rows).select(),
+    'Error saving annotations'
+  );
+
+  return (data || []).map(describe);
+};
+
+// Annotations of a submission in playback order
+const listAnnotations = async (submissionId) => {
+  const data = unwrap(
+    await supabase
+      .from('submission_annotations')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .order('start_seconds', { ascending: true }),
+    'Error fetching annotations'
+  );
+
+  return (data || []).map(describe);
+};
+
+const getOwnAnnotation = async (annotationId, teacherId) => {
+  const { data } = await supabase
+    .from('submission_annotations')
+    .select('*')
+    .eq('id', annotationId)
+    .eq('teacher_id', teacherId)
+    .maybeSingle();
+
+  if (!data) {
+    throw new AnnotationError('Annotation not found', 404, 'NOT_FOUND');
+  }
+  return data;
+};
+
+// Partial update: unspecified fields keep their current value
+const updateAnnotation = async (annotationId, teacherId, updates, durationSeconds = null) => {
+  const current = await getOwnAnnotation(annotationId, teacherId);
+  const merged = normalizeAnnotation({ ...current, ...updates }, durationSeconds);
+
+  const data = unwrap(
+    await supabase
+      .from('submission_annotations')
+      .update({ ...merged, updated_at: new Date().toISOString() })
+      .eq('id', annotationId)
+      .select()
+      .single(),
+    'Error updating annotation'
+  );
+
+  return describe(data);
+};
+
+const deleteAnnotation = async (annotationId, teacherId) => {
+  await getOwnAnnotation(annotationId, teacherId);
+  unwrap(
+    await supabase.from('submission_annotations').delete().eq('id', annotationId),
+    'Error deleting annotation'
+  );
+};
+
+/**
+ * Recurring tajweed mistakes of a student, grouped by rule (most significant first) and by ayah.
+ * @param {string} studentId
+ * @param {object} options - { since } ISO date to limit the window
+ */
+const getTajweedSummary = async (studentId, { since } = {}) => {
+  let query = supabase
+    .from('submission_annotations')
+    .select('id, submission_id, surah, ayah, rule, severity, created_at')
+    .eq('student_id', studentId);
+
+  if (since) query = query.gte('created_at', since);
+
+  const annotations = unwrap(
+    await query.order('created_at', { ascending: false }),
+    'Error fetching annotations'
+  ) || [];
+
+  const byRule = {};
+  const byAyah = {};
+
+  annotations.forEach(annotation => {
+    const rule = (byRule[annotation.rule] ||= {
+      rule: annotation.rule,
+      label: TAJWEED_RULES[annotation.rule] || annotation.rule,
+      count: 0,
+      weight: 0,
+      severity: { minor: 0, moderate: 0, major: 0 },
+      submissions: new Set(),
+      last_seen: annotation.created_at
+    });
+    rule.count++;
+    rule.weight += SEVERITY_WEIGHTS[annotation.severity] || 1;
+    rule.severity[annotation.severity] = (rule.severity[annotation.severity] || 0) + 1;
+    rule.submissions.add(annotation.submission_id);
+
+    if (annotation.surah && annotation.ayah) {
+      const key = `${annotation.surah}:${annotation.ayah}`;
+      const ayah = (byAyah[key] ||= {
+        surah: annotation.surah,
+        surah_name: getSurah(annotation.surah)?.name || null,
+        ayah: annotation.ayah,
+        count: 0,
+        rules: new Set()
+      });
+      ayah.count++;
+      ayah.rules.add(annotation.rule);
+    }
+  });
+
+  const rules = Object.values(byRule)
+    .map(({ submissions, ...rule }) => ({
+      ...rule,
+      submissions_affected: submissions.size,
+      // Seen in more than one recitation: a habit rather than a slip
+      recurring: submissions.size > 1
+    }))
+    .sort((a, b) => b.weight - a.weight || b.count - a.count);
+
+  return {
+    student_id: studentId,
+    since: since || null,
+    total_annotations: annotations.length,
+    submissions_annotated: new Set(annotations.map(a => a.submission_id)).size,
+    rules,
+    recurring_rules: rules.filter(r => r.recurring).map(r => r.rule),
+    ayahs: Object.values(byAyah)
+      .map(({ rules: ayahRules, ...ayah }) => ({ ...ayah, rules: [...ayahRules] }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 20)
+  };
+};
+
+export {
+  AnnotationError,
+  TAJWEED_RULES,
+  SEVERITIES,
+  createAnnotations,
+  listAnnotations,
+  updateAnnotation,
+  deleteAnnotation,
+  getTajweedSummary
+};
@@ -0,0 +1,152 @@
+// utils/timezones.js
+// IANA timezone helpers built on Intl, so DST rules come from the runtime's ICU data.
+// Timestamps are stored in UTC; profiles.timezone and class_series.timezone hold the zone
+// ('Africa/Cairo', 'Asia/Karachi', 'Europe/London', ...) used to read and display them.
+
+const getDefaultTimezone = () => process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Canonical IANA name for a timezone, or null if the runtime does not know it.
+ */
+const normalizeTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+const isValidTimezone = (timezone) => normalizeTimezone(timezone) !== null;
+
+/**
+ * Wall-clock fields of an instant in a timezone: { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Minutes the timezone is ahead of UTC at that instant
+const getOffsetMinutes = (date, timezone) => {
+  const time = new Date(date).getTime();
+  const p = getZonedParts(time, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant a wall-clock time happens in a timezone. Month and day may overflow (day 32 is
+ * the 1st of the next month). A time skipped by a DST jump moves forward by the jump; a time
+ * that happens twice resolves to the first one.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets a day either side cover any transition near this time
+  const before = getOffsetMinutes(asUtc - 86400000, timezone);
+  const after = getOffsetMinutes(asUtc + 86400000, timezone);
+
+  const matches = [...new Set([before, after])]
+    .map(offset => asUtc - offset * 60000)
+    .filter(time => asUtc - getOffsetMinutes(time, timezone) * 60000 === time);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : asUtc - before * 60000);
+};
+
+/**
+ * Parse a date from a request. Values with a UTC offset or "Z" are absolute; plain local
+ * times ("2026-03-29T17:00") are read as wall-clock time in the given timezone.
+ * @returns {Date|null} null when the value is not a date
+ */
+const parseInTimezone = (value, timezone) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date || typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const date = new Date(typeof value === 'string' ? Number(value) : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(String(value).trim());
+  if (local) {
+    const [year, month, day, hour = 0, minute = 0, second = 0] = local.slice(1).map(v => (v === undefined ? undefined : Number(v)));
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timezone);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * ISO 8601 with the timezone's offset, e.g. "2026-11-02T18:00:00+02:00".
+ */
+const formatInTimezone = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const offset = getOffsetMinutes(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+    + `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+/**
+ * Timezone to show times in: ?timezone=, then the viewer's profile, then DEFAULT_TIMEZONE.
+ */
+const getViewerTimezone = (req) =>
+  normalizeTimezone(req.query?.timezone) || normalizeTimezone(req.user?.timezone) || getDefaultTimezone();
+
+/**
+ * Add the viewer's local time to a class or occurrence; scheduled_date stays in UTC.
+ */
+const localizeClass = (cls, timezone) => ({
+  ...cls,
+  scheduled_date_local: cls.scheduled_date ? formatInTimezone(cls.scheduled_date, timezone) : null
+});
+
+export {
+  getDefaultTimezone,
+  normalizeTimezone,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  parseInTimezone,
+  formatInTimezone,
+  getViewerTimezone,
+  localizeClass
+};